@@ -5,6 +5,12 @@ const sequelize = new Sequelize(process.env.DATABASE_URL || 'sqlite:./database.s
   dialect: process.env.DATABASE_URL ? 'postgres' : 'sqlite',
   storage: process.env.DATABASE_URL ? undefined : './database.sqlite',
   logging: false,
+  // SQLite allows one writer at a time: take the write lock when a transaction
+  // starts and retry while another one holds it, instead of failing mid-way
+  ...(!process.env.DATABASE_URL && {
+    transactionType: 'IMMEDIATE',
+    retry: { match: [/SQLITE_BUSY/], max: 10 }
+  }),
   dialectOptions: process.env.DATABASE_URL ? {
     ssl: process.env.NODE_ENV === 'production' ? { require: true, rejectUnauthorized: false } : false
   } : undefined
@@ -22,20 +28,109 @@ const Category = require('./models/Category')(sequelize);
 const Order = require('./models/Order')(sequelize);
 const Payment = require('./models/Payment')(sequelize);
 const Message = require('./models/Message')(sequelize);
+const SellerOrder = require('./models/SellerOrder')(sequelize);
+const OrderItem = require('./models/OrderItem')(sequelize);
+const PaymentEvent = require('./models/PaymentEvent')(sequelize);
+const Refund = require('./models/Refund')(sequelize);
+const RefundItem = require('./models/RefundItem')(sequelize);
+const LedgerEntry = require('./models/LedgerEntry')(sequelize);
+const PayoutBatch = require('./models/PayoutBatch')(sequelize);
+const Payout = require('./models/Payout')(sequelize);
+const StockReservation = require('./models/StockReservation')(sequelize);
+const OrderStatusHistory = require('./models/OrderStatusHistory')(sequelize);
+const Notification = require('./models/Notification')(sequelize);
+const InboundSms = require('./models/InboundSms')(sequelize);
+const UssdSession = require('./models/UssdSession')(sequelize);
+const ProductVariant = require('./models/ProductVariant')(sequelize);
+const PriceList = require('./models/PriceList')(sequelize);
+const PriceListItem = require('./models/PriceListItem')(sequelize);
+const PriceListBuyer = require('./models/PriceListBuyer')(sequelize);
+const DeliveryZone = require('./models/DeliveryZone')(sequelize);
+const Shipment = require('./models/Shipment')(sequelize);
+const ShipmentEvent = require('./models/ShipmentEvent')(sequelize);
+const Dispute = require('./models/Dispute')(sequelize);
+const Review = require('./models/Review')(sequelize);
 
 // Define associations after models are initialized
 User.hasMany(Product, { foreignKey: 'sellerId', as: 'products' });
 Product.belongsTo(User, { foreignKey: 'sellerId', as: 'seller' });
 
+Product.hasMany(ProductVariant, { foreignKey: 'productId', as: 'variants' });
+ProductVariant.belongsTo(Product, { foreignKey: 'productId', as: 'product' });
+
+Category.hasMany(Category, { foreignKey: 'parentId', as: 'children' });
+Category.belongsTo(Category, { foreignKey: 'parentId', as: 'parent' });
+
 Category.hasMany(Product, { foreignKey: 'categoryId', as: 'products' });
 Product.belongsTo(Category, { foreignKey: 'categoryId', as: 'category' });
 
 User.hasMany(Order, { foreignKey: 'buyerId', as: 'orders' });
 Order.belongsTo(User, { foreignKey: 'buyerId', as: 'buyer' });
 
+Order.hasMany(SellerOrder, { foreignKey: 'orderId', as: 'sellerOrders' });
+SellerOrder.belongsTo(Order, { foreignKey: 'orderId', as: 'order' });
+
+User.hasMany(SellerOrder, { foreignKey: 'sellerId', as: 'sellerOrders' });
+SellerOrder.belongsTo(User, { foreignKey: 'sellerId', as: 'seller' });
+
+Order.hasMany(OrderItem, { foreignKey: 'orderId', as: 'items' });
+OrderItem.belongsTo(Order, { foreignKey: 'orderId', as: 'order' });
+
+SellerOrder.hasMany(OrderItem, { foreignKey: 'sellerOrderId', as: 'items' });
+OrderItem.belongsTo(SellerOrder, { foreignKey: 'sellerOrderId', as: 'sellerOrder' });
+
+Product.hasMany(OrderItem, { foreignKey: 'productId', as: 'orderItems' });
+OrderItem.belongsTo(Product, { foreignKey: 'productId', as: 'product' });
+
+User.hasMany(DeliveryZone, { foreignKey: 'sellerId', as: 'deliveryZones' });
+DeliveryZone.belongsTo(User, { foreignKey: 'sellerId', as: 'seller' });
+SellerOrder.belongsTo(DeliveryZone, { foreignKey: 'deliveryZoneId', as: 'deliveryZone' });
+
+Order.hasMany(Shipment, { foreignKey: 'orderId', as: 'shipments' });
+Shipment.belongsTo(Order, { foreignKey: 'orderId', as: 'order' });
+SellerOrder.hasOne(Shipment, { foreignKey: 'sellerOrderId', as: 'shipment' });
+Shipment.belongsTo(SellerOrder, { foreignKey: 'sellerOrderId', as: 'sellerOrder' });
+Shipment.belongsTo(User, { foreignKey: 'deliveredBy', as: 'deliveredByUser' });
+
+Shipment.hasMany(ShipmentEvent, { foreignKey: 'shipmentId', as: 'events', onDelete: 'CASCADE' });
+ShipmentEvent.belongsTo(Shipment, { foreignKey: 'shipmentId', as: 'shipment' });
+ShipmentEvent.belongsTo(User, { foreignKey: 'recordedBy', as: 'recordedByUser' });
+
+Order.hasMany(Dispute, { foreignKey: 'orderId', as: 'disputes' });
+Dispute.belongsTo(Order, { foreignKey: 'orderId', as: 'order' });
+Dispute.belongsTo(SellerOrder, { foreignKey: 'sellerOrderId', as: 'sellerOrder' });
+Dispute.belongsTo(OrderItem, { foreignKey: 'orderItemId', as: 'orderItem' });
+Dispute.belongsTo(User, { foreignKey: 'buyerId', as: 'buyer' });
+Dispute.belongsTo(User, { foreignKey: 'sellerId', as: 'seller' });
+Dispute.belongsTo(Refund, { foreignKey: 'refundId', as: 'refund' });
+Dispute.hasMany(Message, { foreignKey: 'disputeId', as: 'messages' });
+Message.belongsTo(Dispute, { foreignKey: 'disputeId', as: 'dispute' });
+
+Product.hasMany(Review, { foreignKey: 'productId', as: 'reviews', onDelete: 'CASCADE' });
+Review.belongsTo(Product, { foreignKey: 'productId', as: 'product' });
+User.hasMany(Review, { foreignKey: 'sellerId', as: 'sellerReviews' });
+Review.belongsTo(User, { foreignKey: 'sellerId', as: 'seller' });
+Review.belongsTo(User, { foreignKey: 'buyerId', as: 'buyer' });
+Review.belongsTo(Order, { foreignKey: 'orderId', as: 'order' });
+
 Order.hasMany(Payment, { foreignKey: 'orderId', as: 'payments' });
 Payment.belongsTo(Order, { foreignKey: 'orderId', as: 'order' });
 
+Payment.hasMany(PaymentEvent, { foreignKey: 'paymentId', as: 'events' });
+PaymentEvent.belongsTo(Payment, { foreignKey: 'paymentId', as: 'payment' });
+
+Payment.hasMany(Refund, { foreignKey: 'paymentId', as: 'refunds' });
+Refund.belongsTo(Payment, { foreignKey: 'paymentId', as: 'payment' });
+
+Order.hasMany(Refund, { foreignKey: 'orderId', as: 'refunds' });
+Refund.belongsTo(Order, { foreignKey: 'orderId', as: 'order' });
+
+Refund.hasMany(RefundItem, { foreignKey: 'refundId', as: 'items' });
+RefundItem.belongsTo(Refund, { foreignKey: 'refundId', as: 'refund' });
+
+OrderItem.hasMany(RefundItem, { foreignKey: 'orderItemId', as: 'refundItems' });
+RefundItem.belongsTo(OrderItem, { foreignKey: 'orderItemId', as: 'orderItem' });
+
 User.hasMany(Message, { foreignKey: 'senderId', as: 'sentMessages' });
 Message.belongsTo(User, { foreignKey: 'senderId', as: 'sender' });
 
@@ -48,10 +143,55 @@ Message.belongsTo(Product, { foreignKey: 'productId', as: 'product' });
 Order.hasMany(Message, { foreignKey: 'orderId', as: 'messages' });
 Message.belongsTo(Order, { foreignKey: 'orderId', as: 'order' });
 
+User.hasMany(LedgerEntry, { foreignKey: 'sellerId', as: 'ledgerEntries' });
+LedgerEntry.belongsTo(User, { foreignKey: 'sellerId', as: 'seller' });
+
+PayoutBatch.hasMany(Payout, { foreignKey: 'batchId', as: 'payouts' });
+Payout.belongsTo(PayoutBatch, { foreignKey: 'batchId', as: 'batch' });
+
+User.hasMany(Payout, { foreignKey: 'sellerId', as: 'payouts' });
+Payout.belongsTo(User, { foreignKey: 'sellerId', as: 'seller' });
+
+Order.hasMany(StockReservation, { foreignKey: 'orderId', as: 'reservations' });
+StockReservation.belongsTo(Order, { foreignKey: 'orderId', as: 'order' });
+
+Product.hasMany(StockReservation, { foreignKey: 'productId', as: 'reservations' });
+StockReservation.belongsTo(Product, { foreignKey: 'productId', as: 'product' });
+StockReservation.belongsTo(ProductVariant, { foreignKey: 'variantId', as: 'variant' });
+
+OrderItem.belongsTo(ProductVariant, { foreignKey: 'variantId', as: 'variant' });
+OrderItem.belongsTo(PriceList, { foreignKey: 'priceListId', as: 'priceList' });
+
+User.hasMany(PriceList, { foreignKey: 'sellerId', as: 'priceLists' });
+PriceList.belongsTo(User, { foreignKey: 'sellerId', as: 'seller' });
+
+PriceList.hasMany(PriceListItem, { foreignKey: 'priceListId', as: 'items', onDelete: 'CASCADE' });
+PriceListItem.belongsTo(PriceList, { foreignKey: 'priceListId', as: 'priceList' });
+Product.hasMany(PriceListItem, { foreignKey: 'productId', as: 'priceListItems', onDelete: 'CASCADE' });
+PriceListItem.belongsTo(Product, { foreignKey: 'productId', as: 'product' });
+ProductVariant.hasMany(PriceListItem, { foreignKey: 'variantId', as: 'priceListItems', onDelete: 'CASCADE' });
+PriceListItem.belongsTo(ProductVariant, { foreignKey: 'variantId', as: 'variant' });
+
+PriceList.hasMany(PriceListBuyer, { foreignKey: 'priceListId', as: 'buyers', onDelete: 'CASCADE' });
+PriceListBuyer.belongsTo(PriceList, { foreignKey: 'priceListId', as: 'priceList' });
+PriceListBuyer.belongsTo(User, { foreignKey: 'buyerId', as: 'buyer' });
+
+Order.hasMany(OrderStatusHistory, { foreignKey: 'orderId', as: 'history' });
+OrderStatusHistory.belongsTo(Order, { foreignKey: 'orderId', as: 'order' });
+OrderStatusHistory.belongsTo(SellerOrder, { foreignKey: 'sellerOrderId', as: 'sellerOrder' });
+OrderStatusHistory.belongsTo(User, { foreignKey: 'changedBy', as: 'changedByUser' });
+
+User.hasMany(Notification, { foreignKey: 'userId', as: 'notifications' });
+Notification.belongsTo(User, { foreignKey: 'userId', as: 'user' });
+
+User.hasMany(InboundSms, { foreignKey: 'userId', as: 'inboundSms' });
+InboundSms.belongsTo(User, { foreignKey: 'userId', as: 'user' });
+InboundSms.belongsTo(Order, { foreignKey: 'orderId', as: 'order' });
+
 // Associations are already defined above
 
-// Sync database
-sequelize.sync({ force: false })
+// Sync database (migrate.js waits on this before running migrations)
+const ready = sequelize.sync({ force: false })
   .then(() => {
     console.log('Database synced successfully');
     console.log('Available models:', Object.keys(sequelize.models));
@@ -64,10 +204,33 @@ sequelize.sync({ force: false })
 // Export both sequelize instance and initialized models
 module.exports = {
   sequelize,
+  ready,
   User,
   Product,
   Category,
   Order,
   Payment,
-  Message
+  Message,
+  SellerOrder,
+  OrderItem,
+  PaymentEvent,
+  Refund,
+  RefundItem,
+  LedgerEntry,
+  PayoutBatch,
+  Payout,
+  StockReservation,
+  OrderStatusHistory,
+  Notification,
+  InboundSms,
+  UssdSession,
+  ProductVariant,
+  PriceList,
+  PriceListItem,
+  PriceListBuyer,
+  DeliveryZone,
+  Shipment,
+  ShipmentEvent,
+  Dispute,
+  Review
 };
\ No newline at end of file
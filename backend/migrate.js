@@ -0,0 +1,53 @@
+const fs = require('fs');
+const path = require('path');
+const { DataTypes, QueryTypes } = require('sequelize');
+const models = require('./database');
+
+const { sequelize, ready } = models;
+const migrationsDir = path.join(__dirname, 'migrations');
+
+// Runs every migration in migrations/ that has not been recorded yet, in file name order.
+// sequelize.sync() only creates missing tables, so column changes and data conversions live here.
+async function migrate() {
+  try {
+    await ready;
+
+    const queryInterface = sequelize.getQueryInterface();
+    await queryInterface.createTable('Migrations', {
+      name: { type: DataTypes.STRING, primaryKey: true },
+      runAt: { type: DataTypes.DATE, allowNull: false }
+    });
+
+    const done = await sequelize.query('SELECT name FROM "Migrations"', { type: QueryTypes.SELECT });
+    const doneNames = new Set(done.map(row => row.name));
+
+    const files = fs.readdirSync(migrationsDir)
+      .filter(file => file.endsWith('.js'))
+      .sort();
+
+    // SQLite rebuilds a table to drop or change a column, which must not cascade into referencing rows
+    const isSqlite = sequelize.getDialect() === 'sqlite';
+    if (isSqlite) await sequelize.query('PRAGMA foreign_keys = OFF');
+
+    for (const file of files) {
+      if (doneNames.has(file)) continue;
+
+      console.log(`⏳ Running migration ${file}`);
+      const migration = require(path.join(migrationsDir, file));
+      await migration.up({ sequelize, queryInterface, models });
+      await queryInterface.bulkInsert('Migrations', [{ name: file, runAt: new Date() }]);
+      console.log(`✅ Migration ${file} done`);
+    }
+
+    if (isSqlite) await sequelize.query('PRAGMA foreign_keys = ON');
+
+    console.log('🎉 Database is up to date');
+  } catch (error) {
+    console.error('❌ Migration failed:', error);
+    process.exitCode = 1;
+  } finally {
+    await sequelize.close();
+  }
+}
+
+migrate();
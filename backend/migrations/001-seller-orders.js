@@ -0,0 +1,58 @@
+const { QueryTypes } = require('sequelize');
+const { hasColumn } = require('./lib/helpers');
+
+// Split existing orders into one seller order per seller. Orders placed before
+// seller orders existed carry a single status, which every seller order inherits.
+module.exports = {
+  up: async ({ sequelize, queryInterface }) => {
+    // Databases created after the order lines moved out of Orders have nothing to split
+    if (!(await hasColumn(queryInterface, 'Orders', 'products'))) return;
+
+    const orders = await sequelize.query(
+      'SELECT id, products, "totalAmount", status, "createdAt", "updatedAt" FROM "Orders" ' +
+      'WHERE id NOT IN (SELECT "orderId" FROM "SellerOrders")',
+      { type: QueryTypes.SELECT }
+    );
+    if (orders.length === 0) return;
+
+    const columns = await queryInterface.describeTable('SellerOrders');
+    const products = await sequelize.query('SELECT id, "sellerId" FROM "Products"', { type: QueryTypes.SELECT });
+    const sellerByProduct = new Map(products.map(p => [p.id, p.sellerId]));
+
+    const rows = [];
+    for (const order of orders) {
+      let lines = [];
+      try {
+        lines = JSON.parse(order.products) || [];
+      } catch (e) {
+        console.warn(`Skipping order ${order.id}: unreadable products`);
+        continue;
+      }
+
+      const groups = new Map();
+      for (const line of lines) {
+        const sellerId = sellerByProduct.get(line.productId);
+        if (!sellerId) continue;
+        if (!groups.has(sellerId)) groups.set(sellerId, []);
+        groups.get(sellerId).push(line);
+      }
+
+      for (const [sellerId, sellerLines] of groups) {
+        const row = {
+          orderId: order.id,
+          sellerId,
+          totalAmount: sellerLines.reduce((sum, line) => sum + line.price * line.quantity, 0),
+          status: order.status,
+          createdAt: order.createdAt,
+          updatedAt: order.updatedAt
+        };
+        if (columns.products) row.products = JSON.stringify(sellerLines);
+        rows.push(row);
+      }
+    }
+
+    if (rows.length > 0) {
+      await queryInterface.bulkInsert('SellerOrders', rows);
+    }
+  }
+};
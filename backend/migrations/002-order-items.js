@@ -0,0 +1,63 @@
+const { QueryTypes } = require('sequelize');
+const { hasColumn, removeColumnIfPresent } = require('./lib/helpers');
+
+// Convert the JSON `products` blobs on Orders into OrderItem rows, then drop
+// the blob columns from Orders and SellerOrders.
+module.exports = {
+  up: async ({ sequelize, queryInterface }) => {
+    if (await hasColumn(queryInterface, 'Orders', 'products')) {
+      const orders = await sequelize.query(
+        'SELECT id, products, "createdAt", "updatedAt" FROM "Orders" ' +
+        'WHERE id NOT IN (SELECT "orderId" FROM "OrderItems")',
+        { type: QueryTypes.SELECT }
+      );
+
+      const products = await sequelize.query(
+        'SELECT id, name, unit, "sellerId" FROM "Products"',
+        { type: QueryTypes.SELECT }
+      );
+      const productsById = new Map(products.map(p => [p.id, p]));
+
+      const sellerOrders = await sequelize.query(
+        'SELECT id, "orderId", "sellerId" FROM "SellerOrders"',
+        { type: QueryTypes.SELECT }
+      );
+      const sellerOrderIds = new Map(sellerOrders.map(so => [`${so.orderId}:${so.sellerId}`, so.id]));
+
+      const rows = [];
+      for (const order of orders) {
+        let lines = [];
+        try {
+          lines = JSON.parse(order.products) || [];
+        } catch (e) {
+          console.warn(`Skipping order ${order.id}: unreadable products`);
+          continue;
+        }
+
+        for (const line of lines) {
+          const product = productsById.get(line.productId);
+          rows.push({
+            orderId: order.id,
+            sellerOrderId: product ? sellerOrderIds.get(`${order.id}:${product.sellerId}`) || null : null,
+            productId: product ? product.id : null,
+            productName: product ? product.name : `Product ${line.productId}`,
+            unit: product ? product.unit : null,
+            price: line.price,
+            quantity: line.quantity,
+            subtotal: line.price * line.quantity,
+            createdAt: order.createdAt,
+            updatedAt: order.updatedAt
+          });
+        }
+      }
+
+      if (rows.length > 0) {
+        await queryInterface.bulkInsert('OrderItems', rows);
+      }
+      console.log(`Converted ${rows.length} order lines from ${orders.length} orders`);
+    }
+
+    await removeColumnIfPresent(queryInterface, 'Orders', 'products');
+    await removeColumnIfPresent(queryInterface, 'SellerOrders', 'products');
+  }
+};
@@ -0,0 +1,11 @@
+const { DataTypes } = require('sequelize');
+const { addColumnIfMissing } = require('./lib/helpers');
+
+module.exports = {
+  up: async ({ queryInterface }) => {
+    await addColumnIfMissing(queryInterface, 'Payments', 'provider', { type: DataTypes.STRING });
+    await addColumnIfMissing(queryInterface, 'Payments', 'providerTransactionId', { type: DataTypes.STRING });
+    await addColumnIfMissing(queryInterface, 'Payments', 'payerPhone', { type: DataTypes.STRING });
+    await addColumnIfMissing(queryInterface, 'Payments', 'failureReason', { type: DataTypes.STRING });
+  }
+};
@@ -0,0 +1,8 @@
+const { addEnumValues } = require('./lib/helpers');
+
+module.exports = {
+  up: async ({ sequelize }) => {
+    await addEnumValues(sequelize, 'Payments', 'status', ['refunded', 'partially_refunded']);
+    await addEnumValues(sequelize, 'Orders', 'paymentStatus', ['refunded', 'partially_refunded']);
+  }
+};
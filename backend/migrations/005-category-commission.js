@@ -0,0 +1,8 @@
+const { DataTypes } = require('sequelize');
+const { addColumnIfMissing } = require('./lib/helpers');
+
+module.exports = {
+  up: async ({ queryInterface }) => {
+    await addColumnIfMissing(queryInterface, 'Categories', 'commissionRate', { type: DataTypes.FLOAT, allowNull: true });
+  }
+};
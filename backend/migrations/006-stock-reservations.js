@@ -0,0 +1,10 @@
+const { DataTypes } = require('sequelize');
+const { addColumnIfMissing } = require('./lib/helpers');
+
+// Stock of existing orders was already decremented at checkout, so they start without reservations
+module.exports = {
+  up: async ({ queryInterface }) => {
+    await addColumnIfMissing(queryInterface, 'Products', 'reservedStock', { type: DataTypes.FLOAT, defaultValue: 0 });
+    await addColumnIfMissing(queryInterface, 'Orders', 'reservedUntil', { type: DataTypes.DATE, allowNull: true });
+  }
+};
@@ -0,0 +1,21 @@
+const { DataTypes } = require('sequelize');
+const { addColumnIfMissing, hasColumn } = require('./lib/helpers');
+
+module.exports = {
+  up: async ({ queryInterface }) => {
+    await addColumnIfMissing(queryInterface, 'Users', 'language', { type: DataTypes.ENUM('rw', 'en', 'fr'), defaultValue: 'en' });
+    await addColumnIfMissing(queryInterface, 'Users', 'notificationPreferences', { type: DataTypes.TEXT, allowNull: true });
+
+    // System notifications and guest orders have no sender
+    if (await hasColumn(queryInterface, 'Messages', 'senderId')) {
+      const columns = await queryInterface.describeTable('Messages');
+      if (!columns.senderId.allowNull) {
+        await queryInterface.changeColumn('Messages', 'senderId', {
+          type: DataTypes.INTEGER,
+          allowNull: true,
+          references: { model: 'Users', key: 'id' }
+        });
+      }
+    }
+  }
+};
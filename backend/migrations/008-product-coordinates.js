@@ -0,0 +1,44 @@
+const { DataTypes, QueryTypes } = require('sequelize');
+const { addColumnIfMissing, hasColumn, removeColumnIfPresent } = require('./lib/helpers');
+
+const INDEX_NAME = 'products_lat_lng';
+
+// Products kept their location as a JSON string, which neither database can
+// search by distance. Move it into numeric lat/lng columns; 0,0 meant unknown.
+module.exports = {
+  up: async ({ sequelize, queryInterface }) => {
+    await addColumnIfMissing(queryInterface, 'Products', 'lat', { type: DataTypes.FLOAT, allowNull: true });
+    await addColumnIfMissing(queryInterface, 'Products', 'lng', { type: DataTypes.FLOAT, allowNull: true });
+
+    if (await hasColumn(queryInterface, 'Products', 'location')) {
+      const rows = await sequelize.query(
+        'SELECT id, location FROM "Products" WHERE location IS NOT NULL AND lat IS NULL',
+        { type: QueryTypes.SELECT }
+      );
+
+      for (const row of rows) {
+        let location = null;
+        try {
+          location = JSON.parse(row.location);
+        } catch (e) {
+          continue;
+        }
+
+        const lat = parseFloat(location?.lat);
+        const lng = parseFloat(location?.lng);
+        if (!Number.isFinite(lat) || !Number.isFinite(lng) || (lat === 0 && lng === 0)) continue;
+
+        await sequelize.query('UPDATE "Products" SET lat = :lat, lng = :lng WHERE id = :id', {
+          replacements: { lat, lng, id: row.id }
+        });
+      }
+
+      await removeColumnIfPresent(queryInterface, 'Products', 'location');
+    }
+
+    const indexes = await queryInterface.showIndex('Products');
+    if (!indexes.some(index => index.name === INDEX_NAME)) {
+      await queryInterface.addIndex('Products', ['lat', 'lng'], { name: INDEX_NAME });
+    }
+  }
+};
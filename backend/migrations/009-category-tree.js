@@ -0,0 +1,59 @@
+const { DataTypes, QueryTypes } = require('sequelize');
+const { addColumnIfMissing } = require('./lib/helpers');
+
+const SLUG_INDEX = 'categories_slug';
+const PARENT_INDEX = 'categories_parent_id';
+
+// Kept here rather than shared, so this migration does the same thing however
+// the app's slug rules change later
+const slugify = (value) => String(value || '')
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, '-')
+  .replace(/^-+|-+$/g, '')
+  .slice(0, 80)
+  .replace(/-+$/, '');
+
+// Categories become a tree with slugs, translations and a display order.
+// Existing categories stay top-level and get a slug made from their name.
+module.exports = {
+  up: async ({ sequelize, queryInterface }) => {
+    await addColumnIfMissing(queryInterface, 'Categories', 'slug', { type: DataTypes.STRING, allowNull: true });
+    await addColumnIfMissing(queryInterface, 'Categories', 'parentId', {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: { model: 'Categories', key: 'id' }
+    });
+    await addColumnIfMissing(queryInterface, 'Categories', 'translations', { type: DataTypes.TEXT, allowNull: true });
+    await addColumnIfMissing(queryInterface, 'Categories', 'sortOrder', {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    });
+
+    const rows = await sequelize.query('SELECT id, name, slug FROM "Categories" ORDER BY id', { type: QueryTypes.SELECT });
+    const used = new Set(rows.filter(row => row.slug).map(row => row.slug));
+    for (const row of rows.filter(row => !row.slug)) {
+      let base = slugify(row.name) || 'category';
+      if (/^\d+$/.test(base)) base = `category-${base}`;
+
+      let slug = base;
+      for (let n = 2; used.has(slug); n++) slug = `${base}-${n}`;
+      used.add(slug);
+
+      await sequelize.query('UPDATE "Categories" SET slug = :slug WHERE id = :id', { replacements: { slug, id: row.id } });
+    }
+
+    // Fresh databases already have the unique slug column from sync
+    const indexes = await queryInterface.showIndex('Categories');
+    const slugIsUnique = indexes.some(index =>
+      index.unique && index.fields.length === 1 && index.fields[0].attribute === 'slug');
+    if (!slugIsUnique) {
+      await queryInterface.addIndex('Categories', ['slug'], { name: SLUG_INDEX, unique: true });
+    }
+    if (!indexes.some(index => index.name === PARENT_INDEX)) {
+      await queryInterface.addIndex('Categories', ['parentId'], { name: PARENT_INDEX });
+    }
+  }
+};
@@ -0,0 +1,10 @@
+const { DataTypes } = require('sequelize');
+const { addColumnIfMissing } = require('./lib/helpers');
+
+// Categories define typed attributes and products store their values, both as JSON text
+module.exports = {
+  up: async ({ queryInterface }) => {
+    await addColumnIfMissing(queryInterface, 'Categories', 'attributeSchema', { type: DataTypes.TEXT, allowNull: true });
+    await addColumnIfMissing(queryInterface, 'Products', 'attributes', { type: DataTypes.TEXT, allowNull: true });
+  }
+};
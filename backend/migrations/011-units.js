@@ -0,0 +1,22 @@
+const { DataTypes } = require('sequelize');
+const { addColumnIfMissing, addEnumValues } = require('./lib/helpers');
+
+// Products can be sold by more units, in packs, with a minimum order and a
+// quantity step. Stock may now be fractional (e.g. 2.5 kg).
+module.exports = {
+  up: async ({ sequelize, queryInterface }) => {
+    await addEnumValues(sequelize, 'Products', 'unit', ['g', 'tonne', 'ml', 'litre', 'dozen', 'head', 'bag', 'crate', 'bunch']);
+
+    await addColumnIfMissing(queryInterface, 'Products', 'packSizes', { type: DataTypes.TEXT, allowNull: true });
+    await addColumnIfMissing(queryInterface, 'Products', 'minOrderQuantity', { type: DataTypes.FLOAT, allowNull: true });
+    await addColumnIfMissing(queryInterface, 'Products', 'quantityStep', { type: DataTypes.FLOAT, allowNull: true });
+
+    await addColumnIfMissing(queryInterface, 'OrderItems', 'orderedUnit', { type: DataTypes.STRING, allowNull: true });
+    await addColumnIfMissing(queryInterface, 'OrderItems', 'orderedQuantity', { type: DataTypes.FLOAT, allowNull: true });
+
+    // SQLite keeps fractions in INTEGER columns as they are; Postgres needs the type changed
+    if (sequelize.getDialect() === 'postgres') {
+      await sequelize.query('ALTER TABLE "Products" ALTER COLUMN "stock" TYPE DOUBLE PRECISION');
+    }
+  }
+};
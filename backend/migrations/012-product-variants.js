@@ -0,0 +1,18 @@
+const { DataTypes } = require('sequelize');
+const { addColumnIfMissing } = require('./lib/helpers');
+
+// sync() creates the ProductVariants table; order lines and stock holds now
+// say which variant they are for (null for products without variants)
+module.exports = {
+  up: async ({ queryInterface }) => {
+    const variantId = {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: { model: 'ProductVariants', key: 'id' },
+      onDelete: 'SET NULL'
+    };
+    await addColumnIfMissing(queryInterface, 'OrderItems', 'variantId', variantId);
+    await addColumnIfMissing(queryInterface, 'OrderItems', 'variantName', { type: DataTypes.STRING, allowNull: true });
+    await addColumnIfMissing(queryInterface, 'StockReservations', 'variantId', variantId);
+  }
+};
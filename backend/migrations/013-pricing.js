@@ -0,0 +1,20 @@
+const { DataTypes } = require('sequelize');
+const { addColumnIfMissing } = require('./lib/helpers');
+
+// Quantity price tiers on products and variants. sync() creates the price list
+// tables; order lines now record the price rule that set their price.
+module.exports = {
+  up: async ({ queryInterface }) => {
+    await addColumnIfMissing(queryInterface, 'Products', 'priceTiers', { type: DataTypes.TEXT, allowNull: true });
+    await addColumnIfMissing(queryInterface, 'ProductVariants', 'priceTiers', { type: DataTypes.TEXT, allowNull: true });
+
+    await addColumnIfMissing(queryInterface, 'OrderItems', 'priceRule', { type: DataTypes.STRING, defaultValue: 'base' });
+    await addColumnIfMissing(queryInterface, 'OrderItems', 'listPrice', { type: DataTypes.FLOAT, allowNull: true });
+    await addColumnIfMissing(queryInterface, 'OrderItems', 'priceListId', {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: { model: 'PriceLists', key: 'id' },
+      onDelete: 'SET NULL'
+    });
+  }
+};
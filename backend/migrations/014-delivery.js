@@ -0,0 +1,29 @@
+const { DataTypes } = require('sequelize');
+const { addColumnIfMissing } = require('./lib/helpers');
+
+// sync() creates the DeliveryZones table. Orders and seller orders now carry
+// the delivery method, address and fee; refunds the delivery fee they return.
+module.exports = {
+  up: async ({ queryInterface }) => {
+    await addColumnIfMissing(queryInterface, 'Orders', 'deliveryMethod', { type: DataTypes.STRING, allowNull: true });
+    await addColumnIfMissing(queryInterface, 'Orders', 'deliveryAddress', { type: DataTypes.TEXT, allowNull: true });
+    await addColumnIfMissing(queryInterface, 'Orders', 'deliveryFee', { type: DataTypes.FLOAT, allowNull: false, defaultValue: 0 });
+
+    await addColumnIfMissing(queryInterface, 'SellerOrders', 'deliveryFee', { type: DataTypes.FLOAT, allowNull: false, defaultValue: 0 });
+    await addColumnIfMissing(queryInterface, 'SellerOrders', 'deliveryZoneId', {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: { model: 'DeliveryZones', key: 'id' },
+      onDelete: 'SET NULL'
+    });
+
+    await addColumnIfMissing(queryInterface, 'Refunds', 'deliveryFee', { type: DataTypes.FLOAT, allowNull: false, defaultValue: 0 });
+    await addColumnIfMissing(queryInterface, 'Refunds', 'sellerOrderId', {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: { model: 'SellerOrders', key: 'id' }
+    });
+
+    await addColumnIfMissing(queryInterface, 'Products', 'weightKg', { type: DataTypes.FLOAT, allowNull: true });
+  }
+};
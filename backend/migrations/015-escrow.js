@@ -0,0 +1,18 @@
+const { DataTypes } = require('sequelize');
+const { addColumnIfMissing, addEnumValues } = require('./lib/helpers');
+
+// Paid seller orders are held in escrow until released to the seller. Seller
+// orders paid before keep a null escrowStatus: their sales were credited at once.
+module.exports = {
+  up: async ({ sequelize, queryInterface }) => {
+    await addColumnIfMissing(queryInterface, 'SellerOrders', 'escrowStatus', {
+      type: DataTypes.ENUM('held', 'frozen', 'released', 'refunded'),
+      allowNull: true
+    });
+    await addColumnIfMissing(queryInterface, 'SellerOrders', 'escrowReleaseAt', { type: DataTypes.DATE, allowNull: true });
+    await addColumnIfMissing(queryInterface, 'SellerOrders', 'escrowReleasedAt', { type: DataTypes.DATE, allowNull: true });
+
+    await addColumnIfMissing(queryInterface, 'LedgerEntries', 'sellerOrderId', { type: DataTypes.INTEGER, allowNull: true });
+    await addEnumValues(sequelize, 'LedgerEntries', 'type', ['escrow_release']);
+  }
+};
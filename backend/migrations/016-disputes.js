@@ -0,0 +1,13 @@
+const { DataTypes } = require('sequelize');
+const { addColumnIfMissing } = require('./lib/helpers');
+
+// sync() creates the Disputes table. Messages of a dispute's thread point at it.
+module.exports = {
+  up: async ({ queryInterface }) => {
+    await addColumnIfMissing(queryInterface, 'Messages', 'disputeId', {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: { model: 'Disputes', key: 'id' }
+    });
+  }
+};
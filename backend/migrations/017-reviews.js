@@ -0,0 +1,13 @@
+const { DataTypes } = require('sequelize');
+const { addColumnIfMissing } = require('./lib/helpers');
+
+// sync() creates the Reviews table. Products and sellers keep their rating
+// average and count.
+module.exports = {
+  up: async ({ queryInterface }) => {
+    for (const table of ['Products', 'Users']) {
+      await addColumnIfMissing(queryInterface, table, 'ratingAverage', { type: DataTypes.FLOAT, allowNull: true });
+      await addColumnIfMissing(queryInterface, table, 'ratingCount', { type: DataTypes.INTEGER, allowNull: false, defaultValue: 0 });
+    }
+  }
+};
@@ -0,0 +1,7 @@
+const { addEnumValues } = require('./lib/helpers');
+
+module.exports = {
+  up: async ({ sequelize }) => {
+    await addEnumValues(sequelize, 'PaymentEvents', 'outcome', ['rejected']);
+  }
+};
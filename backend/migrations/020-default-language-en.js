@@ -0,0 +1,10 @@
+// Users used to get Kinyarwanda notifications until they picked another
+// language. New users now default to English; move existing users who never
+// saved their notification preferences there too.
+module.exports = {
+  up: async ({ sequelize }) => {
+    await sequelize.query(
+      'UPDATE "Users" SET "language" = \'en\' WHERE "language" = \'rw\' AND "notificationPreferences" IS NULL'
+    );
+  }
+};
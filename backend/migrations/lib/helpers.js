@@ -0,0 +1,41 @@
+// Small guards so migrations can run against both fresh databases (already
+// created by sequelize.sync with the latest models) and older ones.
+
+const hasTable = async (queryInterface, table) => {
+  const tables = await queryInterface.showAllTables();
+  return tables.map(t => (typeof t === 'object' ? t.tableName : t)).includes(table);
+};
+
+const hasColumn = async (queryInterface, table, column) => {
+  if (!(await hasTable(queryInterface, table))) return false;
+  const columns = await queryInterface.describeTable(table);
+  return Boolean(columns[column]);
+};
+
+const addColumnIfMissing = async (queryInterface, table, column, definition) => {
+  if (await hasColumn(queryInterface, table, column)) return false;
+  await queryInterface.addColumn(table, column, definition);
+  return true;
+};
+
+const removeColumnIfPresent = async (queryInterface, table, column) => {
+  if (!(await hasColumn(queryInterface, table, column))) return false;
+  await queryInterface.removeColumn(table, column);
+  return true;
+};
+
+// SQLite stores ENUMs as plain text; Postgres needs the new labels added to the type
+const addEnumValues = async (sequelize, table, column, values) => {
+  if (sequelize.getDialect() !== 'postgres') return;
+  for (const value of values) {
+    await sequelize.query(`ALTER TYPE "enum_${table}_${column}" ADD VALUE IF NOT EXISTS '${value}'`);
+  }
+};
+
+module.exports = {
+  addEnumValues,
+  hasTable,
+  hasColumn,
+  addColumnIfMissing,
+  removeColumnIfPresent
+};
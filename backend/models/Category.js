@@ -4,10 +4,18 @@ module.exports = (sequelize) => {
   const Category = sequelize.define('Category', {
     id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
     name: { type: DataTypes.STRING, allowNull: false, unique: true },
+    slug: { type: DataTypes.STRING, allowNull: false, unique: true }, // Used in URLs, e.g. "vegetables"
     description: DataTypes.TEXT,
+    // Parent category; null for top-level ones. Indexed by migration 009.
+    parentId: { type: DataTypes.INTEGER, allowNull: true, references: { model: 'Categories', key: 'id' } },
+    translations: DataTypes.TEXT, // JSON string, e.g. {"rw":{"name":"Imboga","description":"..."}}
+    // JSON string: typed product attributes, see services/attributes. Subcategories inherit them.
+    attributeSchema: DataTypes.TEXT,
+    sortOrder: { type: DataTypes.INTEGER, allowNull: false, defaultValue: 0 }, // Lower first, then by name
+    commissionRate: { type: DataTypes.FLOAT, allowNull: true }, // Fraction kept by the platform; null uses the default
     createdAt: { type: DataTypes.DATE, defaultValue: DataTypes.NOW },
     updatedAt: { type: DataTypes.DATE, defaultValue: DataTypes.NOW }
   });
 
   return Category;
-};
\ No newline at end of file
+};
@@ -0,0 +1,45 @@
+const { DataTypes } = require('sequelize');
+
+// Where a seller delivers and for how much. A zone covers districts and/or
+// sectors, or a radius around the seller's location. Zones without a seller
+// are the platform's, set by admins, for sellers who have none of their own.
+module.exports = (sequelize) => {
+  const jsonList = (field) => ({
+    type: DataTypes.TEXT,
+    get() {
+      const value = this.getDataValue(field);
+      if (!value) return [];
+      try {
+        return JSON.parse(value);
+      } catch (e) {
+        return [];
+      }
+    },
+    set(value) {
+      this.setDataValue(field, value && value.length > 0 ? JSON.stringify(value) : null);
+    }
+  });
+
+  const DeliveryZone = sequelize.define('DeliveryZone', {
+    id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+    sellerId: { type: DataTypes.INTEGER, allowNull: true, references: { model: 'Users', key: 'id' } },
+    name: { type: DataTypes.STRING, allowNull: false },
+    districts: jsonList('districts'),
+    sectors: jsonList('sectors'),
+    radiusKm: { type: DataTypes.FLOAT, allowNull: true },
+    // Fee = baseFee + feePerKg x weight + feePerKm x distance from the seller, in RWF
+    baseFee: { type: DataTypes.FLOAT, allowNull: false, defaultValue: 0 },
+    feePerKg: { type: DataTypes.FLOAT, allowNull: false, defaultValue: 0 },
+    feePerKm: { type: DataTypes.FLOAT, allowNull: false, defaultValue: 0 },
+    maxWeightKg: { type: DataTypes.FLOAT, allowNull: true }, // Heavier orders are not delivered in this zone
+    active: { type: DataTypes.BOOLEAN, allowNull: false, defaultValue: true },
+    createdAt: { type: DataTypes.DATE, defaultValue: DataTypes.NOW },
+    updatedAt: { type: DataTypes.DATE, defaultValue: DataTypes.NOW }
+  }, {
+    indexes: [
+      { fields: ['sellerId'] }
+    ]
+  });
+
+  return DeliveryZone;
+};
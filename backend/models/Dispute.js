@@ -0,0 +1,58 @@
+const { DataTypes } = require('sequelize');
+
+// A buyer's claim about a delivered order line (spoiled, missing, damaged...).
+// The seller answers in the dispute's message thread and an admin rules on it.
+// While it is active the seller order's escrow is frozen.
+module.exports = (sequelize) => {
+  const Dispute = sequelize.define('Dispute', {
+    id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+    orderId: { type: DataTypes.INTEGER, allowNull: false, references: { model: 'Orders', key: 'id' } },
+    sellerOrderId: { type: DataTypes.INTEGER, allowNull: false, references: { model: 'SellerOrders', key: 'id' } },
+    orderItemId: { type: DataTypes.INTEGER, allowNull: false, references: { model: 'OrderItems', key: 'id' } },
+    buyerId: { type: DataTypes.INTEGER, allowNull: false, references: { model: 'Users', key: 'id' } },
+    sellerId: { type: DataTypes.INTEGER, allowNull: false, references: { model: 'Users', key: 'id' } },
+    reason: { type: DataTypes.ENUM('spoiled', 'missing', 'damaged', 'wrong_item', 'short_quantity', 'other'), allowNull: false },
+    description: DataTypes.TEXT,
+    quantity: { type: DataTypes.FLOAT, allowNull: false }, // Claimed, in the line's unit
+    evidence: {
+      type: DataTypes.TEXT, // JSON list of image urls from /api/uploads
+      get() {
+        const value = this.getDataValue('evidence');
+        if (!value) return [];
+        try {
+          return JSON.parse(value);
+        } catch (e) {
+          return [];
+        }
+      },
+      set(value) {
+        this.setDataValue('evidence', value && value.length > 0 ? JSON.stringify(value) : null);
+      }
+    },
+    // open: waiting for the seller; under_review: waiting for an admin;
+    // replacement_pending: waiting for the seller to replace the produce;
+    // resolving: an admin ruled a refund, which is being requested
+    status: {
+      type: DataTypes.ENUM('open', 'under_review', 'replacement_pending', 'resolving', 'resolved', 'withdrawn'),
+      allowNull: false,
+      defaultValue: 'open'
+    },
+    dueAt: DataTypes.DATE, // When whoever the status waits for runs out of time
+    sellerRespondedAt: DataTypes.DATE,
+    escalatedAt: DataTypes.DATE, // Sent to admin review because the seller or replacement was late
+    outcome: { type: DataTypes.ENUM('full_refund', 'partial_refund', 'replacement', 'rejected'), allowNull: true },
+    refundId: { type: DataTypes.INTEGER, allowNull: true, references: { model: 'Refunds', key: 'id' } },
+    resolutionNote: DataTypes.TEXT,
+    resolvedBy: { type: DataTypes.INTEGER, allowNull: true, references: { model: 'Users', key: 'id' } },
+    resolvedAt: DataTypes.DATE,
+    createdAt: { type: DataTypes.DATE, defaultValue: DataTypes.NOW },
+    updatedAt: { type: DataTypes.DATE, defaultValue: DataTypes.NOW }
+  }, {
+    indexes: [
+      { fields: ['orderId'] },
+      { fields: ['status', 'dueAt'] }
+    ]
+  });
+
+  return Dispute;
+};
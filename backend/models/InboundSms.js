@@ -0,0 +1,25 @@
+const { DataTypes } = require('sequelize');
+
+// Text messages received from the SMS gateway, one row per gateway message id so retried callbacks are ignored
+module.exports = (sequelize) => {
+  const InboundSms = sequelize.define('InboundSms', {
+    id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+    gateway: { type: DataTypes.STRING, allowNull: false },
+    providerMessageId: { type: DataTypes.STRING, allowNull: false },
+    phone: { type: DataTypes.STRING, allowNull: false },
+    text: DataTypes.TEXT,
+    userId: { type: DataTypes.INTEGER, allowNull: true, references: { model: 'Users', key: 'id' } },
+    orderId: { type: DataTypes.INTEGER, allowNull: true, references: { model: 'Orders', key: 'id' } },
+    action: DataTypes.STRING, // Order action the text asked for, e.g. approve
+    // received: being handled; applied: the action ran; refused: not allowed or not found; unrecognised: not a command
+    outcome: { type: DataTypes.ENUM('received', 'applied', 'refused', 'unrecognised'), defaultValue: 'received' },
+    reply: DataTypes.TEXT,
+    createdAt: { type: DataTypes.DATE, defaultValue: DataTypes.NOW },
+    updatedAt: { type: DataTypes.DATE, defaultValue: DataTypes.NOW }
+  }, {
+    tableName: 'InboundSms',
+    indexes: [{ unique: true, fields: ['gateway', 'providerMessageId'] }]
+  });
+
+  return InboundSms;
+};
@@ -0,0 +1,35 @@
+const { DataTypes } = require('sequelize');
+
+// One side of a double-entry posting. Entries sharing a journalId always balance
+// (total debits == total credits). Accounts are named strings:
+//   seller:<id>           what the platform owes that seller
+//   escrow:<id>           that seller's paid sales held until the buyer confirms receipt
+//   platform:clearing     buyer money collected and not yet paid out or refunded
+//   platform:commission   the platform's earned commission
+module.exports = (sequelize) => {
+  const LedgerEntry = sequelize.define('LedgerEntry', {
+    id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+    journalId: { type: DataTypes.STRING, allowNull: false },
+    account: { type: DataTypes.STRING, allowNull: false },
+    sellerId: { type: DataTypes.INTEGER, allowNull: true, references: { model: 'Users', key: 'id' } },
+    type: { type: DataTypes.ENUM('sale', 'commission', 'refund', 'payout', 'payout_reversal', 'escrow_release'), allowNull: false },
+    debit: { type: DataTypes.FLOAT, allowNull: false, defaultValue: 0 },
+    credit: { type: DataTypes.FLOAT, allowNull: false, defaultValue: 0 },
+    description: DataTypes.STRING,
+    paymentId: { type: DataTypes.INTEGER, allowNull: true },
+    refundId: { type: DataTypes.INTEGER, allowNull: true },
+    orderItemId: { type: DataTypes.INTEGER, allowNull: true },
+    sellerOrderId: { type: DataTypes.INTEGER, allowNull: true },
+    payoutId: { type: DataTypes.INTEGER, allowNull: true },
+    createdAt: { type: DataTypes.DATE, defaultValue: DataTypes.NOW },
+    updatedAt: { type: DataTypes.DATE, defaultValue: DataTypes.NOW }
+  }, {
+    indexes: [
+      { fields: ['account'] },
+      { fields: ['sellerId'] },
+      { fields: ['journalId'] }
+    ]
+  });
+
+  return LedgerEntry;
+};
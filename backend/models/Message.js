@@ -9,7 +9,7 @@ module.exports = (sequelize) => {
     },
     senderId: {
       type: DataTypes.INTEGER,
-      allowNull: false,
+      allowNull: true, // null for system notifications and guest buyers
       references: {
         model: 'Users',
         key: 'id'
@@ -39,6 +39,14 @@ module.exports = (sequelize) => {
         key: 'id'
       }
     },
+    disputeId: {
+      type: DataTypes.INTEGER,
+      allowNull: true, // Set on messages of a dispute's thread
+      references: {
+        model: 'Disputes',
+        key: 'id'
+      }
+    },
     content: {
       type: DataTypes.TEXT,
       allowNull: false
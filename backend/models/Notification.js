@@ -0,0 +1,34 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  // One notification sent outside the app (SMS), with its delivery progress
+  const Notification = sequelize.define('Notification', {
+    id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+    userId: { type: DataTypes.INTEGER, allowNull: true, references: { model: 'Users', key: 'id' } }, // null for guest buyers
+    orderId: { type: DataTypes.INTEGER, allowNull: true, references: { model: 'Orders', key: 'id' } },
+    channel: { type: DataTypes.ENUM('sms'), defaultValue: 'sms' },
+    event: { type: DataTypes.STRING, allowNull: false },
+    language: { type: DataTypes.STRING, allowNull: false },
+    phone: { type: DataTypes.STRING, allowNull: false },
+    content: { type: DataTypes.TEXT, allowNull: false },
+    // queued: waiting for a (re)try; sent: accepted by the gateway; delivered/failed: final
+    status: { type: DataTypes.ENUM('queued', 'sent', 'delivered', 'failed'), defaultValue: 'queued' },
+    attempts: { type: DataTypes.INTEGER, defaultValue: 0 },
+    nextAttemptAt: DataTypes.DATE,
+    gateway: DataTypes.STRING,
+    providerMessageId: DataTypes.STRING,
+    failureReason: DataTypes.STRING,
+    sentAt: DataTypes.DATE,
+    deliveredAt: DataTypes.DATE,
+    createdAt: { type: DataTypes.DATE, defaultValue: DataTypes.NOW },
+    updatedAt: { type: DataTypes.DATE, defaultValue: DataTypes.NOW }
+  }, {
+    indexes: [
+      { fields: ['status', 'nextAttemptAt'] },
+      { fields: ['providerMessageId'] },
+      { fields: ['userId'] }
+    ]
+  });
+
+  return Notification;
+};
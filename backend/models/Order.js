@@ -4,11 +4,16 @@ module.exports = (sequelize) => {
   const Order = sequelize.define('Order', {
     id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
     buyerId: { type: DataTypes.INTEGER, allowNull: true }, // Reference to User (buyer)
-    products: { type: DataTypes.TEXT, allowNull: false }, // JSON string
-    totalAmount: { type: DataTypes.FLOAT, allowNull: false },
+    totalAmount: { type: DataTypes.FLOAT, allowNull: false }, // Lines plus delivery fees
+    // 'delivery' to deliveryAddress ({ district, sector, details, lat, lng }) or
+    // 'pickup' at the farm; null on orders placed before delivery options
+    deliveryMethod: { type: DataTypes.STRING, allowNull: true },
+    deliveryAddress: DataTypes.TEXT, // JSON
+    deliveryFee: { type: DataTypes.FLOAT, allowNull: false, defaultValue: 0 }, // Sum of the seller orders' fees
     status: { type: DataTypes.ENUM('pending', 'confirmed', 'shipped', 'delivered', 'cancelled'), defaultValue: 'pending' },
-    paymentStatus: { type: DataTypes.ENUM('pending', 'paid', 'failed'), defaultValue: 'pending' },
+    paymentStatus: { type: DataTypes.ENUM('pending', 'paid', 'failed', 'refunded', 'partially_refunded'), defaultValue: 'pending' },
     buyerInfo: DataTypes.TEXT, // JSON string for guest buyers
+    reservedUntil: DataTypes.DATE, // Stock is held until then; unpaid orders are cancelled afterwards
     createdAt: { type: DataTypes.DATE, defaultValue: DataTypes.NOW },
     updatedAt: { type: DataTypes.DATE, defaultValue: DataTypes.NOW }
   });
@@ -0,0 +1,30 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const OrderItem = sequelize.define('OrderItem', {
+    id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+    orderId: { type: DataTypes.INTEGER, allowNull: false, references: { model: 'Orders', key: 'id' } },
+    sellerOrderId: { type: DataTypes.INTEGER, allowNull: true, references: { model: 'SellerOrders', key: 'id' } },
+    productId: { type: DataTypes.INTEGER, allowNull: true, references: { model: 'Products', key: 'id' } },
+    // Snapshot of the product at order time, so later edits don't rewrite history
+    productName: { type: DataTypes.STRING, allowNull: false },
+    variantId: { type: DataTypes.INTEGER, allowNull: true, references: { model: 'ProductVariants', key: 'id' } },
+    variantName: DataTypes.STRING,
+    // Price and quantity are in the product's unit; the buyer may have ordered in another, e.g. 2 bags of 50 kg
+    unit: DataTypes.STRING,
+    price: { type: DataTypes.FLOAT, allowNull: false },
+    // How price was set: 'base' (the listed price), 'tier' (a quantity tier) or
+    // 'price_list' (the buyer's wholesale price list); listPrice is the listed one
+    priceRule: { type: DataTypes.STRING, defaultValue: 'base' },
+    listPrice: DataTypes.FLOAT,
+    priceListId: { type: DataTypes.INTEGER, allowNull: true, references: { model: 'PriceLists', key: 'id' } },
+    quantity: { type: DataTypes.FLOAT, allowNull: false },
+    orderedUnit: DataTypes.STRING,
+    orderedQuantity: DataTypes.FLOAT,
+    subtotal: { type: DataTypes.FLOAT, allowNull: false },
+    createdAt: { type: DataTypes.DATE, defaultValue: DataTypes.NOW },
+    updatedAt: { type: DataTypes.DATE, defaultValue: DataTypes.NOW }
+  });
+
+  return OrderItem;
+};
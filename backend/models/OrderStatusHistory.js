@@ -0,0 +1,23 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const OrderStatusHistory = sequelize.define('OrderStatusHistory', {
+    id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+    orderId: { type: DataTypes.INTEGER, allowNull: false, references: { model: 'Orders', key: 'id' } },
+    // Set for a seller order transition; null for changes of the parent order status
+    sellerOrderId: { type: DataTypes.INTEGER, allowNull: true, references: { model: 'SellerOrders', key: 'id' } },
+    fromStatus: DataTypes.STRING, // null when the order was created
+    toStatus: { type: DataTypes.STRING, allowNull: false },
+    action: { type: DataTypes.STRING, allowNull: false },
+    changedBy: { type: DataTypes.INTEGER, allowNull: true, references: { model: 'Users', key: 'id' } }, // null for guests and background jobs
+    actorRole: { type: DataTypes.ENUM('buyer', 'seller', 'admin', 'system'), allowNull: false },
+    reason: DataTypes.STRING,
+    createdAt: { type: DataTypes.DATE, defaultValue: DataTypes.NOW }
+  }, {
+    tableName: 'OrderStatusHistory',
+    updatedAt: false,
+    indexes: [{ fields: ['orderId'] }]
+  });
+
+  return OrderStatusHistory;
+};
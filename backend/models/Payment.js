@@ -5,11 +5,15 @@ module.exports = (sequelize) => {
     id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
     amount: { type: DataTypes.FLOAT, allowNull: false },
     method: { type: DataTypes.ENUM('mtn_momo', 'airtel_money', 'credit_card'), allowNull: false },
-    status: { type: DataTypes.ENUM('pending', 'completed', 'failed'), defaultValue: 'pending' },
-    transactionId: DataTypes.STRING,
+    status: { type: DataTypes.ENUM('pending', 'completed', 'failed', 'refunded', 'partially_refunded'), defaultValue: 'pending' },
+    transactionId: DataTypes.STRING, // Our reference with the provider (X-Reference-Id for MoMo)
+    provider: DataTypes.STRING, // Provider that handled the payment, e.g. 'mtn_momo' or 'mock'
+    providerTransactionId: DataTypes.STRING, // Provider's own transaction id once settled
+    payerPhone: DataTypes.STRING,
+    failureReason: DataTypes.STRING,
     createdAt: { type: DataTypes.DATE, defaultValue: DataTypes.NOW },
     updatedAt: { type: DataTypes.DATE, defaultValue: DataTypes.NOW }
   });
 
   return Payment;
-};
\ No newline at end of file
+};
@@ -0,0 +1,22 @@
+const { DataTypes } = require('sequelize');
+
+// Provider callbacks we have received, one row per distinct event, so replays can be ignored
+module.exports = (sequelize) => {
+  const PaymentEvent = sequelize.define('PaymentEvent', {
+    id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+    provider: { type: DataTypes.STRING, allowNull: false },
+    eventKey: { type: DataTypes.STRING, allowNull: false },
+    paymentId: { type: DataTypes.INTEGER, allowNull: true, references: { model: 'Payments', key: 'id' } },
+    transactionId: DataTypes.STRING,
+    status: DataTypes.STRING, // Status reported by the provider, mapped to Payment.status
+    // rejected callbacks (unknown transaction, wrong amount) may be replayed; the others may not
+    outcome: { type: DataTypes.ENUM('applied', 'ignored', 'rejected'), allowNull: false },
+    payload: DataTypes.TEXT, // JSON string
+    createdAt: { type: DataTypes.DATE, defaultValue: DataTypes.NOW },
+    updatedAt: { type: DataTypes.DATE, defaultValue: DataTypes.NOW }
+  }, {
+    indexes: [{ unique: true, fields: ['provider', 'eventKey'] }]
+  });
+
+  return PaymentEvent;
+};
@@ -0,0 +1,19 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const Payout = sequelize.define('Payout', {
+    id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+    batchId: { type: DataTypes.INTEGER, allowNull: false, references: { model: 'PayoutBatches', key: 'id' } },
+    sellerId: { type: DataTypes.INTEGER, allowNull: false, references: { model: 'Users', key: 'id' } },
+    amount: { type: DataTypes.FLOAT, allowNull: false },
+    phone: DataTypes.STRING, // Mobile money number the money is sent to
+    status: { type: DataTypes.ENUM('pending', 'paid', 'failed'), defaultValue: 'pending' },
+    reference: DataTypes.STRING, // Disbursement reference once paid
+    failureReason: DataTypes.STRING,
+    paidAt: DataTypes.DATE,
+    createdAt: { type: DataTypes.DATE, defaultValue: DataTypes.NOW },
+    updatedAt: { type: DataTypes.DATE, defaultValue: DataTypes.NOW }
+  });
+
+  return Payout;
+};
@@ -0,0 +1,16 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const PayoutBatch = sequelize.define('PayoutBatch', {
+    id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+    // open until every payout is settled; then completed, partial or failed by how they went
+    status: { type: DataTypes.ENUM('open', 'completed', 'partial', 'failed'), defaultValue: 'open' },
+    totalAmount: { type: DataTypes.FLOAT, allowNull: false, defaultValue: 0 },
+    payoutCount: { type: DataTypes.INTEGER, allowNull: false, defaultValue: 0 },
+    createdBy: { type: DataTypes.INTEGER, allowNull: true, references: { model: 'Users', key: 'id' } },
+    createdAt: { type: DataTypes.DATE, defaultValue: DataTypes.NOW },
+    updatedAt: { type: DataTypes.DATE, defaultValue: DataTypes.NOW }
+  });
+
+  return PayoutBatch;
+};
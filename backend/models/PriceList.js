@@ -0,0 +1,20 @@
+const { DataTypes } = require('sequelize');
+
+// A seller's wholesale prices for chosen buyers (a school, a hotel...). Its
+// items set prices per product or variant, optionally from a minimum quantity.
+module.exports = (sequelize) => {
+  const PriceList = sequelize.define('PriceList', {
+    id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+    sellerId: { type: DataTypes.INTEGER, allowNull: false, references: { model: 'Users', key: 'id' } },
+    name: { type: DataTypes.STRING, allowNull: false },
+    active: { type: DataTypes.BOOLEAN, allowNull: false, defaultValue: true },
+    createdAt: { type: DataTypes.DATE, defaultValue: DataTypes.NOW },
+    updatedAt: { type: DataTypes.DATE, defaultValue: DataTypes.NOW }
+  }, {
+    indexes: [
+      { fields: ['sellerId'] }
+    ]
+  });
+
+  return PriceList;
+};
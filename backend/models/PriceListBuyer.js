@@ -0,0 +1,19 @@
+const { DataTypes } = require('sequelize');
+
+// A buyer a price list applies to
+module.exports = (sequelize) => {
+  const PriceListBuyer = sequelize.define('PriceListBuyer', {
+    id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+    priceListId: { type: DataTypes.INTEGER, allowNull: false, references: { model: 'PriceLists', key: 'id' } },
+    buyerId: { type: DataTypes.INTEGER, allowNull: false, references: { model: 'Users', key: 'id' } },
+    createdAt: { type: DataTypes.DATE, defaultValue: DataTypes.NOW },
+    updatedAt: { type: DataTypes.DATE, defaultValue: DataTypes.NOW }
+  }, {
+    indexes: [
+      { unique: true, fields: ['priceListId', 'buyerId'] },
+      { fields: ['buyerId'] }
+    ]
+  });
+
+  return PriceListBuyer;
+};
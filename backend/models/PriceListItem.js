@@ -0,0 +1,22 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const PriceListItem = sequelize.define('PriceListItem', {
+    id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+    priceListId: { type: DataTypes.INTEGER, allowNull: false, references: { model: 'PriceLists', key: 'id' } },
+    productId: { type: DataTypes.INTEGER, allowNull: false, references: { model: 'Products', key: 'id' } },
+    // Null: every variant of the product (or the product itself when it has none)
+    variantId: { type: DataTypes.INTEGER, allowNull: true, references: { model: 'ProductVariants', key: 'id' } },
+    minQuantity: { type: DataTypes.FLOAT, allowNull: false, defaultValue: 0 }, // In the product's unit
+    price: { type: DataTypes.FLOAT, allowNull: false }, // Per unit of the product
+    createdAt: { type: DataTypes.DATE, defaultValue: DataTypes.NOW },
+    updatedAt: { type: DataTypes.DATE, defaultValue: DataTypes.NOW }
+  }, {
+    indexes: [
+      { fields: ['priceListId'] },
+      { fields: ['productId'] }
+    ]
+  });
+
+  return PriceListItem;
+};
@@ -6,14 +6,90 @@ module.exports = (sequelize) => {
     name: { type: DataTypes.STRING, allowNull: false },
     description: DataTypes.TEXT,
     price: { type: DataTypes.FLOAT, allowNull: false },
-    unit: { type: DataTypes.ENUM('kg', 'piece'), defaultValue: 'kg' },
+    // Lower prices for larger orders, e.g. [{ minQuantity: 100, price: 250 }]; see services/pricing
+    priceTiers: {
+      type: DataTypes.TEXT,
+      get() {
+        const value = this.getDataValue('priceTiers');
+        if (!value) return [];
+        try {
+          return JSON.parse(value);
+        } catch (e) {
+          return [];
+        }
+      },
+      set(value) {
+        this.setDataValue('priceTiers', value && value.length > 0 ? JSON.stringify(value) : null);
+      }
+    },
+    // Unit of price and stock; see services/units for how units convert
+    unit: {
+      type: DataTypes.ENUM('g', 'kg', 'tonne', 'ml', 'litre', 'piece', 'dozen', 'head', 'bag', 'crate', 'bunch'),
+      defaultValue: 'kg'
+    },
+    // What packaging units hold in the product's unit, e.g. [{ unit: 'bag', size: 50 }]
+    packSizes: {
+      type: DataTypes.TEXT,
+      get() {
+        const value = this.getDataValue('packSizes');
+        if (!value) return [];
+        try {
+          return JSON.parse(value);
+        } catch (e) {
+          return [];
+        }
+      },
+      set(value) {
+        this.setDataValue('packSizes', value && value.length > 0 ? JSON.stringify(value) : null);
+      }
+    },
+    // Weight of one unit in kg, for delivery fees; products sold by mass do not need it
+    weightKg: { type: DataTypes.FLOAT, allowNull: true },
+    minOrderQuantity: { type: DataTypes.FLOAT, allowNull: true }, // In the product's unit
+    quantityStep: { type: DataTypes.FLOAT, allowNull: true }, // Orders must be a multiple of it
     quantity: { type: DataTypes.FLOAT, allowNull: false },
     categoryId: { type: DataTypes.INTEGER, allowNull: false, references: { model: 'Categories', key: 'id' } },
     sellerId: { type: DataTypes.INTEGER, allowNull: false, references: { model: 'Users', key: 'id' } },
     sellerPhone: DataTypes.STRING,
-    location: DataTypes.TEXT, // JSON string for lat/lng
+    // Where the seller farms, copied from their profile. Indexed by migration 008.
+    lat: { type: DataTypes.FLOAT, allowNull: true },
+    lng: { type: DataTypes.FLOAT, allowNull: true },
+    location: {
+      type: DataTypes.VIRTUAL(DataTypes.JSON, ['lat', 'lng']),
+      get() {
+        const lat = this.getDataValue('lat');
+        const lng = this.getDataValue('lng');
+        return lat === null || lat === undefined || lng === null || lng === undefined ? null : { lat, lng };
+      }
+    },
+    // Values of the category's attribute schema, e.g. { breed: 'Ankole', weightKg: 250 }
+    attributes: {
+      type: DataTypes.TEXT,
+      get() {
+        const value = this.getDataValue('attributes');
+        if (!value) return {};
+        try {
+          return JSON.parse(value);
+        } catch (e) {
+          return {};
+        }
+      },
+      set(value) {
+        this.setDataValue('attributes', value && Object.keys(value).length > 0 ? JSON.stringify(value) : null);
+      }
+    },
     images: { type: DataTypes.TEXT }, // JSON string
-    stock: { type: DataTypes.INTEGER, defaultValue: 0 },
+    stock: { type: DataTypes.FLOAT, defaultValue: 0 },
+    reservedStock: { type: DataTypes.FLOAT, defaultValue: 0 }, // Held by unpaid orders
+    availableStock: {
+      type: DataTypes.VIRTUAL(DataTypes.FLOAT, ['stock', 'reservedStock']),
+      get() {
+        return Math.max((this.getDataValue('stock') || 0) - (this.getDataValue('reservedStock') || 0), 0);
+      }
+    },
+    // Of visible reviews (services/reviews); ratingAverage is null until the first one
+    ratingAverage: { type: DataTypes.FLOAT, allowNull: true },
+    ratingCount: { type: DataTypes.INTEGER, allowNull: false, defaultValue: 0 },
     createdAt: { type: DataTypes.DATE, defaultValue: DataTypes.NOW },
     updatedAt: { type: DataTypes.DATE, defaultValue: DataTypes.NOW }
   });
@@ -0,0 +1,46 @@
+const { DataTypes } = require('sequelize');
+
+// A variant of a product (grade A, 25 kg sack...) with its own price and stock.
+// The product keeps the totals: its lowest variant price and the sum of their stock.
+module.exports = (sequelize) => {
+  const ProductVariant = sequelize.define('ProductVariant', {
+    id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+    productId: { type: DataTypes.INTEGER, allowNull: false, references: { model: 'Products', key: 'id' } },
+    name: { type: DataTypes.STRING, allowNull: false },
+    sku: { type: DataTypes.STRING, allowNull: false, unique: true },
+    price: { type: DataTypes.FLOAT, allowNull: false }, // Per unit of the product
+    // Lower prices for larger orders, as on products
+    priceTiers: {
+      type: DataTypes.TEXT,
+      get() {
+        const value = this.getDataValue('priceTiers');
+        if (!value) return [];
+        try {
+          return JSON.parse(value);
+        } catch (e) {
+          return [];
+        }
+      },
+      set(value) {
+        this.setDataValue('priceTiers', value && value.length > 0 ? JSON.stringify(value) : null);
+      }
+    },
+    stock: { type: DataTypes.FLOAT, defaultValue: 0 },
+    reservedStock: { type: DataTypes.FLOAT, defaultValue: 0 }, // Held by unpaid orders
+    availableStock: {
+      type: DataTypes.VIRTUAL(DataTypes.FLOAT, ['stock', 'reservedStock']),
+      get() {
+        return Math.max((this.getDataValue('stock') || 0) - (this.getDataValue('reservedStock') || 0), 0);
+      }
+    },
+    sortOrder: { type: DataTypes.INTEGER, allowNull: false, defaultValue: 0 },
+    createdAt: { type: DataTypes.DATE, defaultValue: DataTypes.NOW },
+    updatedAt: { type: DataTypes.DATE, defaultValue: DataTypes.NOW }
+  }, {
+    indexes: [
+      { fields: ['productId'] }
+    ]
+  });
+
+  return ProductVariant;
+};
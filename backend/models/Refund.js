@@ -0,0 +1,25 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const Refund = sequelize.define('Refund', {
+    id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+    paymentId: { type: DataTypes.INTEGER, allowNull: false, references: { model: 'Payments', key: 'id' } },
+    orderId: { type: DataTypes.INTEGER, allowNull: false, references: { model: 'Orders', key: 'id' } },
+    amount: { type: DataTypes.FLOAT, allowNull: false },
+    // Part of amount giving back a seller order's delivery fee
+    deliveryFee: { type: DataTypes.FLOAT, allowNull: false, defaultValue: 0 },
+    sellerOrderId: { type: DataTypes.INTEGER, allowNull: true, references: { model: 'SellerOrders', key: 'id' } },
+    type: { type: DataTypes.ENUM('full', 'partial'), allowNull: false },
+    reason: DataTypes.STRING,
+    status: { type: DataTypes.ENUM('pending', 'completed', 'failed'), defaultValue: 'pending' },
+    provider: DataTypes.STRING,
+    transactionId: DataTypes.STRING, // Our reference with the provider
+    providerTransactionId: DataTypes.STRING,
+    failureReason: DataTypes.STRING,
+    requestedBy: { type: DataTypes.INTEGER, allowNull: true }, // User who asked for it; null when automatic
+    createdAt: { type: DataTypes.DATE, defaultValue: DataTypes.NOW },
+    updatedAt: { type: DataTypes.DATE, defaultValue: DataTypes.NOW }
+  });
+
+  return Refund;
+};
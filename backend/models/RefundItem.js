@@ -0,0 +1,16 @@
+const { DataTypes } = require('sequelize');
+
+// The order lines (and how much of each) a partial refund covers
+module.exports = (sequelize) => {
+  const RefundItem = sequelize.define('RefundItem', {
+    id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+    refundId: { type: DataTypes.INTEGER, allowNull: false, references: { model: 'Refunds', key: 'id' } },
+    orderItemId: { type: DataTypes.INTEGER, allowNull: false, references: { model: 'OrderItems', key: 'id' } },
+    quantity: { type: DataTypes.FLOAT, allowNull: false },
+    amount: { type: DataTypes.FLOAT, allowNull: false },
+    createdAt: { type: DataTypes.DATE, defaultValue: DataTypes.NOW },
+    updatedAt: { type: DataTypes.DATE, defaultValue: DataTypes.NOW }
+  });
+
+  return RefundItem;
+};
@@ -0,0 +1,31 @@
+const { DataTypes } = require('sequelize');
+
+// A buyer's rating of a product they received, one per buyer and product. The
+// product and its seller keep the average and count of the visible ones.
+module.exports = (sequelize) => {
+  const Review = sequelize.define('Review', {
+    id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+    productId: { type: DataTypes.INTEGER, allowNull: false, references: { model: 'Products', key: 'id' } },
+    sellerId: { type: DataTypes.INTEGER, allowNull: false, references: { model: 'Users', key: 'id' } },
+    buyerId: { type: DataTypes.INTEGER, allowNull: false, references: { model: 'Users', key: 'id' } },
+    orderId: { type: DataTypes.INTEGER, allowNull: false, references: { model: 'Orders', key: 'id' } }, // The delivered order that verifies the purchase
+    rating: { type: DataTypes.INTEGER, allowNull: false }, // 1 to 5
+    comment: DataTypes.TEXT,
+    sellerReply: DataTypes.TEXT,
+    repliedAt: DataTypes.DATE,
+    // Admins hide abusive reviews; hidden ones do not count in the averages
+    status: { type: DataTypes.ENUM('visible', 'hidden'), allowNull: false, defaultValue: 'visible' },
+    hiddenReason: DataTypes.STRING,
+    hiddenBy: { type: DataTypes.INTEGER, allowNull: true, references: { model: 'Users', key: 'id' } },
+    hiddenAt: DataTypes.DATE,
+    createdAt: { type: DataTypes.DATE, defaultValue: DataTypes.NOW },
+    updatedAt: { type: DataTypes.DATE, defaultValue: DataTypes.NOW }
+  }, {
+    indexes: [
+      { unique: true, fields: ['productId', 'buyerId'] },
+      { fields: ['sellerId'] }
+    ]
+  });
+
+  return Review;
+};
@@ -0,0 +1,23 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const SellerOrder = sequelize.define('SellerOrder', {
+    id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+    orderId: { type: DataTypes.INTEGER, allowNull: false, references: { model: 'Orders', key: 'id' } },
+    sellerId: { type: DataTypes.INTEGER, allowNull: false, references: { model: 'Users', key: 'id' } },
+    totalAmount: { type: DataTypes.FLOAT, allowNull: false }, // Lines plus deliveryFee
+    deliveryFee: { type: DataTypes.FLOAT, allowNull: false, defaultValue: 0 },
+    deliveryZoneId: { type: DataTypes.INTEGER, allowNull: true, references: { model: 'DeliveryZones', key: 'id' } },
+    status: { type: DataTypes.ENUM('pending', 'confirmed', 'shipped', 'delivered', 'cancelled'), defaultValue: 'pending' },
+    // The seller's share of a paid order is held in escrow until the buyer confirms
+    // receipt or escrowReleaseAt passes after delivery; a dispute freezes it.
+    // Null for unpaid seller orders and those paid before escrow.
+    escrowStatus: { type: DataTypes.ENUM('held', 'frozen', 'released', 'refunded'), allowNull: true },
+    escrowReleaseAt: DataTypes.DATE,
+    escrowReleasedAt: DataTypes.DATE,
+    createdAt: { type: DataTypes.DATE, defaultValue: DataTypes.NOW },
+    updatedAt: { type: DataTypes.DATE, defaultValue: DataTypes.NOW }
+  });
+
+  return SellerOrder;
+};
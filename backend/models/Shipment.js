@@ -0,0 +1,30 @@
+const { DataTypes } = require('sequelize');
+
+// One seller's part of an order on its way to the buyer
+module.exports = (sequelize) => {
+  const Shipment = sequelize.define('Shipment', {
+    id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+    orderId: { type: DataTypes.INTEGER, allowNull: false, references: { model: 'Orders', key: 'id' } },
+    sellerOrderId: { type: DataTypes.INTEGER, allowNull: false, references: { model: 'SellerOrders', key: 'id' } },
+    transporterName: DataTypes.STRING,
+    transporterPhone: DataTypes.STRING,
+    // One-time code the buyer gives the driver on delivery; only the buyer and admins see it
+    deliveryCode: DataTypes.STRING,
+    codeAttempts: { type: DataTypes.INTEGER, allowNull: false, defaultValue: 0 }, // Wrong codes entered since it was issued
+    shippedAt: { type: DataTypes.DATE, allowNull: false },
+    deliveredAt: DataTypes.DATE,
+    // How the delivery was confirmed: code (the buyer's code), buyer, admin, or seller (shipments without a code)
+    confirmedWith: DataTypes.STRING,
+    deliveredBy: { type: DataTypes.INTEGER, allowNull: true, references: { model: 'Users', key: 'id' } },
+    proofPhotoUrl: DataTypes.STRING, // An image from /api/uploads
+    createdAt: { type: DataTypes.DATE, defaultValue: DataTypes.NOW },
+    updatedAt: { type: DataTypes.DATE, defaultValue: DataTypes.NOW }
+  }, {
+    indexes: [
+      { unique: true, fields: ['sellerOrderId'] },
+      { fields: ['orderId'] }
+    ]
+  });
+
+  return Shipment;
+};
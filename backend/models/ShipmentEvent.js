@@ -0,0 +1,19 @@
+const { DataTypes } = require('sequelize');
+
+// Tracking log of a shipment: where it is and what happened, oldest first
+module.exports = (sequelize) => {
+  const ShipmentEvent = sequelize.define('ShipmentEvent', {
+    id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+    shipmentId: { type: DataTypes.INTEGER, allowNull: false, references: { model: 'Shipments', key: 'id' } },
+    status: { type: DataTypes.STRING, allowNull: false }, // One of SHIPMENT_EVENTS in services/shipments.js
+    description: DataTypes.STRING,
+    location: DataTypes.STRING,
+    recordedBy: { type: DataTypes.INTEGER, allowNull: true, references: { model: 'Users', key: 'id' } },
+    createdAt: { type: DataTypes.DATE, defaultValue: DataTypes.NOW }
+  }, {
+    updatedAt: false,
+    indexes: [{ fields: ['shipmentId'] }]
+  });
+
+  return ShipmentEvent;
+};
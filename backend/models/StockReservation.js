@@ -0,0 +1,24 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const StockReservation = sequelize.define('StockReservation', {
+    id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+    productId: { type: DataTypes.INTEGER, allowNull: false, references: { model: 'Products', key: 'id' } },
+    variantId: { type: DataTypes.INTEGER, allowNull: true, references: { model: 'ProductVariants', key: 'id' } },
+    orderId: { type: DataTypes.INTEGER, allowNull: false, references: { model: 'Orders', key: 'id' } },
+    sellerOrderId: { type: DataTypes.INTEGER, allowNull: false, references: { model: 'SellerOrders', key: 'id' } },
+    quantity: { type: DataTypes.FLOAT, allowNull: false },
+    // held: counted in Product.reservedStock (and the variant's); committed: taken out of stock on payment; released: given back
+    status: { type: DataTypes.ENUM('held', 'committed', 'released'), defaultValue: 'held' },
+    expiresAt: { type: DataTypes.DATE, allowNull: false },
+    createdAt: { type: DataTypes.DATE, defaultValue: DataTypes.NOW },
+    updatedAt: { type: DataTypes.DATE, defaultValue: DataTypes.NOW }
+  }, {
+    indexes: [
+      { fields: ['orderId'] },
+      { fields: ['status', 'expiresAt'] }
+    ]
+  });
+
+  return StockReservation;
+};
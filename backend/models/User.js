@@ -12,6 +12,11 @@ module.exports = (sequelize) => {
     address: DataTypes.TEXT,
     lat: DataTypes.FLOAT,
     lng: DataTypes.FLOAT,
+    language: { type: DataTypes.ENUM('rw', 'en', 'fr'), defaultValue: 'en' }, // For notifications
+    notificationPreferences: DataTypes.TEXT, // JSON string, e.g. {"sms":true,"inbox":true}
+    // Sellers: of the visible reviews of their products (services/reviews)
+    ratingAverage: { type: DataTypes.FLOAT, allowNull: true },
+    ratingCount: { type: DataTypes.INTEGER, allowNull: false, defaultValue: 0 },
     createdAt: { type: DataTypes.DATE, defaultValue: DataTypes.NOW },
     updatedAt: { type: DataTypes.DATE, defaultValue: DataTypes.NOW }
   });
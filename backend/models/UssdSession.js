@@ -0,0 +1,20 @@
+const { DataTypes } = require('sequelize');
+
+// A USSD session between gateway callbacks. The gateway resends everything the
+// caller typed so far, so the last text and response let us answer repeats.
+module.exports = (sequelize) => {
+  const UssdSession = sequelize.define('UssdSession', {
+    id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
+    sessionId: { type: DataTypes.STRING, allowNull: false, unique: true },
+    phone: { type: DataTypes.STRING, allowNull: false },
+    serviceCode: DataTypes.STRING,
+    state: DataTypes.TEXT, // JSON string: current screen and what it showed
+    lastText: DataTypes.TEXT,
+    lastResponse: DataTypes.TEXT,
+    ended: { type: DataTypes.BOOLEAN, defaultValue: false },
+    createdAt: { type: DataTypes.DATE, defaultValue: DataTypes.NOW },
+    updatedAt: { type: DataTypes.DATE, defaultValue: DataTypes.NOW }
+  });
+
+  return UssdSession;
+};
@@ -1,7 +1,12 @@
 const express = require('express');
 const { Op } = require('sequelize');
-const { User, Order, Product } = require('../database');
+const { sequelize, User, Order, Product, OrderItem, SellerOrder, Payout, PayoutBatch } = require('../database');
 const auth = require('../middleware/auth');
+const { ServiceError } = require('../services/errors');
+const { ACCOUNTS, getBalance, getEscrowTotal, getSellerBalances } = require('../services/ledger');
+const { listEscrow, forceRelease, forceRefund } = require('../services/escrow');
+const { MINIMUM_PAYOUT, createPayoutRun, settlePayout, buildPayoutCsv } = require('../services/payouts');
+const { reindexProducts } = require('../services/search');
 
 const router = express.Router();
 
@@ -146,11 +151,49 @@ router.get('/reports/sales', auth, requireAdmin, async (req, res) => {
     const orderCount = orders.length;
     const averageOrderValue = orderCount > 0 ? totalSales / orderCount : 0;
 
+    // Best selling products in the period, aggregated from order lines
+    const topProducts = await OrderItem.findAll({
+      attributes: [
+        'productId',
+        'productName',
+        [sequelize.fn('SUM', sequelize.col('OrderItem.quantity')), 'quantity'],
+        [sequelize.fn('SUM', sequelize.col('OrderItem.subtotal')), 'revenue']
+      ],
+      include: [{
+        model: Order,
+        as: 'order',
+        attributes: [],
+        where: { createdAt: { [Op.gte]: dateFilter } }
+      }],
+      group: ['OrderItem.productId', 'OrderItem.productName'],
+      order: [[sequelize.literal('revenue'), 'DESC']],
+      limit: 10,
+      raw: true
+    });
+
+    // Sales per seller, excluding the parts of orders they rejected
+    const sellerSales = await SellerOrder.findAll({
+      attributes: [
+        'sellerId',
+        [sequelize.fn('COUNT', sequelize.col('SellerOrder.id')), 'orderCount'],
+        [sequelize.fn('SUM', sequelize.col('SellerOrder.totalAmount')), 'totalSales']
+      ],
+      where: {
+        createdAt: { [Op.gte]: dateFilter },
+        status: { [Op.ne]: 'cancelled' }
+      },
+      include: [{ model: User, as: 'seller', attributes: ['name'] }],
+      group: ['SellerOrder.sellerId', 'seller.id', 'seller.name'],
+      order: [[sequelize.literal('"totalSales"'), 'DESC']]
+    });
+
     res.json({
       period,
       totalSales,
       orderCount,
       averageOrderValue,
+      topProducts,
+      sellerSales,
       dateRange: {
         from: dateFilter.toISOString(),
         to: now.toISOString()
@@ -208,4 +251,200 @@ router.get('/stats', auth, requireAdmin, async (req, res) => {
   }
 });
 
+// Seller balances and platform accounts
+router.get('/payouts/balances', auth, requireAdmin, async (req, res) => {
+  try {
+    const [sellers, clearing, commission, escrow] = await Promise.all([
+      getSellerBalances(),
+      getBalance(ACCOUNTS.clearing),
+      getBalance(ACCOUNTS.commission),
+      getEscrowTotal()
+    ]);
+
+    res.json({
+      // Clearing is an asset, so its balance reads as debits minus credits
+      platform: { clearing: -clearing, commission, escrow },
+      sellers: sellers.filter(s => s.balance !== 0),
+      minimumPayout: MINIMUM_PAYOUT
+    });
+
+  } catch (err) {
+    console.error('Get balances error:', err);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Create a payout run for all sellers owed at least minimumAmount
+router.post('/payouts/runs', auth, requireAdmin, async (req, res) => {
+  try {
+    const minimumAmount = req.body.minimumAmount !== undefined ? parseFloat(req.body.minimumAmount) : MINIMUM_PAYOUT;
+    if (isNaN(minimumAmount) || minimumAmount <= 0) {
+      return res.status(400).json({ message: 'Minimum amount must be positive' });
+    }
+
+    const { batch, skipped } = await createPayoutRun({ minimumAmount, createdBy: req.user.id });
+
+    res.status(201).json({
+      message: `Payout run created for ${batch.payoutCount} sellers`,
+      batch,
+      skipped
+    });
+
+  } catch (err) {
+    if (err instanceof ServiceError) {
+      return res.status(err.status).json({ message: err.message });
+    }
+    console.error('Create payout run error:', err);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// List payout runs
+router.get('/payouts/runs', auth, requireAdmin, async (req, res) => {
+  try {
+    const batches = await PayoutBatch.findAll({ order: [['createdAt', 'DESC']] });
+    res.json({ batches });
+  } catch (err) {
+    console.error('Get payout runs error:', err);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Payout run details
+router.get('/payouts/runs/:id', auth, requireAdmin, async (req, res) => {
+  try {
+    const batch = await PayoutBatch.findByPk(parseInt(req.params.id), {
+      include: [{
+        model: Payout,
+        as: 'payouts',
+        include: [{ model: User, as: 'seller', attributes: ['id', 'name', 'phone'] }]
+      }]
+    });
+    if (!batch) {
+      return res.status(404).json({ message: 'Payout run not found' });
+    }
+
+    res.json({ batch });
+
+  } catch (err) {
+    console.error('Get payout run error:', err);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// CSV of a run's pending payouts for bulk mobile money disbursement
+router.get('/payouts/runs/:id/export.csv', auth, requireAdmin, async (req, res) => {
+  try {
+    const batch = await PayoutBatch.findByPk(parseInt(req.params.id));
+    if (!batch) {
+      return res.status(404).json({ message: 'Payout run not found' });
+    }
+
+    const csv = await buildPayoutCsv(batch.id);
+
+    res.setHeader('Content-Type', 'text/csv');
+    res.setHeader('Content-Disposition', `attachment; filename="kedi-payouts-${batch.id}.csv"`);
+    res.send(csv);
+
+  } catch (err) {
+    console.error('Export payout run error:', err);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Record the disbursement result of a single payout
+router.put('/payouts/:id', auth, requireAdmin, async (req, res) => {
+  try {
+    const { status, reference, reason } = req.body;
+
+    const payout = await Payout.findByPk(parseInt(req.params.id));
+    if (!payout) {
+      return res.status(404).json({ message: 'Payout not found' });
+    }
+
+    await settlePayout(payout, { status, reference, reason });
+
+    res.json({ message: `Payout marked as ${status}`, payout });
+
+  } catch (err) {
+    if (err instanceof ServiceError) {
+      return res.status(err.status).json({ message: err.message });
+    }
+    console.error('Update payout error:', err);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Seller orders with money in escrow (?status=held,frozen by default; also released, refunded)
+router.get('/escrow', auth, requireAdmin, async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+
+    const { escrow, total } = await listEscrow({ status: req.query.status, page, limit });
+
+    res.json({
+      escrow,
+      pagination: {
+        total,
+        page,
+        pages: Math.ceil(total / limit),
+        limit
+      }
+    });
+
+  } catch (err) {
+    if (err instanceof ServiceError) {
+      return res.status(err.status).json({ message: err.message });
+    }
+    console.error('Get escrow error:', err);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Release a seller order's escrow to the seller now, even while frozen by a dispute
+router.post('/escrow/:sellerOrderId/release', auth, requireAdmin, async (req, res) => {
+  try {
+    const { sellerOrder, amount } = await forceRelease(req.params.sellerOrderId, { reason: req.body.reason, user: req.user });
+
+    res.json({ message: `Released ${amount} RWF to the seller`, sellerOrder });
+
+  } catch (err) {
+    if (err instanceof ServiceError) {
+      return res.status(err.status).json({ message: err.message });
+    }
+    console.error('Release escrow error:', err);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Refund a seller order's escrow to the buyer
+router.post('/escrow/:sellerOrderId/refund', auth, requireAdmin, async (req, res) => {
+  try {
+    const { sellerOrder, refund } = await forceRefund(req.params.sellerOrderId, { reason: req.body.reason, user: req.user });
+
+    res.json({ message: 'Escrow refunded to the buyer', sellerOrder, refund });
+
+  } catch (err) {
+    if (err instanceof ServiceError) {
+      return res.status(err.status).json({ message: err.message });
+    }
+    console.error('Refund escrow error:', err);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Rebuild the product search index, e.g. after editing products directly in the database
+router.post('/search/reindex', auth, requireAdmin, async (req, res) => {
+  try {
+    const indexed = await reindexProducts();
+
+    res.json({ message: `Search index rebuilt for ${indexed} products`, indexed });
+
+  } catch (err) {
+    console.error('Search reindex error:', err);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
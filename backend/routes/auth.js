@@ -1,8 +1,9 @@
 const express = require('express');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
-const { User } = require('../database');
+const { User, Product } = require('../database');
 const auth = require('../middleware/auth');
+const { isKnownLocation } = require('../utils/geo');
 
 const router = express.Router();
 
@@ -125,7 +126,7 @@ router.post('/login', validateLogin, async (req, res) => {
 router.get('/me', auth, async (req, res) => {
   try {
     const user = await User.findByPk(req.user.id, {
-      attributes: ['id', 'name', 'email', 'role', 'phone', 'address', 'isApproved', 'createdAt']
+      attributes: ['id', 'name', 'email', 'role', 'phone', 'address', 'language', 'isApproved', 'createdAt']
     });
 
     if (!user) {
@@ -161,6 +162,16 @@ router.put('/me', auth, async (req, res) => {
 
     await user.save();
 
+    // Sellers' products are found by where the seller is
+    if (location && user.role === 'seller') {
+      const point = { lat: parseFloat(user.lat), lng: parseFloat(user.lng) };
+      const known = isKnownLocation(point);
+      await Product.update(
+        { lat: known ? point.lat : null, lng: known ? point.lng : null },
+        { where: { sellerId: user.id } }
+      );
+    }
+
     res.json({
       message: 'Profile updated successfully',
       user: {
@@ -1,30 +1,152 @@
 const express = require('express');
 const { Category } = require('../database');
 const auth = require('../middleware/auth');
+const { ServiceError } = require('../services/errors');
+const {
+  categoryJSON,
+  loadCategories,
+  ancestorsOf,
+  attributeSchemaFor,
+  categoryTree,
+  findCategory,
+  createCategory,
+  updateCategory,
+  deleteCategory
+} = require('../services/categories');
 
 const router = express.Router();
 
-// Get all categories
+// Get all categories in display order, named in ?lang= when translated.
+// ?tree=true nests them under their parents.
 router.get('/', async (req, res) => {
   try {
-    const categories = await Category.findAll({
-      attributes: ['id', 'name']
-    });
-    res.json(categories);
+    const { lang, tree } = req.query;
+
+    if (tree === 'true') {
+      return res.json(await categoryTree(lang));
+    }
+
+    const { children } = await loadCategories();
+    const ordered = [];
+    const walk = (parentId) => {
+      for (const category of children.get(parentId) || []) {
+        ordered.push(categoryJSON(category, lang));
+        walk(category.id);
+      }
+    };
+    walk(null);
+
+    res.json(ordered);
   } catch (err) {
     console.error('Error fetching categories:', err);
     res.status(500).json({ message: err.message });
   }
 });
 
+// Get a category by id or slug, with its ancestors (top-level first), children
+// and the attributes its products take, inherited ones included
+router.get('/:idOrSlug', async (req, res) => {
+  try {
+    const { lang } = req.query;
+
+    const category = await findCategory(req.params.idOrSlug);
+    if (!category) {
+      return res.status(404).json({ message: 'Category not found' });
+    }
+
+    const [ancestors, { children }, productAttributes] = await Promise.all([
+      ancestorsOf(category),
+      loadCategories(),
+      attributeSchemaFor([category.id])
+    ]);
+
+    res.json({
+      ...categoryJSON(category, lang),
+      ancestors: ancestors.map(ancestor => categoryJSON(ancestor, lang)),
+      children: (children.get(category.id) || []).map(child => categoryJSON(child, lang)),
+      productAttributes
+    });
+  } catch (err) {
+    console.error('Error fetching category:', err);
+    res.status(500).json({ message: err.message });
+  }
+});
+
 // Create category (admin only)
 router.post('/', auth, async (req, res) => {
   if (req.user.role !== 'admin') return res.status(403).json({ message: 'Access denied' });
-  const category = new Category(req.body);
   try {
-    await category.save();
-    res.status(201).json(category);
+    const category = await createCategory(req.body);
+    res.status(201).json(categoryJSON(category));
+  } catch (err) {
+    if (err instanceof ServiceError) {
+      return res.status(err.status).json({ message: err.message });
+    }
+    console.error('Error creating category:', err);
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// Update a category (admin only). Send parentId to move it, null for top level.
+router.put('/:id', auth, async (req, res) => {
+  if (req.user.role !== 'admin') return res.status(403).json({ message: 'Access denied' });
+  try {
+    const category = await Category.findByPk(parseInt(req.params.id));
+    if (!category) {
+      return res.status(404).json({ message: 'Category not found' });
+    }
+
+    await updateCategory(category, req.body);
+    res.json(categoryJSON(category));
+  } catch (err) {
+    if (err instanceof ServiceError) {
+      return res.status(err.status).json({ message: err.message });
+    }
+    console.error('Error updating category:', err);
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// Delete an empty category (admin only)
+router.delete('/:id', auth, async (req, res) => {
+  if (req.user.role !== 'admin') return res.status(403).json({ message: 'Access denied' });
+  try {
+    const category = await Category.findByPk(parseInt(req.params.id));
+    if (!category) {
+      return res.status(404).json({ message: 'Category not found' });
+    }
+
+    await deleteCategory(category);
+    res.json({ message: 'Category deleted' });
+  } catch (err) {
+    if (err instanceof ServiceError) {
+      return res.status(err.status).json({ message: err.message });
+    }
+    console.error('Error deleting category:', err);
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// Set the platform commission rate for a category (admin only).
+// null falls back to the default PLATFORM_COMMISSION_RATE.
+router.put('/:id/commission', auth, async (req, res) => {
+  if (req.user.role !== 'admin') return res.status(403).json({ message: 'Access denied' });
+  try {
+    const { commissionRate } = req.body;
+    const rate = commissionRate === null ? null : parseFloat(commissionRate);
+    if (rate !== null && (isNaN(rate) || rate < 0 || rate > 1)) {
+      return res.status(400).json({ message: 'Commission rate must be between 0 and 1, or null' });
+    }
+
+    const category = await Category.findByPk(parseInt(req.params.id));
+    if (!category) {
+      return res.status(404).json({ message: 'Category not found' });
+    }
+
+    await category.update({ commissionRate: rate });
+    res.json(category);
   } catch (err) {
+    console.error('Error updating category commission:', err);
     res.status(500).json({ message: err.message });
   }
 });
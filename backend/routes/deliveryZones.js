@@ -0,0 +1,94 @@
+const express = require('express');
+const auth = require('../middleware/auth');
+const { ServiceError } = require('../services/errors');
+const {
+  managedZones,
+  findManagedZone,
+  createZone,
+  updateZone,
+  deleteZone
+} = require('../services/delivery');
+
+const router = express.Router();
+
+// Sellers manage their own zones, admins the platform's, used by sellers without any
+const canManageZones = (user) => user.role === 'seller' || user.role === 'admin';
+
+router.get('/', auth, async (req, res) => {
+  try {
+    if (!canManageZones(req.user)) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    res.json(await managedZones(req.user));
+
+  } catch (err) {
+    console.error('Get delivery zones error:', err);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+router.post('/', auth, async (req, res) => {
+  try {
+    if (!canManageZones(req.user)) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const zone = await createZone(req.user, req.body);
+
+    res.status(201).json({
+      message: 'Delivery zone created successfully',
+      zone
+    });
+
+  } catch (err) {
+    if (err instanceof ServiceError) {
+      return res.status(err.status).json({ message: err.message });
+    }
+    console.error('Create delivery zone error:', err);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+router.put('/:id', auth, async (req, res) => {
+  try {
+    if (!canManageZones(req.user)) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const zone = await updateZone(await findManagedZone(req.user, req.params.id), req.body);
+
+    res.json({
+      message: 'Delivery zone updated successfully',
+      zone
+    });
+
+  } catch (err) {
+    if (err instanceof ServiceError) {
+      return res.status(err.status).json({ message: err.message });
+    }
+    console.error('Update delivery zone error:', err);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    if (!canManageZones(req.user)) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    await deleteZone(await findManagedZone(req.user, req.params.id));
+
+    res.json({ message: 'Delivery zone deleted successfully' });
+
+  } catch (err) {
+    if (err instanceof ServiceError) {
+      return res.status(err.status).json({ message: err.message });
+    }
+    console.error('Delete delivery zone error:', err);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+module.exports = router;
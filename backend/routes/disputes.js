@@ -0,0 +1,176 @@
+const express = require('express');
+const auth = require('../middleware/auth');
+const { ServiceError } = require('../services/errors');
+const {
+  disputeJSON,
+  openDispute,
+  findDispute,
+  listDisputes,
+  disputeMessages,
+  postDisputeMessage,
+  withdrawDispute,
+  resolveDispute,
+  confirmReplacement
+} = require('../services/disputes');
+
+const router = express.Router();
+
+// Disputes the caller opened or is answering (all of them for admins)
+router.get('/', auth, async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+
+    const { disputes, total } = await listDisputes(req.user, {
+      status: req.query.status,
+      overdue: req.query.overdue,
+      page,
+      limit
+    });
+
+    res.json({
+      disputes: disputes.map(disputeJSON),
+      pagination: {
+        total,
+        page,
+        pages: Math.ceil(total / limit),
+        limit
+      }
+    });
+
+  } catch (err) {
+    if (err instanceof ServiceError) {
+      return res.status(err.status).json({ message: err.message });
+    }
+    console.error('Get disputes error:', err);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Open a dispute on a delivered order line (the order's buyer)
+router.post('/', auth, async (req, res) => {
+  try {
+    const dispute = await openDispute(req.user, req.body);
+
+    res.status(201).json({
+      message: 'Dispute opened successfully',
+      dispute: disputeJSON(dispute)
+    });
+
+  } catch (err) {
+    if (err instanceof ServiceError) {
+      return res.status(err.status).json({ message: err.message });
+    }
+    console.error('Open dispute error:', err);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// A dispute with its message thread
+router.get('/:id', auth, async (req, res) => {
+  try {
+    const dispute = await findDispute(req.params.id, req.user);
+
+    res.json({
+      dispute: disputeJSON(dispute),
+      messages: await disputeMessages(dispute)
+    });
+
+  } catch (err) {
+    if (err instanceof ServiceError) {
+      return res.status(err.status).json({ message: err.message });
+    }
+    console.error('Get dispute error:', err);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+router.post('/:id/messages', auth, async (req, res) => {
+  try {
+    const dispute = await findDispute(req.params.id, req.user);
+    const message = await postDisputeMessage(dispute, req.user, req.body);
+
+    res.status(201).json({
+      message: 'Message sent successfully',
+      sent: message
+    });
+
+  } catch (err) {
+    if (err instanceof ServiceError) {
+      return res.status(err.status).json({ message: err.message });
+    }
+    console.error('Send dispute message error:', err);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+router.post('/:id/withdraw', auth, async (req, res) => {
+  try {
+    const dispute = await findDispute(req.params.id, req.user);
+    if (dispute.buyerId !== req.user.id) {
+      return res.status(403).json({ message: 'Only the buyer can withdraw a dispute' });
+    }
+
+    await withdrawDispute(dispute);
+
+    res.json({ message: 'Dispute withdrawn' });
+
+  } catch (err) {
+    if (err instanceof ServiceError) {
+      return res.status(err.status).json({ message: err.message });
+    }
+    console.error('Withdraw dispute error:', err);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// The buyer confirms the seller replaced the produce
+router.post('/:id/confirm-replacement', auth, async (req, res) => {
+  try {
+    const dispute = await findDispute(req.params.id, req.user);
+    if (dispute.buyerId !== req.user.id) {
+      return res.status(403).json({ message: 'Only the buyer can confirm a replacement' });
+    }
+
+    const resolved = await confirmReplacement(dispute);
+
+    res.json({
+      message: 'Replacement confirmed',
+      dispute: disputeJSON(resolved)
+    });
+
+  } catch (err) {
+    if (err instanceof ServiceError) {
+      return res.status(err.status).json({ message: err.message });
+    }
+    console.error('Confirm replacement error:', err);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Rule on a dispute (admin): outcome full_refund, partial_refund (quantity or
+// amount), replacement or rejected, and an optional note
+router.post('/:id/resolve', auth, async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ message: 'Admin access required' });
+    }
+
+    const dispute = await findDispute(req.params.id, req.user);
+    const resolved = await resolveDispute(dispute, req.body, req.user);
+
+    res.json({
+      message: resolved.status === 'replacement_pending' ? 'Replacement requested from the seller' : 'Dispute resolved',
+      dispute: disputeJSON(resolved)
+    });
+
+  } catch (err) {
+    if (err instanceof ServiceError) {
+      return res.status(err.status).json({ message: err.message });
+    }
+    console.error('Resolve dispute error:', err);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+module.exports = router;
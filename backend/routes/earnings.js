@@ -0,0 +1,74 @@
+const express = require('express');
+const { Payout } = require('../database');
+const auth = require('../middleware/auth');
+const { ServiceError } = require('../services/errors');
+const { getSellerBalance, getSellerEscrow, getSellerStatement } = require('../services/ledger');
+
+const router = express.Router();
+
+// Current balance owed to the seller, and paid sales still held in escrow
+router.get('/balance', auth, async (req, res) => {
+  try {
+    const balance = await getSellerBalance(req.user.id);
+    const inEscrow = await getSellerEscrow(req.user.id);
+    const pendingPayouts = (await Payout.sum('amount', {
+      where: { sellerId: req.user.id, status: 'pending' }
+    })) || 0;
+
+    res.json({ balance, inEscrow, pendingPayouts, currency: 'RWF' });
+
+  } catch (err) {
+    console.error('Get balance error:', err);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Ledger statement: sales, commission, refunds and payouts with a running balance
+router.get('/statement', auth, async (req, res) => {
+  try {
+    const { from, to, page = 1, limit = 50 } = req.query;
+
+    const { entries, total } = await getSellerStatement(req.user.id, {
+      from,
+      to,
+      page: parseInt(page),
+      limit: parseInt(limit)
+    });
+
+    res.json({
+      entries,
+      pagination: {
+        total,
+        page: parseInt(page),
+        pages: Math.ceil(total / parseInt(limit)),
+        limit: parseInt(limit)
+      }
+    });
+
+  } catch (err) {
+    if (err instanceof ServiceError) {
+      return res.status(err.status).json({ message: err.message });
+    }
+    console.error('Get statement error:', err);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Seller's payout history
+router.get('/payouts', auth, async (req, res) => {
+  try {
+    const payouts = await Payout.findAll({
+      where: { sellerId: req.user.id },
+      attributes: ['id', 'batchId', 'amount', 'phone', 'status', 'reference', 'paidAt', 'createdAt'],
+      order: [['createdAt', 'DESC']]
+    });
+
+    res.json({ payouts });
+
+  } catch (err) {
+    console.error('Get payouts error:', err);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,21 @@
+const express = require('express');
+const auth = require('../middleware/auth');
+const { subscribe } = require('../services/realtime');
+
+const router = express.Router();
+
+// EventSource cannot set headers, so browsers may pass the JWT as ?token=
+const tokenFromQuery = (req, res, next) => {
+  if (!req.header('Authorization') && req.query.token) {
+    req.headers.authorization = `Bearer ${req.query.token}`;
+  }
+  next();
+};
+
+// Server-sent event stream of the user's messages, read receipts, order
+// status changes and payment results
+router.get('/', tokenFromQuery, auth, (req, res) => {
+  subscribe(req.user.id, req, res);
+});
+
+module.exports = router;
@@ -1,6 +1,10 @@
 const express = require('express');
-const { Message, User, Product, Order } = require('../database');
+const { Message, User, Product, Order, SellerOrder, OrderItem } = require('../database');
 const auth = require('../middleware/auth');
+const { ServiceError } = require('../services/errors');
+const { orderIncludes, serializeOrder } = require('../services/orders');
+const { updateSellerOrders } = require('../services/orderStateMachine');
+const { sendMessage, publishReadReceipt } = require('../services/messages');
 
 const router = express.Router();
 
@@ -23,23 +27,14 @@ router.post('/', auth, async (req, res) => {
       }
     }
 
-    // Create message
-    const message = await Message.create({
+    // Create message and push it to both users
+    const messageWithSender = await sendMessage({
       senderId: req.user.id,
       receiverId,
       productId: productId || null,
       content: content.trim()
     });
 
-    // Return message with sender info
-    const messageWithSender = await Message.findByPk(message.id, {
-      include: [{
-        model: User,
-        as: 'sender',
-        attributes: ['name']
-      }]
-    });
-
     res.status(201).json({
       message: 'Message sent successfully',
       message: messageWithSender
@@ -80,7 +75,12 @@ router.get('/', auth, async (req, res) => {
         {
           model: Order,
           as: 'order',
-          attributes: ['id', 'status', 'totalAmount', 'products']
+          attributes: ['id', 'status', 'totalAmount'],
+          include: [{
+            model: OrderItem,
+            as: 'items',
+            attributes: ['id', 'productId', 'productName', 'quantity', 'price', 'sellerOrderId']
+          }]
         }
       ],
       order: [['createdAt', 'DESC']]
@@ -141,16 +141,20 @@ router.put('/read/:otherUserId', auth, async (req, res) => {
   const { otherUserId } = req.params;
 
   try {
-    await Message.update(
-      { isRead: true },
-      {
-        where: {
-          senderId: otherUserId,
-          receiverId: req.user.id,
-          isRead: false
-        }
-      }
-    );
+    const unread = await Message.findAll({
+      where: {
+        senderId: otherUserId,
+        receiverId: req.user.id,
+        isRead: false
+      },
+      attributes: ['id']
+    });
+
+    if (unread.length > 0) {
+      const messageIds = unread.map(message => message.id);
+      await Message.update({ isRead: true }, { where: { id: messageIds } });
+      await publishReadReceipt(parseInt(otherUserId), { readerId: req.user.id, messageIds });
+    }
 
     res.json({ message: 'Messages marked as read' });
 
@@ -185,58 +189,38 @@ router.put('/order/:messageId', auth, async (req, res) => {
       return res.status(403).json({ message: 'Access denied' });
     }
 
-    // Check if user has products in this order
-    const orderProducts = JSON.parse(message.order.products);
-    const productIds = orderProducts.map(item => item.productId);
-
-    const sellerProducts = await Product.findAll({
-      where: {
-        id: productIds,
-        sellerId: req.user.id
-      }
+    // Only the seller's own part of the order is affected
+    const sellerOrder = await SellerOrder.findOne({
+      where: { orderId: message.orderId, sellerId: req.user.id }
     });
 
-    if (sellerProducts.length === 0) {
+    if (!sellerOrder) {
       return res.status(403).json({ message: 'You do not have products in this order' });
     }
 
-    // Update order status
-    let newStatus;
-    let actionMessage;
-
-    if (action === 'approve' && message.order.status === 'pending') {
-      newStatus = 'confirmed';
-      actionMessage = 'Order approved successfully';
-    } else if (action === 'reject' && message.order.status === 'pending') {
-      newStatus = 'cancelled';
-      actionMessage = 'Order rejected and stock restored';
-
-      // Restore stock
-      for (const item of orderProducts) {
-        const product = await Product.findByPk(item.productId);
-        if (product) {
-          product.stock += item.quantity;
-          await product.save();
-        }
-      }
-    } else {
+    if (!['approve', 'reject'].includes(action)) {
       return res.status(400).json({ message: 'Invalid action or order status' });
     }
 
-    await message.order.update({ status: newStatus });
+    const actionMessage = await updateSellerOrders(message.order, [sellerOrder], { action, user: req.user });
 
     // Mark message as read
-    await message.update({ isRead: true });
+    if (!message.isRead) {
+      await message.update({ isRead: true });
+      await publishReadReceipt(message.senderId, { readerId: req.user.id, messageIds: [message.id] });
+    }
+
+    await message.order.reload({ include: orderIncludes() });
 
     res.json({
       message: actionMessage,
-      order: {
-        ...message.order.toJSON(),
-        products: orderProducts
-      }
+      order: serializeOrder(message.order)
     });
 
   } catch (err) {
+    if (err instanceof ServiceError) {
+      return res.status(err.status).json({ message: err.message });
+    }
     console.error('Order action from message error:', err);
     res.status(500).json({ message: 'Internal server error' });
   }
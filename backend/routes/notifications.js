@@ -0,0 +1,149 @@
+const express = require('express');
+const { User, Notification } = require('../database');
+const auth = require('../middleware/auth');
+const { safeEqual } = require('../utils/crypto');
+const { LANGUAGES } = require('../services/notifications/templates');
+const {
+  getGatewayByName,
+  getPreferences,
+  applyDeliveryReport
+} = require('../services/notifications');
+const { handleInboundSms } = require('../services/notifications/inbound');
+
+const router = express.Router();
+
+// Get the user's notification language and channels
+router.get('/preferences', auth, async (req, res) => {
+  try {
+    const user = await User.findByPk(req.user.id, { attributes: ['id', 'phone', 'language', 'notificationPreferences'] });
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    res.json({ language: user.language, channels: getPreferences(user), phone: user.phone });
+
+  } catch (err) {
+    console.error('Get notification preferences error:', err);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Update the user's notification language and channels ({ language, channels: { inbox, sms } })
+router.put('/preferences', auth, async (req, res) => {
+  const { language, channels } = req.body;
+
+  try {
+    if (language !== undefined && !LANGUAGES.includes(language)) {
+      return res.status(400).json({ message: `Language must be one of ${LANGUAGES.join(', ')}` });
+    }
+    if (channels !== undefined && (typeof channels !== 'object' ||
+      Object.entries(channels).some(([channel, on]) => !['inbox', 'sms'].includes(channel) || typeof on !== 'boolean'))) {
+      return res.status(400).json({ message: 'Channels must map inbox and sms to true or false' });
+    }
+
+    const user = await User.findByPk(req.user.id);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (language) user.language = language;
+    if (channels) user.notificationPreferences = JSON.stringify({ ...getPreferences(user), ...channels });
+    await user.save();
+
+    res.json({
+      message: 'Notification preferences updated',
+      language: user.language,
+      channels: getPreferences(user)
+    });
+
+  } catch (err) {
+    console.error('Update notification preferences error:', err);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// SMS sent to the user, or to anyone for admins (?status=failed to find problems)
+router.get('/sms', auth, async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status } = req.query;
+    const offset = (parseInt(page) - 1) * parseInt(limit);
+
+    const where = req.user.role === 'admin' ? {} : { userId: req.user.id };
+    if (status) where.status = status;
+
+    const { count, rows: notifications } = await Notification.findAndCountAll({
+      where,
+      limit: parseInt(limit),
+      offset,
+      order: [['createdAt', 'DESC']]
+    });
+
+    res.json({
+      notifications,
+      pagination: {
+        total: count,
+        page: parseInt(page),
+        pages: Math.ceil(count / parseInt(limit)),
+        limit: parseInt(limit)
+      }
+    });
+
+  } catch (err) {
+    console.error('Get SMS notifications error:', err);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Gateways cannot sign their callbacks, so the callback URLs carry
+// SMS_CALLBACK_TOKEN as a `token` query parameter
+const gatewayCallback = (req, res, next) => {
+  const gateway = getGatewayByName(req.params.gateway);
+  if (!gateway) {
+    return res.status(404).json({ message: 'Unknown SMS gateway' });
+  }
+
+  const secret = process.env.SMS_CALLBACK_TOKEN;
+  if (!secret) {
+    return res.status(503).json({ message: 'SMS callbacks are not configured' });
+  }
+  if (!req.query.token || !safeEqual(req.query.token, secret)) {
+    return res.status(401).json({ message: 'Invalid token' });
+  }
+
+  req.gateway = gateway;
+  next();
+};
+
+// Delivery reports from the SMS gateway
+router.post('/sms/delivery-reports/:gateway', gatewayCallback, async (req, res) => {
+  try {
+    const report = req.gateway.parseDeliveryReport({ body: req.body || {}, query: req.query });
+    const applied = await applyDeliveryReport(req.gateway, report);
+
+    res.json({ received: true, applied });
+
+  } catch (err) {
+    console.error('SMS delivery report error:', err);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Texts sent to our number, e.g. a seller replying "YES 12" to approve order 12
+router.post('/sms/inbound/:gateway', gatewayCallback, async (req, res) => {
+  try {
+    const message = req.gateway.parseInbound({ body: req.body || {}, query: req.query });
+    if (!message.providerMessageId || !message.from) {
+      return res.status(400).json({ message: 'Message id and sender are required' });
+    }
+
+    const inbound = await handleInboundSms(req.gateway, message);
+
+    res.json({ received: true, duplicate: !inbound, outcome: inbound ? inbound.outcome : undefined });
+
+  } catch (err) {
+    console.error('Inbound SMS error:', err);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+module.exports = router;
@@ -1,144 +1,89 @@
 const express = require('express');
-const { Op } = require('sequelize');
-const { sequelize, Order, Product, User, Message } = require('../database');
+const { Order, Product, User, SellerOrder, OrderItem, OrderStatusHistory } = require('../database');
 const auth = require('../middleware/auth');
+const { ServiceError } = require('../services/errors');
+const {
+  quoteOrder,
+  createOrder,
+  orderIncludes,
+  serializeOrder,
+  serializeSellerOrder,
+  validateOrderProducts
+} = require('../services/orders');
+const { updateSellerOrders } = require('../services/orderStateMachine');
+const { confirmReceipt } = require('../services/escrow');
+const {
+  proofPhotoUrl,
+  verifyDeliveryCode,
+  updateTransporter,
+  recordEvent,
+  findShipment,
+  orderShipments,
+  shipmentJSON
+} = require('../services/shipments');
 
 const router = express.Router();
 
 // Input validation middleware
 const validateOrder = (req, res, next) => {
-  const { products } = req.body;
-
-  if (!products || !Array.isArray(products) || products.length === 0) {
-    return res.status(400).json({ message: 'At least one product is required' });
-  }
-
-  for (const item of products) {
-    if (!item.productId || !item.quantity || item.quantity <= 0) {
-      return res.status(400).json({ message: 'Invalid product data' });
-    }
+  try {
+    validateOrderProducts(req.body.products);
+  } catch (err) {
+    return res.status(err.status).json({ message: err.message });
   }
 
   next();
 };
 
-// Create order (authenticated and guest users)
-router.post('/', validateOrder, async (req, res) => {
-  const { products, buyerInfo } = req.body;
+// Buyer id of an authenticated request, or null for guests
+const optionalBuyerId = (req) => {
   const token = req.headers.authorization?.replace('Bearer ', '');
-  let buyerId = null;
-  let user = null;
-
-  // If authenticated, verify user
-  if (token) {
-    try {
-      const jwt = require('jsonwebtoken');
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
-      buyerId = decoded.id;
-      user = await User.findByPk(buyerId);
-    } catch (err) {
-      // Invalid token, treat as guest
-    }
-  }
+  if (!token) return null;
 
   try {
-    let totalAmount = 0;
-    const orderProducts = [];
-
-    // Validate products and calculate total
-    for (const item of products) {
-      const product = await Product.findByPk(parseInt(item.productId));
-      if (!product) {
-        return res.status(404).json({ message: `Product ${item.productId} not found` });
-      }
+    const jwt = require('jsonwebtoken');
+    return jwt.verify(token, process.env.JWT_SECRET).id;
+  } catch (err) {
+    // Invalid token, treat as guest
+    return null;
+  }
+};
 
-      if (product.stock < item.quantity) {
-        return res.status(400).json({
-          message: `Insufficient stock for ${product.name}. Available: ${product.stock}`
-        });
-      }
+// Quote a cart before ordering it: prices, delivery fee per seller and total.
+// Nothing is held.
+router.post('/quote', validateOrder, async (req, res) => {
+  try {
+    const { products, delivery } = req.body;
+    const quote = await quoteOrder({ buyerId: optionalBuyerId(req), products, delivery });
 
-      orderProducts.push({
-        productId: product.id,
-        quantity: item.quantity,
-        price: product.price
-      });
+    res.json(quote);
 
-      totalAmount += product.price * item.quantity;
+  } catch (err) {
+    if (err instanceof ServiceError) {
+      return res.status(err.status).json({ message: err.message });
     }
+    console.error('Quote order error:', err);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
 
-    // Use transaction for atomicity
-    const result = await sequelize.transaction(async (transaction) => {
-      // Update product stock
-      for (const item of products) {
-        const product = await Product.findByPk(parseInt(item.productId), { transaction });
-        product.stock -= item.quantity;
-        await product.save({ transaction });
-      }
-
-      // Create order
-      const orderData = {
-        products: JSON.stringify(orderProducts),
-        totalAmount,
-        status: 'pending',
-        buyerInfo: buyerInfo ? JSON.stringify(buyerInfo) : null
-      };
-
-      if (buyerId) {
-        orderData.buyerId = buyerId;
-      }
-
-      const order = await Order.create(orderData, { transaction });
-      return order;
-    });
-
-    // Send notifications to sellers
-    try {
-      const orderProducts = JSON.parse(result.products);
-      const sellerNotifications = new Map(); // sellerId -> products in order
-
-      // Group products by seller
-      for (const item of orderProducts) {
-        const product = await Product.findByPk(item.productId, {
-          attributes: ['sellerId', 'name']
-        });
-        if (product) {
-          if (!sellerNotifications.has(product.sellerId)) {
-            sellerNotifications.set(product.sellerId, []);
-          }
-          sellerNotifications.get(product.sellerId).push({
-            name: product.name,
-            quantity: item.quantity,
-            price: item.price
-          });
-        }
-      }
+// Create order (authenticated and guest users)
+router.post('/', validateOrder, async (req, res) => {
+  const { products, buyerInfo, delivery } = req.body;
+  const buyerId = optionalBuyerId(req);
 
-      // Create notification messages for each seller
-      for (const [sellerId, products] of sellerNotifications) {
-        const productList = products.map(p => `${p.name} (${p.quantity} x ${p.price} RWF)`).join(', ');
-        const totalForSeller = products.reduce((sum, p) => sum + (p.quantity * p.price), 0);
-
-        await Message.create({
-          senderId: buyerId || null, // null for guest orders
-          receiverId: sellerId,
-          productId: null, // Not specific to one product
-          orderId: result.id,
-          content: `New order #${result.id} received!\nProducts: ${productList}\nTotal: ${totalForSeller.toLocaleString()} RWF\nPlease approve or reject this order.`,
-          isRead: false
-        });
-      }
-    } catch (notificationError) {
-      console.error('Error sending order notifications:', notificationError);
-      // Don't fail the order creation if notifications fail
-    }
+  try {
+    const order = await createOrder({ buyerId, products, buyerInfo, delivery });
 
     res.status(201).json({
       message: 'Order created successfully',
-      order: result
+      order
     });
 
   } catch (err) {
+    if (err instanceof ServiceError) {
+      return res.status(err.status).json({ message: err.message });
+    }
     console.error('Create order error:', err);
     res.status(500).json({ message: 'Internal server error' });
   }
@@ -152,37 +97,15 @@ router.get('/', auth, async (req, res) => {
 
     const { count, rows: orders } = await Order.findAndCountAll({
       where: { buyerId: req.user.id },
+      include: orderIncludes(),
+      distinct: true,
       limit: parseInt(limit),
       offset: offset,
       order: [['createdAt', 'DESC']]
     });
 
-    // Parse products and add product details for each order
-    const ordersWithParsedProducts = await Promise.all(
-      orders.map(async (order) => {
-        const orderProducts = JSON.parse(order.products);
-        const productsWithDetails = await Promise.all(
-          orderProducts.map(async (item) => {
-            const product = await Product.findByPk(item.productId, {
-              attributes: ['id', 'name', 'price']
-            });
-            return {
-              ...item,
-              product: product ? { id: product.id, name: product.name, price: product.price } : null
-            };
-          })
-        );
-
-        return {
-          ...order.toJSON(),
-          products: productsWithDetails,
-          buyerInfo: order.buyerInfo ? JSON.parse(order.buyerInfo) : null
-        };
-      })
-    );
-
     res.json({
-      orders: ordersWithParsedProducts,
+      orders: orders.map(serializeOrder),
       pagination: {
         total: count,
         page: parseInt(page),
@@ -197,161 +120,342 @@ router.get('/', auth, async (req, res) => {
   }
 });
 
-// Get orders for seller's products
+// Get orders for seller's products (only the seller's own part of each order)
 router.get('/seller', auth, async (req, res) => {
   try {
     if (req.user.role !== 'seller') {
       return res.status(403).json({ message: 'Access denied' });
     }
 
-    // Get all products by this seller
-    const sellerProducts = await Product.findAll({
+    const sellerOrders = await SellerOrder.findAll({
       where: { sellerId: req.user.id },
-      attributes: ['id']
+      include: [
+        { model: Order, as: 'order' },
+        {
+          model: OrderItem,
+          as: 'items',
+          include: [{ model: Product, as: 'product', attributes: ['id', 'name', 'price'], required: false }]
+        }
+      ],
+      order: [['createdAt', 'DESC']]
+    });
+
+    const ordersWithDetails = sellerOrders.map((sellerOrder) => {
+      const fulfillment = serializeSellerOrder(sellerOrder);
+      return {
+        ...serializeOrder(sellerOrder.order),
+        products: fulfillment.products,
+        sellerOrder: fulfillment
+      };
+    });
+
+    res.json({ orders: ordersWithDetails });
+
+  } catch (err) {
+    console.error('Get seller orders error:', err);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Get a single order (buyer, a seller in the order, or admin)
+router.get('/:id', auth, async (req, res) => {
+  try {
+    const orderId = parseInt(req.params.id);
+    if (isNaN(orderId)) {
+      return res.status(400).json({ message: 'Invalid order ID' });
+    }
+
+    const order = await Order.findByPk(orderId, { include: orderIncludes() });
+    if (!order) {
+      return res.status(404).json({ message: 'Order not found' });
+    }
+
+    const serialized = serializeOrder(order);
+
+    if (req.user.role === 'admin' || order.buyerId === req.user.id) {
+      return res.json({ order: serialized });
+    }
+
+    // Sellers only see their own part of the order
+    const sellerOrder = serialized.sellerOrders.find(so => so.sellerId === req.user.id);
+    if (!sellerOrder) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    res.json({
+      order: {
+        ...serialized,
+        products: sellerOrder.products,
+        sellerOrders: [sellerOrder]
+      }
     });
 
-    const productIds = sellerProducts.map(p => p.id);
+  } catch (err) {
+    console.error('Get order error:', err);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
 
-    if (productIds.length === 0) {
-      return res.json({ orders: [] });
+// Status change history of an order (buyer, a seller in the order, or admin)
+router.get('/:id/history', auth, async (req, res) => {
+  try {
+    const orderId = parseInt(req.params.id);
+    if (isNaN(orderId)) {
+      return res.status(400).json({ message: 'Invalid order ID' });
     }
 
-    // Find orders containing these products
-    const allOrders = await Order.findAll({
-      order: [['createdAt', 'DESC']]
+    const order = await Order.findByPk(orderId, {
+      include: [{ model: SellerOrder, as: 'sellerOrders', attributes: ['id', 'sellerId'] }]
     });
+    if (!order) {
+      return res.status(404).json({ message: 'Order not found' });
+    }
+
+    const ownSellerOrder = order.sellerOrders.find(so => so.sellerId === req.user.id);
+    if (req.user.role !== 'admin' && order.buyerId !== req.user.id && !ownSellerOrder) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
 
-    // Filter orders that contain seller's products
-    const sellerOrders = allOrders.filter(order => {
-      const orderProducts = JSON.parse(order.products);
-      return orderProducts.some(item => productIds.includes(item.productId));
+    let history = await OrderStatusHistory.findAll({
+      where: { orderId },
+      include: [{ model: User, as: 'changedByUser', attributes: ['id', 'name'] }],
+      order: [['createdAt', 'ASC'], ['id', 'ASC']]
     });
 
-    // Add product details to orders
-    const ordersWithDetails = await Promise.all(
-      sellerOrders.map(async (order) => {
-        const orderProducts = JSON.parse(order.products);
-        const productsWithDetails = await Promise.all(
-          orderProducts.map(async (item) => {
-            const product = await Product.findByPk(item.productId, {
-              attributes: ['id', 'name', 'price']
-            });
-            return {
-              ...item,
-              product: product ? { id: product.id, name: product.name, price: product.price } : null
-            };
-          })
-        );
-
-        return {
-          ...order.toJSON(),
-          products: productsWithDetails,
-          buyerInfo: order.buyerInfo ? JSON.parse(order.buyerInfo) : null
-        };
-      })
-    );
+    // Sellers only see the parent order and their own part of it
+    if (req.user.role !== 'admin' && order.buyerId !== req.user.id) {
+      history = history.filter(entry => !entry.sellerOrderId || entry.sellerOrderId === ownSellerOrder.id);
+    }
 
-    res.json({ orders: ordersWithDetails });
+    res.json({ history });
 
   } catch (err) {
-    console.error('Get seller orders error:', err);
+    console.error('Get order history error:', err);
     res.status(500).json({ message: 'Internal server error' });
   }
 });
 
-// Update order status (seller or admin) - supports approve/reject actions
-router.put('/:id', auth, async (req, res) => {
+// Shipments of an order with their tracking events (buyer, a seller in the order,
+// or admin). Sellers see their own; the delivery code is shown to the buyer only.
+router.get('/:id/shipments', auth, async (req, res) => {
   try {
     const orderId = parseInt(req.params.id);
     if (isNaN(orderId)) {
       return res.status(400).json({ message: 'Invalid order ID' });
     }
 
-    const { status, action } = req.body;
-
-    const order = await Order.findByPk(orderId);
+    const order = await Order.findByPk(orderId, {
+      include: [{ model: SellerOrder, as: 'sellerOrders', attributes: ['id', 'sellerId'] }]
+    });
     if (!order) {
       return res.status(404).json({ message: 'Order not found' });
     }
 
-    // Check permissions
-    let hasPermission = req.user.role === 'admin';
+    const isBuyer = order.buyerId === req.user.id;
+    const isSeller = order.sellerOrders.some(so => so.sellerId === req.user.id);
+    if (req.user.role !== 'admin' && !isBuyer && !isSeller) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
 
-    if (!hasPermission && req.user.role === 'seller') {
-      // Check if seller has products in this order
-      const orderProducts = JSON.parse(order.products);
-      const productIds = orderProducts.map(item => item.productId);
+    let shipments = await orderShipments(orderId);
+    if (req.user.role !== 'admin' && !isBuyer) {
+      shipments = shipments.filter(shipment => shipment.sellerOrder.sellerId === req.user.id);
+    }
 
-      const sellerProducts = await Product.findAll({
-        where: {
-          id: productIds,
-          sellerId: req.user.id
-        }
-      });
+    res.json({
+      shipments: shipments.map(shipment => shipmentJSON(shipment, { showCode: isBuyer || req.user.role === 'admin' }))
+    });
+
+  } catch (err) {
+    console.error('Get shipments error:', err);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// The seller of a shipment, or an admin
+const canManageShipment = (user, shipment) =>
+  user.role === 'admin' || shipment.sellerOrder.sellerId === user.id;
 
-      hasPermission = sellerProducts.length > 0;
+// Correct the transporter of a shipment on its way
+router.put('/:id/shipments/:shipmentId', auth, async (req, res) => {
+  try {
+    const shipment = await findShipment(req.params.id, req.params.shipmentId);
+    if (!canManageShipment(req.user, shipment)) {
+      return res.status(403).json({ message: 'Access denied' });
     }
 
-    // Allow buyer to cancel their own pending order
-    if (!hasPermission && action === 'cancel' && order.status === 'pending' && req.user.id === order.buyerId) {
-      hasPermission = true;
+    await updateTransporter(shipment, req.body.transporter);
+
+    res.json({
+      message: 'Shipment updated successfully',
+      shipment: shipmentJSON(shipment)
+    });
+
+  } catch (err) {
+    if (err instanceof ServiceError) {
+      return res.status(err.status).json({ message: err.message });
     }
+    console.error('Update shipment error:', err);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
 
-    if (!hasPermission) {
+// Log a tracking event, e.g. { status: 'out_for_delivery', location: 'Musanze' }
+router.post('/:id/shipments/:shipmentId/events', auth, async (req, res) => {
+  try {
+    const shipment = await findShipment(req.params.id, req.params.shipmentId);
+    if (!canManageShipment(req.user, shipment)) {
       return res.status(403).json({ message: 'Access denied' });
     }
 
-    let newStatus = status;
-    let actionMessage = 'Order status updated successfully';
-
-    // Handle approve/reject/cancel actions
-    if (action === 'approve' && order.status === 'pending') {
-      newStatus = 'confirmed';
-      actionMessage = 'Order approved successfully';
-    } else if (action === 'reject' && order.status === 'pending') {
-      newStatus = 'cancelled';
-      actionMessage = 'Order rejected and stock restored';
-
-      // Restore stock for rejected orders
-      const orderProducts = JSON.parse(order.products);
-      for (const item of orderProducts) {
-        const product = await Product.findByPk(item.productId);
-        if (product) {
-          product.stock += item.quantity;
-          await product.save();
-        }
-      }
-    } else if (action === 'cancel' && order.status === 'pending') {
-      newStatus = 'cancelled';
-      actionMessage = 'Order cancelled successfully';
-
-      // Restore stock for cancelled orders
-      const orderProducts = JSON.parse(order.products);
-      for (const item of orderProducts) {
-        const product = await Product.findByPk(item.productId);
-        if (product) {
-          product.stock += item.quantity;
-          await product.save();
-        }
+    const event = await recordEvent(shipment, req.body, req.user);
+
+    res.status(201).json({
+      message: 'Tracking event recorded successfully',
+      event
+    });
+
+  } catch (err) {
+    if (err instanceof ServiceError) {
+      return res.status(err.status).json({ message: err.message });
+    }
+    console.error('Record shipment event error:', err);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Confirm a delivery with the code the buyer gave the driver, and optionally a
+// photo uploaded through /api/uploads
+router.post('/:id/shipments/:shipmentId/deliver', auth, async (req, res) => {
+  try {
+    const shipment = await findShipment(req.params.id, req.params.shipmentId);
+    if (!canManageShipment(req.user, shipment)) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const { sellerOrder } = shipment;
+    const { order } = sellerOrder;
+    const photoUrl = proofPhotoUrl(req.body.photoUrl);
+    await verifyDeliveryCode(order, shipment, req.body.code);
+
+    const actionMessage = await updateSellerOrders(order, [sellerOrder], {
+      action: 'deliver',
+      user: req.user,
+      proof: { photoUrl }
+    });
+    await order.reload({ include: orderIncludes() });
+
+    res.json({
+      message: actionMessage,
+      order: serializeOrder(order)
+    });
+
+  } catch (err) {
+    if (err instanceof ServiceError) {
+      return res.status(err.status).json({ message: err.message });
+    }
+    console.error('Confirm delivery error:', err);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// The buyer confirms receiving delivered seller orders (all, or one seller's with
+// sellerId), which releases their payment from escrow to the sellers
+router.post('/:id/confirm-receipt', auth, async (req, res) => {
+  try {
+    const orderId = parseInt(req.params.id);
+    if (isNaN(orderId)) {
+      return res.status(400).json({ message: 'Invalid order ID' });
+    }
+
+    const order = await Order.findByPk(orderId, {
+      include: [{ model: SellerOrder, as: 'sellerOrders' }]
+    });
+    if (!order) {
+      return res.status(404).json({ message: 'Order not found' });
+    }
+    if (order.buyerId !== req.user.id) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const { sellerId } = req.body;
+    let targets = order.sellerOrders;
+    if (sellerId !== undefined && sellerId !== null) {
+      targets = order.sellerOrders.filter(so => so.sellerId === parseInt(sellerId));
+      if (targets.length === 0) {
+        return res.status(404).json({ message: 'This order has nothing from that seller' });
       }
-    } else if (status && ['pending', 'confirmed', 'shipped', 'delivered', 'cancelled'].includes(status)) {
-      newStatus = status;
+    }
+
+    const released = await confirmReceipt(order, targets, req.user);
+
+    res.json({
+      message: 'Receipt confirmed',
+      released: released.map(({ sellerOrder, amount }) => ({ sellerOrderId: sellerOrder.id, sellerId: sellerOrder.sellerId, amount }))
+    });
+
+  } catch (err) {
+    if (err instanceof ServiceError) {
+      return res.status(err.status).json({ message: err.message });
+    }
+    console.error('Confirm receipt error:', err);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Update order status - supports approve/reject/ship/deliver/cancel actions, or a
+// target status. Which changes are allowed, and for whom, is decided by the order
+// state machine. Sellers act on their own seller order; admins may target one with sellerId.
+router.put('/:id', auth, async (req, res) => {
+  try {
+    const orderId = parseInt(req.params.id);
+    if (isNaN(orderId)) {
+      return res.status(400).json({ message: 'Invalid order ID' });
+    }
+
+    const { status, action, sellerId, reason, transporter } = req.body;
+
+    const order = await Order.findByPk(orderId, {
+      include: [{ model: SellerOrder, as: 'sellerOrders' }]
+    });
+    if (!order) {
+      return res.status(404).json({ message: 'Order not found' });
+    }
+
+    // Work out which seller orders this user is acting on
+    let targets = [];
+
+    if (req.user.role === 'admin') {
+      targets = sellerId
+        ? order.sellerOrders.filter(so => so.sellerId === parseInt(sellerId))
+        : order.sellerOrders;
     } else {
-      return res.status(400).json({ message: 'Invalid action or status' });
+      targets = order.sellerOrders.filter(so => so.sellerId === req.user.id);
+    }
+
+    // Buyers act on the whole order, or one seller's part of it with sellerId
+    if (targets.length === 0 && req.user.id === order.buyerId) {
+      targets = sellerId
+        ? order.sellerOrders.filter(so => so.sellerId === parseInt(sellerId))
+        : order.sellerOrders;
     }
 
-    await order.update({ status: newStatus });
+    if (targets.length === 0) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const actionMessage = await updateSellerOrders(order, targets, { action, status, user: req.user, reason, transporter });
+    await order.reload({ include: orderIncludes() });
 
     res.json({
       message: actionMessage,
-      order: {
-        ...order.toJSON(),
-        products: JSON.parse(order.products),
-        buyerInfo: order.buyerInfo ? JSON.parse(order.buyerInfo) : null
-      }
+      order: serializeOrder(order)
     });
 
   } catch (err) {
+    if (err instanceof ServiceError) {
+      return res.status(err.status).json({ message: err.message });
+    }
     console.error('Update order error:', err);
     res.status(500).json({ message: 'Internal server error' });
   }
@@ -1,6 +1,10 @@
 const express = require('express');
-const { Payment, Order } = require('../database');
+const { Payment, Order, User, Refund, RefundItem } = require('../database');
 const auth = require('../middleware/auth');
+const { ServiceError } = require('../services/errors');
+const { PAYMENT_METHODS, startPayment, refreshPayment } = require('../services/payments');
+const { handleCallback } = require('../services/payments/webhooks');
+const { createRefund, applyRefundResult } = require('../services/payments/refunds');
 
 const router = express.Router();
 
@@ -12,17 +16,30 @@ const validatePayment = (req, res, next) => {
     return res.status(400).json({ message: 'Valid order ID is required' });
   }
 
-  if (!['mtn_momo', 'airtel_money', 'credit_card'].includes(method)) {
+  if (!PAYMENT_METHODS.includes(method)) {
     return res.status(400).json({ message: 'Valid payment method is required' });
   }
 
   next();
 };
 
-// Initiate payment
+const formatPayment = (payment) => ({
+  id: payment.id,
+  orderId: payment.orderId,
+  amount: payment.amount,
+  method: payment.method,
+  status: payment.status,
+  transactionId: payment.transactionId,
+  failureReason: payment.failureReason,
+  createdAt: payment.createdAt,
+  updatedAt: payment.updatedAt
+});
+
+// Initiate payment. Mobile money payments stay pending until the payer approves
+// the prompt on their phone; poll GET /api/payments/:id for the result.
 router.post('/', auth, validatePayment, async (req, res) => {
   try {
-    const { orderId, method } = req.body;
+    const { orderId, method, phone } = req.body;
     const order = await Order.findByPk(parseInt(orderId));
 
     if (!order) {
@@ -33,41 +50,57 @@ router.post('/', auth, validatePayment, async (req, res) => {
       return res.status(403).json({ message: 'Access denied' });
     }
 
-    if (order.paymentStatus === 'paid') {
-      return res.status(400).json({ message: 'Order already paid' });
-    }
+    const user = await User.findByPk(req.user.id, { attributes: ['phone'] });
+    const payerPhone = phone || user?.phone;
 
-    // Mock payment integration
-    // In real app, integrate with MTN Momo API, Airtel Money, Stripe, etc.
-    const payment = await Payment.create({
-      orderId: order.id,
-      amount: order.totalAmount,
-      method,
-      status: 'completed', // Mock as completed
-      transactionId: `mock_txn_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`
-    });
+    if (method === 'mtn_momo' && !payerPhone) {
+      return res.status(400).json({ message: 'A mobile money phone number is required' });
+    }
 
-    // Update order payment status
-    await order.update({ paymentStatus: 'paid' });
+    const payment = await startPayment({ order, method, phone: payerPhone });
+    const isPending = payment.status === 'pending';
 
-    res.json({
-      message: 'Payment successful',
-      payment: {
-        id: payment.id,
-        amount: payment.amount,
-        method: payment.method,
-        status: payment.status,
-        transactionId: payment.transactionId,
-        createdAt: payment.createdAt
-      }
+    res.status(isPending ? 202 : 200).json({
+      message: isPending
+        ? 'Payment requested. Approve it on your phone to complete the order.'
+        : payment.status === 'completed' ? 'Payment successful' : 'Payment failed',
+      payment: formatPayment(payment)
     });
 
   } catch (err) {
+    if (err instanceof ServiceError) {
+      return res.status(err.status).json({ message: err.message });
+    }
     console.error('Payment creation error:', err);
     res.status(500).json({ message: 'Internal server error' });
   }
 });
 
+// Provider callbacks (no user auth; verified by signature or shared secret)
+const receiveWebhook = async (req, res) => {
+  try {
+    const { outcome } = await handleCallback(req.params.provider, {
+      body: req.body || {},
+      query: req.query,
+      headers: req.headers,
+      rawBody: req.rawBody
+    });
+
+    res.json({ received: true, outcome });
+
+  } catch (err) {
+    if (err instanceof ServiceError) {
+      return res.status(err.status).json({ message: err.message });
+    }
+    console.error('Payment webhook error:', err);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+};
+
+// MTN MoMo may deliver callbacks with either method
+router.post('/webhooks/:provider', receiveWebhook);
+router.put('/webhooks/:provider', receiveWebhook);
+
 // Get payments for user
 router.get('/', auth, async (req, res) => {
   try {
@@ -118,4 +151,142 @@ router.get('/', auth, async (req, res) => {
   }
 });
 
+// Get a single payment, checking with the provider while it is still pending
+router.get('/:id', auth, async (req, res) => {
+  try {
+    const paymentId = parseInt(req.params.id);
+    if (isNaN(paymentId)) {
+      return res.status(400).json({ message: 'Invalid payment ID' });
+    }
+
+    const payment = await Payment.findByPk(paymentId, {
+      include: [{ model: Order, as: 'order', attributes: ['id', 'buyerId', 'totalAmount', 'status', 'paymentStatus'] }]
+    });
+
+    if (!payment) {
+      return res.status(404).json({ message: 'Payment not found' });
+    }
+
+    if (req.user.role !== 'admin' && payment.order?.buyerId !== req.user.id) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    try {
+      await refreshPayment(payment);
+    } catch (err) {
+      // Serve the last known status if the provider is unreachable
+      console.error('Payment status refresh error:', err);
+    }
+
+    await payment.order.reload();
+
+    res.json({
+      payment: formatPayment(payment),
+      order: {
+        id: payment.order.id,
+        status: payment.order.status,
+        paymentStatus: payment.order.paymentStatus
+      }
+    });
+
+  } catch (err) {
+    console.error('Get payment error:', err);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Refund a payment (admin only). Send `items: [{ orderItemId, quantity }]` to
+// refund specific order lines, `amount` for a plain partial refund, or neither
+// to refund whatever is left of the payment.
+router.post('/:id/refunds', auth, async (req, res) => {
+  if (req.user.role !== 'admin') return res.status(403).json({ message: 'Access denied' });
+
+  try {
+    const { items, amount, reason } = req.body;
+
+    if (items !== undefined && (!Array.isArray(items) || items.some(item => !item.orderItemId))) {
+      return res.status(400).json({ message: 'Items must be a list of { orderItemId, quantity }' });
+    }
+    if (amount !== undefined && !(parseFloat(amount) > 0)) {
+      return res.status(400).json({ message: 'Refund amount must be positive' });
+    }
+
+    const payment = await Payment.findByPk(parseInt(req.params.id));
+    if (!payment) {
+      return res.status(404).json({ message: 'Payment not found' });
+    }
+
+    const refund = await createRefund({ payment, items, amount, reason, requestedBy: req.user.id });
+    await refund.reload({ include: [{ model: RefundItem, as: 'items' }] });
+
+    res.status(201).json({
+      message: refund.status === 'failed' ? 'Refund failed' : 'Refund created',
+      refund
+    });
+
+  } catch (err) {
+    if (err instanceof ServiceError) {
+      return res.status(err.status).json({ message: err.message });
+    }
+    console.error('Create refund error:', err);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// List refunds for a payment (buyer or admin)
+router.get('/:id/refunds', auth, async (req, res) => {
+  try {
+    const payment = await Payment.findByPk(parseInt(req.params.id), {
+      include: [{ model: Order, as: 'order', attributes: ['buyerId'] }]
+    });
+    if (!payment) {
+      return res.status(404).json({ message: 'Payment not found' });
+    }
+
+    if (req.user.role !== 'admin' && payment.order?.buyerId !== req.user.id) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const refunds = await Refund.findAll({
+      where: { paymentId: payment.id },
+      include: [{ model: RefundItem, as: 'items' }],
+      order: [['createdAt', 'DESC']]
+    });
+
+    res.json({ refunds });
+
+  } catch (err) {
+    console.error('Get refunds error:', err);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Record the result of a refund paid out by hand (admin only)
+router.put('/refunds/:refundId', auth, async (req, res) => {
+  if (req.user.role !== 'admin') return res.status(403).json({ message: 'Access denied' });
+
+  try {
+    const { status, reason } = req.body;
+    if (!['completed', 'failed'].includes(status)) {
+      return res.status(400).json({ message: 'Status must be completed or failed' });
+    }
+
+    const refund = await Refund.findByPk(parseInt(req.params.refundId));
+    if (!refund) {
+      return res.status(404).json({ message: 'Refund not found' });
+    }
+
+    const updated = await applyRefundResult(refund, { status, reason });
+    if (!updated) {
+      return res.status(400).json({ message: 'Refund is no longer pending' });
+    }
+
+    res.json({ message: `Refund marked as ${status}`, refund });
+
+  } catch (err) {
+    console.error('Update refund error:', err);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,132 @@
+const express = require('express');
+const auth = require('../middleware/auth');
+const { ServiceError } = require('../services/errors');
+const {
+  priceListJSON,
+  findPriceList,
+  listPriceLists,
+  createPriceList,
+  updatePriceList,
+  deletePriceList,
+  buyerPriceLists
+} = require('../services/pricing');
+
+const router = express.Router();
+
+// Wholesale price lists the caller buys on
+router.get('/mine', auth, async (req, res) => {
+  try {
+    const priceLists = await buyerPriceLists(req.user.id);
+
+    res.json(priceLists.map(priceList => ({
+      id: priceList.id,
+      name: priceList.name,
+      seller: priceList.seller,
+      items: priceList.items
+    })));
+
+  } catch (err) {
+    console.error('Get buyer price lists error:', err);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Seller's price lists
+router.get('/', auth, async (req, res) => {
+  try {
+    if (req.user.role !== 'seller') {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const priceLists = await listPriceLists(req.user.id);
+    res.json(priceLists.map(priceListJSON));
+
+  } catch (err) {
+    console.error('Get price lists error:', err);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+router.get('/:id', auth, async (req, res) => {
+  try {
+    if (req.user.role !== 'seller') {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    res.json(priceListJSON(await findPriceList(req.params.id, req.user.id)));
+
+  } catch (err) {
+    if (err instanceof ServiceError) {
+      return res.status(err.status).json({ message: err.message });
+    }
+    console.error('Get price list error:', err);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Create a price list (sellers only)
+router.post('/', auth, async (req, res) => {
+  try {
+    if (req.user.role !== 'seller') {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const priceList = await createPriceList(req.user.id, req.body);
+
+    res.status(201).json({
+      message: 'Price list created successfully',
+      priceList: priceListJSON(priceList)
+    });
+
+  } catch (err) {
+    if (err instanceof ServiceError) {
+      return res.status(err.status).json({ message: err.message });
+    }
+    console.error('Create price list error:', err);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Rename, (de)activate, or replace the items or buyers of a price list
+router.put('/:id', auth, async (req, res) => {
+  try {
+    if (req.user.role !== 'seller') {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const priceList = await updatePriceList(await findPriceList(req.params.id, req.user.id), req.body);
+
+    res.json({
+      message: 'Price list updated successfully',
+      priceList: priceListJSON(priceList)
+    });
+
+  } catch (err) {
+    if (err instanceof ServiceError) {
+      return res.status(err.status).json({ message: err.message });
+    }
+    console.error('Update price list error:', err);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    if (req.user.role !== 'seller') {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    await deletePriceList(await findPriceList(req.params.id, req.user.id));
+
+    res.json({ message: 'Price list deleted successfully' });
+
+  } catch (err) {
+    if (err instanceof ServiceError) {
+      return res.status(err.status).json({ message: err.message });
+    }
+    console.error('Delete price list error:', err);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+module.exports = router;
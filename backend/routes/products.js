@@ -1,7 +1,33 @@
 const express = require('express');
 const { Op } = require('sequelize');
-const { Product, User, Category } = require('../database');
+const { Product, ProductVariant, User, Category } = require('../database');
 const auth = require('../middleware/auth');
+const { ServiceError } = require('../services/errors');
+const {
+  parseNear,
+  parseFilters,
+  parseSort,
+  productFacets,
+  nearConditions,
+  nearestFirst,
+  relevanceOrder,
+  ratingOrder,
+  productDistanceKm
+} = require('../services/products');
+const { searchProducts } = require('../services/search');
+const { attributeSchemaFor } = require('../services/categories');
+const { validateAttributes } = require('../services/attributes');
+const { validateSalesRules, salesUnits } = require('../services/units');
+const { validatePriceTiers } = require('../services/pricing');
+const {
+  variantOrder,
+  priceRanges,
+  priceRangeFor,
+  createVariant,
+  updateVariant,
+  deleteVariant
+} = require('../services/variants');
+const { isKnownLocation } = require('../utils/geo');
 
 const router = express.Router();
 
@@ -28,58 +54,80 @@ const validateProduct = (req, res, next) => {
   next();
 };
 
-// Get all products with pagination and filtering
+// Get all products with pagination, filters and facet counts.
+// search matches words in the name, description, category and seller location,
+// tolerating typos and crop names in other languages, most relevant first.
+// near=lat,lng keeps products within radiusKm and sorts the nearest first.
+// sortBy overrides either order; see SORT_FIELDS for what it accepts.
 router.get('/', async (req, res) => {
   try {
-    const {
-      search,
-      category,
-      page = 1,
-      limit = 20,
-      sortBy = 'createdAt',
-      sortOrder = 'DESC'
-    } = req.query;
+    const { search, page = 1, limit = 20 } = req.query;
 
     const offset = (parseInt(page) - 1) * parseInt(limit);
-    let whereClause = {};
+    const near = parseNear(req.query);
+    const filters = await parseFilters(req.query);
 
     // Search filter
-    if (search) {
-      whereClause.name = { [Op.iLike]: `%${search}%` };
-    }
+    const ranking = search ? await searchProducts(search) : null;
+    const sort = parseSort(req.query, { search: ranking !== null, near: near !== null });
 
-    // Category filter
-    if (category) {
-      whereClause.categoryId = parseInt(category);
+    const conditions = [];
+    if (ranking) {
+      conditions.push({ id: ranking });
+    }
+    if (near) {
+      conditions.push(...nearConditions(near));
     }
+    const whereClause = { [Op.and]: [...conditions, ...Object.values(filters)] };
+
+    let order = [[sort.field, sort.direction]];
+    if (sort.field === 'relevance') {
+      order = ranking.length > 0 ? [relevanceOrder(ranking)] : [];
+    } else if (sort.field === 'distance') {
+      order = [nearestFirst(near)];
+    } else if (sort.field === 'rating') {
+      order = ratingOrder(sort.direction);
+    }
+    // Ties keep a stable order across pages
+    order.push(['id', sort.direction]);
 
     // Get products with pagination
     const { count, rows: products } = await Product.findAndCountAll({
       where: whereClause,
       limit: parseInt(limit),
       offset: offset,
-      order: [[sortBy, sortOrder.toUpperCase()]],
+      order,
       include: [
         {
           model: User,
           as: 'seller',
-          attributes: ['name', 'phone'],
+          attributes: ['name', 'phone', 'ratingAverage', 'ratingCount'],
           required: false
         }
       ]
     });
+    const facets = await productFacets(conditions, filters);
+    const ranges = await priceRanges(products.map(product => product.id));
 
     res.json({
-      products,
+      products: products.map(product => ({
+        ...product.toJSON(),
+        priceRange: priceRangeFor(product, ranges),
+        ...(near && { distanceKm: productDistanceKm(near, product) })
+      })),
       pagination: {
         total: count,
         page: parseInt(page),
         pages: Math.ceil(count / parseInt(limit)),
         limit: parseInt(limit)
-      }
+      },
+      facets
     });
 
   } catch (err) {
+    if (err instanceof ServiceError) {
+      return res.status(err.status).json({ message: err.message });
+    }
     console.error('Products fetch error:', err);
     res.status(500).json({ message: 'Internal server error' });
   }
@@ -91,7 +139,8 @@ router.get('/:id', async (req, res) => {
     const product = await Product.findByPk(req.params.id, {
       include: [
         { model: Category, as: 'category', attributes: ['name'] },
-        { model: User, as: 'seller', attributes: ['id', 'name', 'phone', 'address'] }
+        { model: User, as: 'seller', attributes: ['id', 'name', 'phone', 'address', 'ratingAverage', 'ratingCount'] },
+        { model: ProductVariant, as: 'variants', separate: true, order: variantOrder() }
       ]
     });
     if (!product) return res.status(404).json({ message: 'Product not found' });
@@ -110,14 +159,9 @@ router.get('/:id', async (req, res) => {
       plainProduct.images = [];
     }
 
-    // Parse location if it exists
-    if (plainProduct.location) {
-      try {
-        plainProduct.location = JSON.parse(plainProduct.location);
-      } catch (e) {
-        plainProduct.location = null;
-      }
-    }
+    // Units it can be ordered in, with their size in the product's unit
+    plainProduct.salesUnits = salesUnits(product);
+    plainProduct.priceRange = priceRangeFor(product, await priceRanges([product.id]));
 
     res.json(plainProduct);
   } catch (err) {
@@ -137,19 +181,25 @@ router.post('/', auth, validateProduct, async (req, res) => {
       return res.status(404).json({ message: 'User not found' });
     }
 
+    const attributes = validateAttributes(await attributeSchemaFor([parseInt(categoryId)]), req.body.attributes);
+    const salesRules = validateSalesRules({ ...req.body, unit: unit || 'kg' });
+
     // Create product
     const product = await Product.create({
       name: name.trim(),
       description: description?.trim(),
       price: parseFloat(price),
-      unit: unit || 'kg',
-      quantity: parseInt(quantity),
+      priceTiers: validatePriceTiers(req.body.priceTiers),
+      ...salesRules,
+      quantity: parseFloat(quantity),
       categoryId: parseInt(categoryId),
       sellerId: user.id,
       sellerPhone: user.phone,
-      location: JSON.stringify({ lat: user.lat || 0, lng: user.lng || 0 }),
+      lat: isKnownLocation({ lat: user.lat, lng: user.lng }) ? user.lat : null,
+      lng: isKnownLocation({ lat: user.lat, lng: user.lng }) ? user.lng : null,
+      attributes,
       images: images ? JSON.stringify(images) : null,
-      stock: parseInt(quantity)
+      stock: parseFloat(quantity)
     });
 
     // Return product with seller info
@@ -167,6 +217,9 @@ router.post('/', auth, validateProduct, async (req, res) => {
     });
 
   } catch (err) {
+    if (err instanceof ServiceError) {
+      return res.status(err.status).json({ message: err.message });
+    }
     console.error('Create product error:', err);
     res.status(500).json({ message: 'Internal server error' });
   }
@@ -206,11 +259,30 @@ router.put('/:id', auth, async (req, res) => {
       }
     }
 
+    if (req.body.priceTiers !== undefined) {
+      updates.priceTiers = validatePriceTiers(req.body.priceTiers);
+    }
+
+    // Price and stock of a product sold in variants follow its variants
+    if ((updates.price !== undefined || updates.quantity !== undefined || updates.priceTiers !== undefined) &&
+        await ProductVariant.count({ where: { productId: product.id } }) > 0) {
+      return res.status(400).json({ message: 'This product has variants: set prices, price tiers and stock on its variants' });
+    }
+
     // Update stock if quantity changed
     if (updates.quantity !== undefined) {
       updates.stock = updates.quantity;
     }
 
+    // Unit, pack sizes, minimum order and step
+    Object.assign(updates, validateSalesRules(req.body, product));
+
+    // Attribute values sent are merged into the current ones; null removes one
+    if (req.body.attributes !== undefined) {
+      const schema = await attributeSchemaFor([product.categoryId]);
+      updates.attributes = validateAttributes(schema, req.body.attributes, product.attributes);
+    }
+
     await product.update(updates);
 
     res.json({
@@ -219,6 +291,9 @@ router.put('/:id', auth, async (req, res) => {
     });
 
   } catch (err) {
+    if (err instanceof ServiceError) {
+      return res.status(err.status).json({ message: err.message });
+    }
     console.error('Update product error:', err);
     res.status(500).json({ message: 'Internal server error' });
   }
@@ -255,6 +330,89 @@ router.delete('/:id', auth, async (req, res) => {
   }
 });
 
+// The product a seller is changing the variants of; throws unless it is theirs
+const ownProduct = async (req) => {
+  const productId = parseInt(req.params.id);
+  if (isNaN(productId)) {
+    throw new ServiceError(400, 'Invalid product ID');
+  }
+
+  const product = await Product.findByPk(productId);
+  if (!product) {
+    throw new ServiceError(404, 'Product not found');
+  }
+  if (product.sellerId !== req.user.id) {
+    throw new ServiceError(403, 'Access denied');
+  }
+  return product;
+};
+
+const ownVariant = async (req) => {
+  const product = await ownProduct(req);
+  const variant = await ProductVariant.findOne({
+    where: { id: parseInt(req.params.variantId) || 0, productId: product.id }
+  });
+  if (!variant) {
+    throw new ServiceError(404, 'Variant not found');
+  }
+  return variant;
+};
+
+// Add a variant (seller only)
+router.post('/:id/variants', auth, async (req, res) => {
+  try {
+    const product = await ownProduct(req);
+    const variant = await createVariant(product, req.body);
+
+    res.status(201).json({
+      message: 'Variant created successfully',
+      variant
+    });
+
+  } catch (err) {
+    if (err instanceof ServiceError) {
+      return res.status(err.status).json({ message: err.message });
+    }
+    console.error('Create variant error:', err);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Update a variant (seller only)
+router.put('/:id/variants/:variantId', auth, async (req, res) => {
+  try {
+    const variant = await updateVariant(await ownVariant(req), req.body);
+
+    res.json({
+      message: 'Variant updated successfully',
+      variant
+    });
+
+  } catch (err) {
+    if (err instanceof ServiceError) {
+      return res.status(err.status).json({ message: err.message });
+    }
+    console.error('Update variant error:', err);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Delete a variant (seller only)
+router.delete('/:id/variants/:variantId', auth, async (req, res) => {
+  try {
+    await deleteVariant(await ownVariant(req));
+
+    res.json({ message: 'Variant deleted successfully' });
+
+  } catch (err) {
+    if (err instanceof ServiceError) {
+      return res.status(err.status).json({ message: err.message });
+    }
+    console.error('Delete variant error:', err);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
 // Get seller's products
 router.get('/seller/:sellerId', async (req, res) => {
   try {
@@ -268,7 +426,7 @@ router.get('/seller/:sellerId', async (req, res) => {
       include: [{
         model: User,
         as: 'seller',
-        attributes: ['name', 'phone']
+        attributes: ['name', 'phone', 'ratingAverage', 'ratingCount']
       }]
     });
 
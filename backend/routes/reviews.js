@@ -0,0 +1,176 @@
+const express = require('express');
+const auth = require('../middleware/auth');
+const { ServiceError } = require('../services/errors');
+const {
+  reviewJSON,
+  createReview,
+  findReview,
+  updateReview,
+  deleteReview,
+  replyToReview,
+  setReviewHidden,
+  listReviews
+} = require('../services/reviews');
+
+const router = express.Router();
+
+const paginated = async (req, res, { admin = false } = {}) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 20;
+
+  const { reviews, total } = await listReviews({ ...req.query, page, limit }, { admin });
+
+  res.json({
+    reviews: reviews.map(review => reviewJSON(review, { admin })),
+    pagination: {
+      total,
+      page,
+      pages: Math.ceil(total / limit),
+      limit
+    }
+  });
+};
+
+// Reviews of a product (productId) or of a seller's products (sellerId)
+router.get('/', async (req, res) => {
+  try {
+    await paginated(req, res);
+
+  } catch (err) {
+    if (err instanceof ServiceError) {
+      return res.status(err.status).json({ message: err.message });
+    }
+    console.error('Get reviews error:', err);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Every review, hidden ones included, for moderation (admin; status, productId, sellerId)
+router.get('/moderation', auth, async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ message: 'Admin access required' });
+    }
+
+    await paginated(req, res, { admin: true });
+
+  } catch (err) {
+    if (err instanceof ServiceError) {
+      return res.status(err.status).json({ message: err.message });
+    }
+    console.error('Get reviews for moderation error:', err);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Review a product received in a delivered order
+router.post('/', auth, async (req, res) => {
+  try {
+    const review = await createReview(req.user, req.body);
+
+    res.status(201).json({
+      message: 'Review created successfully',
+      review: reviewJSON(review)
+    });
+
+  } catch (err) {
+    if (err instanceof ServiceError) {
+      return res.status(err.status).json({ message: err.message });
+    }
+    console.error('Create review error:', err);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Change a review (its author)
+router.put('/:id', auth, async (req, res) => {
+  try {
+    const review = await findReview(req.params.id);
+    if (review.buyerId !== req.user.id) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    await updateReview(review, req.body);
+
+    res.json({
+      message: 'Review updated successfully',
+      review: reviewJSON(review)
+    });
+
+  } catch (err) {
+    if (err instanceof ServiceError) {
+      return res.status(err.status).json({ message: err.message });
+    }
+    console.error('Update review error:', err);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const review = await findReview(req.params.id);
+    if (review.buyerId !== req.user.id) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    await deleteReview(review);
+
+    res.json({ message: 'Review deleted successfully' });
+
+  } catch (err) {
+    if (err instanceof ServiceError) {
+      return res.status(err.status).json({ message: err.message });
+    }
+    console.error('Delete review error:', err);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Answer a review of one of your products (seller); an empty reply removes it
+router.put('/:id/reply', auth, async (req, res) => {
+  try {
+    const review = await findReview(req.params.id);
+    if (review.sellerId !== req.user.id) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    await replyToReview(review, req.body.reply);
+
+    res.json({
+      message: 'Reply saved',
+      review: reviewJSON(review)
+    });
+
+  } catch (err) {
+    if (err instanceof ServiceError) {
+      return res.status(err.status).json({ message: err.message });
+    }
+    console.error('Reply to review error:', err);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Hide an abusive review, or show it again (admin): { hidden, reason }
+router.put('/:id/visibility', auth, async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ message: 'Admin access required' });
+    }
+
+    const review = await setReviewHidden(await findReview(req.params.id), req.body, req.user);
+
+    res.json({
+      message: review.status === 'hidden' ? 'Review hidden' : 'Review shown',
+      review: reviewJSON(review, { admin: true })
+    });
+
+  } catch (err) {
+    if (err instanceof ServiceError) {
+      return res.status(err.status).json({ message: err.message });
+    }
+    console.error('Review visibility error:', err);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,39 @@
+const express = require('express');
+const { safeEqual } = require('../utils/crypto');
+const { handleUssd } = require('../services/ussd');
+const { text } = require('../services/ussd/texts');
+const { DEFAULT_LANGUAGE } = require('../services/notifications/templates');
+
+const router = express.Router();
+
+// USSD session callbacks from the gateway (form fields sessionId, serviceCode,
+// phoneNumber and text). Like SMS callbacks they cannot be signed, so the
+// callback URL carries USSD_CALLBACK_TOKEN as a `token` query parameter.
+// The gateway shows whatever we answer, so errors are answered in plain text.
+router.post('/', async (req, res) => {
+  res.type('text/plain');
+
+  const secret = process.env.USSD_CALLBACK_TOKEN;
+  if (!secret) {
+    return res.status(503).send('USSD is not configured');
+  }
+  if (!req.query.token || !safeEqual(req.query.token, secret)) {
+    return res.status(401).send('Invalid token');
+  }
+
+  const { sessionId, serviceCode, phoneNumber, text: typed } = req.body || {};
+  if (!sessionId || !phoneNumber) {
+    return res.status(400).send('sessionId and phoneNumber are required');
+  }
+
+  try {
+    const response = await handleUssd({ sessionId, serviceCode, phoneNumber, text: typed || '' });
+    res.send(response);
+
+  } catch (err) {
+    console.error('USSD callback error:', err);
+    res.send(`END ${text('error', DEFAULT_LANGUAGE)}`);
+  }
+});
+
+module.exports = router;
@@ -15,10 +15,16 @@ async function seedDatabase() {
 
     // Create categories
     const categories = await Category.bulkCreate([
-      { name: 'Agriculture', description: 'Fresh produce and crops' },
-      { name: 'Livestock', description: 'Meat, dairy, and animal products' },
-      { name: 'Services', description: 'Agricultural services and equipment' },
-      { name: 'Others', description: 'Miscellaneous agricultural products' }
+      { name: 'Agriculture', slug: 'agriculture', description: 'Fresh produce and crops', sortOrder: 1 },
+      { name: 'Livestock', slug: 'livestock', description: 'Meat, dairy, and animal products', sortOrder: 2 },
+      { name: 'Services', slug: 'services', description: 'Agricultural services and equipment', sortOrder: 3 },
+      { name: 'Others', slug: 'others', description: 'Miscellaneous agricultural products', sortOrder: 4 },
+      {
+        name: 'Vegetables',
+        slug: 'vegetables',
+        parentId: 1, // Agriculture
+        translations: JSON.stringify({ rw: { name: 'Imboga' }, fr: { name: 'Légumes' } })
+      }
     ], { ignoreDuplicates: true });
 
     console.log('✅ Categories created');
@@ -59,7 +65,7 @@ async function seedDatabase() {
         price: 1500,
         unit: 'kg',
         quantity: 50,
-        categoryId: 1, // Agriculture
+        categoryId: 5, // Vegetables, under Agriculture
         sellerId: 1, // John Farmer
         images: JSON.stringify(['/uploads/1763616966338-AN313-Tomatoes-732x549-Thumb-732x549.avif']),
         stock: 50
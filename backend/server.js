@@ -2,23 +2,38 @@ const express = require('express');
 require('./database'); // Initialize database
 const cors = require('cors');
 const dotenv = require('dotenv');
+const { startJobs } = require('./services/jobs');
+const { startRealtime } = require('./services/realtime');
 
 dotenv.config();
 
 const app = express();
 
 app.use(cors());
-app.use(express.json());
+app.use(express.json({
+  // Keep the raw body so payment webhooks can verify provider signatures
+  verify: (req, res, buf) => { req.rawBody = buf; }
+}));
+// SMS gateway delivery reports are form-encoded
+app.use(express.urlencoded({ extended: false }));
 
 // API Routes
 app.use('/api/auth', require('./routes/auth'));
 app.use('/api/products', require('./routes/products'));
+app.use('/api/reviews', require('./routes/reviews'));
+app.use('/api/price-lists', require('./routes/priceLists'));
+app.use('/api/delivery-zones', require('./routes/deliveryZones'));
 app.use('/api/categories', require('./routes/categories'));
 app.use('/api/orders', require('./routes/orders'));
+app.use('/api/disputes', require('./routes/disputes'));
 app.use('/api/payments', require('./routes/payments'));
 app.use('/api/uploads', require('./routes/uploads'));
 app.use('/api/admin', require('./routes/admin'));
 app.use('/api/messages', require('./routes/messages'));
+app.use('/api/earnings', require('./routes/earnings'));
+app.use('/api/events', require('./routes/events'));
+app.use('/api/notifications', require('./routes/notifications'));
+app.use('/api/ussd', require('./routes/ussd'));
 
 // Static files
 app.use('/uploads', express.static('uploads'));
@@ -31,9 +46,18 @@ app.get('/', (req, res) => {
     endpoints: {
       auth: '/api/auth',
       products: '/api/products',
+      reviews: '/api/reviews',
+      categories: '/api/categories',
+      priceLists: '/api/price-lists',
+      deliveryZones: '/api/delivery-zones',
       orders: '/api/orders',
+      disputes: '/api/disputes',
       messages: '/api/messages',
       payments: '/api/payments',
+      earnings: '/api/earnings',
+      events: '/api/events',
+      notifications: '/api/notifications',
+      ussd: '/api/ussd',
       admin: '/api/admin',
       uploads: '/api/uploads',
       health: '/api/health'
@@ -53,5 +77,7 @@ setTimeout(() => {
   app.listen(PORT, () => {
     console.log(`Server running on port ${PORT}`);
     console.log(`Health check: http://localhost:${PORT}/api/health`);
+    startJobs();
+    startRealtime();
   });
 }, 2000); // Give database time to sync
\ No newline at end of file
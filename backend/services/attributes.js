@@ -0,0 +1,213 @@
+const { Op } = require('sequelize');
+const { sequelize } = require('../database');
+const { ServiceError } = require('./errors');
+
+// Typed product attributes. A category's schema is a list of definitions:
+//   { key, type, label, required, options (enum), min, max (number, integer, date), unit }
+// Products store their values as a JSON object keyed by attribute key.
+const TYPES = ['text', 'number', 'integer', 'boolean', 'date', 'enum'];
+const RANGED_TYPES = ['number', 'integer', 'date'];
+const KEY_PATTERN = /^[a-z][a-zA-Z0-9_]{0,39}$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const MAX_ATTRIBUTES = 30;
+const MAX_TEXT_LENGTH = 200;
+const MAX_OPTIONS = 50;
+
+const isDate = (value) => DATE_PATTERN.test(value) && new Date(`${value}T00:00:00Z`).toISOString().startsWith(value);
+
+const optionalText = (value, what) => {
+  if (value === undefined || value === null || value === '') return undefined;
+  if (typeof value !== 'string') throw new ServiceError(400, `${what} must be text`);
+  return value.trim();
+};
+
+// Check an admin's attribute schema and return it cleaned up, or null when empty
+const validateAttributeSchema = (schema) => {
+  if (schema === null || (Array.isArray(schema) && schema.length === 0)) return null;
+  if (!Array.isArray(schema)) {
+    throw new ServiceError(400, 'Attribute schema must be a list of attributes');
+  }
+  if (schema.length > MAX_ATTRIBUTES) {
+    throw new ServiceError(400, `A category can have at most ${MAX_ATTRIBUTES} attributes`);
+  }
+
+  const keys = new Set();
+  return schema.map((definition) => {
+    if (!definition || typeof definition !== 'object') {
+      throw new ServiceError(400, 'Each attribute must be an object');
+    }
+
+    const { key, type } = definition;
+    if (typeof key !== 'string' || !KEY_PATTERN.test(key)) {
+      throw new ServiceError(400, 'Attribute keys must start with a lowercase letter and use only letters, digits and _');
+    }
+    if (keys.has(key)) {
+      throw new ServiceError(400, `Attribute ${key} is defined twice`);
+    }
+    keys.add(key);
+    if (!TYPES.includes(type)) {
+      throw new ServiceError(400, `Attribute ${key} must have a type among ${TYPES.join(', ')}`);
+    }
+
+    const clean = {
+      key,
+      type,
+      label: optionalText(definition.label, `Label of ${key}`) || key,
+      required: definition.required === true
+    };
+
+    const unit = optionalText(definition.unit, `Unit of ${key}`);
+    if (unit) clean.unit = unit;
+
+    if (type === 'enum') {
+      const options = definition.options;
+      if (!Array.isArray(options) || options.length === 0 || options.length > MAX_OPTIONS ||
+          options.some(option => typeof option !== 'string' || option.trim() === '')) {
+        throw new ServiceError(400, `Attribute ${key} needs a list of up to ${MAX_OPTIONS} options`);
+      }
+      clean.options = [...new Set(options.map(option => option.trim()))];
+    }
+
+    if (RANGED_TYPES.includes(type)) {
+      for (const bound of ['min', 'max']) {
+        const value = definition[bound];
+        if (value === undefined || value === null) continue;
+        const valid = type === 'date' ? isDate(value) : typeof value === 'number' && Number.isFinite(value);
+        if (!valid) {
+          throw new ServiceError(400, `${bound} of ${key} must be ${type === 'date' ? 'a YYYY-MM-DD date' : 'a number'}`);
+        }
+        clean[bound] = value;
+      }
+      if (clean.min !== undefined && clean.max !== undefined && clean.min > clean.max) {
+        throw new ServiceError(400, `min of ${key} cannot be above its max`);
+      }
+    }
+
+    return clean;
+  });
+};
+
+// Parse one value of a definition, or throw a 400 naming the attribute
+const parseValue = (definition, value) => {
+  const { type, label } = definition;
+  const fail = (expected) => {
+    throw new ServiceError(400, `${label} must be ${expected}`);
+  };
+
+  let parsed;
+  if (type === 'text') {
+    if (typeof value !== 'string' && typeof value !== 'number') fail('text');
+    parsed = String(value).trim();
+    if (parsed.length > MAX_TEXT_LENGTH) fail(`at most ${MAX_TEXT_LENGTH} characters`);
+  } else if (type === 'number' || type === 'integer') {
+    parsed = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+    if (typeof parsed !== 'number' || !Number.isFinite(parsed)) fail('a number');
+    if (type === 'integer' && !Number.isInteger(parsed)) fail('a whole number');
+  } else if (type === 'boolean') {
+    if (value === true || value === 'true') parsed = true;
+    else if (value === false || value === 'false') parsed = false;
+    else fail('true or false');
+  } else if (type === 'date') {
+    if (typeof value !== 'string' || !isDate(value)) fail('a YYYY-MM-DD date');
+    parsed = value;
+  } else if (type === 'enum') {
+    parsed = definition.options.find(option => option.toLowerCase() === String(value).trim().toLowerCase());
+    if (parsed === undefined) fail(`one of ${definition.options.join(', ')}`);
+  }
+
+  if (definition.min !== undefined && parsed < definition.min) fail(`at least ${definition.min}`);
+  if (definition.max !== undefined && parsed > definition.max) fail(`at most ${definition.max}`);
+  return parsed;
+};
+
+// Check product attribute values against a schema. changes are merged into
+// current, where null removes a value; values of attributes the schema no
+// longer has are dropped. Returns the values to store.
+const validateAttributes = (schema, changes, current = {}) => {
+  if (changes !== undefined && changes !== null && (typeof changes !== 'object' || Array.isArray(changes))) {
+    throw new ServiceError(400, 'Attributes must be an object keyed by attribute');
+  }
+
+  const definitions = new Map(schema.map(definition => [definition.key, definition]));
+  for (const key of Object.keys(changes || {})) {
+    if (!definitions.has(key)) {
+      throw new ServiceError(400, `Unknown attribute ${key} for this category`);
+    }
+  }
+
+  const merged = { ...current, ...changes };
+  const values = {};
+  for (const definition of schema) {
+    const value = merged[definition.key];
+    if (value === undefined || value === null || value === '') {
+      if (definition.required) {
+        throw new ServiceError(400, `${definition.label} is required`);
+      }
+      continue;
+    }
+    values[definition.key] = parseValue(definition, value);
+  }
+  return values;
+};
+
+// SQL for an attribute value of the product row. Keys match KEY_PATTERN, so
+// they are safe to inline.
+const valueSql = (definition) => {
+  if (sequelize.getDialect() === 'postgres') {
+    const text = `("Product"."attributes"::jsonb ->> '${definition.key}')`;
+    return ['number', 'integer'].includes(definition.type) ? `(${text})::numeric` : text;
+  }
+  return `json_extract("Product"."attributes", '$.${definition.key}')`;
+};
+
+// Conditions for attr.<key>=a,b (any of these values) and attr.<key>.min /
+// attr.<key>.max (a range, for numbers and dates) in a query string
+const attributeConditions = (schema, query) => {
+  const definitions = new Map(schema.map(definition => [definition.key, definition]));
+  const conditions = [];
+
+  for (const [param, raw] of Object.entries(query)) {
+    const match = /^attr\.([^.]+)(?:\.(min|max))?$/.exec(param);
+    if (!match) continue;
+
+    const [, key, bound] = match;
+    const definition = definitions.get(key);
+    if (!definition) {
+      throw new ServiceError(400, `Unknown attribute ${key} for this category`);
+    }
+
+    if (bound) {
+      if (!RANGED_TYPES.includes(definition.type)) {
+        throw new ServiceError(400, `${definition.label} cannot be filtered by range`);
+      }
+      const value = parseValue({ ...definition, min: undefined, max: undefined }, raw);
+      conditions.push(sequelize.where(sequelize.literal(valueSql(definition)), {
+        [bound === 'min' ? Op.gte : Op.lte]: value
+      }));
+      continue;
+    }
+
+    const values = String(raw).split(',').map(value => parseValue({ ...definition, min: undefined, max: undefined }, value));
+    if (definition.type === 'boolean') {
+      const stored = sequelize.getDialect() === 'postgres' ? String(values[0]) : (values[0] ? 1 : 0);
+      conditions.push(sequelize.where(sequelize.literal(valueSql(definition)), stored));
+    } else if (definition.type === 'text') {
+      conditions.push(sequelize.where(sequelize.fn('LOWER', sequelize.literal(valueSql(definition))), {
+        [Op.in]: values.map(value => value.toLowerCase())
+      }));
+    } else {
+      conditions.push(sequelize.where(sequelize.literal(valueSql(definition)), { [Op.in]: values }));
+    }
+  }
+
+  return conditions;
+};
+
+const hasAttributeFilters = (query) => Object.keys(query).some(param => param.startsWith('attr.'));
+
+module.exports = {
+  validateAttributeSchema,
+  validateAttributes,
+  attributeConditions,
+  hasAttributeFilters
+};
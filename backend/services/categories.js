@@ -0,0 +1,286 @@
+const { UniqueConstraintError } = require('sequelize');
+const { Category, Product } = require('../database');
+const { ServiceError } = require('./errors');
+const { LANGUAGES } = require('./notifications/templates');
+const { parseJSON } = require('./orders');
+const { validateAttributeSchema } = require('./attributes');
+
+const SLUG_PATTERN = /^[a-z0-9]+(-[a-z0-9]+)*$/;
+const MAX_SLUG_LENGTH = 80;
+const TRANSLATED_FIELDS = ['name', 'description'];
+
+// "Fruits & Légumes" -> "fruits-legumes"
+const slugify = (value) => String(value || '')
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, '-')
+  .replace(/^-+|-+$/g, '')
+  .slice(0, MAX_SLUG_LENGTH)
+  .replace(/-+$/, '');
+
+const parseTranslations = (value) => parseJSON(value, {}) || {};
+
+const parseAttributeSchema = (value) => parseJSON(value, []) || [];
+
+// Name and description in the given language, falling back to the stored ones
+const localize = (category, language) => {
+  const translation = parseTranslations(category.translations)[language] || {};
+  return {
+    name: translation.name || category.name,
+    description: translation.description || category.description || null
+  };
+};
+
+const categoryJSON = (category, language) => ({
+  id: category.id,
+  parentId: category.parentId,
+  slug: category.slug,
+  ...localize(category, language),
+  sortOrder: category.sortOrder,
+  translations: parseTranslations(category.translations),
+  attributeSchema: parseAttributeSchema(category.attributeSchema)
+});
+
+const byPosition = (a, b) => a.sortOrder - b.sortOrder || a.name.localeCompare(b.name);
+
+// Every category with its children in display order. The list is small, so
+// walking the tree in memory is simpler than recursive SQL on both databases.
+const loadCategories = async () => {
+  const categories = await Category.findAll();
+  const children = new Map();
+  for (const category of categories) {
+    const key = category.parentId || null;
+    if (!children.has(key)) children.set(key, []);
+    children.get(key).push(category);
+  }
+  for (const list of children.values()) list.sort(byPosition);
+  return { categories, children };
+};
+
+// The given category ids and those of all categories below them
+const withDescendants = async (ids) => {
+  const { children } = await loadCategories();
+  const found = new Set();
+  const pending = [...ids];
+  while (pending.length > 0) {
+    const id = pending.pop();
+    if (found.has(id)) continue;
+    found.add(id);
+    for (const child of children.get(id) || []) pending.push(child.id);
+  }
+  return [...found];
+};
+
+// The categories above one, top-level first
+const ancestorsOf = async (category) => {
+  const ancestors = [];
+  let parentId = category.parentId;
+  while (parentId && ancestors.length < 100) {
+    const parent = await Category.findByPk(parentId);
+    if (!parent) break;
+    ancestors.unshift(parent);
+    parentId = parent.parentId;
+  }
+  return ancestors;
+};
+
+// The attributes products of these categories take: each category's own and
+// those of its ancestors. A subcategory's definition replaces its parent's;
+// across several categories, the first to define a key wins.
+const attributeSchemaFor = async (categoryIds) => {
+  const { categories } = await loadCategories();
+  const byId = new Map(categories.map(category => [category.id, category]));
+  const definitions = new Map();
+
+  for (const categoryId of categoryIds) {
+    const lineage = [];
+    for (let category = byId.get(categoryId); category && lineage.length < 100; category = byId.get(category.parentId)) {
+      lineage.unshift(category);
+    }
+    const own = new Map();
+    for (const category of lineage) {
+      for (const definition of parseAttributeSchema(category.attributeSchema)) own.set(definition.key, definition);
+    }
+    for (const [key, definition] of own) {
+      if (!definitions.has(key)) definitions.set(key, definition);
+    }
+  }
+
+  return [...definitions.values()];
+};
+
+// Nested categories, each with its children, in display order
+const categoryTree = async (language) => {
+  const { children } = await loadCategories();
+  const build = (parentId) => (children.get(parentId) || []).map(category => ({
+    ...categoryJSON(category, language),
+    children: build(category.id)
+  }));
+  return build(null);
+};
+
+// A category by id or slug
+const findCategory = (idOrSlug) => /^\d+$/.test(String(idOrSlug))
+  ? Category.findByPk(parseInt(idOrSlug))
+  : Category.findOne({ where: { slug: String(idOrSlug) } });
+
+const validateTranslations = (translations) => {
+  if (translations === null) return null;
+  if (typeof translations !== 'object' || Array.isArray(translations)) {
+    throw new ServiceError(400, 'Translations must be an object keyed by language');
+  }
+
+  const clean = {};
+  for (const [language, fields] of Object.entries(translations)) {
+    if (!LANGUAGES.includes(language)) {
+      throw new ServiceError(400, `Translations must be in ${LANGUAGES.join(', ')}`);
+    }
+    if (!fields || typeof fields !== 'object' || Object.keys(fields).some(field => !TRANSLATED_FIELDS.includes(field))) {
+      throw new ServiceError(400, `A translation can only have ${TRANSLATED_FIELDS.join(' and ')}`);
+    }
+    const entry = {};
+    for (const field of TRANSLATED_FIELDS) {
+      if (fields[field] === undefined || fields[field] === null || fields[field] === '') continue;
+      if (typeof fields[field] !== 'string') {
+        throw new ServiceError(400, `Translated ${field} must be text`);
+      }
+      entry[field] = fields[field].trim();
+    }
+    if (Object.keys(entry).length > 0) clean[language] = entry;
+  }
+  return Object.keys(clean).length > 0 ? JSON.stringify(clean) : null;
+};
+
+// A parent must exist and must not be the category itself or one of its descendants
+const validateParent = async (parentId, category) => {
+  if (parentId === null) return null;
+
+  const id = Number(parentId);
+  if (!Number.isInteger(id) || id <= 0) {
+    throw new ServiceError(400, 'Parent must be a category id or null');
+  }
+  if (!(await Category.findByPk(id))) {
+    throw new ServiceError(400, 'Parent category not found');
+  }
+  if (category && (await withDescendants([category.id])).includes(id)) {
+    throw new ServiceError(400, 'A category cannot be moved under itself or one of its subcategories');
+  }
+  return id;
+};
+
+// A slug not used by another category, adding -2, -3... to the base when needed
+const uniqueSlug = async (base, exceptId) => {
+  const root = base || 'category';
+  for (let n = 1; ; n++) {
+    const slug = n === 1 ? root : `${root}-${n}`;
+    const taken = await Category.findOne({ where: { slug }, attributes: ['id'] });
+    if (!taken || taken.id === exceptId) return slug;
+  }
+};
+
+// Check the fields an admin sent and turn them into column values. Only the
+// fields present are returned, so the same code serves create and update.
+const categoryValues = async (input, category = null) => {
+  const values = {};
+
+  if (input.name !== undefined || !category) {
+    const name = typeof input.name === 'string' ? input.name.trim() : '';
+    if (name.length < 2) {
+      throw new ServiceError(400, 'Category name must be at least 2 characters');
+    }
+    values.name = name;
+  }
+
+  if (input.description !== undefined) {
+    if (input.description !== null && typeof input.description !== 'string') {
+      throw new ServiceError(400, 'Description must be text');
+    }
+    values.description = input.description ? input.description.trim() : null;
+  }
+
+  if (input.slug !== undefined && input.slug !== null && input.slug !== '') {
+    const slug = String(input.slug).trim().toLowerCase();
+    if (!SLUG_PATTERN.test(slug) || slug.length > MAX_SLUG_LENGTH || /^\d+$/.test(slug)) {
+      throw new ServiceError(400, 'Slug must be lowercase letters, digits and dashes, and not only digits');
+    }
+    if ((await uniqueSlug(slug, category?.id)) !== slug) {
+      throw new ServiceError(409, 'Slug is already used by another category');
+    }
+    values.slug = slug;
+  } else if (!category) {
+    values.slug = await uniqueSlug(slugify(values.name).replace(/^\d+$/, 'category-$&'));
+  }
+
+  if (input.parentId !== undefined) {
+    values.parentId = await validateParent(input.parentId, category);
+  }
+
+  if (input.translations !== undefined) {
+    values.translations = validateTranslations(input.translations);
+  }
+
+  if (input.attributeSchema !== undefined) {
+    const schema = validateAttributeSchema(input.attributeSchema);
+    values.attributeSchema = schema ? JSON.stringify(schema) : null;
+  }
+
+  if (input.sortOrder !== undefined) {
+    const sortOrder = Number(input.sortOrder);
+    if (!Number.isInteger(sortOrder)) {
+      throw new ServiceError(400, 'Sort order must be a whole number');
+    }
+    values.sortOrder = sortOrder;
+  }
+
+  return values;
+};
+
+const saveCategory = async (save) => {
+  try {
+    return await save();
+  } catch (err) {
+    if (err instanceof UniqueConstraintError) {
+      throw new ServiceError(409, 'A category with this name or slug already exists');
+    }
+    throw err;
+  }
+};
+
+const createCategory = async (input) => {
+  const values = await categoryValues(input);
+  return saveCategory(() => Category.create(values));
+};
+
+const updateCategory = async (category, input) => {
+  const values = await categoryValues(input, category);
+  return saveCategory(() => category.update(values));
+};
+
+// Only empty categories can go, so no product or subcategory is left without one
+const deleteCategory = async (category) => {
+  if (await Category.count({ where: { parentId: category.id } }) > 0) {
+    throw new ServiceError(409, 'Move or delete the subcategories first');
+  }
+  if (await Product.count({ where: { categoryId: category.id } }) > 0) {
+    throw new ServiceError(409, 'Move or delete the products in this category first');
+  }
+  await category.destroy();
+};
+
+module.exports = {
+  slugify,
+  localize,
+  categoryJSON,
+  parseTranslations,
+  parseAttributeSchema,
+  attributeSchemaFor,
+  loadCategories,
+  withDescendants,
+  ancestorsOf,
+  categoryTree,
+  findCategory,
+  createCategory,
+  updateCategory,
+  deleteCategory
+};
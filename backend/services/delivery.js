@@ -0,0 +1,197 @@
+const { DeliveryZone } = require('../database');
+const { ServiceError } = require('./errors');
+const { distanceKm, isKnownLocation } = require('../utils/geo');
+
+// How a buyer gets an order: delivered to an address, or picked up at the farm (free)
+const DELIVERY_METHODS = ['delivery', 'pickup'];
+const MAX_AREAS = 50;
+const MAX_TEXT_LENGTH = 200;
+
+// District and sector names compare without case, accents or punctuation
+const areaKey = (name) => String(name || '')
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, '');
+
+const optionalText = (value, field) => {
+  if (value === undefined || value === null || value === '') return null;
+  if (typeof value !== 'string' || value.length > MAX_TEXT_LENGTH) {
+    throw new ServiceError(400, `${field} must be text of at most ${MAX_TEXT_LENGTH} characters`);
+  }
+  return value.trim() || null;
+};
+
+const validateLocation = (lat, lng) => {
+  if ((lat === undefined || lat === null) && (lng === undefined || lng === null)) return null;
+  const point = { lat: Number(lat), lng: Number(lng) };
+  if (!isKnownLocation(point) || Math.abs(point.lat) > 90 || Math.abs(point.lng) > 180) {
+    throw new ServiceError(400, 'Delivery location must be a valid lat and lng');
+  }
+  return point;
+};
+
+// Check what the buyer chose at checkout: { method, address }. Orders without a
+// choice are picked up.
+const parseDelivery = (input) => {
+  if (input === undefined || input === null) return { method: 'pickup', address: null };
+  if (typeof input !== 'object' || Array.isArray(input)) {
+    throw new ServiceError(400, 'Delivery must be an object');
+  }
+
+  const method = input.method || 'pickup';
+  if (!DELIVERY_METHODS.includes(method)) {
+    throw new ServiceError(400, `Delivery method must be one of ${DELIVERY_METHODS.join(', ')}`);
+  }
+  if (method === 'pickup') return { method, address: null };
+
+  const address = input.address || {};
+  const location = validateLocation(address.lat, address.lng);
+  const value = {
+    district: optionalText(address.district, 'District'),
+    sector: optionalText(address.sector, 'Sector'),
+    details: optionalText(address.details, 'Address details'),
+    ...(location || {})
+  };
+  if (!value.district && !location) {
+    throw new ServiceError(400, 'Delivery address needs a district or a location');
+  }
+  return { method, address: value };
+};
+
+const nonNegative = (value, field) => {
+  const number = Number(value);
+  if (value === null || value === '' || !Number.isFinite(number) || number < 0) {
+    throw new ServiceError(400, `${field} must be zero or more`);
+  }
+  return number;
+};
+
+const areaList = (value, field) => {
+  if (value === null || value === undefined) return [];
+  if (!Array.isArray(value) || value.length > MAX_AREAS || value.some(name => typeof name !== 'string' || !areaKey(name))) {
+    throw new ServiceError(400, `${field} must be a list of at most ${MAX_AREAS} names`);
+  }
+  return [...new Set(value.map(name => name.trim()))];
+};
+
+// Check the fields sent for a zone and turn them into column values. Only the
+// fields present are returned, so the same code serves create and update.
+const zoneValues = (input, zone = null) => {
+  const values = {};
+
+  if (input.name !== undefined || !zone) {
+    const name = typeof input.name === 'string' ? input.name.trim() : '';
+    if (name.length < 2) {
+      throw new ServiceError(400, 'Zone name must be at least 2 characters');
+    }
+    values.name = name;
+  }
+
+  if (input.districts !== undefined) values.districts = areaList(input.districts, 'Districts');
+  if (input.sectors !== undefined) values.sectors = areaList(input.sectors, 'Sectors');
+  if (input.radiusKm !== undefined) {
+    values.radiusKm = input.radiusKm === null ? null : nonNegative(input.radiusKm, 'radiusKm') || null;
+  }
+
+  for (const field of ['baseFee', 'feePerKg', 'feePerKm']) {
+    if (input[field] !== undefined) values[field] = nonNegative(input[field], field);
+  }
+  if (input.maxWeightKg !== undefined) {
+    values.maxWeightKg = input.maxWeightKg === null ? null : nonNegative(input.maxWeightKg, 'maxWeightKg') || null;
+  }
+
+  if (input.active !== undefined) {
+    if (typeof input.active !== 'boolean') {
+      throw new ServiceError(400, 'active must be true or false');
+    }
+    values.active = input.active;
+  }
+
+  // A zone is an area or a radius, not both
+  const merged = { districts: [], sectors: [], radiusKm: null, ...(zone ? zone.get() : {}), ...values };
+  const isArea = merged.districts.length > 0 || merged.sectors.length > 0;
+  if (isArea === !!merged.radiusKm) {
+    throw new ServiceError(400, 'A zone needs districts and/or sectors, or a radiusKm, but not both');
+  }
+
+  return values;
+};
+
+// Zones a user manages: a seller's own, or the platform's for admins
+const managedZones = (user) => DeliveryZone.findAll({
+  where: { sellerId: user.role === 'admin' ? null : user.id },
+  order: [['name', 'ASC'], ['id', 'ASC']]
+});
+
+const findManagedZone = async (user, id) => {
+  const zone = await DeliveryZone.findOne({
+    where: { id: parseInt(id) || 0, sellerId: user.role === 'admin' ? null : user.id }
+  });
+  if (!zone) {
+    throw new ServiceError(404, 'Delivery zone not found');
+  }
+  return zone;
+};
+
+const createZone = (user, input) =>
+  DeliveryZone.create({ ...zoneValues(input), sellerId: user.role === 'admin' ? null : user.id });
+
+const updateZone = (zone, input) => zone.update(zoneValues(input, zone));
+
+// Seller orders delivered in the zone keep their fee
+const deleteZone = (zone) => zone.destroy();
+
+// Zones a seller's orders are delivered in: their own, or the platform's when they have none
+const deliveryZonesFor = async (sellerId, transaction) => {
+  const own = await DeliveryZone.findAll({ where: { sellerId, active: true }, transaction });
+  return own.length > 0 ? own : DeliveryZone.findAll({ where: { sellerId: null, active: true }, transaction });
+};
+
+const inArea = (zone, address) => {
+  const matches = (names, value) =>
+    names.length === 0 || (!!value && names.some(name => areaKey(name) === areaKey(value)));
+  return matches(zone.districts, address.district) && matches(zone.sectors, address.sector);
+};
+
+// Delivery fee of one seller's part of an order weighing weightKg:
+// { fee, zoneId, distanceKm }. Picked up orders are free. The cheapest zone
+// covering the address applies; throws when none does.
+const quoteDelivery = ({ seller, weightKg, delivery, zones }) => {
+  if (delivery.method === 'pickup') return { fee: 0, zoneId: null, distanceKm: null };
+
+  const { address } = delivery;
+  const origin = { lat: seller.lat, lng: seller.lng };
+  const distance = isKnownLocation(origin) && isKnownLocation(address)
+    ? Math.round(distanceKm(origin, address) * 10) / 10
+    : null;
+
+  let best = null;
+  for (const zone of zones) {
+    const covered = zone.radiusKm ? distance !== null && distance <= zone.radiusKm : inArea(zone, address);
+    if (!covered) continue;
+    if (zone.maxWeightKg && weightKg > zone.maxWeightKg) continue;
+    // Fees by distance need both ends located
+    if (zone.feePerKm > 0 && distance === null) continue;
+
+    const fee = Math.round(zone.baseFee + zone.feePerKg * weightKg + zone.feePerKm * (distance || 0));
+    if (!best || fee < best.fee) best = { fee, zoneId: zone.id, distanceKm: distance };
+  }
+
+  if (!best) {
+    throw new ServiceError(400, `${seller.name} does not deliver to this address; choose pickup or another address`);
+  }
+  return best;
+};
+
+module.exports = {
+  DELIVERY_METHODS,
+  parseDelivery,
+  managedZones,
+  findManagedZone,
+  createZone,
+  updateZone,
+  deleteZone,
+  deliveryZonesFor,
+  quoteDelivery
+};
@@ -0,0 +1,395 @@
+const { Op } = require('sequelize');
+const { sequelize, Dispute, Order, SellerOrder, OrderItem, OrderStatusHistory, Shipment, Message, Refund, User } = require('../database');
+const { ServiceError } = require('./errors');
+const { notify } = require('./notifications');
+const { sendMessage } = require('./messages');
+const { freezeEscrow, unfreezeEscrow } = require('./escrow');
+const { findRefundablePayment, createRefund } = require('./payments/refunds');
+const { isUploadedFile } = require('../utils/uploads');
+
+// A dispute moves through:
+//   open                 the seller has DISPUTE_RESPONSE_HOURS to answer in the thread
+//   under_review         an admin has DISPUTE_REVIEW_HOURS to rule
+//   replacement_pending  the seller has DISPUTE_REPLACEMENT_HOURS to replace the produce
+//   resolving            an admin ruled a refund, which is being requested
+//   resolved / withdrawn
+// A seller or replacement running late sends the dispute to admin review.
+const REASONS = Dispute.rawAttributes.reason.values;
+const OUTCOMES = Dispute.rawAttributes.outcome.values;
+const ACTIVE_STATUSES = ['open', 'under_review', 'replacement_pending'];
+
+const WINDOW_HOURS = parseFloat(process.env.DISPUTE_WINDOW_HOURS) || 72;
+const RESPONSE_HOURS = parseFloat(process.env.DISPUTE_RESPONSE_HOURS) || 48;
+const REVIEW_HOURS = parseFloat(process.env.DISPUTE_REVIEW_HOURS) || 72;
+const REPLACEMENT_HOURS = parseFloat(process.env.DISPUTE_REPLACEMENT_HOURS) || 72;
+
+const MAX_EVIDENCE = 5;
+const MAX_TEXT_LENGTH = 2000;
+
+// Allow for float rounding when comparing quantities
+const EPSILON = 0.0001;
+
+const hoursFromNow = (hours) => new Date(Date.now() + hours * 60 * 60 * 1000);
+
+const optionalText = (value, field) => {
+  if (value === undefined || value === null || value === '') return null;
+  if (typeof value !== 'string' || value.length > MAX_TEXT_LENGTH) {
+    throw new ServiceError(400, `${field} must be text of at most ${MAX_TEXT_LENGTH} characters`);
+  }
+  return value.trim() || null;
+};
+
+// Photos backing a claim must be images uploaded through /api/uploads
+const evidenceList = (value) => {
+  if (value === undefined || value === null) return [];
+  if (!Array.isArray(value) || value.length > MAX_EVIDENCE) {
+    throw new ServiceError(400, `Evidence must be a list of at most ${MAX_EVIDENCE} photo urls`);
+  }
+  if (value.some(url => !isUploadedFile(url))) {
+    throw new ServiceError(400, 'Evidence photos must be urls of images uploaded through /api/uploads');
+  }
+  return [...new Set(value)];
+};
+
+// When a seller order was delivered: its shipment's deliveredAt, or the status
+// change for seller orders shipped before shipments were tracked
+const deliveredAt = async (sellerOrder) => {
+  const shipment = await Shipment.findOne({ where: { sellerOrderId: sellerOrder.id }, attributes: ['deliveredAt'] });
+  if (shipment?.deliveredAt) return shipment.deliveredAt;
+
+  const change = await OrderStatusHistory.findOne({
+    where: { sellerOrderId: sellerOrder.id, toStatus: 'delivered' },
+    order: [['createdAt', 'DESC']]
+  });
+  return change ? change.createdAt : sellerOrder.updatedAt;
+};
+
+const disputeIncludes = () => [
+  { model: OrderItem, as: 'orderItem', attributes: ['id', 'productName', 'variantName', 'unit', 'quantity', 'price', 'subtotal'] },
+  { model: User, as: 'buyer', attributes: ['id', 'name'] },
+  { model: User, as: 'seller', attributes: ['id', 'name'] },
+  { model: Refund, as: 'refund', attributes: ['id', 'amount', 'status'] }
+];
+
+const disputeJSON = (dispute) => ({
+  ...dispute.toJSON(),
+  overdue: ACTIVE_STATUSES.includes(dispute.status) && !!dispute.dueAt && dispute.dueAt <= new Date()
+});
+
+// Tell the buyer and the seller how the dispute went
+const notifyParties = async (dispute, event, params = {}) => {
+  for (const userId of [dispute.buyerId, dispute.sellerId]) {
+    await notify({ userId }, event, { orderId: dispute.orderId, ...params }, { orderId: dispute.orderId });
+  }
+};
+
+// The buyer opens a claim against a delivered order line: { orderItemId, reason,
+// description, quantity (default the whole line), evidence }. Freezes the escrow.
+const openDispute = async (user, input) => {
+  const orderItem = await OrderItem.findByPk(parseInt(input.orderItemId) || 0, {
+    include: [
+      { model: Order, as: 'order', attributes: ['id', 'buyerId'] },
+      { model: SellerOrder, as: 'sellerOrder' }
+    ]
+  });
+  if (!orderItem || !orderItem.sellerOrder || orderItem.order.buyerId !== user.id) {
+    throw new ServiceError(404, 'Order line not found');
+  }
+
+  if (!REASONS.includes(input.reason)) {
+    throw new ServiceError(400, `Reason must be one of ${REASONS.join(', ')}`);
+  }
+  const description = optionalText(input.description, 'Description');
+  if (input.reason === 'other' && !description) {
+    throw new ServiceError(400, 'Describe the problem');
+  }
+
+  const quantity = input.quantity === undefined || input.quantity === null ? orderItem.quantity : Number(input.quantity);
+  if (!(quantity > 0) || quantity > orderItem.quantity + EPSILON) {
+    throw new ServiceError(400, `Quantity must be more than 0 and at most ${orderItem.quantity}`);
+  }
+  const evidence = evidenceList(input.evidence);
+
+  const { sellerOrder } = orderItem;
+  if (sellerOrder.status !== 'delivered') {
+    throw new ServiceError(400, 'Only delivered orders can be disputed');
+  }
+  if (Date.now() - (await deliveredAt(sellerOrder)).getTime() > WINDOW_HOURS * 60 * 60 * 1000) {
+    throw new ServiceError(400, `Disputes must be opened within ${WINDOW_HOURS} hours of delivery`);
+  }
+
+  const dispute = await sequelize.transaction(async (transaction) => {
+    const active = await Dispute.count({ where: { orderItemId: orderItem.id, status: ACTIVE_STATUSES }, transaction });
+    if (active > 0) {
+      throw new ServiceError(409, 'This order line already has an open dispute');
+    }
+
+    const created = await Dispute.create({
+      orderId: orderItem.orderId,
+      sellerOrderId: sellerOrder.id,
+      orderItemId: orderItem.id,
+      buyerId: user.id,
+      sellerId: sellerOrder.sellerId,
+      reason: input.reason,
+      description,
+      quantity,
+      evidence,
+      status: 'open',
+      dueAt: hoursFromNow(RESPONSE_HOURS)
+    }, { transaction });
+
+    await freezeEscrow(sellerOrder.id, transaction);
+    return created;
+  });
+
+  await notify({ userId: dispute.sellerId }, 'dispute_opened', { orderId: dispute.orderId, hours: RESPONSE_HOURS }, { orderId: dispute.orderId });
+  return dispute.reload({ include: disputeIncludes() });
+};
+
+// A dispute the user is a party to (or any, for admins)
+const findDispute = async (id, user) => {
+  const dispute = await Dispute.findByPk(parseInt(id) || 0, { include: disputeIncludes() });
+  if (!dispute) {
+    throw new ServiceError(404, 'Dispute not found');
+  }
+  if (user.role !== 'admin' && dispute.buyerId !== user.id && dispute.sellerId !== user.id) {
+    throw new ServiceError(403, 'Access denied');
+  }
+  return dispute;
+};
+
+// Disputes the user opened or is answering, or all of them for admins.
+// overdue keeps those waiting past their deadline.
+const listDisputes = async (user, { status, overdue, page = 1, limit = 20 } = {}) => {
+  const where = user.role === 'admin' ? {} : { [Op.or]: [{ buyerId: user.id }, { sellerId: user.id }] };
+
+  if (status) {
+    const statuses = String(status).split(',');
+    if (statuses.some(value => !Dispute.rawAttributes.status.values.includes(value))) {
+      throw new ServiceError(400, 'Invalid dispute status');
+    }
+    where.status = statuses;
+  }
+  if (overdue === true || overdue === 'true') {
+    where.status = (where.status || ACTIVE_STATUSES).filter(value => ACTIVE_STATUSES.includes(value));
+    where.dueAt = { [Op.lte]: new Date() };
+  }
+
+  const { count, rows } = await Dispute.findAndCountAll({
+    where,
+    include: disputeIncludes(),
+    order: [['createdAt', 'DESC'], ['id', 'DESC']],
+    limit,
+    offset: (page - 1) * limit,
+    distinct: true
+  });
+
+  return { disputes: rows, total: count };
+};
+
+const disputeMessages = (dispute) => Message.findAll({
+  where: { disputeId: dispute.id },
+  include: [{ model: User, as: 'sender', attributes: ['id', 'name'] }],
+  order: [['createdAt', 'ASC'], ['id', 'ASC']]
+});
+
+const assertActive = (dispute) => {
+  if (!ACTIVE_STATUSES.includes(dispute.status)) {
+    throw new ServiceError(400, `Dispute already ${dispute.status}`);
+  }
+};
+
+// Post in the dispute's thread. The buyer and seller write to each other; admins
+// say who they write `to` (buyer or seller). The seller's first answer sends the
+// dispute to admin review.
+const postDisputeMessage = async (dispute, user, { content, to }) => {
+  assertActive(dispute);
+
+  const text = optionalText(content, 'Message');
+  if (!text) {
+    throw new ServiceError(400, 'Message is required');
+  }
+
+  let receiverId;
+  if (user.id === dispute.buyerId) {
+    receiverId = dispute.sellerId;
+  } else if (user.id === dispute.sellerId) {
+    receiverId = dispute.buyerId;
+  } else if (to === 'buyer' || to === 'seller') {
+    receiverId = to === 'buyer' ? dispute.buyerId : dispute.sellerId;
+  } else {
+    throw new ServiceError(400, 'Say who the message is for: to must be buyer or seller');
+  }
+
+  if (user.id === dispute.sellerId && !dispute.sellerRespondedAt) {
+    const values = { sellerRespondedAt: new Date() };
+    if (dispute.status === 'open') {
+      Object.assign(values, { status: 'under_review', dueAt: hoursFromNow(REVIEW_HOURS) });
+    }
+    await Dispute.update(values, { where: { id: dispute.id, status: dispute.status } });
+  }
+
+  return sendMessage({
+    senderId: user.id,
+    receiverId,
+    orderId: dispute.orderId,
+    disputeId: dispute.id,
+    content: text
+  });
+};
+
+// Close an active dispute. Only a dispute still in the status it was read in
+// moves, so two admins cannot both rule. The escrow thaws with the last
+// active dispute of its seller order.
+const closeDispute = async (dispute, values) => sequelize.transaction(async (transaction) => {
+  const [updated] = await Dispute.update({ ...values, dueAt: null, resolvedAt: new Date() }, {
+    where: { id: dispute.id, status: dispute.status },
+    transaction
+  });
+  if (updated === 0) {
+    throw new ServiceError(409, 'Dispute changed meanwhile; try again');
+  }
+
+  const active = await Dispute.count({ where: { sellerOrderId: dispute.sellerOrderId, status: ACTIVE_STATUSES }, transaction });
+  if (active === 0) {
+    await unfreezeEscrow(dispute.sellerOrderId, transaction);
+  }
+});
+
+// The buyer drops their claim
+const withdrawDispute = async (dispute) => {
+  assertActive(dispute);
+  await closeDispute(dispute, { status: 'withdrawn' });
+  await notify({ userId: dispute.sellerId }, 'dispute_withdrawn', { orderId: dispute.orderId }, { orderId: dispute.orderId });
+};
+
+// Quantity of the disputed line a refund outcome pays back: the whole claim for
+// full_refund, or the `quantity` or `amount` (RWF) given for partial_refund
+const refundQuantity = (dispute, outcome, { quantity, amount }) => {
+  if (outcome === 'full_refund') return dispute.quantity;
+
+  let value;
+  if (quantity !== undefined && quantity !== null) {
+    value = Number(quantity);
+  } else if (amount !== undefined && amount !== null) {
+    value = Number(amount) / dispute.orderItem.price;
+  } else {
+    throw new ServiceError(400, 'A partial refund needs a quantity or an amount');
+  }
+  if (!(value > 0) || value > dispute.quantity + EPSILON) {
+    throw new ServiceError(400, `A partial refund must be for more than 0 and at most ${dispute.quantity} ${dispute.orderItem.unit || ''}`.trim());
+  }
+  return value;
+};
+
+// Admin ruling: full_refund, partial_refund (quantity or amount), replacement or
+// rejected, with an optional note. Refunds come out of the escrow while it is
+// held, or the seller's balance once released.
+const resolveDispute = async (dispute, { outcome, quantity, amount, note }, user) => {
+  assertActive(dispute);
+  if (!OUTCOMES.includes(outcome)) {
+    throw new ServiceError(400, `Outcome must be one of ${OUTCOMES.join(', ')}`);
+  }
+  const resolutionNote = optionalText(note, 'Note');
+  const ruling = { outcome, resolutionNote, resolvedBy: user.id };
+
+  if (outcome === 'replacement') {
+    if (dispute.status === 'replacement_pending') {
+      throw new ServiceError(400, 'A replacement is already pending');
+    }
+    const [updated] = await Dispute.update({ ...ruling, status: 'replacement_pending', dueAt: hoursFromNow(REPLACEMENT_HOURS) }, {
+      where: { id: dispute.id, status: dispute.status }
+    });
+    if (updated === 0) {
+      throw new ServiceError(409, 'Dispute changed meanwhile; try again');
+    }
+    await notifyParties(dispute, 'dispute_replacement', { hours: REPLACEMENT_HOURS });
+    return dispute.reload();
+  }
+
+  if (outcome === 'rejected') {
+    await closeDispute(dispute, { ...ruling, status: 'resolved' });
+    await notifyParties(dispute, 'dispute_rejected');
+    return dispute.reload();
+  }
+
+  const refundable = refundQuantity(dispute, outcome, { quantity, amount });
+  const payment = await findRefundablePayment(dispute.orderId);
+  if (!payment) {
+    throw new ServiceError(400, 'This order has no payment to refund');
+  }
+
+  // Claim the dispute before refunding, so two admins ruling at once cannot both
+  // refund. The escrow stays frozen until it is resolved.
+  const from = dispute.status;
+  const [claimed] = await Dispute.update({ status: 'resolving' }, { where: { id: dispute.id, status: from } });
+  if (claimed === 0) {
+    throw new ServiceError(409, 'Dispute changed meanwhile; try again');
+  }
+  dispute.status = 'resolving';
+
+  let refund;
+  try {
+    refund = await createRefund({
+      payment,
+      items: [{ orderItemId: dispute.orderItemId, quantity: refundable }],
+      reason: `Dispute #${dispute.id} (${dispute.reason})${resolutionNote ? `: ${resolutionNote}` : ''}`,
+      requestedBy: user.id
+    });
+  } catch (err) {
+    // Hand the dispute back so an admin can rule again
+    await Dispute.update({ status: from }, { where: { id: dispute.id, status: 'resolving' } });
+    dispute.status = from;
+    throw err;
+  }
+
+  await closeDispute(dispute, { ...ruling, status: 'resolved', refundId: refund.id });
+  await notifyParties(dispute, 'dispute_refunded', { amount: refund.amount });
+  return dispute.reload();
+};
+
+// The buyer received the replacement
+const confirmReplacement = async (dispute) => {
+  if (dispute.status !== 'replacement_pending') {
+    throw new ServiceError(400, 'No replacement is pending for this dispute');
+  }
+  await closeDispute(dispute, { status: 'resolved' });
+  await notify({ userId: dispute.sellerId }, 'dispute_replacement_received', { orderId: dispute.orderId }, { orderId: dispute.orderId });
+  return dispute.reload();
+};
+
+// Background job: disputes the seller did not answer, or whose replacement did
+// not come, in time go to admin review
+const escalateOverdueDisputes = async () => {
+  const overdue = await Dispute.findAll({
+    where: { status: ['open', 'replacement_pending'], dueAt: { [Op.lte]: new Date() } },
+    order: [['dueAt', 'ASC']],
+    limit: 50
+  });
+
+  for (const dispute of overdue) {
+    try {
+      await Dispute.update({ status: 'under_review', escalatedAt: new Date(), dueAt: hoursFromNow(REVIEW_HOURS) }, {
+        where: { id: dispute.id, status: dispute.status }
+      });
+    } catch (err) {
+      console.error(`Escalating dispute ${dispute.id} failed:`, err);
+    }
+  }
+};
+
+module.exports = {
+  REASONS,
+  OUTCOMES,
+  ACTIVE_STATUSES,
+  disputeJSON,
+  openDispute,
+  findDispute,
+  listDisputes,
+  disputeMessages,
+  postDisputeMessage,
+  withdrawDispute,
+  resolveDispute,
+  confirmReplacement,
+  escalateOverdueDisputes
+};
@@ -0,0 +1,10 @@
+// Error thrown by services so routes can map it straight to an HTTP response
+class ServiceError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'ServiceError';
+    this.status = status;
+  }
+}
+
+module.exports = { ServiceError };
@@ -0,0 +1,219 @@
+const { Op } = require('sequelize');
+const { sequelize, Order, SellerOrder, LedgerEntry, User } = require('../database');
+const { ServiceError } = require('./errors');
+const { postEscrowRelease } = require('./ledger');
+const { refundSellerOrder } = require('./payments/refunds');
+const { notify } = require('./notifications');
+
+// A paid seller order's money goes into escrow with its sale (services/ledger.js) and stays until:
+//   the buyer confirms receipt                    released to the seller
+//   ESCROW_AUTO_RELEASE_HOURS pass after delivery  released to the seller
+//   an admin forces it                             released or refunded
+//   the seller order is cancelled                  refunded
+// While frozen by a dispute, only an admin can move it.
+const AUTO_RELEASE_HOURS = parseFloat(process.env.ESCROW_AUTO_RELEASE_HOURS) || 72;
+const OPEN_STATUSES = ['held', 'frozen'];
+
+const autoReleaseAt = () => new Date(Date.now() + AUTO_RELEASE_HOURS * 60 * 60 * 1000);
+
+// Delivery starts the countdown to the automatic release
+const startReleaseTimer = (sellerOrder, transaction) => SellerOrder.update({ escrowReleaseAt: autoReleaseAt() }, {
+  where: { id: sellerOrder.id, escrowStatus: OPEN_STATUSES },
+  transaction
+});
+
+// A cancelled seller order's escrow goes back to the buyer with its refund
+const markEscrowRefunded = (sellerOrder, transaction) => SellerOrder.update({ escrowStatus: 'refunded' }, {
+  where: { id: sellerOrder.id, escrowStatus: OPEN_STATUSES },
+  transaction
+});
+
+// An open dispute stops the escrow from being released, except by an admin
+const freezeEscrow = (sellerOrderId, transaction) => SellerOrder.update({ escrowStatus: 'frozen' }, {
+  where: { id: sellerOrderId, escrowStatus: 'held' },
+  transaction
+});
+
+// Back to held once no dispute is left open: released at escrowReleaseAt as usual
+const unfreezeEscrow = (sellerOrderId, transaction) => SellerOrder.update({ escrowStatus: 'held' }, {
+  where: { id: sellerOrderId, escrowStatus: 'frozen' },
+  transaction
+});
+
+// Release a seller order's escrow to the seller. Only rows still in one of `from`
+// move, so concurrent releases cannot both post. Returns the amount released,
+// or null when the escrow was not in `from`.
+const releaseEscrow = async (sellerOrder, { from = ['held'], reason } = {}, transaction) => {
+  const [updated] = await SellerOrder.update({ escrowStatus: 'released', escrowReleasedAt: new Date() }, {
+    where: { id: sellerOrder.id, escrowStatus: from },
+    transaction
+  });
+  if (updated === 0) return null;
+
+  sellerOrder.escrowStatus = 'released';
+  return postEscrowRelease(sellerOrder, `Escrow released for order #${sellerOrder.orderId}: ${reason}`, transaction);
+};
+
+const notifyReleased = (sellerOrder, amount) => amount > 0
+  ? notify({ userId: sellerOrder.sellerId }, 'escrow_released', { orderId: sellerOrder.orderId, amount }, { orderId: sellerOrder.orderId })
+  : null;
+
+// The buyer confirms they received delivered seller orders; their escrow is released
+const confirmReceipt = async (order, targets, user) => {
+  const delivered = targets.filter(sellerOrder => sellerOrder.status === 'delivered');
+  if (delivered.length === 0) {
+    throw new ServiceError(400, 'Only delivered orders can be confirmed');
+  }
+  if (delivered.some(sellerOrder => sellerOrder.escrowStatus === 'frozen')) {
+    throw new ServiceError(409, 'Payment is frozen by an open dispute');
+  }
+
+  const released = await sequelize.transaction(async (transaction) => {
+    const results = [];
+    for (const sellerOrder of delivered) {
+      const amount = await releaseEscrow(sellerOrder, { reason: 'receipt confirmed by the buyer' }, transaction);
+      if (amount !== null) results.push({ sellerOrder, amount });
+    }
+    return results;
+  });
+
+  for (const { sellerOrder, amount } of released) {
+    await notifyReleased(sellerOrder, amount);
+  }
+  return released;
+};
+
+// Background job: release escrow of delivered seller orders whose timeout passed
+const releaseDueEscrow = async () => {
+  const due = await SellerOrder.findAll({
+    where: { status: 'delivered', escrowStatus: 'held', escrowReleaseAt: { [Op.lte]: new Date() } },
+    order: [['escrowReleaseAt', 'ASC']],
+    limit: 50
+  });
+
+  for (const sellerOrder of due) {
+    try {
+      const amount = await sequelize.transaction(transaction =>
+        releaseEscrow(sellerOrder, { reason: 'released automatically after delivery' }, transaction)
+      );
+      await notifyReleased(sellerOrder, amount);
+    } catch (err) {
+      console.error(`Escrow release for seller order ${sellerOrder.id} failed:`, err);
+    }
+  }
+};
+
+// Seller orders with money in escrow (held and frozen by default), with what each holds
+const listEscrow = async ({ status, page = 1, limit = 20 } = {}) => {
+  const statuses = status ? String(status).split(',') : OPEN_STATUSES;
+  if (statuses.some(value => !SellerOrder.rawAttributes.escrowStatus.values.includes(value))) {
+    throw new ServiceError(400, 'Invalid escrow status');
+  }
+
+  const { count, rows } = await SellerOrder.findAndCountAll({
+    where: { escrowStatus: statuses },
+    include: [
+      { model: User, as: 'seller', attributes: ['id', 'name', 'phone'] },
+      { model: Order, as: 'order', attributes: ['id', 'buyerId', 'status', 'paymentStatus'] }
+    ],
+    order: [['updatedAt', 'DESC'], ['id', 'DESC']],
+    limit,
+    offset: (page - 1) * limit
+  });
+
+  const held = new Map((await LedgerEntry.findAll({
+    attributes: [
+      'sellerOrderId',
+      [sequelize.fn('SUM', sequelize.col('credit')), 'credit'],
+      [sequelize.fn('SUM', sequelize.col('debit')), 'debit']
+    ],
+    where: { sellerOrderId: rows.map(sellerOrder => sellerOrder.id), account: { [Op.like]: 'escrow:%' } },
+    group: ['sellerOrderId'],
+    raw: true
+  })).map(row => [row.sellerOrderId, Math.round(((parseFloat(row.credit) || 0) - (parseFloat(row.debit) || 0)) * 100) / 100]));
+
+  return {
+    escrow: rows.map(sellerOrder => ({
+      sellerOrderId: sellerOrder.id,
+      orderId: sellerOrder.orderId,
+      seller: sellerOrder.seller,
+      buyerId: sellerOrder.order?.buyerId,
+      status: sellerOrder.status,
+      escrowStatus: sellerOrder.escrowStatus,
+      escrowReleaseAt: sellerOrder.escrowReleaseAt,
+      escrowReleasedAt: sellerOrder.escrowReleasedAt,
+      totalAmount: sellerOrder.totalAmount,
+      held: held.get(sellerOrder.id) || 0
+    })),
+    total: count
+  };
+};
+
+const findEscrow = async (sellerOrderId) => {
+  const sellerOrder = await SellerOrder.findByPk(parseInt(sellerOrderId) || 0);
+  if (!sellerOrder || !sellerOrder.escrowStatus) {
+    throw new ServiceError(404, 'No escrow for this seller order');
+  }
+  if (!OPEN_STATUSES.includes(sellerOrder.escrowStatus)) {
+    throw new ServiceError(400, `Escrow already ${sellerOrder.escrowStatus}`);
+  }
+  return sellerOrder;
+};
+
+// Admin: pay a seller order's escrow out to the seller now, frozen or not
+const forceRelease = async (sellerOrderId, { reason, user }) => {
+  const sellerOrder = await findEscrow(sellerOrderId);
+  const amount = await sequelize.transaction(transaction =>
+    releaseEscrow(sellerOrder, { from: OPEN_STATUSES, reason: reason || `released by admin ${user.id}` }, transaction)
+  );
+  if (amount === null) {
+    throw new ServiceError(409, 'Escrow changed meanwhile; try again');
+  }
+  await notifyReleased(sellerOrder, amount);
+  return { sellerOrder, amount };
+};
+
+// Admin: give a seller order's escrow back to the buyer. A seller order that is
+// still pending or confirmed is cancelled with it, which puts its stock back;
+// shipped and delivered ones keep their status. The refund is only requested
+// once the escrow and the cancellation are committed.
+const forceRefund = async (sellerOrderId, { reason, user }) => {
+  // Required here because orderStateMachine requires this module
+  const { transitionSellerOrders, afterTransitions } = require('./orderStateMachine');
+
+  const sellerOrder = await findEscrow(sellerOrderId);
+  const order = await Order.findByPk(sellerOrder.orderId);
+
+  const moves = await sequelize.transaction(async (transaction) => {
+    const [updated] = await markEscrowRefunded(sellerOrder, transaction);
+    if (updated === 0) {
+      throw new ServiceError(409, 'Escrow changed meanwhile; try again');
+    }
+    sellerOrder.escrowStatus = 'refunded';
+    return transitionSellerOrders(order, [sellerOrder], { action: 'cancel', user, reason }, transaction);
+  });
+
+  const refund = await refundSellerOrder(sellerOrder, {
+    reason: reason || `Order #${sellerOrder.orderId} refunded from escrow`,
+    requestedBy: user.id
+  });
+  // Notifies the buyer of the cancellation; its own refund finds nothing left to refund
+  await afterTransitions(order, moves, user);
+
+  return { sellerOrder, refund };
+};
+
+module.exports = {
+  AUTO_RELEASE_HOURS,
+  startReleaseTimer,
+  markEscrowRefunded,
+  freezeEscrow,
+  unfreezeEscrow,
+  releaseEscrow,
+  notifyReleased,
+  confirmReceipt,
+  releaseDueEscrow,
+  listEscrow,
+  forceRelease,
+  forceRefund
+};
@@ -0,0 +1,67 @@
+const { pollPendingPayments } = require('./payments');
+const { pollPendingRefunds } = require('./payments/refunds');
+const { expireUnpaidOrders } = require('./orders');
+const { retryQueuedSms } = require('./notifications');
+const { purgeUssdSessions } = require('./ussd');
+const { releaseDueEscrow } = require('./escrow');
+const { escalateOverdueDisputes } = require('./disputes');
+
+// Background jobs run on an interval in every API instance, so each one must be
+// safe to run concurrently (only act on rows still in the state they expect).
+const JOBS = [
+  {
+    name: 'payment-status',
+    intervalMs: (parseInt(process.env.PAYMENT_POLL_INTERVAL_SECONDS) || 30) * 1000,
+    run: pollPendingPayments
+  },
+  {
+    name: 'refund-status',
+    intervalMs: (parseInt(process.env.PAYMENT_POLL_INTERVAL_SECONDS) || 30) * 1000,
+    run: pollPendingRefunds
+  },
+  {
+    name: 'stock-holds',
+    intervalMs: (parseInt(process.env.STOCK_SWEEP_INTERVAL_SECONDS) || 60) * 1000,
+    run: expireUnpaidOrders
+  },
+  {
+    name: 'sms-retry',
+    intervalMs: (parseInt(process.env.SMS_RETRY_INTERVAL_SECONDS) || 60) * 1000,
+    run: retryQueuedSms
+  },
+  {
+    name: 'escrow-release',
+    intervalMs: (parseInt(process.env.ESCROW_SWEEP_INTERVAL_SECONDS) || 300) * 1000,
+    run: releaseDueEscrow
+  },
+  {
+    name: 'dispute-deadlines',
+    intervalMs: (parseInt(process.env.DISPUTE_SWEEP_INTERVAL_SECONDS) || 300) * 1000,
+    run: escalateOverdueDisputes
+  },
+  {
+    name: 'ussd-sessions',
+    intervalMs: 60 * 60 * 1000,
+    run: purgeUssdSessions
+  }
+];
+
+const startJobs = () => {
+  for (const job of JOBS) {
+    let running = false;
+
+    setInterval(async () => {
+      if (running) return; // Skip a tick rather than overlap a slow run
+      running = true;
+      try {
+        await job.run();
+      } catch (err) {
+        console.error(`Job ${job.name} error:`, err);
+      } finally {
+        running = false;
+      }
+    }, job.intervalMs).unref();
+  }
+};
+
+module.exports = { startJobs };
@@ -0,0 +1,341 @@
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const {
+  sequelize,
+  LedgerEntry,
+  OrderItem,
+  SellerOrder,
+  Product,
+  Category,
+  RefundItem
+} = require('../database');
+const { ServiceError } = require('./errors');
+
+const ACCOUNTS = {
+  clearing: 'platform:clearing',
+  commission: 'platform:commission',
+  seller: (sellerId) => `seller:${sellerId}`,
+  escrow: (sellerId) => `escrow:${sellerId}`
+};
+
+const DEFAULT_COMMISSION_RATE = parseFloat(process.env.PLATFORM_COMMISSION_RATE || '0.05');
+
+// Round to whole RWF cents so postings balance exactly
+const round = (amount) => Math.round(amount * 100) / 100;
+
+const commissionRateFor = (category) =>
+  (category && category.commissionRate !== null && category.commissionRate !== undefined)
+    ? category.commissionRate
+    : DEFAULT_COMMISSION_RATE;
+
+// Write a balanced journal. Each line is { account, debit?, credit?, ...references }.
+const postJournal = async (lines, transaction) => {
+  const postings = lines
+    .map(line => ({ ...line, debit: round(line.debit || 0), credit: round(line.credit || 0) }))
+    .filter(line => line.debit !== 0 || line.credit !== 0);
+
+  const debits = round(postings.reduce((sum, line) => sum + line.debit, 0));
+  const credits = round(postings.reduce((sum, line) => sum + line.credit, 0));
+  if (debits !== credits) {
+    throw new Error(`Unbalanced journal: debits ${debits} != credits ${credits}`);
+  }
+  if (postings.length === 0) return null;
+
+  const journalId = crypto.randomUUID();
+  await LedgerEntry.bulkCreate(postings.map(line => ({ ...line, journalId })), { transaction });
+  return journalId;
+};
+
+// A completed payment holds each seller's lines minus commission in escrow, and
+// puts the seller orders in escrow, until postEscrowRelease moves them to the seller
+const postSale = async (payment, transaction) => {
+  const alreadyPosted = await LedgerEntry.count({ where: { paymentId: payment.id, type: 'sale' }, transaction });
+  if (alreadyPosted > 0) return null;
+
+  const items = await OrderItem.findAll({
+    where: { orderId: payment.orderId },
+    include: [
+      { model: SellerOrder, as: 'sellerOrder', where: { status: { [Op.ne]: 'cancelled' } } },
+      {
+        model: Product,
+        as: 'product',
+        attributes: ['id', 'categoryId'],
+        required: false,
+        include: [{ model: Category, as: 'category', attributes: ['id', 'commissionRate'] }]
+      }
+    ],
+    transaction
+  });
+
+  const lines = [];
+  for (const item of items) {
+    const sellerId = item.sellerOrder.sellerId;
+    const gross = round(item.subtotal);
+    const commission = round(gross * commissionRateFor(item.product?.category));
+    const references = { paymentId: payment.id, orderItemId: item.id, sellerOrderId: item.sellerOrder.id };
+
+    lines.push(
+      { ...references, account: ACCOUNTS.clearing, type: 'sale', debit: gross, description: `Order #${payment.orderId}: ${item.productName}` },
+      { ...references, account: ACCOUNTS.escrow(sellerId), sellerId, type: 'sale', credit: gross - commission, description: `Sale of ${item.quantity} ${item.productName} (order #${payment.orderId})` },
+      { ...references, account: ACCOUNTS.commission, sellerId, type: 'commission', credit: commission, description: `Commission on order #${payment.orderId}` }
+    );
+  }
+
+  // Delivery fees go to the seller delivering, without commission
+  const sellerOrders = await SellerOrder.findAll({
+    where: { orderId: payment.orderId, status: { [Op.ne]: 'cancelled' }, deliveryFee: { [Op.gt]: 0 } },
+    transaction
+  });
+  for (const sellerOrder of sellerOrders) {
+    const { sellerId } = sellerOrder;
+    const fee = round(sellerOrder.deliveryFee);
+    const references = { paymentId: payment.id, sellerId, sellerOrderId: sellerOrder.id };
+
+    lines.push(
+      { ...references, account: ACCOUNTS.clearing, type: 'sale', debit: fee, description: `Delivery for order #${payment.orderId}` },
+      { ...references, account: ACCOUNTS.escrow(sellerId), type: 'sale', credit: fee, description: `Delivery for order #${payment.orderId}` }
+    );
+  }
+
+  await SellerOrder.update({ escrowStatus: 'held' }, {
+    where: { orderId: payment.orderId, status: { [Op.ne]: 'cancelled' }, escrowStatus: null },
+    transaction
+  });
+
+  // Seller orders delivered before the payment came in start their release countdown now.
+  // Required here because escrow requires this module.
+  const { startReleaseTimer } = require('./escrow');
+  const delivered = await SellerOrder.findAll({
+    where: { orderId: payment.orderId, status: 'delivered', escrowStatus: 'held', escrowReleaseAt: null },
+    transaction
+  });
+  for (const sellerOrder of delivered) {
+    await startReleaseTimer(sellerOrder, transaction);
+  }
+
+  return postJournal(lines, transaction);
+};
+
+// Reverse (a share of) the sale postings for a completed refund
+const postRefund = async (refund, transaction) => {
+  const alreadyPosted = await LedgerEntry.count({ where: { refundId: refund.id }, transaction });
+  if (alreadyPosted > 0) return null;
+
+  const saleEntries = await LedgerEntry.findAll({
+    where: { paymentId: refund.paymentId, type: ['sale', 'commission'], refundId: null },
+    transaction
+  });
+  if (saleEntries.length === 0) return null;
+
+  // Share of each order line being reversed
+  const refundItems = await RefundItem.findAll({
+    where: { refundId: refund.id },
+    include: [{ model: OrderItem, as: 'orderItem', attributes: ['id', 'quantity', 'subtotal'] }],
+    transaction
+  });
+
+  // Share of a seller's delivery fee being reversed; delivery entries have no order line
+  let delivery = null;
+  if (refund.deliveryFee > 0 && refund.sellerOrderId) {
+    const sellerOrder = await SellerOrder.findByPk(refund.sellerOrderId, { attributes: ['sellerId', 'deliveryFee'], transaction });
+    if (sellerOrder && sellerOrder.deliveryFee > 0) {
+      delivery = { sellerId: sellerOrder.sellerId, share: refund.deliveryFee / sellerOrder.deliveryFee };
+    }
+  }
+
+  let shareFor;
+  if (refundItems.length > 0 || delivery) {
+    const shares = new Map(refundItems.map(ri => [ri.orderItemId, ri.quantity / ri.orderItem.quantity]));
+    shareFor = (entry) => {
+      if (entry.orderItemId) return shares.get(entry.orderItemId) || 0;
+      return delivery && entry.sellerId === delivery.sellerId ? delivery.share : 0;
+    };
+  } else {
+    // A plain amount refund comes out of every line in proportion
+    const gross = saleEntries
+      .filter(entry => entry.account === ACCOUNTS.clearing)
+      .reduce((sum, entry) => sum + entry.debit, 0);
+    const share = gross > 0 ? refund.amount / gross : 0;
+    shareFor = () => share;
+  }
+
+  // Money already released from escrow comes back out of the seller's account
+  const sellerOrderIds = [...new Set(saleEntries.map(entry => entry.sellerOrderId).filter(Boolean))];
+  const released = new Set((await SellerOrder.findAll({
+    where: { id: sellerOrderIds, escrowStatus: 'released' },
+    attributes: ['id'],
+    transaction
+  })).map(sellerOrder => sellerOrder.id));
+  const accountFor = (entry) => entry.account === ACCOUNTS.escrow(entry.sellerId) && released.has(entry.sellerOrderId)
+    ? ACCOUNTS.seller(entry.sellerId)
+    : entry.account;
+
+  const lines = saleEntries
+    .map(entry => ({
+      account: accountFor(entry),
+      sellerId: entry.sellerId,
+      type: 'refund',
+      // Swap sides to reverse the original posting
+      debit: entry.credit * shareFor(entry),
+      credit: entry.debit * shareFor(entry),
+      refundId: refund.id,
+      paymentId: refund.paymentId,
+      orderItemId: entry.orderItemId,
+      sellerOrderId: entry.sellerOrderId,
+      description: `Refund #${refund.id} for order #${refund.orderId}`
+    }));
+
+  // Rounding each line separately can leave a cent over; settle it against clearing
+  const difference = round(
+    lines.reduce((sum, line) => sum + round(line.debit), 0) - lines.reduce((sum, line) => sum + round(line.credit), 0)
+  );
+  if (difference !== 0) {
+    lines.push({ account: ACCOUNTS.clearing, type: 'refund', credit: difference > 0 ? difference : 0, debit: difference < 0 ? -difference : 0, refundId: refund.id, description: 'Rounding' });
+  }
+
+  return postJournal(lines, transaction);
+};
+
+// What a seller order still has in escrow
+const getEscrowHeld = async (sellerOrder, transaction) => {
+  const where = { account: ACCOUNTS.escrow(sellerOrder.sellerId), sellerOrderId: sellerOrder.id };
+  const [credit, debit] = await Promise.all([
+    LedgerEntry.sum('credit', { where, transaction }),
+    LedgerEntry.sum('debit', { where, transaction })
+  ]);
+  return round((credit || 0) - (debit || 0));
+};
+
+// Move what a seller order has in escrow to the seller's balance
+const postEscrowRelease = async (sellerOrder, description, transaction) => {
+  const held = await getEscrowHeld(sellerOrder, transaction);
+  if (held <= 0) return 0;
+
+  const references = { sellerId: sellerOrder.sellerId, sellerOrderId: sellerOrder.id, type: 'escrow_release', description };
+  await postJournal([
+    { ...references, account: ACCOUNTS.escrow(sellerOrder.sellerId), debit: held },
+    { ...references, account: ACCOUNTS.seller(sellerOrder.sellerId), credit: held }
+  ], transaction);
+  return held;
+};
+
+// Money leaving the platform to a seller
+const postPayout = (payout, transaction) => postJournal([
+  { account: ACCOUNTS.seller(payout.sellerId), sellerId: payout.sellerId, type: 'payout', debit: payout.amount, payoutId: payout.id, description: `Payout #${payout.id}` },
+  { account: ACCOUNTS.clearing, type: 'payout', credit: payout.amount, payoutId: payout.id, description: `Payout #${payout.id} to seller ${payout.sellerId}` }
+], transaction);
+
+// A failed payout puts the money back on the seller's balance
+const postPayoutReversal = (payout, transaction) => postJournal([
+  { account: ACCOUNTS.clearing, type: 'payout_reversal', debit: payout.amount, payoutId: payout.id, description: `Payout #${payout.id} failed` },
+  { account: ACCOUNTS.seller(payout.sellerId), sellerId: payout.sellerId, type: 'payout_reversal', credit: payout.amount, payoutId: payout.id, description: `Payout #${payout.id} failed` }
+], transaction);
+
+// What the platform owes an account holder: credits minus debits
+const getBalance = async (account, transaction) => {
+  const [credit, debit] = await Promise.all([
+    LedgerEntry.sum('credit', { where: { account }, transaction }),
+    LedgerEntry.sum('debit', { where: { account }, transaction })
+  ]);
+  return round((credit || 0) - (debit || 0));
+};
+
+const getSellerBalance = (sellerId, transaction) => getBalance(ACCOUNTS.seller(sellerId), transaction);
+
+// Paid sales of a seller still held in escrow
+const getSellerEscrow = (sellerId, transaction) => getBalance(ACCOUNTS.escrow(sellerId), transaction);
+
+// Everything held in escrow, for all sellers
+const getEscrowTotal = async (transaction) => {
+  const where = { account: { [Op.like]: 'escrow:%' } };
+  const [credit, debit] = await Promise.all([
+    LedgerEntry.sum('credit', { where, transaction }),
+    LedgerEntry.sum('debit', { where, transaction })
+  ]);
+  return round((credit || 0) - (debit || 0));
+};
+
+// Balances of every seller account, for payout runs
+const getSellerBalances = async (transaction) => {
+  const rows = await LedgerEntry.findAll({
+    attributes: [
+      'sellerId',
+      [sequelize.fn('SUM', sequelize.col('credit')), 'credit'],
+      [sequelize.fn('SUM', sequelize.col('debit')), 'debit']
+    ],
+    where: { account: { [Op.like]: 'seller:%' } },
+    group: ['sellerId'],
+    raw: true,
+    transaction
+  });
+
+  return rows.map(row => ({
+    sellerId: row.sellerId,
+    balance: round((parseFloat(row.credit) || 0) - (parseFloat(row.debit) || 0))
+  }));
+};
+
+// Paginated statement of a seller's account with a running balance
+const getSellerStatement = async (sellerId, { from, to, page = 1, limit = 50 } = {}) => {
+  const account = ACCOUNTS.seller(sellerId);
+  const where = { account };
+  if (from || to) {
+    where.createdAt = {};
+    if (from) where.createdAt[Op.gte] = new Date(from);
+    if (to) where.createdAt[Op.lte] = new Date(to);
+    if (Object.values(where.createdAt).some(date => isNaN(date))) {
+      throw new ServiceError(400, 'Invalid date range');
+    }
+  }
+
+  const offset = (page - 1) * limit;
+  const { count, rows } = await LedgerEntry.findAndCountAll({
+    where,
+    order: [['createdAt', 'ASC'], ['id', 'ASC']],
+    limit,
+    offset
+  });
+
+  // Balance carried into this page
+  const first = rows[0];
+  let running = 0;
+  if (first) {
+    const before = { account, [Op.or]: [{ createdAt: { [Op.lt]: first.createdAt } }, { createdAt: first.createdAt, id: { [Op.lt]: first.id } }] };
+    running = ((await LedgerEntry.sum('credit', { where: before })) || 0) - ((await LedgerEntry.sum('debit', { where: before })) || 0);
+  }
+
+  const entries = rows.map(entry => {
+    running = round(running + entry.credit - entry.debit);
+    return {
+      id: entry.id,
+      type: entry.type,
+      description: entry.description,
+      debit: entry.debit,
+      credit: entry.credit,
+      balance: running,
+      paymentId: entry.paymentId,
+      refundId: entry.refundId,
+      payoutId: entry.payoutId,
+      createdAt: entry.createdAt
+    };
+  });
+
+  return { entries, total: count };
+};
+
+module.exports = {
+  ACCOUNTS,
+  DEFAULT_COMMISSION_RATE,
+  postSale,
+  postRefund,
+  getEscrowHeld,
+  postEscrowRelease,
+  postPayout,
+  postPayoutReversal,
+  getBalance,
+  getSellerBalance,
+  getSellerEscrow,
+  getEscrowTotal,
+  getSellerBalances,
+  getSellerStatement
+};
@@ -0,0 +1,23 @@
+const { Message, User } = require('../database');
+const { publish } = require('./realtime');
+
+// Create a message and push it to both sides of the conversation
+const sendMessage = async ({ senderId, receiverId, productId = null, orderId = null, disputeId = null, content }) => {
+  const message = await Message.create({ senderId, receiverId, productId, orderId, disputeId, content, isRead: false });
+
+  const withSender = await Message.findByPk(message.id, {
+    include: [{ model: User, as: 'sender', attributes: ['name'] }]
+  });
+  await publish([receiverId, senderId], 'message', withSender.toJSON());
+
+  return withSender;
+};
+
+// Let senders know their messages were read
+const publishReadReceipt = (senderId, { readerId, messageIds }) =>
+  publish([senderId], 'messages_read', { readerId, messageIds, readAt: new Date().toISOString() });
+
+module.exports = {
+  sendMessage,
+  publishReadReceipt
+};
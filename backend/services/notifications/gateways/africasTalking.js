@@ -0,0 +1,95 @@
+const { normalizeMsisdn } = require('../../../utils/phone');
+
+// Africa's Talking bulk SMS API
+// https://developers.africastalking.com/docs/sms/sending/bulk
+const config = () => {
+  const username = process.env.AT_USERNAME;
+  const defaultBaseUrl = username === 'sandbox'
+    ? 'https://api.sandbox.africastalking.com'
+    : 'https://api.africastalking.com';
+
+  return {
+    baseUrl: (process.env.AT_BASE_URL || defaultBaseUrl).replace(/\/$/, ''),
+    username,
+    apiKey: process.env.AT_API_KEY,
+    senderId: process.env.AT_SENDER_ID
+  };
+};
+
+const isConfigured = () => {
+  const { username, apiKey } = config();
+  return Boolean(username && apiKey);
+};
+
+// Recipient status codes that will never succeed on a retry
+// (403 InvalidPhoneNumber, 404 UnsupportedNumberType, 406 UserInBlacklist)
+const PERMANENT_FAILURES = [403, 404, 406];
+
+const send = async ({ to, message }) => {
+  const { baseUrl, username, apiKey, senderId } = config();
+
+  const form = new URLSearchParams({ username, to: `+${normalizeMsisdn(to)}`, message });
+  if (senderId) form.set('from', senderId);
+
+  const response = await fetch(`${baseUrl}/version1/messaging`, {
+    method: 'POST',
+    headers: {
+      apiKey,
+      Accept: 'application/json',
+      'Content-Type': 'application/x-www-form-urlencoded'
+    },
+    body: form.toString()
+  });
+
+  if (!response.ok) {
+    return { status: 'failed', reason: `HTTP_${response.status}`, retryable: response.status >= 500 || response.status === 429 };
+  }
+
+  const body = await response.json();
+  const recipient = body.SMSMessageData?.Recipients?.[0];
+  if (!recipient) {
+    return { status: 'failed', reason: body.SMSMessageData?.Message || 'NO_RECIPIENT', retryable: false };
+  }
+
+  // 100 Processed, 101 Sent, 102 Queued
+  if ([100, 101, 102].includes(recipient.statusCode)) {
+    return { status: 'sent', providerMessageId: recipient.messageId };
+  }
+
+  return {
+    status: 'failed',
+    reason: recipient.status,
+    retryable: !PERMANENT_FAILURES.includes(recipient.statusCode)
+  };
+};
+
+// Delivery reports arrive form-encoded with id, status and failureReason
+const DELIVERY_STATUS_MAP = {
+  Success: 'delivered',
+  Failed: 'failed',
+  Rejected: 'failed',
+  Expired: 'failed',
+  AbsentSubscriber: 'failed'
+  // Sent, Submitted and Buffered are still on their way
+};
+
+const parseDeliveryReport = ({ body }) => ({
+  providerMessageId: body.id,
+  status: DELIVERY_STATUS_MAP[body.status] || 'sent',
+  reason: body.failureReason || body.status
+});
+
+// Incoming messages arrive form-encoded with id, from, to, text and date
+const parseInbound = ({ body }) => ({
+  providerMessageId: body.id,
+  from: body.from,
+  text: body.text
+});
+
+module.exports = {
+  name: 'africas_talking',
+  isConfigured,
+  send,
+  parseDeliveryReport,
+  parseInbound
+};
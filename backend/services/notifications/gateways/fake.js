@@ -0,0 +1,58 @@
+const crypto = require('crypto');
+
+// Keeps messages in memory instead of sending them. Only used when selected
+// with SMS_GATEWAY=fake (development) and in tests, never as a fallback.
+// The outbox keeps the latest OUTBOX_LIMIT messages.
+const OUTBOX_LIMIT = 100;
+const outbox = [];
+let failuresLeft = 0;
+
+const isConfigured = () => process.env.SMS_GATEWAY === 'fake' ||
+  (!process.env.SMS_GATEWAY && process.env.NODE_ENV === 'test');
+
+// Make the next `count` sends fail with a temporary error
+const failNext = (count = 1) => {
+  failuresLeft = count;
+};
+
+const reset = () => {
+  outbox.length = 0;
+  failuresLeft = 0;
+};
+
+const send = async ({ to, message }) => {
+  if (failuresLeft > 0) {
+    failuresLeft -= 1;
+    return { status: 'failed', reason: 'FAKE_GATEWAY_ERROR', retryable: true };
+  }
+
+  const providerMessageId = `fake_${crypto.randomUUID()}`;
+  outbox.push({ to, message, providerMessageId, sentAt: new Date() });
+  if (outbox.length > OUTBOX_LIMIT) outbox.shift();
+
+  return { status: 'delivered', providerMessageId };
+};
+
+const parseDeliveryReport = ({ body }) => ({
+  providerMessageId: body.id,
+  status: body.status,
+  reason: body.reason
+});
+
+// Same fields as Africa's Talking, so local tests can post { from, text } by hand
+const parseInbound = ({ body }) => ({
+  providerMessageId: body.id || `fake_${crypto.randomUUID()}`,
+  from: body.from,
+  text: body.text
+});
+
+module.exports = {
+  name: 'fake',
+  isConfigured,
+  send,
+  parseDeliveryReport,
+  parseInbound,
+  outbox,
+  failNext,
+  reset
+};
@@ -0,0 +1,130 @@
+const { UniqueConstraintError } = require('sequelize');
+const { Order, SellerOrder, Message, InboundSms } = require('../../database');
+const { ServiceError } = require('../errors');
+const { updateSellerOrders } = require('../orderStateMachine');
+const { publishReadReceipt } = require('../messages');
+const { findUsersByPhone } = require('../users');
+const { sendSms } = require('./index');
+
+// Words a seller can reply with, and the language to answer in when we do not
+// know theirs: "YES 12", "yego #12", "Non 12"...
+const KEYWORDS = {
+  YES: { action: 'approve', language: 'en' },
+  NO: { action: 'reject', language: 'en' },
+  YEGO: { action: 'approve', language: 'rw' },
+  OYA: { action: 'reject', language: 'rw' },
+  OUI: { action: 'approve', language: 'fr' },
+  NON: { action: 'reject', language: 'fr' }
+};
+
+const COMMAND = new RegExp(`^\\s*(${Object.keys(KEYWORDS).join('|')})\\s*#?\\s*(\\d+)\\s*[.!]?\\s*$`, 'i');
+
+const parseCommand = (text) => {
+  const match = COMMAND.exec(text || '');
+  if (!match) return null;
+
+  const keyword = KEYWORDS[match[1].toUpperCase()];
+  return { ...keyword, orderId: parseInt(match[2]) };
+};
+
+// Mark the seller's unread inbox messages about the order as read, as if they
+// had answered from the app
+const markOrderMessagesRead = async (orderId, sellerId) => {
+  const unread = await Message.findAll({ where: { orderId, receiverId: sellerId, isRead: false } });
+  if (unread.length === 0) return;
+
+  await Message.update({ isRead: true }, { where: { id: unread.map(message => message.id) } });
+
+  const bySender = new Map();
+  for (const message of unread) {
+    if (!bySender.has(message.senderId)) bySender.set(message.senderId, []);
+    bySender.get(message.senderId).push(message.id);
+  }
+  for (const [senderId, messageIds] of bySender) {
+    await publishReadReceipt(senderId, { readerId: sellerId, messageIds });
+  }
+};
+
+// Work out what an SMS command does and run it. Returns the outcome, the reply
+// event and what to record against the message.
+const runCommand = async (command, sellers) => {
+  const { action, orderId } = command;
+
+  const order = await Order.findByPk(orderId);
+  const sellerOrder = order && await SellerOrder.findOne({
+    where: { orderId, sellerId: sellers.map(seller => seller.id) }
+  });
+  // Orders the number has no part in look the same as orders that do not exist
+  if (!sellerOrder) {
+    return { outcome: 'refused', event: 'sms_order_not_found', seller: sellers[0] };
+  }
+
+  const seller = sellers.find(user => user.id === sellerOrder.sellerId);
+  try {
+    await updateSellerOrders(order, [sellerOrder], {
+      action,
+      user: { id: seller.id, role: seller.role },
+      reason: 'Replied by SMS'
+    });
+  } catch (err) {
+    if (!(err instanceof ServiceError)) throw err;
+    return { outcome: 'refused', event: 'sms_order_not_allowed', seller, orderId };
+  }
+
+  await markOrderMessagesRead(orderId, seller.id);
+
+  return {
+    outcome: 'applied',
+    event: action === 'approve' ? 'sms_order_approved' : 'sms_order_rejected',
+    seller,
+    orderId
+  };
+};
+
+// Handle a text sent to our number. Gateways retry callbacks, so a message id
+// seen before is ignored. Returns the stored InboundSms, or null for a repeat.
+const handleInboundSms = async (gateway, { providerMessageId, from, text }) => {
+  let inbound;
+  try {
+    inbound = await InboundSms.create({ gateway: gateway.name, providerMessageId, phone: from, text });
+  } catch (err) {
+    if (err instanceof UniqueConstraintError) return null;
+    throw err;
+  }
+
+  const command = parseCommand(text);
+  const sellers = await findUsersByPhone(from, { attributes: ['id', 'role', 'phone', 'language'] });
+
+  let result;
+  if (sellers.length === 0) {
+    result = { outcome: command ? 'refused' : 'unrecognised', event: 'sms_unregistered' };
+  } else if (!command) {
+    result = { outcome: 'unrecognised', event: 'sms_unknown_command', seller: sellers[0] };
+  } else {
+    result = await runCommand(command, sellers);
+  }
+
+  const reply = await sendSms({
+    userId: result.seller?.id,
+    orderId: result.orderId,
+    phone: from,
+    language: result.seller?.language || command?.language,
+    event: result.event,
+    params: { orderId: command?.orderId }
+  });
+
+  await inbound.update({
+    userId: result.seller?.id || null,
+    orderId: result.orderId || null,
+    action: command?.action || null,
+    outcome: result.outcome,
+    reply: reply.content
+  });
+
+  return inbound;
+};
+
+module.exports = {
+  parseCommand,
+  handleInboundSms
+};
@@ -0,0 +1,197 @@
+const { Op } = require('sequelize');
+const { User, Notification } = require('../../database');
+const { sendMessage } = require('../messages');
+const { normalizeMsisdn } = require('../../utils/phone');
+const { LANGUAGES, DEFAULT_LANGUAGE, render, renderInbox } = require('./templates');
+const africasTalking = require('./gateways/africasTalking');
+const fake = require('./gateways/fake');
+
+// An SMS gateway exposes:
+//   name                      identifier stored on Notification.gateway
+//   isConfigured()            whether credentials are present
+//   send({ to, message })     -> { status: 'sent'|'delivered'|'failed', providerMessageId?, reason?, retryable? }
+//   parseDeliveryReport({ body, query })
+//                             -> { providerMessageId, status: 'sent'|'delivered'|'failed', reason? }
+//   parseInbound({ body, query })
+//                             -> { providerMessageId, from, text } for a text sent to us
+const gateways = {
+  africas_talking: africasTalking,
+  fake
+};
+
+// The gateway selected by SMS_GATEWAY (Africa's Talking by default, the fake one
+// in tests), or null while it is not configured
+const getGateway = () => {
+  const name = process.env.SMS_GATEWAY || (process.env.NODE_ENV === 'test' ? 'fake' : 'africas_talking');
+  const gateway = gateways[name];
+  return gateway && gateway.isConfigured() ? gateway : null;
+};
+
+const getGatewayByName = (name) => {
+  const gateway = gateways[name];
+  return gateway && gateway.isConfigured() ? gateway : undefined;
+};
+
+const MAX_ATTEMPTS = parseInt(process.env.SMS_MAX_ATTEMPTS) || 4;
+// Wait 1, 4, 16... minutes between attempts
+const retryDelayMs = (attempts) => Math.pow(4, attempts - 1) * 60 * 1000;
+// How long a retry worker owns a queued SMS before another may pick it up
+const CLAIM_MS = 5 * 60 * 1000;
+
+const DEFAULT_PREFERENCES = { inbox: true, sms: true };
+
+const getPreferences = (user) => {
+  let stored = {};
+  try {
+    stored = user.notificationPreferences ? JSON.parse(user.notificationPreferences) : {};
+  } catch (e) {
+    stored = {};
+  }
+  return { ...DEFAULT_PREFERENCES, ...stored };
+};
+
+// Try to hand a queued SMS to the gateway and record what happened
+const attemptSms = async (notification) => {
+  const gateway = getGateway();
+  const attempts = notification.attempts + 1;
+
+  let result;
+  if (!gateway) {
+    // Retried like a gateway error, so the SMS goes out if the gateway is fixed in time
+    console.warn(`SMS gateway is not configured; notification ${notification.id} not sent`);
+    result = { status: 'failed', reason: 'GATEWAY_NOT_CONFIGURED', retryable: true };
+  } else {
+    try {
+      result = await gateway.send({ to: notification.phone, message: notification.content });
+    } catch (err) {
+      result = { status: 'failed', reason: err.message, retryable: true };
+    }
+  }
+
+  if (result.status === 'failed') {
+    const retry = result.retryable !== false && attempts < MAX_ATTEMPTS;
+    await notification.update({
+      status: retry ? 'queued' : 'failed',
+      attempts,
+      gateway: gateway ? gateway.name : null,
+      failureReason: result.reason || 'UNKNOWN',
+      nextAttemptAt: retry ? new Date(Date.now() + retryDelayMs(attempts)) : null
+    });
+    return notification;
+  }
+
+  await notification.update({
+    status: result.status,
+    attempts,
+    gateway: gateway.name,
+    providerMessageId: result.providerMessageId || null,
+    failureReason: null,
+    nextAttemptAt: null,
+    sentAt: new Date(),
+    deliveredAt: result.status === 'delivered' ? new Date() : null
+  });
+  return notification;
+};
+
+const queueSms = async ({ userId = null, orderId = null, phone, event, language, content }) => {
+  const notification = await Notification.create({
+    userId,
+    orderId,
+    channel: 'sms',
+    event,
+    language,
+    phone: normalizeMsisdn(phone),
+    content,
+    status: 'queued',
+    nextAttemptAt: new Date()
+  });
+  return attemptSms(notification);
+};
+
+// Send a notification to a user (inbox and/or SMS, following their preferences)
+// or to a guest buyer ({ phone, language }, SMS only). Never throws: a failed
+// notification must not fail the action that caused it.
+const notify = async (recipient, event, params, { senderId = null, orderId = null } = {}) => {
+  try {
+    let user = null;
+    if (recipient.userId) {
+      user = await User.findByPk(recipient.userId, {
+        attributes: ['id', 'phone', 'language', 'notificationPreferences']
+      });
+      if (!user) return;
+    }
+
+    const language = LANGUAGES.includes(user?.language || recipient.language)
+      ? (user?.language || recipient.language)
+      : DEFAULT_LANGUAGE;
+    const preferences = user ? getPreferences(user) : { inbox: false, sms: true };
+    const phone = user ? user.phone : recipient.phone;
+
+    if (preferences.inbox) {
+      await sendMessage({ senderId, receiverId: user.id, orderId, content: renderInbox(event, language, params) });
+    }
+
+    if (preferences.sms && normalizeMsisdn(phone)) {
+      await queueSms({ userId: user?.id, orderId, phone, event, language, content: render(event, language, params) });
+    }
+  } catch (err) {
+    console.error(`Notification ${event} failed:`, err);
+  }
+};
+
+// Send an SMS only, e.g. a reply to a text we received
+const sendSms = async ({ userId = null, orderId = null, phone, language, event, params = {} }) => {
+  const lang = LANGUAGES.includes(language) ? language : DEFAULT_LANGUAGE;
+  return queueSms({ userId, orderId, phone, event, language: lang, content: render(event, lang, params) });
+};
+
+// Background job: retry SMS that failed with a temporary error
+const retryQueuedSms = async () => {
+  const due = await Notification.findAll({
+    where: { status: 'queued', nextAttemptAt: { [Op.lte]: new Date() } },
+    order: [['nextAttemptAt', 'ASC']],
+    limit: 50
+  });
+
+  for (const notification of due) {
+    // Claim it so another instance running this job skips it
+    const [claimed] = await Notification.update(
+      { nextAttemptAt: new Date(Date.now() + CLAIM_MS) },
+      { where: { id: notification.id, status: 'queued', nextAttemptAt: notification.nextAttemptAt } }
+    );
+    if (claimed === 0) continue;
+
+    try {
+      await attemptSms(notification);
+    } catch (err) {
+      console.error(`SMS ${notification.id} retry error:`, err);
+    }
+  }
+};
+
+// Apply a gateway delivery report. Only sent messages move on, so late or
+// repeated reports never undo a final status.
+const applyDeliveryReport = async (gateway, { providerMessageId, status, reason }) => {
+  if (!providerMessageId || !['delivered', 'failed'].includes(status)) return false;
+
+  const [updated] = await Notification.update({
+    status,
+    deliveredAt: status === 'delivered' ? new Date() : null,
+    failureReason: status === 'failed' ? (reason || 'UNKNOWN') : null
+  }, {
+    where: { gateway: gateway.name, providerMessageId, status: 'sent' }
+  });
+
+  return updated > 0;
+};
+
+module.exports = {
+  DEFAULT_PREFERENCES,
+  getGateway,
+  getGatewayByName,
+  getPreferences,
+  notify,
+  sendSms,
+  retryQueuedSms,
+  applyDeliveryReport
+};
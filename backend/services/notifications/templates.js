@@ -0,0 +1,181 @@
+// Notification texts in Kinyarwanda, English and French. TEMPLATES are SMS
+// bodies, so keep them short: one SMS holds 160 plain characters. The inbox
+// shows them without the KEDI prefix, or the longer INBOX_TEMPLATES version.
+const LANGUAGES = ['rw', 'en', 'fr'];
+const DEFAULT_LANGUAGE = LANGUAGES.includes(process.env.DEFAULT_LANGUAGE) ? process.env.DEFAULT_LANGUAGE : 'rw';
+
+const money = (amount) => Math.round(amount).toLocaleString('en-US');
+
+const TEMPLATES = {
+  // To a seller
+  order_created: {
+    rw: ({ orderId, items, total }) => `KEDI: Komande nshya #${orderId}: ${items}. Igiteranyo: ${money(total)} RWF. Subiza YEGO ${orderId} cyangwa OYA ${orderId}.`,
+    en: ({ orderId, items, total }) => `KEDI: New order #${orderId}: ${items}. Total: ${money(total)} RWF. Reply YES ${orderId} or NO ${orderId}.`,
+    fr: ({ orderId, items, total }) => `KEDI : Nouvelle commande n°${orderId} : ${items}. Total : ${money(total)} RWF. Répondez OUI ${orderId} ou NON ${orderId}.`
+  },
+  order_cancelled_by_buyer: {
+    rw: ({ orderId }) => `KEDI: Komande #${orderId} yahagaritswe n'umuguzi.`,
+    en: ({ orderId }) => `KEDI: Order #${orderId} has been cancelled by the buyer.`,
+    fr: ({ orderId }) => `KEDI : La commande n°${orderId} a été annulée par l'acheteur.`
+  },
+  order_received_by_buyer: {
+    rw: ({ orderId }) => `KEDI: Umuguzi yemeje ko yakiriye komande #${orderId}.`,
+    en: ({ orderId }) => `KEDI: The buyer confirmed receiving order #${orderId}.`,
+    fr: ({ orderId }) => `KEDI : L'acheteur a confirmé la réception de la commande n°${orderId}.`
+  },
+  escrow_released: {
+    rw: ({ orderId, amount }) => `KEDI: Amafaranga ${money(amount)} RWF ya komande #${orderId} ageze kuri konti yawe.`,
+    en: ({ orderId, amount }) => `KEDI: ${money(amount)} RWF for order #${orderId} has been released to your balance.`,
+    fr: ({ orderId, amount }) => `KEDI : ${money(amount)} RWF pour la commande n°${orderId} ont été versés sur votre solde.`
+  },
+  dispute_opened: {
+    rw: ({ orderId, hours }) => `KEDI: Umuguzi yatanze ikirego kuri komande #${orderId}. Subiza mu masaha ${hours}.`,
+    en: ({ orderId, hours }) => `KEDI: The buyer opened a dispute on order #${orderId}. Please respond within ${hours} hours.`,
+    fr: ({ orderId, hours }) => `KEDI : L'acheteur a ouvert un litige sur la commande n°${orderId}. Répondez sous ${hours} heures.`
+  },
+  dispute_withdrawn: {
+    rw: ({ orderId }) => `KEDI: Umuguzi yakuyeho ikirego kuri komande #${orderId}.`,
+    en: ({ orderId }) => `KEDI: The buyer withdrew the dispute on order #${orderId}.`,
+    fr: ({ orderId }) => `KEDI : L'acheteur a retiré le litige sur la commande n°${orderId}.`
+  },
+  dispute_replacement_received: {
+    rw: ({ orderId }) => `KEDI: Umuguzi yemeje ko yakiriye ibisimbura ibya komande #${orderId}. Ikirego kirarangiye.`,
+    en: ({ orderId }) => `KEDI: The buyer received the replacement for order #${orderId}. The dispute is closed.`,
+    fr: ({ orderId }) => `KEDI : L'acheteur a reçu le remplacement pour la commande n°${orderId}. Le litige est clos.`
+  },
+  order_paid: {
+    rw: ({ orderId, total }) => `KEDI: Komande #${orderId} yishyuwe (${money(total)} RWF). Yitegure kuyohereza.`,
+    en: ({ orderId, total }) => `KEDI: Order #${orderId} has been paid (${money(total)} RWF). Please prepare it for delivery.`,
+    fr: ({ orderId, total }) => `KEDI : La commande n°${orderId} a été payée (${money(total)} RWF). Préparez-la pour la livraison.`
+  },
+
+  // Replies to a seller's SMS command
+  sms_order_approved: {
+    rw: ({ orderId }) => `KEDI: Komande #${orderId} yemejwe. Murakoze!`,
+    en: ({ orderId }) => `KEDI: Order #${orderId} approved. Thank you!`,
+    fr: ({ orderId }) => `KEDI : Commande n°${orderId} acceptée. Merci !`
+  },
+  sms_order_rejected: {
+    rw: ({ orderId }) => `KEDI: Komande #${orderId} yanzwe. Ibicuruzwa byasubijwe ku isoko.`,
+    en: ({ orderId }) => `KEDI: Order #${orderId} rejected. The stock is back on sale.`,
+    fr: ({ orderId }) => `KEDI : Commande n°${orderId} refusée. Le stock est remis en vente.`
+  },
+  sms_order_not_found: {
+    rw: ({ orderId }) => `KEDI: Komande #${orderId} ntiboneka mu makomande yawe.`,
+    en: ({ orderId }) => `KEDI: Order #${orderId} was not found among your orders.`,
+    fr: ({ orderId }) => `KEDI : La commande n°${orderId} ne figure pas parmi vos commandes.`
+  },
+  sms_order_not_allowed: {
+    rw: ({ orderId }) => `KEDI: Komande #${orderId} ntigishobora kwemezwa cyangwa kwangwa.`,
+    en: ({ orderId }) => `KEDI: Order #${orderId} can no longer be approved or rejected.`,
+    fr: ({ orderId }) => `KEDI : La commande n°${orderId} ne peut plus être acceptée ou refusée.`
+  },
+  sms_unknown_command: {
+    rw: () => 'KEDI: Subiza YEGO <nimero ya komande> kuyemeza cyangwa OYA <nimero ya komande> kuyanga.',
+    en: () => 'KEDI: Reply YES <order number> to approve or NO <order number> to reject an order.',
+    fr: () => 'KEDI : Répondez OUI <numéro de commande> pour accepter ou NON <numéro de commande> pour refuser.'
+  },
+  sms_unregistered: {
+    rw: () => 'KEDI: Iyi nimero ntiyanditse kuri konti y\'umucuruzi.',
+    en: () => 'KEDI: This number is not registered to a seller account.',
+    fr: () => 'KEDI : Ce numéro n\'est lié à aucun compte vendeur.'
+  },
+
+  // To a buyer
+  order_approved: {
+    rw: ({ orderId }) => `KEDI: Komande yawe #${orderId} yemejwe n'umucuruzi.`,
+    en: ({ orderId }) => `KEDI: Your order #${orderId} has been approved by the seller.`,
+    fr: ({ orderId }) => `KEDI : Votre commande n°${orderId} a été acceptée par le vendeur.`
+  },
+  order_rejected: {
+    rw: ({ orderId }) => `KEDI: Komande yawe #${orderId} yanzwe n'umucuruzi.`,
+    en: ({ orderId }) => `KEDI: Your order #${orderId} has been rejected by the seller.`,
+    fr: ({ orderId }) => `KEDI : Votre commande n°${orderId} a été refusée par le vendeur.`
+  },
+  order_cancelled: {
+    rw: ({ orderId }) => `KEDI: Komande yawe #${orderId} yahagaritswe.`,
+    en: ({ orderId }) => `KEDI: Your order #${orderId} has been cancelled.`,
+    fr: ({ orderId }) => `KEDI : Votre commande n°${orderId} a été annulée.`
+  },
+  order_shipped: {
+    rw: ({ orderId, code }) => `KEDI: Komande yawe #${orderId} yoherejwe.${code ? ` Nibikugeraho, ha uwabizanye kode ${code}.` : ''}`,
+    en: ({ orderId, code }) => `KEDI: Your order #${orderId} has been shipped.${code ? ` Give code ${code} to the driver when it arrives.` : ''}`,
+    fr: ({ orderId, code }) => `KEDI : Votre commande n°${orderId} a été expédiée.${code ? ` Donnez le code ${code} au livreur à la réception.` : ''}`
+  },
+  delivery_code: {
+    rw: ({ orderId, code }) => `KEDI: Kode nshya yo kwakira komande #${orderId} ni ${code}. Yihe uwabizanye nibikugeraho.`,
+    en: ({ orderId, code }) => `KEDI: Your new delivery code for order #${orderId} is ${code}. Give it to the driver when it arrives.`,
+    fr: ({ orderId, code }) => `KEDI : Votre nouveau code de livraison pour la commande n°${orderId} est ${code}. Donnez-le au livreur.`
+  },
+  order_delivered: {
+    rw: ({ orderId }) => `KEDI: Komande yawe #${orderId} yakugezeho.`,
+    en: ({ orderId }) => `KEDI: Your order #${orderId} has been delivered.`,
+    fr: ({ orderId }) => `KEDI : Votre commande n°${orderId} a été livrée.`
+  },
+  order_expired: {
+    rw: ({ orderId }) => `KEDI: Komande yawe #${orderId} yahagaritswe kuko itishyuwe ku gihe.`,
+    en: ({ orderId }) => `KEDI: Your order #${orderId} was cancelled because it was not paid in time.`,
+    fr: ({ orderId }) => `KEDI : Votre commande n°${orderId} a été annulée faute de paiement à temps.`
+  },
+  payment_received: {
+    rw: ({ orderId, amount }) => `KEDI: Twakiriye ${money(amount)} RWF ya komande #${orderId}. Murakoze!`,
+    en: ({ orderId, amount }) => `KEDI: We received your payment of ${money(amount)} RWF for order #${orderId}. Thank you!`,
+    fr: ({ orderId, amount }) => `KEDI : Nous avons reçu votre paiement de ${money(amount)} RWF pour la commande n°${orderId}. Merci !`
+  },
+  payment_failed: {
+    rw: ({ orderId }) => `KEDI: Kwishyura komande #${orderId} ntibyakunze. Ongera ugerageze.`,
+    en: ({ orderId }) => `KEDI: Payment for order #${orderId} failed. Please try again.`,
+    fr: ({ orderId }) => `KEDI : Le paiement de la commande n°${orderId} a échoué. Veuillez réessayer.`
+  },
+
+  // To the buyer and the seller of a dispute
+  dispute_refunded: {
+    rw: ({ orderId, amount }) => `KEDI: Ikirego kuri komande #${orderId} cyakemutse: umuguzi asubizwa ${money(amount)} RWF.`,
+    en: ({ orderId, amount }) => `KEDI: Dispute on order #${orderId} settled: ${money(amount)} RWF is refunded to the buyer.`,
+    fr: ({ orderId, amount }) => `KEDI : Litige sur la commande n°${orderId} réglé : ${money(amount)} RWF sont remboursés à l'acheteur.`
+  },
+  dispute_replacement: {
+    rw: ({ orderId, hours }) => `KEDI: Ikirego kuri komande #${orderId} cyakemutse: umucuruzi arasimbuza ibicuruzwa mu masaha ${hours}.`,
+    en: ({ orderId, hours }) => `KEDI: Dispute on order #${orderId} settled: the seller replaces the produce within ${hours} hours.`,
+    fr: ({ orderId, hours }) => `KEDI : Litige sur la commande n°${orderId} réglé : le vendeur remplace les produits sous ${hours} heures.`
+  },
+  dispute_rejected: {
+    rw: ({ orderId }) => `KEDI: Ikirego kuri komande #${orderId} cyanzwe nyuma yo gusuzumwa.`,
+    en: ({ orderId }) => `KEDI: The dispute on order #${orderId} was rejected after review.`,
+    fr: ({ orderId }) => `KEDI : Le litige sur la commande n°${orderId} a été rejeté après examen.`
+  }
+};
+
+// Inbox texts for events whose SMS had to be cut short
+const INBOX_TEMPLATES = {
+  order_created: {
+    rw: ({ orderId, items, total }) => `Komande nshya #${orderId}!\nIbicuruzwa: ${items}\nIgiteranyo: ${money(total)} RWF\nEmeza cyangwa wange iyi komande.`,
+    en: ({ orderId, items, total }) => `New order #${orderId} received!\nProducts: ${items}\nTotal: ${money(total)} RWF\nPlease approve or reject this order.`,
+    fr: ({ orderId, items, total }) => `Nouvelle commande n°${orderId} reçue !\nProduits : ${items}\nTotal : ${money(total)} RWF\nVeuillez accepter ou refuser cette commande.`
+  }
+};
+
+const render = (event, language, params) => {
+  const template = TEMPLATES[event];
+  if (!template) {
+    throw new Error(`Unknown notification event ${event}`);
+  }
+  return (template[language] || template[DEFAULT_LANGUAGE])(params);
+};
+
+const renderInbox = (event, language, params) => {
+  const template = INBOX_TEMPLATES[event];
+  if (template) {
+    return (template[language] || template[DEFAULT_LANGUAGE])(params);
+  }
+  return render(event, language, params).replace(/^KEDI ?: /, '');
+};
+
+module.exports = {
+  LANGUAGES,
+  DEFAULT_LANGUAGE,
+  EVENTS: Object.keys(TEMPLATES),
+  money,
+  render,
+  renderInbox
+};
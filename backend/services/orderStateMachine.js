@@ -0,0 +1,300 @@
+const { sequelize, SellerOrder, OrderItem, OrderStatusHistory } = require('../database');
+const { ServiceError } = require('./errors');
+const { lockProduct, lockVariant, releaseReservations } = require('./stock');
+const { refundSellerOrder } = require('./payments/refunds');
+const { notify } = require('./notifications');
+const { publish } = require('./realtime');
+const { startShipment, completeShipment } = require('./shipments');
+const { startReleaseTimer, markEscrowRefunded, releaseEscrow, notifyReleased } = require('./escrow');
+
+const parseBuyerInfo = (order) => {
+  try {
+    return order.buyerInfo ? JSON.parse(order.buyerInfo) : null;
+  } catch (e) {
+    return null;
+  }
+};
+
+const ORDER_STATUSES = ['pending', 'confirmed', 'shipped', 'delivered', 'cancelled'];
+
+// Every status change a seller order can make. A transition applies when the
+// seller order is in `from` and the actor has one of `roles` for this order:
+//   buyer   the order's buyer        seller  the seller of that seller order
+//   admin   any admin                system  background jobs
+// Side effects:
+//   restoreStock  release held stock, or put back stock already taken
+//   refund        refund the seller order's lines if the order was paid
+//   notify        tell the buyer or the seller (inbox and SMS)
+// Shipping opens the seller order's shipment and gives the buyer a delivery code.
+// Sellers can only deliver with that code (services/shipments.js); buyers confirm
+// receipt by hand, which releases the escrow (services/escrow.js). Other deliveries
+// start the escrow's automatic release timer.
+const TRANSITIONS = [
+  { action: 'approve', from: 'pending', to: 'confirmed', roles: ['seller', 'admin'], notify: 'buyer', message: 'Order approved successfully' },
+  { action: 'reject', from: 'pending', to: 'cancelled', roles: ['seller', 'admin'], restoreStock: true, refund: true, notify: 'buyer', message: 'Order rejected and stock restored' },
+  { action: 'cancel', from: 'pending', to: 'cancelled', roles: ['buyer', 'seller', 'admin'], restoreStock: true, refund: true, notify: 'other', message: 'Order cancelled successfully' },
+  { action: 'cancel', from: 'confirmed', to: 'cancelled', roles: ['admin'], restoreStock: true, refund: true, notify: 'buyer', message: 'Order cancelled successfully' },
+  { action: 'ship', from: 'confirmed', to: 'shipped', roles: ['seller', 'admin'], notify: 'buyer', message: 'Order marked as shipped' },
+  { action: 'deliver', from: 'shipped', to: 'delivered', roles: ['seller', 'admin', 'buyer'], notify: 'other', message: 'Order marked as delivered' },
+  { action: 'expire', from: 'pending', to: 'cancelled', roles: ['system'], restoreStock: true, notify: 'buyer', message: 'Order expired' },
+  { action: 'expire', from: 'confirmed', to: 'cancelled', roles: ['system'], restoreStock: true, notify: 'buyer', message: 'Order expired' }
+];
+
+// Notification sent to the buyer when their part of an order changes
+const BUYER_EVENTS = {
+  approve: 'order_approved',
+  reject: 'order_rejected',
+  cancel: 'order_cancelled',
+  ship: 'order_shipped',
+  deliver: 'order_delivered',
+  expire: 'order_expired'
+};
+
+// Notification sent to the seller when the buyer changes their part of an order
+const SELLER_EVENTS = {
+  cancel: 'order_cancelled_by_buyer',
+  deliver: 'order_received_by_buyer'
+};
+
+// The parent order status follows the least advanced seller order that is still active
+const deriveOrderStatus = (statuses) => {
+  const active = statuses.filter(status => status !== 'cancelled');
+  if (active.length === 0) return 'cancelled';
+
+  for (const status of ['pending', 'confirmed', 'shipped']) {
+    if (active.includes(status)) return status;
+  }
+
+  return 'delivered';
+};
+
+// Roles a user has on a seller order
+const rolesFor = (user, order, sellerOrder) => {
+  if (!user) return ['system'];
+
+  const roles = [];
+  if (user.role === 'admin') roles.push('admin');
+  if (sellerOrder.sellerId === user.id) roles.push('seller');
+  if (order.buyerId && order.buyerId === user.id) roles.push('buyer');
+  return roles;
+};
+
+// Transition a seller order would take for an action, or for a requested target status
+const findTransition = ({ action, status }, sellerOrder, roles) => TRANSITIONS.find(transition =>
+  (action ? transition.action === action : transition.to === status) &&
+  transition.from === sellerOrder.status &&
+  transition.roles.some(role => roles.includes(role))
+);
+
+// Give a cancelled seller order's units back: release what is still held, or
+// put back stock that was already taken (paid orders and orders placed before holds)
+const restoreStock = async (sellerOrder, transaction) => {
+  const released = await releaseReservations({ sellerOrderId: sellerOrder.id }, transaction);
+  if (released > 0) return;
+
+  const items = await OrderItem.findAll({ where: { sellerOrderId: sellerOrder.id }, transaction });
+  for (const item of items) {
+    if (!item.productId) continue;
+    const product = await lockProduct(item.productId, transaction);
+    if (product) {
+      product.stock += item.quantity;
+      await product.save({ transaction });
+    }
+    const variant = item.variantId && await lockVariant(item.variantId, transaction);
+    if (variant) {
+      variant.stock += item.quantity;
+      await variant.save({ transaction });
+    }
+  }
+};
+
+// Apply transitions inside a transaction and keep the parent order status in step.
+// Returns the moves that were made as [{ sellerOrder, transition, role }].
+// transporter ({ name, phone }) goes on the shipment of shipped seller orders, and
+// proof ({ photoUrl }) marks a delivery confirmed with the buyer's code.
+const transitionSellerOrders = async (order, targets, { action, status, user = null, reason = null, transporter, proof = null }, transaction) => {
+  const moves = [];
+
+  for (const sellerOrder of targets) {
+    const roles = rolesFor(user, order, sellerOrder);
+    const transition = findTransition({ action, status }, sellerOrder, roles);
+    if (!transition) continue;
+
+    // Only move rows still in the expected status, so concurrent requests cannot both apply
+    const [updated] = await SellerOrder.update({ status: transition.to }, {
+      where: { id: sellerOrder.id, status: transition.from },
+      transaction
+    });
+    if (updated === 0) continue;
+
+    if (transition.restoreStock) {
+      await restoreStock(sellerOrder, transaction);
+    }
+    if (transition.refund) {
+      await markEscrowRefunded(sellerOrder, transaction);
+    }
+
+    let params = {};
+    if (transition.to === 'shipped') {
+      const shipment = await startShipment(sellerOrder, { transporter, user }, transaction);
+      params = { code: shipment.deliveryCode };
+    }
+    const role = transition.roles.find(r => roles.includes(r));
+    let released = null;
+    if (transition.to === 'delivered') {
+      await completeShipment(sellerOrder, { roles, user, proof }, transaction);
+      released = role === 'buyer'
+        ? await releaseEscrow(sellerOrder, { reason: 'receipt confirmed by the buyer' }, transaction)
+        : null;
+      if (released === null) {
+        await startReleaseTimer(sellerOrder, transaction);
+      }
+    }
+
+    await OrderStatusHistory.create({
+      orderId: order.id,
+      sellerOrderId: sellerOrder.id,
+      fromStatus: transition.from,
+      toStatus: transition.to,
+      action: transition.action,
+      changedBy: user ? user.id : null,
+      actorRole: role,
+      reason
+    }, { transaction });
+
+    sellerOrder.status = transition.to;
+    moves.push({ sellerOrder, transition, role, params, released });
+  }
+
+  if (moves.length === 0) return moves;
+
+  const sellerOrders = await SellerOrder.findAll({ where: { orderId: order.id }, transaction });
+  const orderStatus = deriveOrderStatus(sellerOrders.map(so => so.status));
+  if (orderStatus !== order.status) {
+    await OrderStatusHistory.create({
+      orderId: order.id,
+      fromStatus: order.status,
+      toStatus: orderStatus,
+      action: moves[0].transition.action,
+      changedBy: user ? user.id : null,
+      actorRole: moves[0].role,
+      reason
+    }, { transaction });
+    await order.update({ status: orderStatus }, { transaction });
+  }
+
+  return moves;
+};
+
+// Tell the other side of the order what changed. Guest buyers are reached by
+// SMS on the phone number they gave at checkout.
+const notifyOtherSide = async (order, { sellerOrder, transition, role, params: extra = {} }, user) => {
+  const toBuyer = transition.notify === 'buyer' || (transition.notify === 'other' && role !== 'buyer');
+  const params = { orderId: order.id, ...extra };
+  const options = { orderId: order.id };
+
+  if (!toBuyer) {
+    await notify({ userId: sellerOrder.sellerId }, SELLER_EVENTS[transition.action], params, { ...options, senderId: user?.id });
+    return;
+  }
+
+  const event = BUYER_EVENTS[transition.action];
+  // The delivery code sent on shipping comes from the platform, so the seller never sees it
+  const senderId = transition.action === 'ship' ? null : sellerOrder.sellerId;
+  if (order.buyerId) {
+    await notify({ userId: order.buyerId }, event, params, { ...options, senderId });
+  } else {
+    const buyerInfo = parseBuyerInfo(order);
+    if (buyerInfo?.phone) {
+      await notify({ phone: buyerInfo.phone, language: buyerInfo.language }, event, params, options);
+    }
+  }
+};
+
+// Run the side effects that happen after the status change is committed
+const afterTransitions = async (order, moves, user) => {
+  for (const move of moves) {
+    const { sellerOrder, transition } = move;
+
+    // Give the buyer their money back for anything cancelled after paying
+    if (transition.refund) {
+      try {
+        await refundSellerOrder(sellerOrder, {
+          reason: `Order #${order.id} ${transition.action === 'reject' ? 'rejected by seller' : 'cancelled'}`,
+          requestedBy: user ? user.id : null
+        });
+      } catch (err) {
+        console.error(`Refund for seller order ${sellerOrder.id} failed:`, err);
+      }
+    }
+
+    if (transition.notify) {
+      await notifyOtherSide(order, move, user);
+    }
+    if (move.released) {
+      await notifyReleased(sellerOrder, move.released);
+    }
+
+    await publish([order.buyerId, sellerOrder.sellerId], 'order_status', {
+      orderId: order.id,
+      sellerOrderId: sellerOrder.id,
+      action: transition.action,
+      status: transition.to,
+      orderStatus: order.status
+    });
+  }
+};
+
+// Apply an action (or move to a status) on some of an order's seller orders on behalf of user
+const updateSellerOrders = async (order, targets, { action, status, user, reason, transporter, proof }) => {
+  const known = action
+    ? TRANSITIONS.some(transition => transition.action === action)
+    : ORDER_STATUSES.includes(status);
+  if (!known) {
+    throw new ServiceError(400, 'Invalid action or status');
+  }
+
+  // Permission first, so users learn they may never do this rather than that the status is wrong
+  const permitted = targets.some(sellerOrder => {
+    const roles = rolesFor(user, order, sellerOrder);
+    return TRANSITIONS.some(transition =>
+      (action ? transition.action === action : transition.to === status) &&
+      transition.roles.some(role => roles.includes(role))
+    );
+  });
+  if (!permitted) {
+    throw new ServiceError(403, 'You are not allowed to make this change');
+  }
+
+  const moves = await sequelize.transaction(transaction =>
+    transitionSellerOrders(order, targets, { action, status, user, reason, transporter, proof }, transaction)
+  );
+
+  if (moves.length === 0) {
+    throw new ServiceError(400, 'Invalid action or order status');
+  }
+
+  await afterTransitions(order, moves, user);
+
+  return moves[0].transition.message;
+};
+
+// Record the creation of an order as the first history entry
+const recordOrderCreated = (order, transaction) => OrderStatusHistory.create({
+  orderId: order.id,
+  fromStatus: null,
+  toStatus: order.status,
+  action: 'create',
+  changedBy: order.buyerId || null,
+  actorRole: 'buyer'
+}, { transaction });
+
+module.exports = {
+  ORDER_STATUSES,
+  TRANSITIONS,
+  deriveOrderStatus,
+  transitionSellerOrders,
+  afterTransitions,
+  updateSellerOrders,
+  recordOrderCreated
+};
@@ -0,0 +1,346 @@
+const { sequelize, User, Order, SellerOrder, OrderItem, Product, ProductVariant, Payment, StockReservation } = require('../database');
+const { ServiceError } = require('./errors');
+const { holdExpiry, lockProduct, lockVariant, checkAvailable, holdStock, findExpiredReservationOrderIds } = require('./stock');
+const { transitionSellerOrders, afterTransitions, recordOrderCreated } = require('./orderStateMachine');
+const { notify } = require('./notifications');
+const { isUnit, orderQuantity, unitPriceFor, weightKg } = require('./units');
+const { buyerPriceItems, priceFor } = require('./pricing');
+const { parseDelivery, deliveryZonesFor, quoteDelivery } = require('./delivery');
+
+const parseJSON = (value, fallback = null) => {
+  if (!value) return fallback;
+  try {
+    return JSON.parse(value);
+  } catch (e) {
+    return fallback;
+  }
+};
+
+// Standard includes for loading an order together with its lines and seller orders
+const orderIncludes = () => [
+  {
+    model: OrderItem,
+    as: 'items',
+    include: [{ model: Product, as: 'product', attributes: ['id', 'name', 'price'], required: false }]
+  },
+  { model: SellerOrder, as: 'sellerOrders' }
+];
+
+// Order lines in the shape clients already consume as `products`
+const serializeItem = (item) => ({
+  id: item.id,
+  sellerOrderId: item.sellerOrderId,
+  productId: item.productId,
+  productName: item.productName,
+  variantId: item.variantId,
+  variantName: item.variantName,
+  unit: item.unit,
+  quantity: item.quantity,
+  orderedUnit: item.orderedUnit || item.unit,
+  orderedQuantity: item.orderedQuantity ?? item.quantity,
+  price: item.price,
+  priceRule: item.priceRule || 'base',
+  listPrice: item.listPrice ?? item.price,
+  priceListId: item.priceListId,
+  subtotal: item.subtotal,
+  product: item.product ? { id: item.product.id, name: item.product.name, price: item.product.price } : null
+});
+
+const serializeSellerOrder = (sellerOrder, items = sellerOrder.items || []) => {
+  const { items: _items, order: _order, ...plain } = sellerOrder.toJSON();
+  return {
+    ...plain,
+    products: items.map(serializeItem)
+  };
+};
+
+const serializeOrder = (order) => {
+  const { items: _items, sellerOrders: _sellerOrders, ...plain } = order.toJSON();
+  const items = order.items || [];
+
+  return {
+    ...plain,
+    products: items.map(serializeItem),
+    buyerInfo: parseJSON(order.buyerInfo),
+    deliveryAddress: parseJSON(order.deliveryAddress),
+    ...(order.sellerOrders && {
+      sellerOrders: order.sellerOrders.map(sellerOrder =>
+        serializeSellerOrder(sellerOrder, items.filter(item => item.sellerOrderId === sellerOrder.id))
+      )
+    })
+  };
+};
+
+// The same cart rules apply to every way of ordering (API, USSD)
+const validateOrderProducts = (products) => {
+  if (!products || !Array.isArray(products) || products.length === 0) {
+    throw new ServiceError(400, 'At least one product is required');
+  }
+
+  for (const item of products) {
+    if (!item.productId || !item.quantity || item.quantity <= 0) {
+      throw new ServiceError(400, 'Invalid product data');
+    }
+    if (item.unit !== undefined && item.unit !== null && !isUnit(item.unit)) {
+      throw new ServiceError(400, `Unknown unit ${item.unit}`);
+    }
+    if (item.variantId !== undefined && item.variantId !== null &&
+        !(Number.isInteger(Number(item.variantId)) && Number(item.variantId) > 0)) {
+      throw new ServiceError(400, 'Invalid product data');
+    }
+  }
+};
+
+// Price a cart and split it per seller, with each seller's delivery fee.
+// With hold, products are locked and their stock held in the transaction;
+// without (quotes), stock is only checked.
+// Returns { sellerGroups: Map(sellerId -> { lines, subtotal, deliveryFee, deliveryZoneId,
+// distanceKm, weightKg, totalAmount, names }), deliveryFee, totalAmount }.
+const priceCart = async ({ buyerId, products, delivery, transaction = null, hold = false }) => {
+  // Lock every product in the cart up front, in id order, so concurrent
+  // checkouts queue behind each other instead of overselling or deadlocking
+  const productIds = [...new Set(products.map(item => parseInt(item.productId)))].sort((a, b) => a - b);
+  const productsById = new Map();
+  for (const productId of productIds) {
+    const product = hold ? await lockProduct(productId, transaction) : await Product.findByPk(productId);
+    if (!product) {
+      throw new ServiceError(404, `Product ${productId} not found`);
+    }
+    productsById.set(productId, product);
+  }
+
+  // Products sold in variants are ordered by variant, which are locked the same way
+  const variantIds = [...new Set(products.filter(item => item.variantId).map(item => parseInt(item.variantId)))].sort((a, b) => a - b);
+  const variantsById = new Map();
+  for (const variantId of variantIds) {
+    const variant = hold ? await lockVariant(variantId, transaction) : await ProductVariant.findByPk(variantId);
+    if (!variant) {
+      throw new ServiceError(404, `Variant ${variantId} not found`);
+    }
+    variantsById.set(variantId, variant);
+  }
+  const withVariants = new Set((await ProductVariant.findAll({
+    where: { productId: productIds },
+    attributes: ['productId'],
+    transaction
+  })).map(variant => variant.productId));
+
+  // Hold the stock of each line first: prices depend on how much of each
+  // product (or variant) the whole cart holds
+  const entries = [];
+  const cartQuantities = new Map(); // 'productId:variantId' -> quantity in the product's unit
+  const cartKey = (product, variant) => `${product.id}:${variant ? variant.id : ''}`;
+  for (const item of products) {
+    const product = productsById.get(parseInt(item.productId));
+    const variant = item.variantId ? variantsById.get(parseInt(item.variantId)) : null;
+    if (variant && variant.productId !== product.id) {
+      throw new ServiceError(400, `Variant ${variant.id} is not a variant of ${product.name}`);
+    }
+    if (!variant && withVariants.has(product.id)) {
+      throw new ServiceError(400, `Choose a variant of ${product.name}`);
+    }
+
+    // Quantities may be ordered in packs or other units; stock and price stay in the product's unit
+    const ordered = orderQuantity(product, parseFloat(item.quantity), item.unit || product.unit);
+    const key = cartKey(product, variant);
+    if (hold) {
+      await holdStock(product, ordered.baseQuantity, transaction, variant);
+    } else {
+      checkAvailable(product, (cartQuantities.get(key) || 0) + ordered.baseQuantity, variant);
+    }
+
+    entries.push({ product, variant, ordered });
+    cartQuantities.set(key, (cartQuantities.get(key) || 0) + ordered.baseQuantity);
+  }
+
+  const priceItems = await buyerPriceItems(buyerId, productIds, transaction);
+
+  const sellerGroups = new Map();
+  for (const { product, variant, ordered } of entries) {
+    const quantity = ordered.baseQuantity;
+    const { price, rule, listPrice, priceListId } = priceFor({
+      product,
+      variant,
+      quantity: cartQuantities.get(cartKey(product, variant)),
+      priceItems
+    });
+
+    const line = {
+      productId: product.id,
+      productName: product.name,
+      variantId: variant ? variant.id : null,
+      variantName: variant ? variant.name : null,
+      unit: product.unit,
+      quantity,
+      orderedUnit: ordered.unit,
+      orderedQuantity: ordered.quantity,
+      price,
+      priceRule: rule,
+      listPrice,
+      priceListId,
+      subtotal: price * quantity
+    };
+
+    if (!sellerGroups.has(product.sellerId)) {
+      sellerGroups.set(product.sellerId, { lines: [], subtotal: 0, weightKg: 0, names: [] });
+    }
+    const group = sellerGroups.get(product.sellerId);
+    group.lines.push(line);
+    group.subtotal += line.subtotal;
+    group.weightKg += weightKg(product, quantity);
+    const name = variant ? `${product.name} ${variant.name}` : product.name;
+    group.names.push(`${name} (${ordered.quantity} ${ordered.unit} x ${unitPriceFor(product, ordered.unit, price)} RWF)`);
+  }
+
+  // Each seller delivers their own part of the order
+  let deliveryFee = 0;
+  let totalAmount = 0;
+  for (const [sellerId, group] of sellerGroups) {
+    const seller = await User.findByPk(sellerId, { attributes: ['id', 'name', 'lat', 'lng'], transaction });
+    const zones = delivery.method === 'delivery' ? await deliveryZonesFor(sellerId, transaction) : [];
+    const quote = quoteDelivery({ seller, weightKg: group.weightKg, delivery, zones });
+
+    group.deliveryFee = quote.fee;
+    group.deliveryZoneId = quote.zoneId;
+    group.distanceKm = quote.distanceKm;
+    group.totalAmount = group.subtotal + quote.fee;
+    deliveryFee += quote.fee;
+    totalAmount += group.totalAmount;
+  }
+
+  return { sellerGroups, deliveryFee, totalAmount };
+};
+
+// What an order would cost, without placing it: lines, delivery fee per seller and total
+const quoteOrder = async ({ buyerId = null, products, delivery }) => {
+  validateOrderProducts(products);
+  const choice = parseDelivery(delivery);
+
+  const { sellerGroups, deliveryFee, totalAmount } = await priceCart({ buyerId, products, delivery: choice });
+  return {
+    deliveryMethod: choice.method,
+    deliveryAddress: choice.address,
+    sellers: [...sellerGroups].map(([sellerId, group]) => ({
+      sellerId,
+      products: group.lines,
+      subtotal: group.subtotal,
+      weightKg: group.weightKg,
+      deliveryFee: group.deliveryFee,
+      deliveryZoneId: group.deliveryZoneId,
+      distanceKm: group.distanceKm,
+      totalAmount: group.totalAmount
+    })),
+    deliveryFee,
+    totalAmount
+  };
+};
+
+// Validate the cart, hold its stock, split it per seller and create the order with its seller orders
+const createOrder = async ({ buyerId = null, products, buyerInfo, delivery }) => {
+  validateOrderProducts(products);
+  const choice = parseDelivery(delivery);
+
+  let sellerGroups;
+
+  const order = await sequelize.transaction(async (transaction) => {
+    const cart = await priceCart({ buyerId, products, delivery: choice, transaction, hold: true });
+    sellerGroups = cart.sellerGroups;
+
+    const reservedUntil = holdExpiry();
+    const orderData = {
+      totalAmount: cart.totalAmount,
+      deliveryMethod: choice.method,
+      deliveryAddress: choice.address ? JSON.stringify(choice.address) : null,
+      deliveryFee: cart.deliveryFee,
+      status: 'pending',
+      buyerInfo: buyerInfo ? JSON.stringify(buyerInfo) : null,
+      reservedUntil
+    };
+
+    if (buyerId) {
+      orderData.buyerId = buyerId;
+    }
+
+    const created = await Order.create(orderData, { transaction });
+    await recordOrderCreated(created, transaction);
+
+    for (const [sellerId, group] of sellerGroups) {
+      const sellerOrder = await SellerOrder.create({
+        orderId: created.id,
+        sellerId,
+        totalAmount: group.totalAmount,
+        deliveryFee: group.deliveryFee,
+        deliveryZoneId: group.deliveryZoneId,
+        status: 'pending'
+      }, { transaction });
+
+      await OrderItem.bulkCreate(
+        group.lines.map(line => ({ ...line, orderId: created.id, sellerOrderId: sellerOrder.id })),
+        { transaction }
+      );
+
+      await StockReservation.bulkCreate(
+        group.lines.map(line => ({
+          productId: line.productId,
+          variantId: line.variantId,
+          orderId: created.id,
+          sellerOrderId: sellerOrder.id,
+          quantity: line.quantity,
+          status: 'held',
+          expiresAt: reservedUntil
+        })),
+        { transaction }
+      );
+    }
+
+    return created;
+  });
+
+  // Tell each seller in their inbox and by SMS
+  for (const [sellerId, group] of sellerGroups) {
+    await notify({ userId: sellerId }, 'order_created', {
+      orderId: order.id,
+      items: group.names.join(', '),
+      total: group.totalAmount
+    }, { senderId: buyerId, orderId: order.id });
+  }
+
+  return order;
+};
+
+// Background job: cancel orders that were not paid before their stock hold ran
+// out and make the held units available again. Orders with a payment still in
+// flight are left alone until the payment settles or times out.
+const expireUnpaidOrders = async () => {
+  for (const orderId of await findExpiredReservationOrderIds()) {
+    try {
+      const order = await Order.findByPk(orderId);
+
+      const moves = await sequelize.transaction(async (transaction) => {
+        await order.reload({ transaction });
+        if (!['pending', 'failed'].includes(order.paymentStatus)) return [];
+
+        const inFlight = await Payment.count({ where: { orderId, status: 'pending' }, transaction });
+        if (inFlight > 0) return [];
+
+        const sellerOrders = await SellerOrder.findAll({ where: { orderId }, transaction });
+        return transitionSellerOrders(order, sellerOrders, { action: 'expire', reason: 'Stock hold expired' }, transaction);
+      });
+
+      await afterTransitions(order, moves, null);
+    } catch (err) {
+      console.error(`Expiring order ${orderId} failed:`, err);
+    }
+  }
+};
+
+module.exports = {
+  parseJSON,
+  orderIncludes,
+  serializeOrder,
+  serializeSellerOrder,
+  validateOrderProducts,
+  quoteOrder,
+  createOrder,
+  expireUnpaidOrders
+};
@@ -0,0 +1,259 @@
+const { Op } = require('sequelize');
+const { sequelize, Payment, Order, SellerOrder } = require('../../database');
+const { ServiceError } = require('../errors');
+const { postSale } = require('../ledger');
+const { commitReservations } = require('../stock');
+const { publish } = require('../realtime');
+const { notify } = require('../notifications');
+const mtnMomo = require('./providers/mtnMomo');
+const mock = require('./providers/mock');
+
+// A payment provider exposes:
+//   name                               identifier stored on Payment.provider
+//   isConfigured()                     whether credentials are present
+//   requestPayment({ payment, order, phone })
+//                                      -> { transactionId, status, providerTransactionId?, reason? }
+//   getPaymentStatus(payment)          -> { status, providerTransactionId?, reason? }
+// where status is one of Payment.status: 'pending', 'completed' or 'failed'.
+// Providers that can return money also expose supportsRefunds(),
+// refundPayment({ refund, payment }) and getRefundStatus(refund) with the same result shape.
+const providers = {
+  mtn_momo: mtnMomo,
+  mock
+};
+
+// Methods a buyer can choose. Only MTN MoMo collects money; the others have no
+// integration yet and only work against the mock provider.
+const PAYMENT_METHODS = ['mtn_momo', 'airtel_money', 'credit_card'];
+
+// The mock provider settles payments without collecting anything, so it is only
+// used when PAYMENTS_MOCK=true (development and tests), never as a fallback.
+const mockEnabled = () => process.env.PAYMENTS_MOCK === 'true';
+
+const getProvider = (method) => {
+  const provider = providers[method];
+  if (provider && provider.isConfigured()) return provider;
+  if (mockEnabled()) return mock;
+
+  if (!provider) {
+    throw new ServiceError(400, 'This payment method is not available yet');
+  }
+  throw new ServiceError(503, 'Mobile money payments are not available right now');
+};
+
+// Provider that handled a payment, or null when it is unknown (payments made
+// before providers were recorded) or is the mock while mock payments are off.
+// Refunds without a provider are left for an admin to pay out by hand.
+const providerFor = (payment) => {
+  const provider = providers[payment.provider];
+  if (!provider || (provider === mock && !mockEnabled())) return null;
+  return provider;
+};
+
+const getProviderByName = (name) => providers[name];
+
+// Give up on requests the payer never answered
+const PENDING_TIMEOUT_MS = (parseInt(process.env.PAYMENT_PENDING_TIMEOUT_MINUTES) || 15) * 60 * 1000;
+
+// The buyer hears whether their payment went through; sellers hear they can ship
+const notifyPaymentResult = async (payment, order, sellerOrders) => {
+  const params = { orderId: payment.orderId, amount: payment.amount };
+  const options = { orderId: payment.orderId };
+
+  if (order?.buyerId) {
+    await notify({ userId: order.buyerId }, payment.status === 'completed' ? 'payment_received' : 'payment_failed', params, options);
+  }
+
+  if (payment.status === 'completed') {
+    for (const sellerOrder of sellerOrders) {
+      await notify({ userId: sellerOrder.sellerId }, 'order_paid', { ...params, total: sellerOrder.totalAmount }, options);
+    }
+  }
+};
+
+// The buyer's money came in for an order that was cancelled or paid another way
+// meanwhile, e.g. after their payment had timed out: give it back
+const refundUnneededPayment = async (payment) => {
+  // Required here because refunds requires this module
+  const { createRefund } = require('./refunds');
+  try {
+    await createRefund({ payment, reason: `Order #${payment.orderId} was already cancelled or paid` });
+  } catch (err) {
+    console.error(`Refund of payment ${payment.id} failed:`, err);
+  }
+};
+
+// Move a pending payment to its final status and keep the order in step.
+// Payments that are already completed or failed are never changed again, except
+// that a payment failed on TIMEOUT can still complete: the payer may approve it
+// after we stopped waiting. Completed payments the order no longer needs are refunded.
+const settlePayment = async (payment, { status, providerTransactionId, reason }, options = {}) => {
+  if (status === 'pending') return false;
+
+  const settle = async (transaction) => {
+    const values = {
+      status,
+      providerTransactionId: providerTransactionId || payment.providerTransactionId,
+      failureReason: status === 'failed' ? (reason || 'UNKNOWN') : null
+    };
+    let [updated] = await Payment.update(values, {
+      where: { id: payment.id, status: 'pending' },
+      transaction
+    });
+    if (updated === 0 && status === 'completed') {
+      [updated] = await Payment.update(values, {
+        where: { id: payment.id, status: 'failed', failureReason: 'TIMEOUT' },
+        transaction
+      });
+    }
+
+    if (updated === 0) return false;
+
+    const order = await Order.findByPk(payment.orderId, { transaction });
+    if (status === 'completed' && (!order || order.status === 'cancelled' || !['pending', 'failed'].includes(order.paymentStatus))) {
+      await payment.reload({ transaction });
+      console.warn(`Payment ${payment.id} completed for order ${payment.orderId}, which no longer needs it; refunding it`);
+      transaction.afterCommit(() => refundUnneededPayment(payment));
+      return true;
+    }
+
+    if (order && order.paymentStatus !== 'paid') {
+      await order.update({ paymentStatus: status === 'completed' ? 'paid' : 'failed' }, { transaction });
+    }
+
+    if (status === 'completed') {
+      await commitReservations(payment.orderId, transaction);
+      await postSale(payment, transaction);
+    }
+
+    await payment.reload({ transaction });
+
+    // Tell the buyer and the sellers once the result is committed
+    const sellerOrders = await SellerOrder.findAll({
+      where: { orderId: payment.orderId, status: { [Op.ne]: 'cancelled' } },
+      attributes: ['sellerId', 'totalAmount'],
+      transaction
+    });
+    transaction.afterCommit(async () => {
+      await publish([order?.buyerId, ...sellerOrders.map(so => so.sellerId)], 'payment', {
+        paymentId: payment.id,
+        orderId: payment.orderId,
+        status: payment.status,
+        failureReason: payment.failureReason,
+        paymentStatus: order?.paymentStatus
+      });
+      await notifyPaymentResult(payment, order, sellerOrders);
+    });
+
+    return true;
+  };
+
+  return options.transaction ? settle(options.transaction) : sequelize.transaction(settle);
+};
+
+// Create a payment for an order and ask the provider to collect it
+const startPayment = async ({ order, method, phone }) => {
+  const provider = getProvider(method);
+
+  // The order row stays locked from the check to the insert, so two requests cannot
+  // both start a payment and prompt the payer twice (no-op on SQLite, which
+  // already serialises writers)
+  const payment = await sequelize.transaction(async (transaction) => {
+    const locked = await Order.findByPk(order.id, { transaction, lock: transaction.LOCK.UPDATE });
+    if (locked.paymentStatus === 'paid') {
+      throw new ServiceError(400, 'Order already paid');
+    }
+
+    const inFlight = await Payment.findOne({ where: { orderId: order.id, status: 'pending' }, transaction });
+    if (inFlight) {
+      throw new ServiceError(409, 'A payment for this order is already in progress');
+    }
+
+    // Parts of the order a seller already rejected are not charged
+    const amount = await SellerOrder.sum('totalAmount', {
+      where: { orderId: order.id, status: { [Op.ne]: 'cancelled' } },
+      transaction
+    });
+    if (!amount) {
+      throw new ServiceError(400, 'Nothing left to pay on this order');
+    }
+
+    return Payment.create({
+      orderId: order.id,
+      amount,
+      method,
+      provider: provider.name,
+      payerPhone: phone || null,
+      status: 'pending'
+    }, { transaction });
+  });
+
+  let result;
+  try {
+    result = await provider.requestPayment({ payment, order, phone });
+  } catch (err) {
+    await settlePayment(payment, { status: 'failed', reason: err.message });
+    throw err;
+  }
+
+  await payment.update({ transactionId: result.transactionId });
+  await settlePayment(payment, result);
+
+  return payment;
+};
+
+// A payment failed on TIMEOUT is still checked for another PAYMENT_PENDING_TIMEOUT_MINUTES,
+// in case the payer approves it late
+const timedOut = (payment) => payment.status === 'failed' && payment.failureReason === 'TIMEOUT';
+
+// Ask the provider for the latest status of a pending (or timed out) payment
+const refreshPayment = async (payment) => {
+  const provider = providerFor(payment);
+  if ((payment.status !== 'pending' && !timedOut(payment)) || !payment.transactionId || !provider) return payment;
+
+  const result = await provider.getPaymentStatus(payment);
+
+  // Only fail on timeout when the provider, asked just now, still has no result
+  if (result.status === 'pending' && Date.now() - new Date(payment.createdAt).getTime() > PENDING_TIMEOUT_MS) {
+    await settlePayment(payment, { status: 'failed', reason: 'TIMEOUT' });
+  } else {
+    await settlePayment(payment, result);
+  }
+
+  return payment;
+};
+
+// Background job: poll the provider for payments still waiting on the payer, or
+// that timed out recently
+const pollPendingPayments = async () => {
+  const payments = await Payment.findAll({
+    where: {
+      [Op.or]: [
+        { status: 'pending' },
+        { status: 'failed', failureReason: 'TIMEOUT', updatedAt: { [Op.gte]: new Date(Date.now() - PENDING_TIMEOUT_MS) } }
+      ],
+      transactionId: { [Op.ne]: null }
+    },
+    order: [['createdAt', 'ASC']],
+    limit: 50
+  });
+
+  for (const payment of payments) {
+    try {
+      await refreshPayment(payment);
+    } catch (err) {
+      console.error(`Payment ${payment.id} status check error:`, err);
+    }
+  }
+};
+
+module.exports = {
+  PAYMENT_METHODS,
+  getProvider,
+  getProviderByName,
+  providerFor,
+  settlePayment,
+  startPayment,
+  refreshPayment,
+  pollPendingPayments
+};
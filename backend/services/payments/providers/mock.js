@@ -0,0 +1,25 @@
+// Settles every payment immediately without collecting money. Only used when
+// PAYMENTS_MOCK=true, for development and tests.
+const requestPayment = async () => ({
+  transactionId: `mock_txn_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+  status: 'completed'
+});
+
+const getPaymentStatus = async () => ({ status: 'completed' });
+
+const refundPayment = async () => ({
+  transactionId: `mock_refund_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+  status: 'completed'
+});
+
+const getRefundStatus = async () => ({ status: 'completed' });
+
+module.exports = {
+  name: 'mock',
+  isConfigured: () => true,
+  supportsRefunds: () => true,
+  requestPayment,
+  getPaymentStatus,
+  refundPayment,
+  getRefundStatus
+};
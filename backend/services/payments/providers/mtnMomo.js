@@ -0,0 +1,213 @@
+const crypto = require('crypto');
+const { ServiceError } = require('../../errors');
+const { normalizeMsisdn } = require('../../../utils/phone');
+
+// MTN Mobile Money Collections API (request-to-pay), plus the Disbursements
+// refund API for returning money to the payer.
+// https://momodeveloper.mtn.com/api-documentation
+const config = () => ({
+  baseUrl: (process.env.MOMO_BASE_URL || '').replace(/\/$/, ''),
+  collection: {
+    subscriptionKey: process.env.MOMO_COLLECTION_SUBSCRIPTION_KEY,
+    apiUser: process.env.MOMO_API_USER,
+    apiKey: process.env.MOMO_API_KEY
+  },
+  // Disbursements is a separate MoMo product with its own key; the API user may be shared
+  disbursement: {
+    subscriptionKey: process.env.MOMO_DISBURSEMENT_SUBSCRIPTION_KEY,
+    apiUser: process.env.MOMO_DISBURSEMENT_API_USER || process.env.MOMO_API_USER,
+    apiKey: process.env.MOMO_DISBURSEMENT_API_KEY || process.env.MOMO_API_KEY
+  },
+  targetEnvironment: process.env.MOMO_TARGET_ENVIRONMENT || 'sandbox',
+  currency: process.env.MOMO_CURRENCY || 'RWF',
+  callbackUrl: process.env.MOMO_CALLBACK_URL,
+  webhookSecret: process.env.MOMO_WEBHOOK_SECRET
+});
+
+const hasCredentials = (product) => {
+  const { baseUrl } = config();
+  const { subscriptionKey, apiUser, apiKey } = config()[product];
+  return Boolean(baseUrl && subscriptionKey && apiUser && apiKey);
+};
+
+const isConfigured = () => hasCredentials('collection');
+
+const supportsRefunds = () => hasCredentials('disbursement');
+
+// Access tokens are valid for an hour; reuse them until shortly before expiry
+const cachedTokens = {};
+
+const getAccessToken = async (product) => {
+  const cached = cachedTokens[product];
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.accessToken;
+  }
+
+  const { baseUrl } = config();
+  const { subscriptionKey, apiUser, apiKey } = config()[product];
+  const response = await fetch(`${baseUrl}/${product}/token/`, {
+    method: 'POST',
+    headers: {
+      Authorization: `Basic ${Buffer.from(`${apiUser}:${apiKey}`).toString('base64')}`,
+      'Ocp-Apim-Subscription-Key': subscriptionKey
+    }
+  });
+
+  if (!response.ok) {
+    throw new ServiceError(502, `MTN MoMo token request failed with status ${response.status}`);
+  }
+
+  const body = await response.json();
+  cachedTokens[product] = {
+    accessToken: body.access_token,
+    expiresAt: Date.now() + (body.expires_in - 60) * 1000
+  };
+
+  return cachedTokens[product].accessToken;
+};
+
+const apiHeaders = async (product = 'collection') => {
+  const { targetEnvironment } = config();
+  return {
+    Authorization: `Bearer ${await getAccessToken(product)}`,
+    'X-Target-Environment': targetEnvironment,
+    'Ocp-Apim-Subscription-Key': config()[product].subscriptionKey
+  };
+};
+
+// MoMo reports PENDING, SUCCESSFUL or FAILED; map onto Payment.status
+const STATUS_MAP = {
+  PENDING: 'pending',
+  SUCCESSFUL: 'completed',
+  FAILED: 'failed'
+};
+
+const parseStatus = (body) => ({
+  status: STATUS_MAP[body.status] || 'pending',
+  providerTransactionId: body.financialTransactionId,
+  reason: body.reason ? (body.reason.code || body.reason) : undefined
+});
+
+const requestPayment = async ({ payment, order, phone }) => {
+  const msisdn = normalizeMsisdn(phone);
+  if (!msisdn) {
+    throw new ServiceError(400, 'A mobile money phone number is required');
+  }
+
+  const { baseUrl, currency, callbackUrl, webhookSecret } = config();
+  const referenceId = crypto.randomUUID();
+
+  // MoMo callbacks are not signed, so the callback URL carries our reference
+  // and the shared secret the webhook checks
+  const callbackHeaders = {};
+  if (callbackUrl) {
+    const url = new URL(callbackUrl);
+    url.searchParams.set('reference', referenceId);
+    if (webhookSecret) url.searchParams.set('token', webhookSecret);
+    callbackHeaders['X-Callback-Url'] = url.toString();
+  }
+
+  const response = await fetch(`${baseUrl}/collection/v1_0/requesttopay`, {
+    method: 'POST',
+    headers: {
+      ...(await apiHeaders()),
+      'X-Reference-Id': referenceId,
+      'Content-Type': 'application/json',
+      ...callbackHeaders
+    },
+    body: JSON.stringify({
+      amount: String(Math.round(payment.amount)),
+      currency,
+      externalId: String(payment.id),
+      payer: { partyIdType: 'MSISDN', partyId: msisdn },
+      payerMessage: `KEDI order #${order.id}`,
+      payeeNote: `KEDI payment ${payment.id}`
+    })
+  });
+
+  if (response.status !== 202) {
+    throw new ServiceError(502, `MTN MoMo request to pay failed with status ${response.status}`);
+  }
+
+  return { transactionId: referenceId, status: 'pending' };
+};
+
+const getPaymentStatus = async (payment) => {
+  const { baseUrl } = config();
+  const response = await fetch(`${baseUrl}/collection/v1_0/requesttopay/${payment.transactionId}`, {
+    headers: await apiHeaders()
+  });
+
+  if (response.status === 404) {
+    return { status: 'failed', reason: 'NOT_FOUND' };
+  }
+  if (!response.ok) {
+    throw new ServiceError(502, `MTN MoMo status request failed with status ${response.status}`);
+  }
+
+  return parseStatus(await response.json());
+};
+
+// Refund (part of) a completed request-to-pay back to the payer
+const refundPayment = async ({ refund, payment }) => {
+  const { baseUrl, currency } = config();
+  const referenceId = crypto.randomUUID();
+
+  const response = await fetch(`${baseUrl}/disbursement/v1_0/refund`, {
+    method: 'POST',
+    headers: {
+      ...(await apiHeaders('disbursement')),
+      'X-Reference-Id': referenceId,
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify({
+      amount: String(Math.round(refund.amount)),
+      currency,
+      externalId: String(refund.id),
+      payerMessage: `KEDI refund for order #${payment.orderId}`,
+      payeeNote: refund.reason || `KEDI refund ${refund.id}`,
+      referenceIdToRefund: payment.transactionId
+    })
+  });
+
+  if (response.status !== 202) {
+    throw new ServiceError(502, `MTN MoMo refund failed with status ${response.status}`);
+  }
+
+  return { transactionId: referenceId, status: 'pending' };
+};
+
+const getRefundStatus = async (refund) => {
+  const { baseUrl } = config();
+  const response = await fetch(`${baseUrl}/disbursement/v1_0/refund/${refund.transactionId}`, {
+    headers: await apiHeaders('disbursement')
+  });
+
+  if (response.status === 404) {
+    return { status: 'failed', reason: 'NOT_FOUND' };
+  }
+  if (!response.ok) {
+    throw new ServiceError(502, `MTN MoMo refund status request failed with status ${response.status}`);
+  }
+
+  return parseStatus(await response.json());
+};
+
+// Callbacks have the same body as the status endpoint; the reference comes from the callback URL
+const parseCallback = ({ body, query }) => ({
+  ...parseStatus(body),
+  transactionId: query.reference || body.referenceId,
+  amount: body.amount !== undefined ? parseFloat(body.amount) : undefined
+});
+
+module.exports = {
+  name: 'mtn_momo',
+  webhookSecret: () => config().webhookSecret,
+  isConfigured,
+  supportsRefunds,
+  requestPayment,
+  getPaymentStatus,
+  refundPayment,
+  getRefundStatus,
+  parseCallback
+};
@@ -0,0 +1,235 @@
+const { Op } = require('sequelize');
+const { sequelize, Payment, Order, OrderItem, Refund, RefundItem } = require('../../database');
+const { ServiceError } = require('../errors');
+const { providerFor } = require('./index');
+const { postRefund } = require('../ledger');
+const { publish } = require('../realtime');
+
+const REFUNDABLE_STATUSES = ['completed', 'partially_refunded'];
+
+// Allow for float rounding when comparing RWF amounts
+const EPSILON = 0.01;
+
+const findRefundablePayment = (orderId, options = {}) => Payment.findOne({
+  where: { orderId, status: REFUNDABLE_STATUSES },
+  order: [['createdAt', 'DESC']],
+  ...options
+});
+
+// Money already promised back to the payer, counting refunds still in flight
+const committedRefundAmount = async (paymentId, transaction) =>
+  (await Refund.sum('amount', { where: { paymentId, status: { [Op.ne]: 'failed' } }, transaction })) || 0;
+
+// Part of a seller order's delivery fee already refunded (or being refunded)
+const refundedDeliveryFee = async (sellerOrderId, transaction) =>
+  (await Refund.sum('deliveryFee', { where: { sellerOrderId, status: { [Op.ne]: 'failed' } }, transaction })) || 0;
+
+// Quantity of an order line already refunded (or being refunded)
+const refundedQuantity = async (orderItemId, transaction) => {
+  const refundItems = await RefundItem.findAll({
+    where: { orderItemId },
+    include: [{ model: Refund, as: 'refund', attributes: [], where: { status: { [Op.ne]: 'failed' } } }],
+    transaction
+  });
+  return refundItems.reduce((sum, item) => sum + item.quantity, 0);
+};
+
+// Recompute the payment and order status from completed refunds
+const syncRefundStatus = async (payment, transaction) => {
+  const refunded = (await Refund.sum('amount', {
+    where: { paymentId: payment.id, status: 'completed' },
+    transaction
+  })) || 0;
+
+  if (refunded <= 0) return;
+
+  const status = refunded >= payment.amount - EPSILON ? 'refunded' : 'partially_refunded';
+  await payment.update({ status }, { transaction });
+  await Order.update({ paymentStatus: status }, { where: { id: payment.orderId }, transaction });
+};
+
+// Move a pending refund to its final status; settled refunds never change again
+const applyRefundResult = async (refund, { status, providerTransactionId, reason }) => {
+  if (status === 'pending') return false;
+
+  return sequelize.transaction(async (transaction) => {
+    const [updated] = await Refund.update({
+      status,
+      providerTransactionId: providerTransactionId || refund.providerTransactionId,
+      failureReason: status === 'failed' ? (reason || 'UNKNOWN') : null
+    }, {
+      where: { id: refund.id, status: 'pending' },
+      transaction
+    });
+
+    if (updated === 0) return false;
+
+    if (status === 'completed') {
+      const payment = await Payment.findByPk(refund.paymentId, { transaction });
+      await syncRefundStatus(payment, transaction);
+      await postRefund(refund, transaction);
+    }
+
+    await refund.reload({ transaction });
+
+    const order = await Order.findByPk(refund.orderId, { attributes: ['buyerId', 'paymentStatus'], transaction });
+    transaction.afterCommit(() => publish([order?.buyerId], 'refund', {
+      refundId: refund.id,
+      paymentId: refund.paymentId,
+      orderId: refund.orderId,
+      amount: refund.amount,
+      status: refund.status,
+      paymentStatus: order?.paymentStatus
+    }));
+
+    return true;
+  });
+};
+
+// Send a refund to the payment's provider. Providers without refund support
+// leave it pending for an admin to pay out by hand and mark completed.
+const submitRefund = async (refund, payment) => {
+  const provider = providerFor(payment);
+  if (!provider || !provider.supportsRefunds || !provider.supportsRefunds()) {
+    console.warn(`Refund ${refund.id} needs to be paid out manually (${payment.provider || 'unknown provider'})`);
+    return refund;
+  }
+
+  try {
+    const result = await provider.refundPayment({ refund, payment });
+    await refund.update({ transactionId: result.transactionId });
+    await applyRefundResult(refund, result);
+  } catch (err) {
+    console.error(`Refund ${refund.id} submission error:`, err);
+    await applyRefundResult(refund, { status: 'failed', reason: err.message });
+  }
+
+  return refund;
+};
+
+// Refund a payment in full, by order lines ({ orderItemId, quantity }) or by a plain amount.
+// deliveryOf, a seller order, adds what is left of its delivery fee to the lines.
+const createRefund = async ({ payment, items, amount, reason, requestedBy = null, deliveryOf = null }) => {
+  if (!REFUNDABLE_STATUSES.includes(payment.status)) {
+    throw new ServiceError(400, 'Only completed payments can be refunded');
+  }
+
+  const refund = await sequelize.transaction(async (transaction) => {
+    // Refunds of the same payment wait for each other here, so none of them counts
+    // on money another one is taking (no-op on SQLite, which already serialises writers)
+    const locked = await Payment.findByPk(payment.id, { transaction, lock: transaction.LOCK.UPDATE });
+    if (!REFUNDABLE_STATUSES.includes(locked.status)) {
+      throw new ServiceError(400, 'Only completed payments can be refunded');
+    }
+
+    const alreadyRefunded = await committedRefundAmount(payment.id, transaction);
+    const remaining = payment.amount - alreadyRefunded;
+    const lines = [];
+    let deliveryFee = 0;
+    let total;
+
+    if ((items && items.length > 0) || deliveryOf) {
+      if (deliveryOf) {
+        deliveryFee = Math.max(0, (deliveryOf.deliveryFee || 0) - await refundedDeliveryFee(deliveryOf.id, transaction));
+      }
+
+      for (const item of items || []) {
+        const orderItem = await OrderItem.findOne({
+          where: { id: item.orderItemId, orderId: payment.orderId },
+          transaction
+        });
+        if (!orderItem) {
+          throw new ServiceError(404, `Order line ${item.orderItemId} not found`);
+        }
+
+        const refundable = orderItem.quantity - await refundedQuantity(orderItem.id, transaction);
+        const quantity = item.quantity !== undefined ? parseFloat(item.quantity) : refundable;
+        if (!(quantity > 0) || quantity > refundable + EPSILON) {
+          throw new ServiceError(400, `Only ${refundable} of ${orderItem.productName} can be refunded`);
+        }
+
+        lines.push({ orderItemId: orderItem.id, quantity, amount: orderItem.price * quantity });
+      }
+      total = lines.reduce((sum, line) => sum + line.amount, 0) + deliveryFee;
+    } else if (amount !== undefined) {
+      total = parseFloat(amount);
+    } else {
+      total = remaining;
+    }
+
+    if (!(total > 0)) {
+      throw new ServiceError(400, 'Nothing left to refund');
+    }
+    if (total > remaining + EPSILON) {
+      throw new ServiceError(400, `Refund exceeds the remaining ${remaining} RWF`);
+    }
+
+    const created = await Refund.create({
+      paymentId: payment.id,
+      orderId: payment.orderId,
+      amount: total,
+      deliveryFee,
+      sellerOrderId: deliveryOf ? deliveryOf.id : null,
+      type: alreadyRefunded === 0 && total >= payment.amount - EPSILON ? 'full' : 'partial',
+      reason,
+      provider: payment.provider,
+      requestedBy,
+      status: 'pending'
+    }, { transaction });
+
+    if (lines.length > 0) {
+      await RefundItem.bulkCreate(lines.map(line => ({ ...line, refundId: created.id })), { transaction });
+    }
+
+    return created;
+  });
+
+  return submitRefund(refund, payment);
+};
+
+// Refund everything a cancelled seller order was paid for, delivery included, if the order was paid
+const refundSellerOrder = async (sellerOrder, { reason, requestedBy = null } = {}) => {
+  const payment = await findRefundablePayment(sellerOrder.orderId);
+  if (!payment) return null;
+
+  const items = [];
+  for (const orderItem of await OrderItem.findAll({ where: { sellerOrderId: sellerOrder.id } })) {
+    const refundable = orderItem.quantity - await refundedQuantity(orderItem.id);
+    if (refundable > EPSILON) {
+      items.push({ orderItemId: orderItem.id, quantity: refundable });
+    }
+  }
+  const deliveryLeft = (sellerOrder.deliveryFee || 0) - await refundedDeliveryFee(sellerOrder.id);
+  if (items.length === 0 && deliveryLeft <= EPSILON) return null;
+
+  return createRefund({ payment, items, reason, requestedBy, deliveryOf: sellerOrder });
+};
+
+// Background job: poll the provider for refunds still in flight
+const pollPendingRefunds = async () => {
+  const refunds = await Refund.findAll({
+    where: { status: 'pending', transactionId: { [Op.ne]: null } },
+    include: [{ model: Payment, as: 'payment' }],
+    order: [['createdAt', 'ASC']],
+    limit: 50
+  });
+
+  for (const refund of refunds) {
+    try {
+      const provider = providerFor(refund.payment);
+      if (!provider || !provider.getRefundStatus) continue;
+      await applyRefundResult(refund, await provider.getRefundStatus(refund));
+    } catch (err) {
+      console.error(`Refund ${refund.id} status check error:`, err);
+    }
+  }
+};
+
+module.exports = {
+  REFUNDABLE_STATUSES,
+  findRefundablePayment,
+  applyRefundResult,
+  createRefund,
+  refundSellerOrder,
+  pollPendingRefunds
+};
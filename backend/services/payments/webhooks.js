@@ -0,0 +1,95 @@
+const crypto = require('crypto');
+const { UniqueConstraintError } = require('sequelize');
+const { sequelize, Payment, PaymentEvent } = require('../../database');
+const { ServiceError } = require('../errors');
+const { getProviderByName, settlePayment } = require('./index');
+const { safeEqual } = require('../../utils/crypto');
+
+// Accept either an HMAC-SHA256 of the raw body in X-Signature (hex, optionally
+// prefixed with "sha256=") or the shared secret as a `token` query parameter
+const verifyCallback = (provider, { rawBody, headers, query }) => {
+  const secret = provider.webhookSecret && provider.webhookSecret();
+  if (!secret) {
+    throw new ServiceError(503, 'Webhook is not configured for this provider');
+  }
+
+  const signature = headers['x-signature'];
+  if (signature) {
+    const expected = crypto.createHmac('sha256', secret).update(rawBody || '').digest('hex');
+    if (safeEqual(signature.replace(/^sha256=/, ''), expected)) return;
+  } else if (query.token && safeEqual(query.token, secret)) {
+    return;
+  }
+
+  throw new ServiceError(401, 'Invalid webhook signature');
+};
+
+// Record a provider callback and apply it to the matching payment. Replays of an
+// event we've already seen are ignored, and settlePayment only ever moves a
+// payment out of `pending` (or completes one that timed out), so late or
+// out-of-order callbacks can't undo a result.
+// Callbacks we reject (no matching payment yet, or the wrong amount) are kept
+// as `rejected`, and a later copy of the same event is processed again.
+const handleCallback = async (providerName, request) => {
+  const provider = getProviderByName(providerName);
+  if (!provider || !provider.parseCallback) {
+    throw new ServiceError(404, 'Unknown payment provider');
+  }
+
+  verifyCallback(provider, request);
+
+  const result = provider.parseCallback(request);
+  if (!result.transactionId) {
+    throw new ServiceError(400, 'Callback does not reference a transaction');
+  }
+
+  const eventKey = result.eventId || `${result.transactionId}:${result.status}`;
+
+  try {
+    return await sequelize.transaction(async (transaction) => {
+      const seen = await PaymentEvent.findOne({ where: { provider: provider.name, eventKey }, transaction });
+      if (seen && seen.outcome !== 'rejected') {
+        return { outcome: 'duplicate', payment: null };
+      }
+
+      const payment = await Payment.findOne({
+        where: { transactionId: result.transactionId, provider: provider.name },
+        transaction
+      });
+
+      let outcome = 'ignored';
+      if (!payment) {
+        console.warn(`${provider.name} callback for unknown transaction ${result.transactionId}`);
+        outcome = 'rejected';
+      } else if (result.status === 'completed' && result.amount !== undefined &&
+        Math.round(result.amount) !== Math.round(payment.amount)) {
+        console.warn(`${provider.name} callback amount ${result.amount} does not match payment ${payment.id}`);
+        outcome = 'rejected';
+      } else if (await settlePayment(payment, result, { transaction })) {
+        outcome = 'applied';
+      }
+
+      const event = {
+        paymentId: payment ? payment.id : null,
+        transactionId: result.transactionId,
+        status: result.status,
+        outcome,
+        payload: JSON.stringify(request.body)
+      };
+      if (seen) {
+        await seen.update(event, { transaction });
+      } else {
+        await PaymentEvent.create({ provider: provider.name, eventKey, ...event }, { transaction });
+      }
+
+      return { outcome, payment };
+    });
+  } catch (err) {
+    if (err instanceof UniqueConstraintError) {
+      return { outcome: 'duplicate', payment: null };
+    }
+    throw err;
+  }
+};
+
+module.exports = { verifyCallback, handleCallback };
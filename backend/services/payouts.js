@@ -0,0 +1,148 @@
+const { sequelize, User, Payout, PayoutBatch } = require('../database');
+const { ServiceError } = require('./errors');
+const { getSellerBalances, postPayout, postPayoutReversal } = require('./ledger');
+const { normalizeMsisdn } = require('../utils/phone');
+
+const MINIMUM_PAYOUT = parseFloat(process.env.PAYOUT_MINIMUM_AMOUNT || '1000');
+
+// Pay every seller whose balance reaches the minimum. Balances are debited as
+// soon as the run is created; a payout marked failed later credits them back.
+const createPayoutRun = async ({ minimumAmount = MINIMUM_PAYOUT, createdBy = null } = {}) => {
+  return sequelize.transaction(async (transaction) => {
+    const due = async () => (await getSellerBalances(transaction))
+      .filter(({ balance }) => balance >= minimumAmount);
+
+    // Lock the sellers due, then read their balances again: a run started at the
+    // same time waits here and then sees what this one debited (no-op on SQLite,
+    // which already serialises writers)
+    const sellers = await User.findAll({
+      where: { id: (await due()).map(b => b.sellerId) },
+      attributes: ['id', 'name', 'phone'],
+      order: [['id', 'ASC']],
+      lock: transaction.LOCK.UPDATE,
+      transaction
+    });
+    const sellersById = new Map(sellers.map(seller => [seller.id, seller]));
+    const balances = (await due()).filter(({ sellerId }) => sellersById.has(sellerId));
+
+    if (balances.length === 0) {
+      throw new ServiceError(400, 'No seller balances are due for payout');
+    }
+
+    const batch = await PayoutBatch.create({ status: 'open', createdBy }, { transaction });
+    const skipped = [];
+    let totalAmount = 0;
+    let payoutCount = 0;
+
+    for (const { sellerId, balance } of balances) {
+      // Mobile money moves whole francs; any fraction stays on the balance
+      const amount = Math.floor(balance);
+      const phone = normalizeMsisdn(sellersById.get(sellerId)?.phone);
+      if (!phone) {
+        skipped.push({ sellerId, balance, reason: 'No mobile money number on file' });
+        continue;
+      }
+
+      const payout = await Payout.create({
+        batchId: batch.id,
+        sellerId,
+        amount,
+        phone,
+        status: 'pending'
+      }, { transaction });
+      await postPayout(payout, transaction);
+
+      totalAmount += amount;
+      payoutCount += 1;
+    }
+
+    if (payoutCount === 0) {
+      throw new ServiceError(400, 'No seller with a balance due has a mobile money number');
+    }
+
+    await batch.update({ totalAmount, payoutCount }, { transaction });
+    return { batch, skipped };
+  });
+};
+
+// Status of a batch whose payouts are all settled
+const settledBatchStatus = async (batchId, transaction) => {
+  const paid = await Payout.count({ where: { batchId, status: 'paid' }, transaction });
+  const failed = await Payout.count({ where: { batchId, status: 'failed' }, transaction });
+  if (failed === 0) return 'completed';
+  return paid === 0 ? 'failed' : 'partial';
+};
+
+// Record the disbursement result for one payout and close the batch once all are settled
+const settlePayout = async (payout, { status, reference, reason }) => {
+  if (!['paid', 'failed'].includes(status)) {
+    throw new ServiceError(400, 'Status must be paid or failed');
+  }
+
+  return sequelize.transaction(async (transaction) => {
+    const [updated] = await Payout.update({
+      status,
+      reference: reference || null,
+      failureReason: status === 'failed' ? (reason || 'UNKNOWN') : null,
+      paidAt: status === 'paid' ? new Date() : null
+    }, {
+      where: { id: payout.id, status: 'pending' },
+      transaction
+    });
+
+    if (updated === 0) {
+      throw new ServiceError(400, 'Payout is no longer pending');
+    }
+
+    if (status === 'failed') {
+      await postPayoutReversal(payout, transaction);
+    }
+
+    const stillPending = await Payout.count({ where: { batchId: payout.batchId, status: 'pending' }, transaction });
+    if (stillPending === 0) {
+      await PayoutBatch.update({ status: await settledBatchStatus(payout.batchId, transaction) }, {
+        where: { id: payout.batchId },
+        transaction
+      });
+    }
+
+    await payout.reload({ transaction });
+    return payout;
+  });
+};
+
+const csvCell = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// CSV in the column layout used for MTN MoMo bulk disbursement uploads
+const buildPayoutCsv = async (batchId) => {
+  const payouts = await Payout.findAll({
+    where: { batchId, status: 'pending' },
+    include: [{ model: User, as: 'seller', attributes: ['name'] }],
+    order: [['id', 'ASC']]
+  });
+
+  const currency = process.env.MOMO_CURRENCY || 'RWF';
+  const rows = [['Reference', 'Name', 'MSISDN', 'Amount', 'Currency', 'Note']];
+  for (const payout of payouts) {
+    rows.push([
+      `KEDI-PAYOUT-${payout.id}`,
+      payout.seller?.name,
+      payout.phone,
+      payout.amount,
+      currency,
+      `KEDI payout batch ${batchId}`
+    ]);
+  }
+
+  return rows.map(row => row.map(csvCell).join(',')).join('\n') + '\n';
+};
+
+module.exports = {
+  MINIMUM_PAYOUT,
+  createPayoutRun,
+  settlePayout,
+  buildPayoutCsv
+};
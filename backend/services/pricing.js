@@ -0,0 +1,290 @@
+const { Op } = require('sequelize');
+const {
+  sequelize,
+  User,
+  Product,
+  ProductVariant,
+  PriceList,
+  PriceListItem,
+  PriceListBuyer
+} = require('../database');
+const { ServiceError } = require('./errors');
+
+// What a buyer pays per unit of a product. Three rules can set it:
+//   base        the product's (or variant's) price
+//   tier        the product's (or variant's) price tier for the ordered quantity,
+//               e.g. [{ minQuantity: 100, price: 250 }]: 250 RWF/kg from 100 kg
+//   price_list  an item of a wholesale price list of the seller naming the buyer
+// The buyer gets the lowest. Quantities are in the product's unit, counted over
+// the whole cart for the same product or variant.
+const MAX_PRICE_TIERS = 10;
+const MAX_PRICE_LIST_ITEMS = 500;
+const MAX_PRICE_LIST_BUYERS = 500;
+
+const isPositive = (value) => typeof value === 'number' && Number.isFinite(value) && value > 0;
+
+const toNumber = (value) => typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+
+// Check price tiers and return them by quantity. A larger order never pays more.
+const validatePriceTiers = (value) => {
+  if (value === null || value === undefined || value === '') return [];
+  if (!Array.isArray(value) || value.length > MAX_PRICE_TIERS) {
+    throw new ServiceError(400, `Price tiers must be a list of at most ${MAX_PRICE_TIERS}`);
+  }
+
+  const tiers = value.map((tier) => {
+    const minQuantity = toNumber(tier?.minQuantity);
+    const price = toNumber(tier?.price);
+    if (!isPositive(minQuantity) || !isPositive(price)) {
+      throw new ServiceError(400, 'Each price tier needs a minQuantity and a price above 0');
+    }
+    return { minQuantity, price };
+  }).sort((a, b) => a.minQuantity - b.minQuantity);
+
+  for (let i = 1; i < tiers.length; i++) {
+    if (tiers[i].minQuantity === tiers[i - 1].minQuantity) {
+      throw new ServiceError(400, `There are two price tiers from ${tiers[i].minQuantity}`);
+    }
+    if (tiers[i].price > tiers[i - 1].price) {
+      throw new ServiceError(400, 'Price tiers cannot get dearer as the quantity grows');
+    }
+  }
+  return tiers;
+};
+
+// The tier a quantity falls in, or null below the first one
+const tierFor = (tiers, quantity) =>
+  [...(tiers || [])].reverse().find(tier => quantity >= tier.minQuantity) || null;
+
+// Price list items of the given products that apply to a buyer: items of active
+// lists naming them. Guests have none.
+const buyerPriceItems = async (buyerId, productIds, transaction) => {
+  if (!buyerId || productIds.length === 0) return [];
+
+  return PriceListItem.findAll({
+    where: { productId: productIds },
+    include: [{
+      model: PriceList,
+      as: 'priceList',
+      attributes: ['id', 'sellerId'],
+      where: { active: true },
+      include: [{ model: PriceListBuyer, as: 'buyers', attributes: [], where: { buyerId } }]
+    }],
+    transaction
+  });
+};
+
+// Price per product unit for an order of quantity (in the product's unit), and
+// the rule that set it: { price, rule, listPrice, priceListId }
+const priceFor = ({ product, variant = null, quantity, priceItems = [] }) => {
+  const priced = variant || product;
+  const candidates = [];
+
+  for (const item of priceItems) {
+    if (item.productId !== product.id) continue;
+    if (item.variantId !== null && item.variantId !== (variant?.id ?? null)) continue;
+    // Items of a product's seller only, should the product have changed hands
+    if (item.priceList && item.priceList.sellerId !== product.sellerId) continue;
+    if (quantity < (item.minQuantity || 0)) continue;
+    candidates.push({ price: item.price, rule: 'price_list', priceListId: item.priceListId });
+  }
+
+  const tier = tierFor(priced.priceTiers, quantity);
+  if (tier) candidates.push({ price: tier.price, rule: 'tier', priceListId: null });
+  candidates.push({ price: priced.price, rule: 'base', priceListId: null });
+
+  // On equal prices the first (most specific) rule is the one recorded
+  const best = candidates.reduce((lowest, candidate) => candidate.price < lowest.price ? candidate : lowest);
+  return { ...best, listPrice: priced.price };
+};
+
+// Price of one product (or variant) for a buyer, as an order would set it
+const quotePrice = async ({ buyerId = null, product, variant = null, quantity }) =>
+  priceFor({ product, variant, quantity, priceItems: await buyerPriceItems(buyerId, [product.id]) });
+
+// Check the items a seller sent for a price list: their products and variants must be the seller's
+const validatePriceListItems = async (value, sellerId) => {
+  if (!Array.isArray(value) || value.length > MAX_PRICE_LIST_ITEMS) {
+    throw new ServiceError(400, `Items must be a list of at most ${MAX_PRICE_LIST_ITEMS}`);
+  }
+
+  const items = value.map((item) => {
+    const productId = Number(item?.productId);
+    const variantId = item?.variantId === undefined || item?.variantId === null ? null : Number(item.variantId);
+    const minQuantity = item?.minQuantity === undefined || item?.minQuantity === null ? 0 : toNumber(item.minQuantity);
+    const price = toNumber(item?.price);
+
+    if (!Number.isInteger(productId) || productId <= 0 || (variantId !== null && (!Number.isInteger(variantId) || variantId <= 0))) {
+      throw new ServiceError(400, 'Each item needs a productId, and variantId must be a variant id when given');
+    }
+    if (typeof minQuantity !== 'number' || !Number.isFinite(minQuantity) || minQuantity < 0) {
+      throw new ServiceError(400, 'minQuantity must be zero or more');
+    }
+    if (!isPositive(price)) {
+      throw new ServiceError(400, 'Each item needs a price above 0');
+    }
+    return { productId, variantId, minQuantity, price };
+  });
+
+  const seen = new Set();
+  for (const item of items) {
+    const key = `${item.productId}:${item.variantId}:${item.minQuantity}`;
+    if (seen.has(key)) {
+      throw new ServiceError(400, `Product ${item.productId} is listed twice from the same quantity`);
+    }
+    seen.add(key);
+  }
+
+  const productIds = [...new Set(items.map(item => item.productId))];
+  const owned = await Product.count({ where: { id: productIds, sellerId } });
+  if (owned !== productIds.length) {
+    throw new ServiceError(400, 'Price lists can only hold your own products');
+  }
+
+  const variantIds = [...new Set(items.filter(item => item.variantId !== null).map(item => item.variantId))];
+  const variants = await ProductVariant.findAll({ where: { id: variantIds }, attributes: ['id', 'productId'] });
+  const variantProducts = new Map(variants.map(variant => [variant.id, variant.productId]));
+  for (const item of items) {
+    if (item.variantId !== null && variantProducts.get(item.variantId) !== item.productId) {
+      throw new ServiceError(400, `Variant ${item.variantId} is not a variant of product ${item.productId}`);
+    }
+  }
+
+  return items;
+};
+
+const validatePriceListBuyers = async (value, sellerId) => {
+  if (!Array.isArray(value) || value.length > MAX_PRICE_LIST_BUYERS) {
+    throw new ServiceError(400, `Buyers must be a list of at most ${MAX_PRICE_LIST_BUYERS} user ids`);
+  }
+
+  const buyerIds = [...new Set(value.map(Number))];
+  if (buyerIds.some(id => !Number.isInteger(id) || id <= 0 || id === sellerId)) {
+    throw new ServiceError(400, 'Buyers must be user ids other than your own');
+  }
+  if (await User.count({ where: { id: buyerIds } }) !== buyerIds.length) {
+    throw new ServiceError(400, 'Some buyers were not found');
+  }
+  return buyerIds;
+};
+
+// Check the fields a seller sent. Only the fields present are returned, so the
+// same code serves create and update; items and buyers replace the current ones.
+const priceListValues = async (input, sellerId, priceList = null) => {
+  const values = {};
+
+  if (input.name !== undefined || !priceList) {
+    const name = typeof input.name === 'string' ? input.name.trim() : '';
+    if (name.length < 2) {
+      throw new ServiceError(400, 'Price list name must be at least 2 characters');
+    }
+    values.name = name;
+  }
+
+  if (input.active !== undefined) {
+    if (typeof input.active !== 'boolean') {
+      throw new ServiceError(400, 'active must be true or false');
+    }
+    values.active = input.active;
+  }
+
+  const items = input.items !== undefined || !priceList ? await validatePriceListItems(input.items || [], sellerId) : null;
+  const buyerIds = input.buyerIds !== undefined || !priceList ? await validatePriceListBuyers(input.buyerIds || [], sellerId) : null;
+
+  return { values, items, buyerIds };
+};
+
+const priceListIncludes = () => [
+  { model: PriceListItem, as: 'items', attributes: ['id', 'productId', 'variantId', 'minQuantity', 'price'] },
+  { model: PriceListBuyer, as: 'buyers', attributes: ['buyerId'] }
+];
+
+const priceListJSON = (priceList) => ({
+  id: priceList.id,
+  name: priceList.name,
+  active: priceList.active,
+  items: (priceList.items || [])
+    .map(item => item.toJSON())
+    .sort((a, b) => a.productId - b.productId || (a.variantId || 0) - (b.variantId || 0) || a.minQuantity - b.minQuantity),
+  buyerIds: (priceList.buyers || []).map(buyer => buyer.buyerId).sort((a, b) => a - b),
+  createdAt: priceList.createdAt,
+  updatedAt: priceList.updatedAt
+});
+
+const findPriceList = async (id, sellerId) => {
+  const priceList = await PriceList.findOne({
+    where: { id: parseInt(id) || 0, sellerId },
+    include: priceListIncludes()
+  });
+  if (!priceList) {
+    throw new ServiceError(404, 'Price list not found');
+  }
+  return priceList;
+};
+
+const listPriceLists = (sellerId) => PriceList.findAll({
+  where: { sellerId },
+  include: priceListIncludes(),
+  order: [['name', 'ASC'], ['id', 'ASC']]
+});
+
+const savePriceList = async (priceList, { values, items, buyerIds }, transaction) => {
+  await priceList.update(values, { transaction });
+
+  if (items) {
+    await PriceListItem.destroy({ where: { priceListId: priceList.id }, transaction });
+    await PriceListItem.bulkCreate(items.map(item => ({ ...item, priceListId: priceList.id })), { transaction });
+  }
+  if (buyerIds) {
+    await PriceListBuyer.destroy({ where: { priceListId: priceList.id }, transaction });
+    await PriceListBuyer.bulkCreate(buyerIds.map(buyerId => ({ priceListId: priceList.id, buyerId })), { transaction });
+  }
+};
+
+const createPriceList = async (sellerId, input) => {
+  const changes = await priceListValues(input, sellerId);
+  const id = await sequelize.transaction(async (transaction) => {
+    const priceList = await PriceList.create({ ...changes.values, sellerId }, { transaction });
+    await savePriceList(priceList, changes, transaction);
+    return priceList.id;
+  });
+  return findPriceList(id, sellerId);
+};
+
+const updatePriceList = async (priceList, input) => {
+  const changes = await priceListValues(input, priceList.sellerId, priceList);
+  await sequelize.transaction(transaction => savePriceList(priceList, changes, transaction));
+  return findPriceList(priceList.id, priceList.sellerId);
+};
+
+// Order lines priced by the list keep their prices and rule, without the link
+const deletePriceList = (priceList) => sequelize.transaction(async (transaction) => {
+  await PriceListItem.destroy({ where: { priceListId: priceList.id }, transaction });
+  await PriceListBuyer.destroy({ where: { priceListId: priceList.id }, transaction });
+  await priceList.destroy({ transaction });
+});
+
+// Price lists naming a buyer, with the items they can see
+const buyerPriceLists = (buyerId) => PriceList.findAll({
+  where: { active: true, id: { [Op.in]: sequelize.literal(`(SELECT "priceListId" FROM "PriceListBuyers" WHERE "buyerId" = ${parseInt(buyerId)})`) } },
+  include: [
+    { model: PriceListItem, as: 'items', attributes: ['id', 'productId', 'variantId', 'minQuantity', 'price'] },
+    { model: User, as: 'seller', attributes: ['id', 'name'] }
+  ],
+  order: [['name', 'ASC'], ['id', 'ASC']]
+});
+
+module.exports = {
+  validatePriceTiers,
+  tierFor,
+  buyerPriceItems,
+  priceFor,
+  quotePrice,
+  priceListJSON,
+  findPriceList,
+  listPriceLists,
+  createPriceList,
+  updatePriceList,
+  deletePriceList,
+  buyerPriceLists
+};
@@ -0,0 +1,294 @@
+const { Op } = require('sequelize');
+const { sequelize, Product, Category } = require('../database');
+const { ServiceError } = require('./errors');
+const { withDescendants, attributeSchemaFor } = require('./categories');
+const { attributeConditions, hasAttributeFilters } = require('./attributes');
+const { UNIT_CODES } = require('./units');
+const { KM_PER_DEGREE, lngScale, distanceKm } = require('../utils/geo');
+
+const DEFAULT_RADIUS_KM = parseFloat(process.env.NEAR_DEFAULT_RADIUS_KM) || 50;
+const MAX_RADIUS_KM = 500;
+
+// Upper bounds of the price facet buckets, in RWF; the last bucket has no upper bound
+const PRICE_BUCKETS = [500, 1000, 2500, 5000, 10000, 25000];
+
+// Columns a catalog can be sorted by, and their default direction. relevance
+// needs a search and distance a near origin; rating puts unrated products last.
+const SORT_FIELDS = {
+  createdAt: 'DESC',
+  updatedAt: 'DESC',
+  price: 'ASC',
+  name: 'ASC',
+  stock: 'DESC',
+  relevance: 'ASC',
+  distance: 'ASC',
+  rating: 'DESC'
+};
+
+// Read `near=lat,lng` and `radiusKm` from a query string. Returns null without `near`.
+const parseNear = ({ near, radiusKm }) => {
+  if (!near) return null;
+
+  const [lat, lng] = String(near).split(',').map(value => value.trim() === '' ? NaN : Number(value));
+  if (!Number.isFinite(lat) || !Number.isFinite(lng) || Math.abs(lat) > 90 || Math.abs(lng) > 180) {
+    throw new ServiceError(400, 'near must be latitude,longitude');
+  }
+
+  const radius = radiusKm === undefined || radiusKm === '' ? DEFAULT_RADIUS_KM : Number(radiusKm);
+  if (!Number.isFinite(radius) || radius <= 0 || radius > MAX_RADIUS_KM) {
+    throw new ServiceError(400, `radiusKm must be above 0 and at most ${MAX_RADIUS_KM}`);
+  }
+
+  return { lat, lng, radiusKm: radius };
+};
+
+// Distance from origin in degrees of latitude, squared, as SQL (see utils/geo).
+// The origin is parsed numbers, never raw input, so it is safe to inline.
+const squaredDegreesSql = (origin) => {
+  const lat = `("Product"."lat" - ${origin.lat})`;
+  const lng = `(("Product"."lng" - ${origin.lng}) * ${lngScale(origin.lat)})`;
+  return `(${lat} * ${lat} + ${lng} * ${lng})`;
+};
+
+// Conditions for products with a location, within radiusKm of the origin when given.
+// The bounding box lets the lat/lng index narrow the rows before the exact check.
+const nearConditions = (origin) => {
+  const conditions = [{ lat: { [Op.ne]: null } }, { lng: { [Op.ne]: null } }];
+  if (!origin.radiusKm) return conditions;
+
+  const latDegrees = origin.radiusKm / KM_PER_DEGREE;
+  const lngDegrees = latDegrees / Math.max(lngScale(origin.lat), 0.01);
+  conditions.push(
+    { lat: { [Op.between]: [origin.lat - latDegrees, origin.lat + latDegrees] } },
+    { lng: { [Op.between]: [origin.lng - lngDegrees, origin.lng + lngDegrees] } },
+    sequelize.where(sequelize.literal(squaredDegreesSql(origin)), { [Op.lte]: latDegrees * latDegrees })
+  );
+  return conditions;
+};
+
+// Order clause putting the nearest products first
+const nearestFirst = (origin) => [sequelize.literal(squaredDegreesSql(origin)), 'ASC'];
+
+// Order clause keeping the order of ids, e.g. search results best first.
+// The ids come from the search index, never raw input.
+const relevanceOrder = (ids) => [
+  sequelize.literal(`CASE "Product"."id" ${ids.map((id, i) => `WHEN ${parseInt(id)} THEN ${i}`).join(' ')} END`),
+  'ASC'
+];
+
+// Order clauses by average rating, unrated products counting as 0, then by
+// how many reviews back the average
+const ratingOrder = (direction) => [
+  [sequelize.literal('COALESCE("Product"."ratingAverage", 0)'), direction],
+  ['ratingCount', direction]
+];
+
+const parseNumber = (value, name) => {
+  const number = Number(value);
+  if (String(value).trim() === '' || !Number.isFinite(number) || number < 0) {
+    throw new ServiceError(400, `${name} must be a number of at least 0`);
+  }
+  return number;
+};
+
+const parseIds = (value, name) => {
+  const ids = String(value).split(',').map(id => Number(id.trim()));
+  if (ids.some(id => !Number.isInteger(id) || id <= 0)) {
+    throw new ServiceError(400, `${name} must be one or more ids, separated by commas`);
+  }
+  return ids;
+};
+
+const parseFlag = (value, name) => {
+  if (['true', '1'].includes(String(value))) return true;
+  if (['false', '0'].includes(String(value))) return false;
+  throw new ServiceError(400, `${name} must be true or false`);
+};
+
+const parseDate = (value, name) => {
+  const date = new Date(value);
+  if (isNaN(date.getTime())) {
+    throw new ServiceError(400, `${name} must be a date`);
+  }
+  return date;
+};
+
+// Catalog filters from a query string, keyed by the facet they narrow so that
+// each facet can be counted without its own filter. Bad values are a 400.
+// A category also takes in the products of its subcategories.
+const parseFilters = async (query) => {
+  const filters = {};
+
+  if (query.category) {
+    filters.category = { categoryId: await withDescendants(parseIds(query.category, 'category')) };
+  }
+
+  // attr.<key> filters use the attribute schema of the chosen categories
+  if (hasAttributeFilters(query)) {
+    if (!query.category) {
+      throw new ServiceError(400, 'Filtering by attributes needs a category');
+    }
+    const schema = await attributeSchemaFor(parseIds(query.category, 'category'));
+    filters.attributes = { [Op.and]: attributeConditions(schema, query) };
+  }
+
+  if (query.unit) {
+    const units = String(query.unit).split(',').map(unit => unit.trim());
+    if (units.some(unit => !UNIT_CODES.includes(unit))) {
+      throw new ServiceError(400, `unit must be one of ${UNIT_CODES.join(', ')}`);
+    }
+    filters.unit = { unit: units };
+  }
+
+  const minPrice = query.minPrice !== undefined ? parseNumber(query.minPrice, 'minPrice') : null;
+  const maxPrice = query.maxPrice !== undefined ? parseNumber(query.maxPrice, 'maxPrice') : null;
+  if (minPrice !== null && maxPrice !== null && minPrice > maxPrice) {
+    throw new ServiceError(400, 'minPrice cannot be above maxPrice');
+  }
+  if (minPrice !== null || maxPrice !== null) {
+    filters.price = {
+      price: {
+        ...(minPrice !== null && { [Op.gte]: minPrice }),
+        ...(maxPrice !== null && { [Op.lte]: maxPrice })
+      }
+    };
+  }
+
+  if (query.minRating !== undefined) {
+    const minRating = parseNumber(query.minRating, 'minRating');
+    if (minRating > 5) {
+      throw new ServiceError(400, 'minRating must be at most 5');
+    }
+    filters.rating = { ratingAverage: { [Op.gte]: minRating } };
+  }
+
+  if (query.inStock !== undefined && parseFlag(query.inStock, 'inStock')) {
+    filters.inStock = sequelize.where(
+      sequelize.literal('COALESCE("Product"."stock", 0) - COALESCE("Product"."reservedStock", 0)'),
+      { [Op.gt]: 0 }
+    );
+  }
+
+  if (query.seller) {
+    filters.seller = { sellerId: parseIds(query.seller, 'seller') };
+  }
+
+  if (query.approvedSellers !== undefined && parseFlag(query.approvedSellers, 'approvedSellers')) {
+    filters.approvedSellers = {
+      sellerId: { [Op.in]: sequelize.literal('(SELECT "id" FROM "Users" WHERE "isApproved" = true)') }
+    };
+  }
+
+  const listedFrom = query.listedFrom ? parseDate(query.listedFrom, 'listedFrom') : null;
+  const listedTo = query.listedTo ? parseDate(query.listedTo, 'listedTo') : null;
+  if (listedFrom || listedTo) {
+    filters.listed = {
+      createdAt: {
+        ...(listedFrom && { [Op.gte]: listedFrom }),
+        ...(listedTo && { [Op.lte]: listedTo })
+      }
+    };
+  }
+
+  return filters;
+};
+
+// Read sortBy/sortOrder against SORT_FIELDS. Without sortBy, searches sort by
+// relevance, near queries by distance and the rest newest first.
+const parseSort = ({ sortBy, sortOrder }, { search = false, near = false } = {}) => {
+  const field = sortBy || (search ? 'relevance' : near ? 'distance' : 'createdAt');
+  if (!SORT_FIELDS[field]) {
+    throw new ServiceError(400, `sortBy must be one of ${Object.keys(SORT_FIELDS).join(', ')}`);
+  }
+  if (field === 'relevance' && !search) {
+    throw new ServiceError(400, 'Sorting by relevance needs a search');
+  }
+  if (field === 'distance' && !near) {
+    throw new ServiceError(400, 'Sorting by distance needs near');
+  }
+
+  const direction = sortOrder ? String(sortOrder).toUpperCase() : SORT_FIELDS[field];
+  if (!['ASC', 'DESC'].includes(direction)) {
+    throw new ServiceError(400, 'sortOrder must be asc or desc');
+  }
+
+  return { field, direction };
+};
+
+const priceBucketSql = () =>
+  `CASE ${PRICE_BUCKETS.map((max, i) => `WHEN "Product"."price" < ${max} THEN ${i}`).join(' ')} ELSE ${PRICE_BUCKETS.length} END`;
+
+// Product counts per category, unit and price bucket. Each facet applies the
+// base conditions and every filter but its own, so that picking a unit still
+// shows how many products the other units have.
+const productFacets = async (conditions, filters) => {
+  const whereWithout = (facet) => ({
+    [Op.and]: [...conditions, ...Object.entries(filters).filter(([name]) => name !== facet).map(([, filter]) => filter)]
+  });
+
+  const [byCategory, byUnit, byPrice] = await Promise.all([
+    Product.findAll({
+      where: whereWithout('category'),
+      attributes: ['categoryId', [sequelize.fn('COUNT', sequelize.col('Product.id')), 'count']],
+      group: ['categoryId'],
+      raw: true
+    }),
+    Product.findAll({
+      where: whereWithout('unit'),
+      attributes: ['unit', [sequelize.fn('COUNT', sequelize.col('Product.id')), 'count']],
+      group: ['unit'],
+      raw: true
+    }),
+    Product.findAll({
+      where: whereWithout('price'),
+      attributes: [
+        [sequelize.literal(priceBucketSql()), 'bucket'],
+        [sequelize.fn('COUNT', sequelize.col('Product.id')), 'count']
+      ],
+      group: [sequelize.literal(priceBucketSql())],
+      raw: true
+    })
+  ]);
+
+  const categories = await Category.findAll({
+    where: { id: byCategory.map(row => row.categoryId) },
+    attributes: ['id', 'name']
+  });
+  const categoryNames = new Map(categories.map(category => [category.id, category.name]));
+
+  const priceCounts = new Map(byPrice.map(row => [parseInt(row.bucket), parseInt(row.count)]));
+
+  return {
+    categories: byCategory
+      .map(row => ({ id: row.categoryId, name: categoryNames.get(row.categoryId) || null, count: parseInt(row.count) }))
+      .sort((a, b) => b.count - a.count),
+    units: UNIT_CODES
+      .map(unit => ({ unit, count: parseInt(byUnit.find(row => row.unit === unit)?.count || 0) }))
+      .filter(facet => facet.count > 0),
+    prices: [...PRICE_BUCKETS, null].map((max, i) => ({
+      min: i === 0 ? 0 : PRICE_BUCKETS[i - 1],
+      max,
+      count: priceCounts.get(i) || 0
+    }))
+  };
+};
+
+// Distance of a product from the origin, rounded to 100 m, or null without a location
+const productDistanceKm = (origin, product) => {
+  const location = product.location;
+  if (!origin || !location) return null;
+  return Math.round(distanceKm(origin, location) * 10) / 10;
+};
+
+module.exports = {
+  SORT_FIELDS,
+  parseNear,
+  parseFilters,
+  parseSort,
+  productFacets,
+  nearConditions,
+  nearestFirst,
+  relevanceOrder,
+  ratingOrder,
+  productDistanceKm
+};
@@ -0,0 +1,126 @@
+const crypto = require('crypto');
+const { sequelize } = require('../database');
+
+// Server-sent events to connected users. Events go through a bus so that every
+// API instance hears them: Postgres LISTEN/NOTIFY when DATABASE_URL is set, and
+// a plain in-process call on SQLite (which only ever runs as one instance).
+const CHANNEL = 'kedi_events';
+const HEARTBEAT_MS = 25 * 1000;
+// Postgres rejects NOTIFY payloads of 8000 bytes or more
+const MAX_PAYLOAD_BYTES = 7500;
+
+const connections = new Map(); // userId -> Set of open responses
+let nextEventId = 1;
+let listener = null;
+
+const write = (res, id, type, data) => {
+  res.write(`id: ${id}\nevent: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
+// Deliver an event to the users connected to this instance
+const deliver = ({ userIds, type, data }) => {
+  for (const userId of userIds) {
+    for (const res of connections.get(userId) || []) {
+      write(res, nextEventId++, type, data);
+    }
+  }
+};
+
+const listen = async () => {
+  const { Client } = require('pg');
+  const client = new Client({
+    connectionString: process.env.DATABASE_URL,
+    ssl: process.env.NODE_ENV === 'production' ? { require: true, rejectUnauthorized: false } : false
+  });
+
+  client.on('notification', (notification) => {
+    try {
+      deliver(JSON.parse(notification.payload));
+    } catch (err) {
+      console.error('Realtime event error:', err);
+    }
+  });
+
+  // Reconnect after the connection drops; events sent meanwhile are missed,
+  // which clients cover by reloading state when their stream reconnects
+  client.on('error', (err) => {
+    console.error('Realtime listener error:', err.message);
+    listener = null;
+    client.end().catch(() => {});
+    setTimeout(() => startRealtime(), 5000).unref();
+  });
+
+  await client.connect();
+  await client.query(`LISTEN ${CHANNEL}`);
+  return client;
+};
+
+// Start listening for events from other instances (no-op on SQLite)
+const startRealtime = async () => {
+  if (!process.env.DATABASE_URL || listener) return;
+  try {
+    listener = await listen();
+  } catch (err) {
+    console.error('Realtime listener failed to start:', err.message);
+    setTimeout(() => startRealtime(), 5000).unref();
+  }
+};
+
+// Send an event to some users on whichever instance they are connected to.
+// Never throws: a missed push must not fail the request that caused it.
+const publish = async (userIds, type, data) => {
+  const event = {
+    userIds: [...new Set(userIds.filter(Boolean))],
+    type,
+    data
+  };
+  if (event.userIds.length === 0) return;
+
+  try {
+    if (!process.env.DATABASE_URL) {
+      deliver(event);
+      return;
+    }
+
+    let payload = JSON.stringify(event);
+    if (Buffer.byteLength(payload) > MAX_PAYLOAD_BYTES) {
+      // Too big to send whole: tell clients what changed so they can fetch it
+      payload = JSON.stringify({ ...event, data: { id: data.id, orderId: data.orderId, truncated: true } });
+    }
+    await sequelize.query('SELECT pg_notify(:channel, :payload)', {
+      replacements: { channel: CHANNEL, payload }
+    });
+  } catch (err) {
+    console.error(`Realtime publish of ${type} failed:`, err);
+  }
+};
+
+// Keep an SSE response open for a user until the client goes away
+const subscribe = (userId, req, res) => {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no' // Stop nginx-style proxies from buffering the stream
+  });
+  write(res, nextEventId++, 'ready', { userId, connectionId: crypto.randomUUID() });
+
+  if (!connections.has(userId)) connections.set(userId, new Set());
+  connections.get(userId).add(res);
+
+  // Comments keep idle connections from being closed by proxies
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    const open = connections.get(userId);
+    open.delete(res);
+    if (open.size === 0) connections.delete(userId);
+  });
+};
+
+module.exports = {
+  startRealtime,
+  publish,
+  subscribe
+};
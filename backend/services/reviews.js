@@ -0,0 +1,197 @@
+const { UniqueConstraintError } = require('sequelize');
+const { sequelize, Review, Product, User, Order, OrderItem, SellerOrder } = require('../database');
+const { ServiceError } = require('./errors');
+
+const MAX_TEXT_LENGTH = 2000;
+const MAX_REASON_LENGTH = 200;
+
+const optionalText = (value, field, max = MAX_TEXT_LENGTH) => {
+  if (value === undefined || value === null || value === '') return null;
+  if (typeof value !== 'string' || value.length > max) {
+    throw new ServiceError(400, `${field} must be text of at most ${max} characters`);
+  }
+  return value.trim() || null;
+};
+
+const parseRating = (value) => {
+  const rating = Number(value);
+  if (!Number.isInteger(rating) || rating < 1 || rating > 5) {
+    throw new ServiceError(400, 'Rating must be a whole number from 1 to 5');
+  }
+  return rating;
+};
+
+const reviewIncludes = () => [
+  { model: User, as: 'buyer', attributes: ['id', 'name'] },
+  { model: Product, as: 'product', attributes: ['id', 'name'] }
+];
+
+// Review as the caller may see it: who hid it, and why, is for admins
+const reviewJSON = (review, { admin = false } = {}) => {
+  const { hiddenReason, hiddenBy, hiddenAt, ...plain } = review.toJSON();
+  return admin ? { ...plain, hiddenReason, hiddenBy, hiddenAt } : plain;
+};
+
+// Average and count of the visible reviews matching where, e.g. { productId }
+const ratingSummary = async (where, transaction) => {
+  const [row] = await Review.findAll({
+    where: { ...where, status: 'visible' },
+    attributes: [
+      [sequelize.fn('AVG', sequelize.col('rating')), 'average'],
+      [sequelize.fn('COUNT', sequelize.col('id')), 'count']
+    ],
+    raw: true,
+    transaction
+  });
+  const count = parseInt(row?.count) || 0;
+  return {
+    ratingAverage: count > 0 ? Math.round(parseFloat(row.average) * 100) / 100 : null,
+    ratingCount: count
+  };
+};
+
+// Recompute the averages of a review's product and seller after it changed
+const refreshRatings = async (review, transaction) => {
+  await Product.update(await ratingSummary({ productId: review.productId }, transaction), {
+    where: { id: review.productId },
+    transaction
+  });
+  await User.update(await ratingSummary({ sellerId: review.sellerId }, transaction), {
+    where: { id: review.sellerId },
+    transaction
+  });
+};
+
+// The buyer's latest delivered order line of a product, which lets them review it
+const deliveredLineOf = (buyerId, productId) => OrderItem.findOne({
+  where: { productId },
+  attributes: ['id', 'orderId'],
+  include: [
+    { model: Order, as: 'order', attributes: [], where: { buyerId } },
+    { model: SellerOrder, as: 'sellerOrder', attributes: [], where: { status: 'delivered' } }
+  ],
+  order: [['createdAt', 'DESC']]
+});
+
+// Review a product ({ productId, rating, comment }): buyers whose order of it was delivered, once
+const createReview = async (user, input) => {
+  const product = await Product.findByPk(parseInt(input.productId) || 0, { attributes: ['id', 'sellerId'] });
+  if (!product) {
+    throw new ServiceError(404, 'Product not found');
+  }
+  const rating = parseRating(input.rating);
+  const comment = optionalText(input.comment, 'Comment');
+
+  const line = await deliveredLineOf(user.id, product.id);
+  if (!line) {
+    throw new ServiceError(403, 'Only buyers who received this product can review it');
+  }
+
+  try {
+    return await sequelize.transaction(async (transaction) => {
+      const review = await Review.create({
+        productId: product.id,
+        sellerId: product.sellerId,
+        buyerId: user.id,
+        orderId: line.orderId,
+        rating,
+        comment
+      }, { transaction });
+
+      await refreshRatings(review, transaction);
+      return review;
+    });
+  } catch (err) {
+    if (err instanceof UniqueConstraintError) {
+      throw new ServiceError(409, 'You already reviewed this product; edit your review instead');
+    }
+    throw err;
+  }
+};
+
+const findReview = async (id) => {
+  const review = await Review.findByPk(parseInt(id) || 0, { include: reviewIncludes() });
+  if (!review) {
+    throw new ServiceError(404, 'Review not found');
+  }
+  return review;
+};
+
+// The buyer changes their rating or comment
+const updateReview = (review, input) => sequelize.transaction(async (transaction) => {
+  const values = {};
+  if (input.rating !== undefined) values.rating = parseRating(input.rating);
+  if (input.comment !== undefined) values.comment = optionalText(input.comment, 'Comment');
+
+  await review.update(values, { transaction });
+  await refreshRatings(review, transaction);
+  return review;
+});
+
+// The buyer removes their review. Hidden ones stay, so a moderated review cannot
+// be deleted and written again as a new visible one.
+const deleteReview = (review) => {
+  if (review.status === 'hidden') {
+    throw new ServiceError(403, 'This review was hidden by a moderator and cannot be deleted');
+  }
+  return sequelize.transaction(async (transaction) => {
+    await review.destroy({ transaction });
+    await refreshRatings(review, transaction);
+  });
+};
+
+// The seller answers a review; an empty reply removes it
+const replyToReview = (review, reply) => {
+  const sellerReply = optionalText(reply, 'Reply');
+  return review.update({ sellerReply, repliedAt: sellerReply ? new Date() : null });
+};
+
+// Admin moderation: hide an abusive review (with a reason) or show it again
+const setReviewHidden = (review, { hidden, reason }, user) => {
+  if (typeof hidden !== 'boolean') {
+    throw new ServiceError(400, 'hidden must be true or false');
+  }
+  const values = hidden
+    ? { status: 'hidden', hiddenReason: optionalText(reason, 'Reason', MAX_REASON_LENGTH), hiddenBy: user.id, hiddenAt: new Date() }
+    : { status: 'visible', hiddenReason: null, hiddenBy: null, hiddenAt: null };
+
+  return sequelize.transaction(async (transaction) => {
+    await review.update(values, { transaction });
+    await refreshRatings(review, transaction);
+    return review;
+  });
+};
+
+// Reviews of a product or a seller's products, newest first. Only admins see
+// hidden ones, and may narrow by status.
+const listReviews = async ({ productId, sellerId, status, page = 1, limit = 20 }, { admin = false } = {}) => {
+  const where = {};
+  if (productId) where.productId = parseInt(productId) || 0;
+  if (sellerId) where.sellerId = parseInt(sellerId) || 0;
+
+  const statuses = !admin ? ['visible'] : status ? String(status).split(',') : Review.rawAttributes.status.values;
+  if (statuses.some(value => !Review.rawAttributes.status.values.includes(value))) {
+    throw new ServiceError(400, 'Invalid review status');
+  }
+  where.status = statuses;
+
+  const { count, rows } = await Review.findAndCountAll({
+    where,
+    include: reviewIncludes(),
+    order: [['createdAt', 'DESC'], ['id', 'DESC']],
+    limit,
+    offset: (page - 1) * limit
+  });
+  return { reviews: rows, total: count };
+};
+
+module.exports = {
+  reviewJSON,
+  createReview,
+  findReview,
+  updateReview,
+  deleteReview,
+  replyToReview,
+  setReviewHidden,
+  listReviews
+};
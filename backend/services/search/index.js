@@ -0,0 +1,220 @@
+const { Op } = require('sequelize');
+const { sequelize, Product, Category, User } = require('../../database');
+const { parseTranslations } = require('../categories');
+const { synonymsOf } = require('./synonyms');
+const sqlite = require('./sqlite');
+const postgres = require('./postgres');
+
+// Product search over name, description, category name and the seller's
+// location, ranked by relevance. Postgres uses its full-text search, SQLite an
+// FTS5 table. Both see the same normalised words, and the same query expansion:
+// typos are corrected against the indexed words, crop names are expanded to
+// their Kinyarwanda/English/French synonyms, and words also match as prefixes.
+//
+// A backend exposes:
+//   createIndex(sequelize)           -> true when the index did not exist yet
+//   upsert(sequelize, document)      document: { id, name, category, description, location }
+//   remove(sequelize, ids)
+//   prune(sequelize)                 drop documents of deleted products
+//   vocabulary(sequelize)            -> every indexed word
+//   match(sequelize, groups, limit)  -> [{ id, score }], best first; each group
+//                                       is [{ term, prefix }] and must match
+const backend = sequelize.getDialect() === 'postgres' ? postgres : sqlite;
+
+const MAX_MATCHES = 500;
+const MAX_QUERY_WORDS = 8;
+const MIN_PREFIX_LENGTH = 3;
+const REINDEX_BATCH = 200;
+const VOCABULARY_TTL_MS = 60 * 1000;
+
+// Lowercase without accents, so "Épinards" and "epinards" are the same word
+const normalize = (value) => String(value || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+
+const tokenize = (value) => normalize(value).split(/[^a-z0-9]+/).filter(word => word.length >= 2);
+
+// Typos tolerated in a word of this length
+const allowedTypos = (word) => word.length >= 8 ? 2 : word.length >= 4 ? 1 : 0;
+
+// Edits (insert, delete, substitute, swap neighbours) to turn a into b, or max + 1 when over max
+const editDistance = (a, b, max) => {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let beforePrevious = null;
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      let value = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        value = Math.min(value, beforePrevious[j - 2] + 1);
+      }
+      current.push(value);
+      rowMin = Math.min(rowMin, value);
+    }
+    if (rowMin > max) return max + 1;
+    beforePrevious = previous;
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+let indexReady = null;
+let vocabularyCache = null;
+
+// A category is found by its name in every language it is translated to
+const categoryNames = (category) => category
+  ? [category.name, ...Object.values(parseTranslations(category.translations)).map(translation => translation.name)]
+  : [];
+
+const documentFor = (product) => ({
+  id: product.id,
+  name: normalize(product.name),
+  category: normalize(categoryNames(product.category).join(' ')),
+  description: normalize(product.description),
+  location: normalize(product.seller?.address)
+});
+
+// Write the documents of the products matching where, in batches
+const writeDocuments = async (where) => {
+  let lastId = 0;
+  let written = 0;
+
+  for (;;) {
+    const products = await Product.findAll({
+      where: { [Op.and]: [where, { id: { [Op.gt]: lastId } }] },
+      attributes: ['id', 'name', 'description'],
+      include: [
+        { model: Category, as: 'category', attributes: ['name', 'translations'] },
+        { model: User, as: 'seller', attributes: ['address'] }
+      ],
+      order: [['id', 'ASC']],
+      limit: REINDEX_BATCH
+    });
+
+    for (const product of products) {
+      await backend.upsert(sequelize, documentFor(product));
+    }
+    written += products.length;
+
+    if (products.length < REINDEX_BATCH) break;
+    lastId = products[products.length - 1].id;
+  }
+
+  vocabularyCache = null;
+  return written;
+};
+
+// Create the index on first use, filling it when it is new (e.g. after an upgrade)
+const ensureIndex = () => {
+  if (!indexReady) {
+    indexReady = backend.createIndex(sequelize)
+      .then(async (created) => {
+        if (created) await writeDocuments({});
+      })
+      .catch((err) => {
+        indexReady = null;
+        throw err;
+      });
+  }
+  return indexReady;
+};
+
+// (Re)index the products matching where, or rebuild the whole index without it.
+// Returns how many products were indexed.
+const reindexProducts = async (where = null) => {
+  await ensureIndex();
+  if (!where) await backend.prune(sequelize);
+  return writeDocuments(where || {});
+};
+
+const removeProducts = async (ids) => {
+  await ensureIndex();
+  await backend.remove(sequelize, ids);
+  vocabularyCache = null;
+};
+
+const loadVocabulary = async () => {
+  if (!vocabularyCache || Date.now() - vocabularyCache.loadedAt > VOCABULARY_TTL_MS) {
+    vocabularyCache = { terms: await backend.vocabulary(sequelize), loadedAt: Date.now() };
+  }
+  return vocabularyCache.terms;
+};
+
+// The words a query word stands for: itself or, when no indexed word starts
+// with it, the indexed words within a typo or two; plus all their synonyms
+const expandWord = (word, vocabulary) => {
+  const words = new Set([word]);
+
+  const allowed = allowedTypos(word);
+  if (allowed > 0 && !vocabulary.some(term => term.startsWith(word))) {
+    for (const term of vocabulary) {
+      if (editDistance(word, term, allowed) <= allowed) words.add(term);
+    }
+  }
+
+  for (const known of [...words]) {
+    for (const synonym of synonymsOf(known)) words.add(synonym);
+  }
+
+  return [...words].map(term => ({ term, prefix: term.length >= MIN_PREFIX_LENGTH }));
+};
+
+// Ids of the products matching a search, most relevant first (at most MAX_MATCHES).
+// Returns null when the text has no searchable words.
+const searchProducts = async (text) => {
+  const words = [...new Set(tokenize(text))].slice(0, MAX_QUERY_WORDS);
+  if (words.length === 0) return null;
+
+  await ensureIndex();
+  const vocabulary = await loadVocabulary();
+  const matches = await backend.match(sequelize, words.map(word => expandWord(word, vocabulary)), MAX_MATCHES);
+  return matches.map(match => match.id);
+};
+
+// Keep the index in step with the data it is built from. Changes made in a
+// transaction are indexed once it commits; a failure is logged, never thrown,
+// so that it cannot undo the change itself.
+const SEARCHED_PRODUCT_FIELDS = ['name', 'description', 'categoryId', 'sellerId'];
+
+const whenCommitted = (options, work) => {
+  const run = async () => {
+    try {
+      await work();
+    } catch (err) {
+      console.error('Search index update failed:', err);
+    }
+  };
+  return options.transaction ? options.transaction.afterCommit(run) : run();
+};
+
+Product.addHook('afterCreate', 'search', (product, options) =>
+  whenCommitted(options, () => reindexProducts({ id: product.id })));
+
+Product.addHook('afterUpdate', 'search', (product, options) => {
+  if (!SEARCHED_PRODUCT_FIELDS.some(field => product.changed(field))) return;
+  return whenCommitted(options, () => reindexProducts({ id: product.id }));
+});
+
+Product.addHook('afterDestroy', 'search', (product, options) =>
+  whenCommitted(options, () => removeProducts([product.id])));
+
+Category.addHook('afterUpdate', 'search', (category, options) => {
+  if (!category.changed('name') && !category.changed('translations')) return;
+  return whenCommitted(options, () => reindexProducts({ categoryId: category.id }));
+});
+
+User.addHook('afterUpdate', 'search', (user, options) => {
+  if (!user.changed('address')) return;
+  return whenCommitted(options, () => reindexProducts({ sellerId: user.id }));
+});
+
+module.exports = {
+  normalize,
+  searchProducts,
+  reindexProducts
+};
@@ -0,0 +1,60 @@
+const { QueryTypes } = require('sequelize');
+
+// Postgres search index: a tsvector per product with weighted fields, using the
+// 'simple' configuration since names come in three languages (no stemming).
+const createIndex = async (sequelize) => {
+  const [existing] = await sequelize.query(
+    "SELECT to_regclass('\"ProductSearch\"') AS name",
+    { type: QueryTypes.SELECT }
+  );
+
+  await sequelize.query(
+    'CREATE TABLE IF NOT EXISTS "ProductSearch" (' +
+    '"productId" INTEGER PRIMARY KEY REFERENCES "Products" (id) ON DELETE CASCADE, ' +
+    'document TSVECTOR NOT NULL)'
+  );
+  await sequelize.query('CREATE INDEX IF NOT EXISTS product_search_document ON "ProductSearch" USING GIN (document)');
+
+  return !existing.name;
+};
+
+const upsert = (sequelize, document) => sequelize.query(
+  'INSERT INTO "ProductSearch" ("productId", document) VALUES (:id, ' +
+  "setweight(to_tsvector('simple', :name), 'A') || " +
+  "setweight(to_tsvector('simple', :category), 'B') || " +
+  "setweight(to_tsvector('simple', :description), 'C') || " +
+  "setweight(to_tsvector('simple', :location), 'D')) " +
+  'ON CONFLICT ("productId") DO UPDATE SET document = EXCLUDED.document',
+  { replacements: document }
+);
+
+const remove = (sequelize, ids) =>
+  sequelize.query('DELETE FROM "ProductSearch" WHERE "productId" IN (:ids)', { replacements: { ids } });
+
+// Drop documents of products that no longer exist
+const prune = (sequelize) => sequelize.query('DELETE FROM "ProductSearch" WHERE "productId" NOT IN (SELECT id FROM "Products")');
+
+const vocabulary = async (sequelize) => {
+  const rows = await sequelize.query(
+    'SELECT word FROM ts_stat(\'SELECT document FROM "ProductSearch"\')',
+    { type: QueryTypes.SELECT }
+  );
+  return rows.map(row => row.word);
+};
+
+// Every group must match one of its terms
+const match = async (sequelize, groups, limit) => {
+  const query = groups
+    .map(group => `(${group.map(({ term, prefix }) => `${term}${prefix ? ':*' : ''}`).join(' | ')})`)
+    .join(' & ');
+
+  const rows = await sequelize.query(
+    'SELECT "productId" AS id, ts_rank(document, query) AS score ' +
+    "FROM \"ProductSearch\", to_tsquery('simple', :query) query " +
+    'WHERE document @@ query ORDER BY score DESC LIMIT :limit',
+    { replacements: { query, limit }, type: QueryTypes.SELECT }
+  );
+  return rows.map(row => ({ id: row.id, score: Number(row.score) }));
+};
+
+module.exports = { createIndex, upsert, remove, prune, vocabulary, match };
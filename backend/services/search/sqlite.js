@@ -0,0 +1,55 @@
+const { QueryTypes } = require('sequelize');
+
+// SQLite search index: an FTS5 table keyed by product id (rowid), with an
+// fts5vocab view over it for the list of indexed words.
+const createIndex = async (sequelize) => {
+  const [existing] = await sequelize.query(
+    "SELECT name FROM sqlite_master WHERE name = 'ProductSearch'",
+    { type: QueryTypes.SELECT }
+  );
+
+  await sequelize.query(
+    'CREATE VIRTUAL TABLE IF NOT EXISTS ProductSearch USING fts5(' +
+    "name, category, description, location, tokenize = 'unicode61 remove_diacritics 2')"
+  );
+  await sequelize.query("CREATE VIRTUAL TABLE IF NOT EXISTS ProductSearchTerms USING fts5vocab(ProductSearch, 'row')");
+
+  return !existing;
+};
+
+const upsert = async (sequelize, document) => {
+  await sequelize.query('DELETE FROM ProductSearch WHERE rowid = :id', { replacements: { id: document.id } });
+  await sequelize.query(
+    'INSERT INTO ProductSearch (rowid, name, category, description, location) ' +
+    'VALUES (:id, :name, :category, :description, :location)',
+    { replacements: document }
+  );
+};
+
+const remove = (sequelize, ids) =>
+  sequelize.query('DELETE FROM ProductSearch WHERE rowid IN (:ids)', { replacements: { ids } });
+
+// Drop documents of products that no longer exist
+const prune = (sequelize) => sequelize.query('DELETE FROM ProductSearch WHERE rowid NOT IN (SELECT id FROM "Products")');
+
+const vocabulary = async (sequelize) => {
+  const rows = await sequelize.query('SELECT term FROM ProductSearchTerms', { type: QueryTypes.SELECT });
+  return rows.map(row => row.term);
+};
+
+// Every group must match one of its terms. bm25 is lower for better matches;
+// name counts most, then category, description and location.
+const match = async (sequelize, groups, limit) => {
+  const query = groups
+    .map(group => `(${group.map(({ term, prefix }) => `"${term}"${prefix ? '*' : ''}`).join(' OR ')})`)
+    .join(' AND ');
+
+  const rows = await sequelize.query(
+    'SELECT rowid AS id, bm25(ProductSearch, 10.0, 4.0, 2.0, 1.0) AS rank FROM ProductSearch ' +
+    'WHERE ProductSearch MATCH :query ORDER BY rank LIMIT :limit',
+    { replacements: { query, limit }, type: QueryTypes.SELECT }
+  );
+  return rows.map(row => ({ id: row.id, score: -row.rank }));
+};
+
+module.exports = { createIndex, upsert, remove, prune, vocabulary, match };
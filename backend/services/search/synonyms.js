@@ -0,0 +1,45 @@
+// Crop and produce names that mean the same thing in Kinyarwanda, English and
+// French. A search for any word of a group also finds the others. Words are
+// written as searched: lowercase, without accents.
+const SYNONYM_GROUPS = [
+  ['tomato', 'tomatoes', 'inyanya', 'tomate', 'tomates'],
+  ['potato', 'potatoes', 'ibirayi', 'patate', 'patates'],
+  ['beans', 'bean', 'ibishyimbo', 'haricot', 'haricots'],
+  ['maize', 'corn', 'ibigori', 'mais'],
+  ['banana', 'bananas', 'plantain', 'igitoki', 'ibitoki', 'banane', 'bananes'],
+  ['cassava', 'imyumbati', 'manioc'],
+  ['onion', 'onions', 'igitunguru', 'ibitunguru', 'oignon', 'oignons'],
+  ['cabbage', 'cabbages', 'ishu', 'amashu', 'chou', 'choux'],
+  ['carrot', 'carrots', 'karoti', 'carotte', 'carottes'],
+  ['avocado', 'avocados', 'avoka', 'avocat', 'avocats'],
+  ['sorghum', 'amasaka', 'sorgho'],
+  ['rice', 'umuceri', 'riz'],
+  ['wheat', 'ingano', 'ble'],
+  ['soybean', 'soybeans', 'soya', 'soja'],
+  ['groundnut', 'groundnuts', 'peanut', 'peanuts', 'ubunyobwa', 'arachide', 'arachides'],
+  ['peas', 'amashaza', 'pois'],
+  ['eggplant', 'intoryi', 'aubergine', 'aubergines'],
+  ['pepper', 'chili', 'urusenda', 'piment', 'poivron'],
+  ['pineapple', 'pineapples', 'inanasi', 'ananas'],
+  ['mango', 'mangoes', 'umwembe', 'imyembe', 'mangue', 'mangues'],
+  ['passion', 'maracuja', 'marakuja'],
+  ['coffee', 'ikawa', 'cafe'],
+  ['tea', 'icyayi'],
+  ['milk', 'amata', 'lait'],
+  ['egg', 'eggs', 'igi', 'amagi', 'oeuf', 'oeufs'],
+  ['chicken', 'inkoko', 'poulet'],
+  ['honey', 'ubuki', 'miel'],
+  ['fish', 'ifi', 'amafi', 'poisson']
+];
+
+// word -> every word of the groups it belongs to
+const SYNONYMS = new Map();
+for (const group of SYNONYM_GROUPS) {
+  for (const word of group) {
+    SYNONYMS.set(word, [...new Set([...(SYNONYMS.get(word) || []), ...group])]);
+  }
+}
+
+const synonymsOf = (word) => SYNONYMS.get(word) || [word];
+
+module.exports = { SYNONYM_GROUPS, synonymsOf };
@@ -0,0 +1,231 @@
+const crypto = require('crypto');
+const { Order, SellerOrder, Shipment, ShipmentEvent, User } = require('../database');
+const { ServiceError } = require('./errors');
+const { notify } = require('./notifications');
+const { normalizeMsisdn } = require('../utils/phone');
+const { isUploadedFile } = require('../utils/uploads');
+
+// What a tracking event can say. shipped and delivered are logged by the order
+// status changes; sellers log the others along the way.
+const SHIPMENT_EVENTS = ['shipped', 'picked_up', 'in_transit', 'out_for_delivery', 'delayed', 'note', 'delivered'];
+const TRACKING_EVENTS = ['picked_up', 'in_transit', 'out_for_delivery', 'delayed', 'note'];
+
+// Wrong codes allowed before the code is replaced and the buyer sent a new one
+const MAX_CODE_ATTEMPTS = parseInt(process.env.DELIVERY_CODE_MAX_ATTEMPTS) || 5;
+const MAX_TEXT_LENGTH = 200;
+
+const newDeliveryCode = () => String(crypto.randomInt(0, 1000000)).padStart(6, '0');
+
+const optionalText = (value, field) => {
+  if (value === undefined || value === null || value === '') return null;
+  if (typeof value !== 'string' || value.length > MAX_TEXT_LENGTH) {
+    throw new ServiceError(400, `${field} must be text of at most ${MAX_TEXT_LENGTH} characters`);
+  }
+  return value.trim() || null;
+};
+
+// Check the transporter a seller names ({ name, phone }). Only the fields present
+// are returned, so the same code serves shipping and later corrections.
+const transporterValues = (input) => {
+  if (input === undefined || input === null) return {};
+  if (typeof input !== 'object' || Array.isArray(input)) {
+    throw new ServiceError(400, 'Transporter must be an object with a name and phone');
+  }
+
+  const values = {};
+  if (input.name !== undefined) values.transporterName = optionalText(input.name, 'Transporter name');
+  if (input.phone !== undefined) {
+    const phone = optionalText(input.phone, 'Transporter phone');
+    if (phone && !/^\d{9,15}$/.test(normalizeMsisdn(phone) || '')) {
+      throw new ServiceError(400, 'Transporter phone must be a phone number');
+    }
+    values.transporterPhone = phone;
+  }
+  return values;
+};
+
+// A proof of delivery photo must be an image uploaded through /api/uploads
+const proofPhotoUrl = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+  if (!isUploadedFile(value)) {
+    throw new ServiceError(400, 'Photo must be the url of an image uploaded through /api/uploads');
+  }
+  return value;
+};
+
+const addEvent = (shipment, { status, description = null, location = null, user = null }, transaction) =>
+  ShipmentEvent.create({
+    shipmentId: shipment.id,
+    status,
+    description,
+    location,
+    recordedBy: user ? user.id : null
+  }, { transaction });
+
+// Open the shipment of a seller order being shipped, with a fresh delivery code
+const startShipment = async (sellerOrder, { transporter, user = null } = {}, transaction) => {
+  const shipment = await Shipment.create({
+    orderId: sellerOrder.orderId,
+    sellerOrderId: sellerOrder.id,
+    ...transporterValues(transporter),
+    deliveryCode: newDeliveryCode(),
+    shippedAt: new Date()
+  }, { transaction });
+
+  await addEvent(shipment, {
+    status: 'shipped',
+    description: shipment.transporterName ? `Handed to ${shipment.transporterName}` : null,
+    user
+  }, transaction);
+  return shipment;
+};
+
+// Close the shipment of a seller order being delivered. Sellers confirm with the
+// buyer's code (proof); buyers and admins confirm by hand. Seller orders shipped
+// before shipments were tracked have none and need no code.
+const completeShipment = async (sellerOrder, { roles, user = null, proof = null }, transaction) => {
+  const shipment = await Shipment.findOne({ where: { sellerOrderId: sellerOrder.id }, transaction });
+  if (!shipment) return null;
+
+  const confirmedWith = proof ? 'code' : ['buyer', 'admin', 'seller'].find(role => roles.includes(role));
+  if (confirmedWith === 'seller' && shipment.deliveryCode) {
+    throw new ServiceError(400, "Enter the buyer's delivery code to confirm the delivery");
+  }
+
+  await shipment.update({
+    deliveryCode: null,
+    deliveredAt: new Date(),
+    confirmedWith,
+    deliveredBy: user ? user.id : null,
+    proofPhotoUrl: proof ? proof.photoUrl : null
+  }, { transaction });
+
+  await addEvent(shipment, {
+    status: 'delivered',
+    description: confirmedWith === 'code' ? 'Delivery code confirmed' : `Receipt confirmed by the ${confirmedWith}`,
+    user
+  }, transaction);
+  return shipment;
+};
+
+// Send the buyer their delivery code (inbox and SMS, or SMS for guests). It comes
+// from the platform rather than the seller, who must not see it.
+const sendDeliveryCode = async (order, shipment) => {
+  const params = { orderId: order.id, code: shipment.deliveryCode };
+  if (order.buyerId) {
+    await notify({ userId: order.buyerId }, 'delivery_code', params, { orderId: order.id });
+    return;
+  }
+
+  let buyerInfo = null;
+  try {
+    buyerInfo = order.buyerInfo ? JSON.parse(order.buyerInfo) : null;
+  } catch (e) {
+    buyerInfo = null;
+  }
+  if (buyerInfo?.phone) {
+    await notify({ phone: buyerInfo.phone, language: buyerInfo.language }, 'delivery_code', params, { orderId: order.id });
+  }
+};
+
+// Check the code the driver was given. Wrong codes count against the code;
+// too many replace it with a new one sent to the buyer.
+const verifyDeliveryCode = async (order, shipment, code) => {
+  if (shipment.deliveredAt) {
+    throw new ServiceError(400, 'This shipment has already been delivered');
+  }
+  if (!shipment.deliveryCode) {
+    throw new ServiceError(400, 'This shipment has no delivery code');
+  }
+
+  const given = String(code ?? '').trim();
+  if (given === shipment.deliveryCode) return;
+
+  // Count against this code only, should it have just been replaced
+  await Shipment.increment('codeAttempts', { where: { id: shipment.id, deliveryCode: shipment.deliveryCode } });
+  await shipment.reload();
+
+  if (shipment.codeAttempts >= MAX_CODE_ATTEMPTS) {
+    await shipment.update({ deliveryCode: newDeliveryCode(), codeAttempts: 0 });
+    await sendDeliveryCode(order, shipment);
+    throw new ServiceError(400, 'Too many wrong codes: the buyer has been sent a new delivery code');
+  }
+  const left = MAX_CODE_ATTEMPTS - shipment.codeAttempts;
+  throw new ServiceError(400, `Wrong delivery code; ${left} ${left === 1 ? 'try' : 'tries'} left`);
+};
+
+const updateTransporter = async (shipment, input) => {
+  if (shipment.deliveredAt) {
+    throw new ServiceError(400, 'This shipment has already been delivered');
+  }
+  return shipment.update(transporterValues(input));
+};
+
+// Log where a shipment is, e.g. { status: 'out_for_delivery', location: 'Musanze' }
+const recordEvent = async (shipment, input, user) => {
+  if (shipment.deliveredAt) {
+    throw new ServiceError(400, 'This shipment has already been delivered');
+  }
+  if (!TRACKING_EVENTS.includes(input.status)) {
+    throw new ServiceError(400, `Status must be one of ${TRACKING_EVENTS.join(', ')}`);
+  }
+
+  return addEvent(shipment, {
+    status: input.status,
+    description: optionalText(input.description, 'Description'),
+    location: optionalText(input.location, 'Location'),
+    user
+  });
+};
+
+// A shipment of an order, with its seller order and order
+const findShipment = async (orderId, shipmentId) => {
+  const shipment = await Shipment.findOne({
+    where: { id: parseInt(shipmentId) || 0, orderId: parseInt(orderId) || 0 },
+    include: [{ model: SellerOrder, as: 'sellerOrder', include: [{ model: Order, as: 'order' }] }]
+  });
+  if (!shipment) {
+    throw new ServiceError(404, 'Shipment not found');
+  }
+  return shipment;
+};
+
+const orderShipments = (orderId) => Shipment.findAll({
+  where: { orderId },
+  include: [
+    { model: SellerOrder, as: 'sellerOrder', attributes: ['id', 'sellerId', 'status'] },
+    {
+      model: ShipmentEvent,
+      as: 'events',
+      include: [{ model: User, as: 'recordedByUser', attributes: ['id', 'name'] }]
+    }
+  ],
+  order: [['id', 'ASC'], [{ model: ShipmentEvent, as: 'events' }, 'createdAt', 'ASC'], [{ model: ShipmentEvent, as: 'events' }, 'id', 'ASC']]
+});
+
+// Shipment as the caller may see it: the delivery code is for the buyer (and admins) only
+const shipmentJSON = (shipment, { showCode = false } = {}) => {
+  const { deliveryCode, codeAttempts: _codeAttempts, sellerOrder, ...plain } = shipment.toJSON();
+  return {
+    ...plain,
+    sellerId: sellerOrder ? sellerOrder.sellerId : undefined,
+    ...(showCode && { deliveryCode })
+  };
+};
+
+module.exports = {
+  SHIPMENT_EVENTS,
+  TRACKING_EVENTS,
+  MAX_CODE_ATTEMPTS,
+  transporterValues,
+  proofPhotoUrl,
+  startShipment,
+  completeShipment,
+  sendDeliveryCode,
+  verifyDeliveryCode,
+  updateTransporter,
+  recordEvent,
+  findShipment,
+  orderShipments,
+  shipmentJSON
+};
@@ -0,0 +1,119 @@
+const { Op } = require('sequelize');
+const { Product, ProductVariant, Order, StockReservation } = require('../database');
+const { ServiceError } = require('./errors');
+
+// How long an unpaid order holds its stock
+const HOLD_MINUTES = parseInt(process.env.STOCK_HOLD_MINUTES) || 30;
+
+const holdExpiry = (from = new Date()) => new Date(from.getTime() + HOLD_MINUTES * 60 * 1000);
+
+// Load a product with its row locked for the rest of the transaction, so two
+// checkouts cannot both see the same units as available (no-op on SQLite,
+// which already serialises writers)
+const lockProduct = (productId, transaction) =>
+  Product.findByPk(productId, { transaction, lock: transaction.LOCK.UPDATE });
+
+const lockVariant = (variantId, transaction) =>
+  ProductVariant.findByPk(variantId, { transaction, lock: transaction.LOCK.UPDATE });
+
+// Throw unless quantity of a product (or of one of its variants) is available
+const checkAvailable = (product, quantity, variant = null) => {
+  const available = (variant || product).availableStock;
+  if (available < quantity) {
+    const name = variant ? `${product.name} (${variant.name})` : product.name;
+    throw new ServiceError(400, `Insufficient stock for ${name}. Available: ${available}`);
+  }
+};
+
+// Hold quantity of a locked product, or of one of its variants (the product
+// keeps the total held); throws if not enough is available
+const holdStock = async (product, quantity, transaction, variant = null) => {
+  checkAvailable(product, quantity, variant);
+
+  if (variant) {
+    variant.reservedStock = (variant.reservedStock || 0) + quantity;
+    await variant.save({ transaction });
+  }
+  product.reservedStock = (product.reservedStock || 0) + quantity;
+  await product.save({ transaction });
+};
+
+// Move quantity out of a product's (and variant's) held units, taking it out
+// of stock too when it is committed
+const settleHeld = (row, quantity, committed) => {
+  row.reservedStock = Math.max((row.reservedStock || 0) - quantity, 0);
+  if (committed) {
+    row.stock -= quantity;
+  }
+};
+
+// Move held reservations to a final state, adjusting product stock as we go.
+// Only rows still held are touched, so concurrent callers cannot apply one twice.
+const settleReservations = async (where, status, transaction) => {
+  const reservations = await StockReservation.findAll({
+    where: { ...where, status: 'held' },
+    order: [['productId', 'ASC']], // Lock products in a stable order
+    transaction
+  });
+
+  let settled = 0;
+  for (const reservation of reservations) {
+    const [updated] = await StockReservation.update({ status }, {
+      where: { id: reservation.id, status: 'held' },
+      transaction
+    });
+    if (updated === 0) continue;
+
+    const product = await lockProduct(reservation.productId, transaction);
+    if (product) {
+      settleHeld(product, reservation.quantity, status === 'committed');
+      await product.save({ transaction });
+    }
+    const variant = reservation.variantId && await lockVariant(reservation.variantId, transaction);
+    if (variant) {
+      settleHeld(variant, reservation.quantity, status === 'committed');
+      await variant.save({ transaction });
+    }
+    settled += 1;
+  }
+
+  return settled;
+};
+
+// Payment completed: held units leave stock for good
+const commitReservations = (orderId, transaction) =>
+  settleReservations({ orderId }, 'committed', transaction);
+
+// Order cancelled or hold expired: held units become available again
+const releaseReservations = (where, transaction) =>
+  settleReservations(where, 'released', transaction);
+
+// Unpaid orders that are not yet on their way, whose hold ran out with stock still held
+const findExpiredReservationOrderIds = async (limit = 50) => {
+  const rows = await StockReservation.findAll({
+    attributes: ['orderId'],
+    where: { status: 'held', expiresAt: { [Op.lt]: new Date() } },
+    include: [{
+      model: Order,
+      as: 'order',
+      attributes: [],
+      where: { status: ['pending', 'confirmed'], paymentStatus: ['pending', 'failed'] }
+    }],
+    group: ['orderId'],
+    limit,
+    raw: true
+  });
+  return rows.map(row => row.orderId);
+};
+
+module.exports = {
+  HOLD_MINUTES,
+  holdExpiry,
+  lockProduct,
+  lockVariant,
+  checkAvailable,
+  holdStock,
+  commitReservations,
+  releaseReservations,
+  findExpiredReservationOrderIds
+};
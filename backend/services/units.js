@@ -0,0 +1,166 @@
+const { ServiceError } = require('./errors');
+
+// Units products are sold by. Units of the same dimension convert at a fixed
+// factor (1 tonne = 1000 kg). Packaging units such as bags have no fixed size:
+// each product says what one holds (1 bag = 50 kg) in its pack sizes.
+const UNITS = {
+  g: { dimension: 'mass', factor: 0.001 },
+  kg: { dimension: 'mass', factor: 1 },
+  tonne: { dimension: 'mass', factor: 1000 },
+  ml: { dimension: 'volume', factor: 0.001 },
+  litre: { dimension: 'volume', factor: 1 },
+  piece: { dimension: 'count', factor: 1 },
+  dozen: { dimension: 'count', factor: 12 },
+  head: { dimension: 'animals', factor: 1 },
+  bag: { dimension: null },
+  crate: { dimension: null },
+  bunch: { dimension: null }
+};
+
+const UNIT_CODES = Object.keys(UNITS);
+const MAX_PACK_SIZES = 10;
+
+// Quantities are compared with a tolerance, as 0.1 + 0.2 is not 0.3 in floating point
+const EPSILON = 1e-9;
+
+const round = (value) => Math.round(value * 1e6) / 1e6;
+
+const isUnit = (unit) => UNIT_CODES.includes(unit);
+
+// How many of the product's units one `unit` is, or null when it does not convert
+const unitFactor = (product, unit) => {
+  if (!unit || unit === product.unit) return 1;
+
+  const from = UNITS[unit];
+  const to = UNITS[product.unit];
+  if (from?.dimension && from.dimension === to?.dimension) {
+    return from.factor / to.factor;
+  }
+
+  const pack = (product.packSizes || []).find(packSize => packSize.unit === unit);
+  return pack ? pack.size : null;
+};
+
+// The units a product can be ordered in, with what one of each is in its own unit
+const salesUnits = (product) => {
+  const units = [{ unit: product.unit, size: 1 }];
+  const dimension = UNITS[product.unit]?.dimension;
+  for (const unit of UNIT_CODES) {
+    if (unit !== product.unit && dimension && UNITS[unit].dimension === dimension) {
+      units.push({ unit, size: round(unitFactor(product, unit)) });
+    }
+  }
+  for (const pack of product.packSizes || []) units.push({ unit: pack.unit, size: pack.size });
+  return units;
+};
+
+const positiveNumber = (value, message) => {
+  const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+  if (typeof number !== 'number' || !Number.isFinite(number) || number <= 0) {
+    throw new ServiceError(400, message);
+  }
+  return number;
+};
+
+// Check a product's selling rules and return the column values for them.
+// Fields left out of input keep the current product's values when given.
+const validateSalesRules = (input, current = {}) => {
+  const values = {};
+
+  const unit = input.unit !== undefined ? input.unit : current.unit || 'kg';
+  if (!isUnit(unit)) {
+    throw new ServiceError(400, `Unit must be one of ${UNIT_CODES.join(', ')}`);
+  }
+  if (input.unit !== undefined) values.unit = unit;
+
+  if (input.packSizes !== undefined || input.unit !== undefined) {
+    const packSizes = input.packSizes !== undefined ? input.packSizes || [] : current.packSizes || [];
+    if (!Array.isArray(packSizes) || packSizes.length > MAX_PACK_SIZES) {
+      throw new ServiceError(400, `Pack sizes must be a list of at most ${MAX_PACK_SIZES}`);
+    }
+
+    const seen = new Set();
+    values.packSizes = packSizes.map((pack) => {
+      if (!pack || !isUnit(pack.unit) || pack.unit === unit || seen.has(pack.unit)) {
+        throw new ServiceError(400, 'Each pack size needs its own unit, other than the product unit');
+      }
+      if (UNITS[pack.unit].dimension && UNITS[pack.unit].dimension === UNITS[unit].dimension) {
+        throw new ServiceError(400, `${pack.unit} already converts to ${unit}`);
+      }
+      seen.add(pack.unit);
+      return { unit: pack.unit, size: positiveNumber(pack.size, `Size of a ${pack.unit} must be above 0`) };
+    });
+  }
+
+  for (const field of ['minOrderQuantity', 'quantityStep', 'weightKg']) {
+    if (input[field] === undefined) continue;
+    values[field] = input[field] === null || input[field] === ''
+      ? null
+      : positiveNumber(input[field], `${field} must be above 0`);
+  }
+
+  return values;
+};
+
+// Why a quantity in the product's unit cannot be ordered: 'minimum', 'step', or null when it can
+const quantityProblem = (product, quantity) => {
+  if (product.minOrderQuantity && quantity < product.minOrderQuantity - EPSILON) return 'minimum';
+  if (product.quantityStep) {
+    const steps = quantity / product.quantityStep;
+    if (Math.abs(steps - Math.round(steps)) > 1e-6) return 'step';
+  }
+  return null;
+};
+
+// Weight in kg of a quantity in the product's unit: by its unit when sold by
+// mass, else by its weightKg; 0 when unknown
+const weightKg = (product, quantity) => {
+  const unit = UNITS[product.unit];
+  if (unit?.dimension === 'mass') return round(quantity * unit.factor);
+  return product.weightKg ? round(quantity * product.weightKg) : 0;
+};
+
+// Price of one `unit` of a product, from a price per product unit
+const unitPriceFor = (product, unit, price = product.price) => round(price * unitFactor(product, unit));
+
+// Turn an ordered quantity and unit into the product's own unit, checking the
+// minimum order and step. Returns { quantity, unit, baseQuantity, unitPrice }.
+const orderQuantity = (product, quantity, unit = product.unit) => {
+  const ordered = positiveNumber(quantity, 'Invalid product data');
+  const orderedUnit = unit || product.unit;
+
+  const factor = unitFactor(product, orderedUnit);
+  if (factor === null) {
+    const units = salesUnits(product).map(salesUnit => salesUnit.unit).join(', ');
+    throw new ServiceError(400, `${product.name} is sold by ${units}, not ${orderedUnit}`);
+  }
+
+  const baseQuantity = round(ordered * factor);
+  const problem = quantityProblem(product, baseQuantity);
+  if (problem === 'minimum') {
+    throw new ServiceError(400, `The minimum order for ${product.name} is ${product.minOrderQuantity} ${product.unit}`);
+  }
+  if (problem === 'step') {
+    throw new ServiceError(400, `${product.name} is sold in steps of ${product.quantityStep} ${product.unit}`);
+  }
+
+  return {
+    quantity: ordered,
+    unit: orderedUnit,
+    baseQuantity,
+    unitPrice: unitPriceFor(product, orderedUnit)
+  };
+};
+
+module.exports = {
+  UNITS,
+  UNIT_CODES,
+  isUnit,
+  unitFactor,
+  salesUnits,
+  validateSalesRules,
+  quantityProblem,
+  weightKg,
+  unitPriceFor,
+  orderQuantity
+};
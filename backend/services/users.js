@@ -0,0 +1,21 @@
+const { Op } = require('sequelize');
+const { User } = require('../database');
+const { normalizeMsisdn } = require('../utils/phone');
+
+// Users whose phone number is the given one, however either was written
+// (0788..., +250788..., 250 788 ...). Phones are stored as typed, so narrow
+// down on the last nine digits in SQL, allowing any separators between them,
+// and compare the normalised forms here.
+const findUsersByPhone = async (phone, options = {}) => {
+  const msisdn = normalizeMsisdn(phone);
+  if (!msisdn || msisdn.length < 9) return [];
+
+  const candidates = await User.findAll({
+    ...options,
+    where: { ...options.where, phone: { [Op.like]: `%${msisdn.slice(-9).split('').join('%')}` } }
+  });
+
+  return candidates.filter(user => normalizeMsisdn(user.phone) === msisdn);
+};
+
+module.exports = { findUsersByPhone };
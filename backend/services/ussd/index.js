@@ -0,0 +1,563 @@
+const { Op } = require('sequelize');
+const { sequelize, Category, Product, ProductVariant, Order, SellerOrder, UssdSession } = require('../../database');
+const { ServiceError } = require('../errors');
+const { createOrder, parseJSON } = require('../orders');
+const { startPayment } = require('../payments');
+const { HOLD_MINUTES, lockProduct, lockVariant } = require('../stock');
+const { findUsersByPhone } = require('../users');
+const { DEFAULT_LANGUAGE, money } = require('../notifications/templates');
+const { normalizeMsisdn } = require('../../utils/phone');
+const { isKnownLocation } = require('../../utils/geo');
+const { nearestFirst, productDistanceKm } = require('../products');
+const { loadCategories, localize, withDescendants } = require('../categories');
+const { quantityProblem } = require('../units');
+const { listVariants, syncProductTotals } = require('../variants');
+const { quotePrice } = require('../pricing');
+const { text } = require('./texts');
+
+// USSD menus for feature phones, answering Africa's Talking style callbacks:
+// the gateway posts everything typed so far joined by '*' and shows our
+// response, which starts with CON (wait for more input) or END (hang up).
+const PAGE_SIZE = 5;
+const MORE = '98';
+const BACK = '0';
+// Menu option listing every product of the category being browsed
+const ALL = 'all';
+const PAYMENT_METHOD = 'mtn_momo';
+// How many products of a category can be paged through
+const MAX_LISTED = 100;
+const MAX_NAME_LENGTH = 18;
+
+const shorten = (name) => name.length > MAX_NAME_LENGTH ? name.slice(0, MAX_NAME_LENGTH) : name;
+
+const parseNumber = (input) => /^\d+(\.\d+)?$/.test(input) ? parseFloat(input) : NaN;
+
+// Who is calling, by the phone number the gateway gives us. A number may be on
+// a buyer account, a seller account or both; unknown numbers order as guests.
+const loadCaller = async (phone) => {
+  const users = await findUsersByPhone(phone, { attributes: ['id', 'role', 'language', 'lat', 'lng', 'phone'] });
+  const buyer = users.find(user => user.role === 'user') || users.find(user => user.role !== 'seller') || null;
+  const seller = users.find(user => user.role === 'seller') || null;
+  const located = users.find(user => isKnownLocation({ lat: user.lat, lng: user.lng }));
+
+  return {
+    phone,
+    users,
+    buyer,
+    seller,
+    language: (buyer || seller)?.language || DEFAULT_LANGUAGE,
+    origin: located ? { lat: located.lat, lng: located.lng } : null
+  };
+};
+
+// A numbered menu, with "More" when there is another page and "Back"
+const menu = (t, title, labels, hasMore) => [
+  title,
+  ...labels.map((label, index) => `${index + 1}. ${label}`),
+  ...(hasMore ? [`${MORE}. ${t('more')}`] : []),
+  `${BACK}. ${t('back')}`
+].join('\n');
+
+// Read a choice on a menu screen: back, next page or one of state.options
+const choose = (state, input) => {
+  if (input === BACK) return { back: true };
+  if (input === MORE && state.hasMore) return { more: true };
+
+  const index = parseInt(input) - 1;
+  if (String(index + 1) === input && state.options[index] !== undefined) {
+    return { option: state.options[index] };
+  }
+  return {};
+};
+
+const invalid = (state, t) => ({ state, notice: t('invalid') });
+
+// Products of a category and its subcategories that can be ordered now, nearest to the caller first
+// when we know where they are
+const listProducts = async (categoryId, origin) => {
+  const products = await Product.findAll({
+    where: {
+      categoryId: await withDescendants([categoryId]),
+      [Op.and]: [sequelize.where(sequelize.col('stock'), Op.gt, sequelize.col('reservedStock'))]
+    },
+    // Products without a location sort last either way
+    order: origin
+      ? [[sequelize.literal('"Product"."lat" IS NULL'), 'ASC'], nearestFirst(origin), ['createdAt', 'DESC']]
+      : [['createdAt', 'DESC']],
+    limit: MAX_LISTED
+  });
+
+  return products.map(product => ({ product, distance: productDistanceKm(origin, product) }));
+};
+
+const productLabel = (ctx, { product, distance }) => {
+  const price = `${shorten(product.name)} ${money(product.price)}/${ctx.t(`unit_${product.unit}`)}`;
+  if (distance === null) return price;
+  return `${price} ${distance < 1 ? '<1' : Math.round(distance)}km`;
+};
+
+// The product (and variant) a screen is about; the variant's name and stock
+// stand in for the product's when there is one
+const loadChoice = async (state) => {
+  const product = await Product.findByPk(state.productId);
+  const variant = state.variantId ? await ProductVariant.findByPk(state.variantId) : null;
+  return {
+    product,
+    variant,
+    name: variant ? `${shorten(product.name)} ${shorten(variant.name)}` : shorten(product.name),
+    available: (variant || product).availableStock
+  };
+};
+
+// Whether the caller bought this order, and which part of it they sell
+const orderAccess = (ctx, order, sellerOrders) => {
+  const buyerInfo = parseJSON(order.buyerInfo);
+  const isBuyer = order.buyerId
+    ? ctx.users.some(user => user.id === order.buyerId)
+    : normalizeMsisdn(buyerInfo?.phone) === normalizeMsisdn(ctx.phone);
+  const sellerOrder = ctx.seller ? sellerOrders.find(so => so.sellerId === ctx.seller.id) : null;
+  return { isBuyer, sellerOrder };
+};
+
+const canPay = (order) =>
+  ['pending', 'failed'].includes(order.paymentStatus) && ['pending', 'confirmed'].includes(order.status);
+
+// Each screen renders its text (recording what it offered in the state) and
+// handles one input, returning the next state or the text to end the session on
+const SCREENS = {
+  main: {
+    render: async (ctx, state) => {
+      state.options = ['buy', 'status', ...(ctx.seller ? ['stock'] : [])];
+      return [
+        ctx.t('welcome'),
+        `1. ${ctx.t('buy')}`,
+        `2. ${ctx.t('order_status')}`,
+        ...(ctx.seller ? [`3. ${ctx.t('update_stock')}`] : [])
+      ].join('\n');
+    },
+    handle: async (ctx, state, input) => {
+      const { option } = choose(state, input);
+      if (option === 'buy') return { state: { screen: 'categories', page: 0 } };
+      if (option === 'status') return { state: { screen: 'orderLookup' } };
+      if (option === 'stock') return { state: { screen: 'sellerProducts', page: 0 } };
+      return invalid(state, ctx.t);
+    }
+  },
+
+  // Categories under parentId (top-level ones without). Below the top, the
+  // first entry lists the products of the whole category.
+  categories: {
+    render: async (ctx, state) => {
+      const { categories, children } = await loadCategories();
+      const parent = state.parentId ? categories.find(category => category.id === state.parentId) : null;
+      const entries = [
+        ...(parent ? [{ option: ALL, label: ctx.t('all_in', { name: shorten(localize(parent, ctx.language).name) }) }] : []),
+        ...(children.get(state.parentId || null) || []).map(category => ({
+          option: category.id,
+          label: shorten(localize(category, ctx.language).name)
+        }))
+      ];
+      if (entries.length === 0) {
+        state.options = [];
+        return menu(ctx.t, ctx.t('no_categories'), [], false);
+      }
+
+      const shown = entries.slice(state.page * PAGE_SIZE, (state.page + 1) * PAGE_SIZE);
+      state.options = shown.map(entry => entry.option);
+      state.hasMore = entries.length > (state.page + 1) * PAGE_SIZE;
+      return menu(ctx.t, ctx.t('choose_category'), shown.map(entry => entry.label), state.hasMore);
+    },
+    handle: async (ctx, state, input) => {
+      const { back, more, option } = choose(state, input);
+      if (back && !state.parentId) return { state: { screen: 'main' } };
+      if (back) {
+        const parent = await Category.findByPk(state.parentId, { attributes: ['parentId'] });
+        return { state: { screen: 'categories', parentId: parent?.parentId || null, page: 0 } };
+      }
+      if (more) return { state: { screen: 'categories', parentId: state.parentId, page: state.page + 1 } };
+      if (option === ALL) {
+        return { state: { screen: 'products', categoryId: state.parentId, parentId: state.parentId, page: 0 } };
+      }
+      if (option) {
+        const hasChildren = await Category.count({ where: { parentId: option } }) > 0;
+        return hasChildren
+          ? { state: { screen: 'categories', parentId: option, page: 0 } }
+          : { state: { screen: 'products', categoryId: option, parentId: state.parentId, page: 0 } };
+      }
+      return invalid(state, ctx.t);
+    }
+  },
+
+  products: {
+    render: async (ctx, state) => {
+      const products = await listProducts(state.categoryId, ctx.origin);
+      if (products.length === 0) {
+        state.options = [];
+        return menu(ctx.t, ctx.t('no_products'), [], false);
+      }
+
+      const shown = products.slice(state.page * PAGE_SIZE, (state.page + 1) * PAGE_SIZE);
+      state.options = shown.map(({ product }) => product.id);
+      state.hasMore = products.length > (state.page + 1) * PAGE_SIZE;
+      return menu(ctx.t, ctx.t('choose_product'), shown.map(entry => productLabel(ctx, entry)), state.hasMore);
+    },
+    handle: async (ctx, state, input) => {
+      const { back, more, option } = choose(state, input);
+      const { categoryId, parentId } = state;
+      if (back) return { state: { screen: 'categories', parentId, page: 0 } };
+      if (more) return { state: { screen: 'products', categoryId, parentId, page: state.page + 1 } };
+      if (option) {
+        // Products sold in variants (grades, sizes...) are bought by variant
+        const screen = await ProductVariant.count({ where: { productId: option } }) > 0 ? 'variants' : 'quantity';
+        return { state: { screen, categoryId, parentId, productId: option, page: 0 } };
+      }
+      return invalid(state, ctx.t);
+    }
+  },
+
+  variants: {
+    render: async (ctx, state) => {
+      const product = await Product.findByPk(state.productId);
+      const variants = (await listVariants(product.id)).filter(variant => variant.availableStock > 0);
+
+      const shown = variants.slice(state.page * PAGE_SIZE, (state.page + 1) * PAGE_SIZE);
+      state.options = shown.map(variant => variant.id);
+      state.hasMore = variants.length > (state.page + 1) * PAGE_SIZE;
+      return menu(
+        ctx.t,
+        ctx.t('choose_variant', { name: shorten(product.name) }),
+        shown.map(variant => `${shorten(variant.name)} ${money(variant.price)}/${ctx.t(`unit_${product.unit}`)}`),
+        state.hasMore
+      );
+    },
+    handle: async (ctx, state, input) => {
+      const { back, more, option } = choose(state, input);
+      const { categoryId, parentId, productId } = state;
+      if (back) return { state: { screen: 'products', categoryId, parentId, page: 0 } };
+      if (more) return { state: { screen: 'variants', categoryId, parentId, productId, page: state.page + 1 } };
+      if (option) return { state: { screen: 'quantity', categoryId, parentId, productId, variantId: option } };
+      return invalid(state, ctx.t);
+    }
+  },
+
+  quantity: {
+    render: async (ctx, state) => {
+      const { product, name, available } = await loadChoice(state);
+      return ctx.t('enter_quantity', {
+        name,
+        unit: ctx.t(`unit_${product.unit}`),
+        available
+      });
+    },
+    handle: async (ctx, state, input) => {
+      if (input === BACK) {
+        const { categoryId, parentId, productId } = state;
+        return state.variantId
+          ? { state: { screen: 'variants', categoryId, parentId, productId, page: 0 } }
+          : { state: { screen: 'products', categoryId, parentId, page: 0 } };
+      }
+
+      const quantity = parseNumber(input);
+      if (!(quantity > 0)) return { state, notice: ctx.t('invalid_quantity') };
+
+      const { product, available } = await loadChoice(state);
+      const unit = ctx.t(`unit_${product.unit}`);
+      const problem = quantityProblem(product, quantity);
+      if (problem === 'minimum') return { state, notice: ctx.t('below_minimum', { minimum: product.minOrderQuantity, unit }) };
+      if (problem === 'step') return { state, notice: ctx.t('quantity_step', { step: product.quantityStep, unit }) };
+      if (quantity > available) return { state, notice: ctx.t('not_enough_stock', { available, unit }) };
+
+      return { state: { screen: 'confirm', productId: state.productId, variantId: state.variantId, quantity } };
+    }
+  },
+
+  confirm: {
+    render: async (ctx, state) => {
+      const { product, variant, name } = await loadChoice(state);
+      // The price the order will get: quantity tiers and the caller's price lists apply
+      const { price } = await quotePrice({ buyerId: ctx.buyer?.id, product, variant, quantity: state.quantity });
+      return ctx.t('confirm_order', {
+        name,
+        quantity: state.quantity,
+        unit: ctx.t(`unit_${product.unit}`),
+        total: price * state.quantity
+      });
+    },
+    handle: async (ctx, state, input) => {
+      if (input === BACK) return { end: ctx.t('order_abandoned') };
+      if (input !== '1') return invalid(state, ctx.t);
+      return { end: await placeOrder(ctx, state) };
+    }
+  },
+
+  orderLookup: {
+    render: async (ctx) => ctx.t('enter_order_number'),
+    handle: async (ctx, state, input) => {
+      if (input === BACK) return { state: { screen: 'main' } };
+
+      const orderId = parseInt(input);
+      const order = String(orderId) === input ? await Order.findByPk(orderId) : null;
+      const sellerOrders = order ? await SellerOrder.findAll({ where: { orderId } }) : [];
+      const { isBuyer, sellerOrder } = order ? orderAccess(ctx, order, sellerOrders) : {};
+
+      // Orders the caller has no part in look the same as orders that do not exist
+      if (!isBuyer && !sellerOrder) {
+        return { state, notice: ctx.t('order_not_found', { orderId: input }) };
+      }
+      return { state: { screen: 'orderView', orderId } };
+    }
+  },
+
+  orderView: {
+    render: async (ctx, state) => {
+      const order = await Order.findByPk(state.orderId);
+      const sellerOrders = await SellerOrder.findAll({ where: { orderId: order.id } });
+      const { isBuyer, sellerOrder } = orderAccess(ctx, order, sellerOrders);
+
+      // Sellers follow their own part of the order
+      const status = isBuyer ? order.status : sellerOrder.status;
+      state.options = isBuyer && canPay(order) ? ['pay'] : [];
+
+      return [
+        ctx.t('order_summary', {
+          orderId: order.id,
+          status: ctx.t(`status_${status}`),
+          payment: ctx.t(`payment_${order.paymentStatus}`)
+        }),
+        ...(state.options.length ? [`1. ${ctx.t('pay_now')}`] : []),
+        `${BACK}. ${ctx.t('back')}`
+      ].join('\n');
+    },
+    handle: async (ctx, state, input) => {
+      const { back, option } = choose(state, input);
+      if (back) return { state: { screen: 'main' } };
+      if (option !== 'pay') return invalid(state, ctx.t);
+
+      const order = await Order.findByPk(state.orderId);
+      try {
+        const payment = await startPayment({ order, method: PAYMENT_METHOD, phone: ctx.phone });
+        if (payment.status === 'failed') {
+          return { end: ctx.t('payment_not_started', { reason: payment.failureReason || ctx.t('payment_failed') }) };
+        }
+        return { end: ctx.t(payment.status === 'completed' ? 'payment_done' : 'payment_requested') };
+      } catch (err) {
+        if (!(err instanceof ServiceError)) throw err;
+        return { end: ctx.t('payment_not_started', { reason: err.message }) };
+      }
+    }
+  },
+
+  sellerProducts: {
+    render: async (ctx, state) => {
+      const products = await Product.findAll({
+        where: { sellerId: ctx.seller.id },
+        attributes: ['id', 'name', 'stock', 'unit'],
+        order: [['name', 'ASC']],
+        offset: state.page * PAGE_SIZE,
+        limit: PAGE_SIZE + 1
+      });
+      if (products.length === 0 && state.page === 0) {
+        state.options = [];
+        return menu(ctx.t, ctx.t('no_seller_products'), [], false);
+      }
+
+      const shown = products.slice(0, PAGE_SIZE);
+      state.options = shown.map(product => product.id);
+      state.hasMore = products.length > PAGE_SIZE;
+      return menu(
+        ctx.t,
+        ctx.t('choose_stock_product'),
+        shown.map(product => `${shorten(product.name)} (${product.stock} ${ctx.t(`unit_${product.unit}`)})`),
+        state.hasMore
+      );
+    },
+    handle: async (ctx, state, input) => {
+      const { back, more, option } = choose(state, input);
+      if (back) return { state: { screen: 'main' } };
+      if (more) return { state: { screen: 'sellerProducts', page: state.page + 1 } };
+      if (option) {
+        // Stock of a product sold in variants is kept per variant
+        const screen = await ProductVariant.count({ where: { productId: option } }) > 0 ? 'sellerVariants' : 'stock';
+        return { state: { screen, productId: option, page: 0 } };
+      }
+      return invalid(state, ctx.t);
+    }
+  },
+
+  sellerVariants: {
+    render: async (ctx, state) => {
+      const product = await Product.findByPk(state.productId);
+      const variants = await listVariants(product.id);
+
+      const shown = variants.slice(state.page * PAGE_SIZE, (state.page + 1) * PAGE_SIZE);
+      state.options = shown.map(variant => variant.id);
+      state.hasMore = variants.length > (state.page + 1) * PAGE_SIZE;
+      return menu(
+        ctx.t,
+        ctx.t('choose_variant', { name: shorten(product.name) }),
+        shown.map(variant => `${shorten(variant.name)} (${variant.stock} ${ctx.t(`unit_${product.unit}`)})`),
+        state.hasMore
+      );
+    },
+    handle: async (ctx, state, input) => {
+      const { back, more, option } = choose(state, input);
+      if (back) return { state: { screen: 'sellerProducts', page: 0 } };
+      if (more) return { state: { screen: 'sellerVariants', productId: state.productId, page: state.page + 1 } };
+      if (option) return { state: { screen: 'stock', productId: state.productId, variantId: option } };
+      return invalid(state, ctx.t);
+    }
+  },
+
+  stock: {
+    render: async (ctx, state) => {
+      const { product, variant, name } = await loadChoice(state);
+      const row = variant || product;
+      return ctx.t('enter_stock', {
+        name,
+        stock: row.stock,
+        unit: ctx.t(`unit_${product.unit}`),
+        reserved: row.reservedStock || 0
+      });
+    },
+    // 0 is a valid stock level here, so this screen has no "Back"
+    handle: async (ctx, state, input) => {
+      const stock = parseNumber(input);
+
+      const result = await sequelize.transaction(async (transaction) => {
+        const product = await lockProduct(state.productId, transaction);
+        const variant = state.variantId ? await lockVariant(state.variantId, transaction) : null;
+        if (!product || product.sellerId !== ctx.seller.id || (state.variantId && variant?.productId !== product.id)) {
+          return { end: ctx.t('invalid') };
+        }
+        const reserved = Math.ceil((variant || product).reservedStock || 0);
+        // Units held by unpaid orders cannot be taken away
+        if (!Number.isInteger(stock) || stock < reserved) {
+          return { notice: ctx.t('invalid_stock', { reserved }) };
+        }
+
+        if (variant) {
+          // The product's stock is the sum of its variants'
+          await variant.update({ stock }, { transaction });
+          await syncProductTotals(product, transaction);
+        } else {
+          // Listing quantity and stock move together, as when sellers edit a product
+          await product.update({ stock, quantity: stock }, { transaction });
+        }
+        const name = variant ? `${shorten(product.name)} ${shorten(variant.name)}` : shorten(product.name);
+        return {
+          end: ctx.t('stock_updated', { name, stock, unit: ctx.t(`unit_${product.unit}`) })
+        };
+      });
+
+      return result.end ? result : { state, notice: result.notice };
+    }
+  }
+};
+
+// Create the order the caller confirmed and ask them to pay for it by mobile money
+const placeOrder = async (ctx, state) => {
+  let order;
+  try {
+    order = await createOrder({
+      buyerId: ctx.buyer ? ctx.buyer.id : null,
+      products: [{ productId: state.productId, variantId: state.variantId, quantity: state.quantity }],
+      buyerInfo: ctx.buyer ? null : { phone: ctx.phone, language: ctx.language, channel: 'ussd' }
+    });
+  } catch (err) {
+    if (!(err instanceof ServiceError)) throw err;
+    return ctx.t('order_failed', { reason: err.message });
+  }
+
+  // MoMo payments start pending; only the mock provider (PAYMENTS_MOCK) completes
+  // at once. When payments are unavailable the order waits to be paid from "Order status".
+  const params = { orderId: order.id, total: order.totalAmount, minutes: HOLD_MINUTES };
+  try {
+    const payment = await startPayment({ order, method: PAYMENT_METHOD, phone: ctx.phone });
+    if (payment.status === 'completed') return ctx.t('order_paid', params);
+    if (payment.status === 'pending') return ctx.t('order_placed', params);
+  } catch (err) {
+    if (!(err instanceof ServiceError)) {
+      console.error(`USSD payment for order ${order.id} failed:`, err);
+    }
+  }
+  return ctx.t('order_placed_unpaid', params);
+};
+
+const render = async (ctx, state) => {
+  const body = await SCREENS[state.screen].render(ctx, state);
+  state.shown = true;
+  return body;
+};
+
+// Inputs typed since the last callback. The gateway sends the whole history
+// ("1*3*2"); when it does not extend what we saw, take the last entry.
+const newInputs = (previous, typed) => {
+  let fresh = typed;
+  if (previous) {
+    fresh = typed.startsWith(`${previous}*`) ? typed.slice(previous.length + 1) : typed.split('*').pop();
+  }
+  return fresh === '' ? [] : fresh.split('*').map(input => input.trim());
+};
+
+// Answer one gateway callback. Returns the response text (CON ... or END ...).
+const handleUssd = async ({ sessionId, serviceCode, phoneNumber, text: typed = '' }) => {
+  const [session] = await UssdSession.findOrCreate({
+    where: { sessionId },
+    defaults: { phone: phoneNumber, serviceCode, state: JSON.stringify({ screen: 'main' }) }
+  });
+
+  // Gateways retry callbacks they got no answer to
+  if (session.ended || (session.lastResponse && session.lastText === typed)) {
+    return session.lastResponse;
+  }
+
+  const caller = await loadCaller(session.phone);
+  const ctx = { ...caller, t: (key, params) => text(key, caller.language, params) };
+  let state = parseJSON(session.state, { screen: 'main' });
+
+  let response;
+  try {
+    let end = null;
+    let notice = null;
+    for (const input of newInputs(session.lastText, typed)) {
+      // Inputs typed ahead (e.g. *123*1*2#) answer screens we never showed
+      if (!state.shown) await render(ctx, state);
+
+      const result = await SCREENS[state.screen].handle(ctx, state, input);
+      if (result.end) {
+        end = result.end;
+        break;
+      }
+      state = result.state;
+      notice = result.notice || null;
+    }
+
+    response = end
+      ? `END ${end}`
+      : `CON ${notice ? `${notice}\n` : ''}${await render(ctx, state)}`;
+  } catch (err) {
+    console.error(`USSD session ${sessionId} error:`, err);
+    response = `END ${ctx.t('error')}`;
+  }
+
+  await session.update({
+    state: JSON.stringify(state),
+    lastText: typed,
+    lastResponse: response,
+    ended: response.startsWith('END')
+  });
+
+  return response;
+};
+
+// Background job: forget sessions nobody has touched for a day
+const SESSION_TTL_MS = 24 * 60 * 60 * 1000;
+
+const purgeUssdSessions = () => UssdSession.destroy({
+  where: { updatedAt: { [Op.lt]: new Date(Date.now() - SESSION_TTL_MS) } }
+});
+
+module.exports = {
+  handleUssd,
+  purgeUssdSessions
+};
@@ -0,0 +1,161 @@
+const { DEFAULT_LANGUAGE, money } = require('../notifications/templates');
+
+// USSD screen texts in Kinyarwanda, English and French. A screen holds about
+// 180 characters, so keep them shorter than SMS.
+const TEXTS = {
+  welcome: { rw: 'Murakaza neza kuri KEDI', en: 'Welcome to KEDI', fr: 'Bienvenue sur KEDI' },
+  buy: { rw: 'Kugura', en: 'Buy products', fr: 'Acheter' },
+  order_status: { rw: 'Aho komande igeze', en: 'Order status', fr: 'Suivi de commande' },
+  update_stock: { rw: 'Guhindura ububiko', en: 'Update stock', fr: 'Mettre à jour le stock' },
+  more: { rw: 'Ibindi', en: 'More', fr: 'Suite' },
+  back: { rw: 'Subira inyuma', en: 'Back', fr: 'Retour' },
+  invalid: { rw: 'Ibyo wahisemo ntibibaho.', en: 'Invalid choice.', fr: 'Choix invalide.' },
+  error: {
+    rw: 'Serivisi ntiboneka ubu. Ongera ugerageze nyuma.',
+    en: 'The service is unavailable. Please try again later.',
+    fr: 'Service indisponible. Réessayez plus tard.'
+  },
+
+  choose_category: { rw: 'Hitamo icyiciro:', en: 'Choose a category:', fr: 'Choisissez une catégorie :' },
+  no_categories: { rw: 'Nta byiciro birahari.', en: 'There are no categories yet.', fr: 'Aucune catégorie pour le moment.' },
+  all_in: {
+    rw: ({ name }) => `${name}: byose`,
+    en: ({ name }) => `All ${name}`,
+    fr: ({ name }) => `Tout ${name}`
+  },
+  choose_product: { rw: 'Hitamo igicuruzwa:', en: 'Choose a product:', fr: 'Choisissez un produit :' },
+  no_products: {
+    rw: 'Nta bicuruzwa biri muri iki cyiciro ubu.',
+    en: 'No products in this category right now.',
+    fr: 'Aucun produit dans cette catégorie pour le moment.'
+  },
+  choose_variant: {
+    rw: ({ name }) => `${name}: hitamo ubwoko:`,
+    en: ({ name }) => `${name}: choose a variant:`,
+    fr: ({ name }) => `${name} : choisissez une variante :`
+  },
+  enter_quantity: {
+    rw: ({ name, unit, available }) => `${name}: andika ingano (${unit}). Zihari: ${available}`,
+    en: ({ name, unit, available }) => `${name}: enter the quantity (${unit}). Available: ${available}`,
+    fr: ({ name, unit, available }) => `${name} : entrez la quantité (${unit}). Disponible : ${available}`
+  },
+  invalid_quantity: { rw: 'Andika umubare uruta 0.', en: 'Enter a number above 0.', fr: 'Entrez un nombre supérieur à 0.' },
+  below_minimum: {
+    rw: ({ minimum, unit }) => `Ingano ntoya ni ${minimum} ${unit}.`,
+    en: ({ minimum, unit }) => `The minimum order is ${minimum} ${unit}.`,
+    fr: ({ minimum, unit }) => `Commande minimum : ${minimum} ${unit}.`
+  },
+  quantity_step: {
+    rw: ({ step, unit }) => `Andika ingano igabanyika na ${step} ${unit}.`,
+    en: ({ step, unit }) => `Order in steps of ${step} ${unit}.`,
+    fr: ({ step, unit }) => `Commandez par multiples de ${step} ${unit}.`
+  },
+  not_enough_stock: {
+    rw: ({ available, unit }) => `Hasigaye ${available} ${unit} gusa.`,
+    en: ({ available, unit }) => `Only ${available} ${unit} available.`,
+    fr: ({ available, unit }) => `Seulement ${available} ${unit} disponible.`
+  },
+  confirm_order: {
+    rw: ({ name, quantity, unit, total }) => `${name} ${quantity} ${unit}: ${money(total)} RWF\n1. Emeza\n0. Hagarika`,
+    en: ({ name, quantity, unit, total }) => `${name} ${quantity} ${unit}: ${money(total)} RWF\n1. Confirm\n0. Cancel`,
+    fr: ({ name, quantity, unit, total }) => `${name} ${quantity} ${unit} : ${money(total)} RWF\n1. Confirmer\n0. Annuler`
+  },
+  order_placed: {
+    rw: ({ orderId, total }) => `Komande #${orderId} yakiriwe: ${money(total)} RWF. Emeza ubusabe bwa Mobile Money kuri telefone yawe.`,
+    en: ({ orderId, total }) => `Order #${orderId} placed: ${money(total)} RWF. Approve the Mobile Money prompt on your phone to pay.`,
+    fr: ({ orderId, total }) => `Commande n°${orderId} enregistrée : ${money(total)} RWF. Validez la demande Mobile Money sur votre téléphone.`
+  },
+  order_paid: {
+    rw: ({ orderId, total }) => `Komande #${orderId} yakiriwe kandi yishyuwe: ${money(total)} RWF. Murakoze!`,
+    en: ({ orderId, total }) => `Order #${orderId} placed and paid: ${money(total)} RWF. Thank you!`,
+    fr: ({ orderId, total }) => `Commande n°${orderId} enregistrée et payée : ${money(total)} RWF. Merci !`
+  },
+  order_placed_unpaid: {
+    rw: ({ orderId, total, minutes }) => `Komande #${orderId} yakiriwe: ${money(total)} RWF. Yishyure mu minota ${minutes} muri "Aho komande igeze".`,
+    en: ({ orderId, total, minutes }) => `Order #${orderId} placed: ${money(total)} RWF. Pay within ${minutes} minutes from "Order status".`,
+    fr: ({ orderId, total, minutes }) => `Commande n°${orderId} enregistrée : ${money(total)} RWF. Payez sous ${minutes} minutes via "Suivi de commande".`
+  },
+  order_failed: {
+    rw: ({ reason }) => `Komande ntiyakiriwe: ${reason}`,
+    en: ({ reason }) => `Order not placed: ${reason}`,
+    fr: ({ reason }) => `Commande non enregistrée : ${reason}`
+  },
+  order_abandoned: { rw: 'Komande yahagaritswe. Murakoze.', en: 'Order cancelled. Goodbye.', fr: 'Commande annulée. Au revoir.' },
+
+  enter_order_number: { rw: 'Andika nimero ya komande:', en: 'Enter the order number:', fr: 'Entrez le numéro de commande :' },
+  order_not_found: {
+    rw: ({ orderId }) => `Komande #${orderId} ntiboneka.`,
+    en: ({ orderId }) => `Order #${orderId} was not found.`,
+    fr: ({ orderId }) => `Commande n°${orderId} introuvable.`
+  },
+  order_summary: {
+    rw: ({ orderId, status, payment }) => `Komande #${orderId}: ${status}\nUbwishyu: ${payment}`,
+    en: ({ orderId, status, payment }) => `Order #${orderId}: ${status}\nPayment: ${payment}`,
+    fr: ({ orderId, status, payment }) => `Commande n°${orderId} : ${status}\nPaiement : ${payment}`
+  },
+  pay_now: { rw: 'Ishyura na Mobile Money', en: 'Pay with Mobile Money', fr: 'Payer par Mobile Money' },
+  payment_requested: {
+    rw: 'Emeza ubusabe bwa Mobile Money kuri telefone yawe.',
+    en: 'Approve the Mobile Money prompt on your phone to pay.',
+    fr: 'Validez la demande Mobile Money sur votre téléphone.'
+  },
+  payment_done: { rw: 'Twakiriye ubwishyu. Murakoze!', en: 'Payment received. Thank you!', fr: 'Paiement reçu. Merci !' },
+  payment_not_started: {
+    rw: ({ reason }) => `Ubwishyu ntibwatangiye: ${reason}`,
+    en: ({ reason }) => `Payment not started: ${reason}`,
+    fr: ({ reason }) => `Paiement non lancé : ${reason}`
+  },
+
+  choose_stock_product: { rw: 'Hitamo igicuruzwa:', en: 'Choose a product to update:', fr: 'Choisissez un produit :' },
+  no_seller_products: { rw: 'Nta bicuruzwa ufite.', en: 'You have no products yet.', fr: "Vous n'avez aucun produit." },
+  enter_stock: {
+    rw: ({ name, stock, unit, reserved }) => `${name}: ${stock} ${unit} mu bubiko, ${reserved} zafashwe n'amakomande. Andika ingano nshya:`,
+    en: ({ name, stock, unit, reserved }) => `${name}: ${stock} ${unit} in stock, ${reserved} held by orders. Enter the new stock:`,
+    fr: ({ name, stock, unit, reserved }) => `${name} : ${stock} ${unit} en stock, ${reserved} réservés. Nouveau stock :`
+  },
+  invalid_stock: {
+    rw: ({ reserved }) => `Andika umubare utari munsi ya ${reserved}.`,
+    en: ({ reserved }) => `Enter a whole number of at least ${reserved}.`,
+    fr: ({ reserved }) => `Entrez un nombre entier d'au moins ${reserved}.`
+  },
+  stock_updated: {
+    rw: ({ name, stock, unit }) => `${name}: ububiko ubu ni ${stock} ${unit}.`,
+    en: ({ name, stock, unit }) => `${name}: stock is now ${stock} ${unit}.`,
+    fr: ({ name, stock, unit }) => `${name} : stock mis à jour à ${stock} ${unit}.`
+  },
+
+  unit_g: { rw: 'g', en: 'g', fr: 'g' },
+  unit_kg: { rw: 'kg', en: 'kg', fr: 'kg' },
+  unit_tonne: { rw: 'toni', en: 'tonnes', fr: 'tonnes' },
+  unit_ml: { rw: 'ml', en: 'ml', fr: 'ml' },
+  unit_litre: { rw: 'litiro', en: 'litres', fr: 'litres' },
+  unit_piece: { rw: 'ibice', en: 'pieces', fr: 'pièces' },
+  unit_dozen: { rw: 'dazeni', en: 'dozens', fr: 'douzaines' },
+  unit_head: { rw: 'amatungo', en: 'head', fr: 'têtes' },
+  unit_bag: { rw: 'imifuka', en: 'bags', fr: 'sacs' },
+  unit_crate: { rw: 'amakaziye', en: 'crates', fr: 'cageots' },
+  unit_bunch: { rw: 'ibitare', en: 'bunches', fr: 'régimes' },
+
+  status_pending: { rw: 'Itegereje', en: 'Pending', fr: 'En attente' },
+  status_confirmed: { rw: 'Yemejwe', en: 'Confirmed', fr: 'Confirmée' },
+  status_shipped: { rw: 'Yoherejwe', en: 'Shipped', fr: 'Expédiée' },
+  status_delivered: { rw: 'Yagezeyo', en: 'Delivered', fr: 'Livrée' },
+  status_cancelled: { rw: 'Yahagaritswe', en: 'Cancelled', fr: 'Annulée' },
+
+  payment_pending: { rw: 'Ntiyishyuwe', en: 'Not paid', fr: 'Non payée' },
+  payment_paid: { rw: 'Yishyuwe', en: 'Paid', fr: 'Payée' },
+  payment_failed: { rw: 'Ntibyakunze', en: 'Failed', fr: 'Échec' },
+  payment_refunded: { rw: 'Yasubijwe', en: 'Refunded', fr: 'Remboursée' },
+  payment_partially_refunded: { rw: 'Yasubijwe igice', en: 'Partly refunded', fr: 'Remboursée en partie' }
+};
+
+const text = (key, language, params = {}) => {
+  const entry = TEXTS[key];
+  if (!entry) {
+    throw new Error(`Unknown USSD text ${key}`);
+  }
+  const value = entry[language] || entry[DEFAULT_LANGUAGE];
+  return typeof value === 'function' ? value(params) : value;
+};
+
+module.exports = { text };
@@ -0,0 +1,182 @@
+const { UniqueConstraintError } = require('sequelize');
+const { sequelize, ProductVariant } = require('../database');
+const { ServiceError } = require('./errors');
+const { lockProduct, lockVariant } = require('./stock');
+const { slugify } = require('./categories');
+const { validatePriceTiers } = require('./pricing');
+
+const SKU_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._-]{0,63}$/;
+
+const variantOrder = () => [['sortOrder', 'ASC'], ['name', 'ASC'], ['id', 'ASC']];
+
+const listVariants = (productId, transaction) =>
+  ProductVariant.findAll({ where: { productId }, order: variantOrder(), transaction });
+
+// A product with variants is priced and stocked through them: it shows its
+// lowest variant price and the sum of their stock, so listings, sorting and
+// filters keep working on the product alone
+const syncProductTotals = async (product, transaction) => {
+  const variants = await listVariants(product.id, transaction);
+  if (variants.length === 0) return product;
+
+  const sum = (field) => variants.reduce((total, variant) => total + (variant[field] || 0), 0);
+  product.price = Math.min(...variants.map(variant => variant.price));
+  product.stock = sum('stock');
+  product.quantity = product.stock;
+  product.reservedStock = sum('reservedStock');
+  return product.save({ transaction });
+};
+
+// Lowest and highest variant price of each product: Map(productId -> { min, max, variants })
+const priceRanges = async (productIds) => {
+  const ranges = new Map();
+  if (productIds.length === 0) return ranges;
+
+  const rows = await ProductVariant.findAll({
+    where: { productId: productIds },
+    attributes: [
+      'productId',
+      [sequelize.fn('MIN', sequelize.col('price')), 'min'],
+      [sequelize.fn('MAX', sequelize.col('price')), 'max'],
+      [sequelize.fn('COUNT', sequelize.col('id')), 'variants']
+    ],
+    group: ['productId'],
+    raw: true
+  });
+  for (const row of rows) {
+    ranges.set(row.productId, { min: Number(row.min), max: Number(row.max), variants: Number(row.variants) });
+  }
+  return ranges;
+};
+
+// Product price when it has no variants
+const priceRangeFor = (product, ranges) =>
+  ranges.get(product.id) || { min: product.price, max: product.price, variants: 0 };
+
+// A SKU not used by another variant, adding -2, -3... to the base when needed
+const uniqueSku = async (base, transaction) => {
+  for (let n = 1; ; n++) {
+    const sku = n === 1 ? base : `${base}-${n}`;
+    if (!(await ProductVariant.findOne({ where: { sku }, attributes: ['id'], transaction }))) return sku;
+  }
+};
+
+// Check the fields a seller sent and turn them into column values. Only the
+// fields present are returned, so the same code serves create and update.
+const variantValues = async (input, product, variant, transaction) => {
+  const values = {};
+
+  if (input.name !== undefined || !variant) {
+    const name = typeof input.name === 'string' ? input.name.trim() : '';
+    if (name.length === 0) {
+      throw new ServiceError(400, 'Variant name is required');
+    }
+    values.name = name;
+  }
+
+  if (input.sku !== undefined && input.sku !== null && input.sku !== '') {
+    const sku = String(input.sku).trim();
+    if (!SKU_PATTERN.test(sku)) {
+      throw new ServiceError(400, 'SKU must be up to 64 letters, digits, dots, dashes or underscores');
+    }
+    const taken = await ProductVariant.findOne({ where: { sku }, attributes: ['id'], transaction });
+    if (taken && taken.id !== variant?.id) {
+      throw new ServiceError(409, 'SKU is already used by another variant');
+    }
+    values.sku = sku;
+  } else if (!variant) {
+    const base = `${product.id}-${slugify(values.name).toUpperCase()}`.replace(/-$/, '').slice(0, 56);
+    values.sku = await uniqueSku(base, transaction);
+  }
+
+  if (input.price !== undefined || !variant) {
+    const price = Number(input.price);
+    if (input.price === null || input.price === '' || !Number.isFinite(price) || price <= 0) {
+      throw new ServiceError(400, 'Variant price must be a positive number');
+    }
+    values.price = price;
+  }
+
+  if (input.priceTiers !== undefined) {
+    values.priceTiers = validatePriceTiers(input.priceTiers);
+  }
+
+  if (input.stock !== undefined) {
+    const stock = Number(input.stock);
+    if (input.stock === null || input.stock === '' || !Number.isFinite(stock) || stock < 0) {
+      throw new ServiceError(400, 'Variant stock must be zero or more');
+    }
+    if (variant && stock < (variant.reservedStock || 0)) {
+      throw new ServiceError(400, `Stock cannot go below the ${variant.reservedStock} held by unpaid orders`);
+    }
+    values.stock = stock;
+  }
+
+  if (input.sortOrder !== undefined) {
+    const sortOrder = Number(input.sortOrder);
+    if (!Number.isInteger(sortOrder)) {
+      throw new ServiceError(400, 'Sort order must be a whole number');
+    }
+    values.sortOrder = sortOrder;
+  }
+
+  return values;
+};
+
+const saveVariant = async (save) => {
+  try {
+    return await sequelize.transaction(save);
+  } catch (err) {
+    if (err instanceof UniqueConstraintError) {
+      throw new ServiceError(409, 'SKU is already used by another variant');
+    }
+    throw err;
+  }
+};
+
+const createVariant = (product, input) => saveVariant(async (transaction) => {
+  const locked = await lockProduct(product.id, transaction);
+  // Stock held for the product as a whole could not be given back to a variant
+  if ((locked.reservedStock || 0) > 0 && await ProductVariant.count({ where: { productId: locked.id }, transaction }) === 0) {
+    throw new ServiceError(409, 'Wait until unpaid orders of this product are paid or cancelled before adding variants');
+  }
+
+  const values = await variantValues(input, locked, null, transaction);
+  const variant = await ProductVariant.create({ ...values, productId: locked.id }, { transaction });
+  await syncProductTotals(locked, transaction);
+  return variant;
+});
+
+const updateVariant = (variant, input) => saveVariant(async (transaction) => {
+  const product = await lockProduct(variant.productId, transaction);
+  const locked = await lockVariant(variant.id, transaction);
+
+  const values = await variantValues(input, product, locked, transaction);
+  await locked.update(values, { transaction });
+  await syncProductTotals(product, transaction);
+  return locked;
+});
+
+// Past order lines keep the variant name; a product losing its last variant
+// keeps that variant's price and stock
+const deleteVariant = (variant) => sequelize.transaction(async (transaction) => {
+  const product = await lockProduct(variant.productId, transaction);
+  const locked = await lockVariant(variant.id, transaction);
+
+  if ((locked.reservedStock || 0) > 0) {
+    throw new ServiceError(409, 'This variant has stock held by unpaid orders');
+  }
+  await locked.destroy({ transaction });
+  await syncProductTotals(product, transaction);
+});
+
+module.exports = {
+  variantOrder,
+  listVariants,
+  syncProductTotals,
+  priceRanges,
+  priceRangeFor,
+  createVariant,
+  updateVariant,
+  deleteVariant
+};
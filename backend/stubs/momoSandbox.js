@@ -0,0 +1,170 @@
+const express = require('express');
+const crypto = require('crypto');
+
+// Local stand-in for the MTN MoMo Collections sandbox, for offline development.
+// Point the API at it with:
+//   MOMO_BASE_URL=http://localhost:5099
+//   MOMO_COLLECTION_SUBSCRIPTION_KEY=stub MOMO_API_USER=stub MOMO_API_KEY=stub
+//   MOMO_DISBURSEMENT_SUBSCRIPTION_KEY=stub (for refunds)
+//
+// Like the real sandbox, some payer numbers produce fixed outcomes:
+//   46733123450 FAILED (PAYER_FAILED)      46733123451 FAILED (APPROVAL_REJECTED)
+//   46733123452 FAILED (EXPIRED)           46733123453 / 46733123454 stay PENDING
+// Every other number succeeds once MOMO_STUB_DELAY_MS (default 3s) has passed.
+// When the request carries an X-Callback-Url, the final result is also POSTed there.
+// Disbursement refunds of successful payments succeed after the same delay.
+const FIXED_OUTCOMES = {
+  46733123450: { status: 'FAILED', reason: 'PAYER_FAILED' },
+  46733123451: { status: 'FAILED', reason: 'APPROVAL_REJECTED' },
+  46733123452: { status: 'FAILED', reason: 'EXPIRED' },
+  46733123453: { status: 'PENDING' },
+  46733123454: { status: 'PENDING' }
+};
+
+const createMomoStub = ({ delayMs = parseInt(process.env.MOMO_STUB_DELAY_MS) || 3000 } = {}) => {
+  const app = express();
+  const tokens = new Set();
+  const requests = new Map(); // referenceId -> request to pay
+  const refunds = new Map(); // referenceId -> refund
+
+  app.use(express.json());
+
+  const requireSubscriptionKey = (req, res, next) => {
+    if (!req.header('Ocp-Apim-Subscription-Key')) {
+      return res.status(401).json({ statusCode: 401, message: 'Access denied due to missing subscription key.' });
+    }
+    next();
+  };
+
+  const requireToken = (req, res, next) => {
+    const token = req.header('Authorization')?.replace('Bearer ', '');
+    if (!tokens.has(token)) {
+      return res.status(401).json({ code: 'INVALID_TOKEN', message: 'Access token is invalid or expired' });
+    }
+    next();
+  };
+
+  // The status MoMo reports for a request right now
+  const describe = (request) => {
+    const outcome = FIXED_OUTCOMES[request.payer.partyId] ||
+      (Date.now() - request.createdAt >= delayMs ? { status: 'SUCCESSFUL' } : { status: 'PENDING' });
+
+    return {
+      amount: request.amount,
+      currency: request.currency,
+      externalId: request.externalId,
+      payer: request.payer,
+      payerMessage: request.payerMessage,
+      payeeNote: request.payeeNote,
+      status: outcome.status,
+      ...(outcome.status === 'SUCCESSFUL' && { financialTransactionId: String(request.createdAt).slice(-9) }),
+      ...(outcome.reason && { reason: outcome.reason })
+    };
+  };
+
+  app.post(['/collection/token/', '/disbursement/token/'], requireSubscriptionKey, (req, res) => {
+    if (!req.header('Authorization')?.startsWith('Basic ')) {
+      return res.status(401).json({ error: 'login_failed' });
+    }
+
+    const token = crypto.randomBytes(24).toString('hex');
+    tokens.add(token);
+    res.json({ access_token: token, token_type: 'access_token', expires_in: 3600 });
+  });
+
+  app.post('/collection/v1_0/requesttopay', requireSubscriptionKey, requireToken, (req, res) => {
+    const referenceId = req.header('X-Reference-Id');
+    const { amount, currency, externalId, payer } = req.body || {};
+
+    if (!referenceId || !amount || !currency || !payer?.partyId) {
+      return res.status(400).json({ code: 'INVALID_REQUEST', message: 'Missing reference id or request fields' });
+    }
+    if (requests.has(referenceId)) {
+      return res.status(409).json({ code: 'RESOURCE_ALREADY_EXIST', message: 'Duplicated reference id' });
+    }
+
+    const request = {
+      amount,
+      currency,
+      externalId,
+      payer,
+      payerMessage: req.body.payerMessage,
+      payeeNote: req.body.payeeNote,
+      createdAt: Date.now()
+    };
+    requests.set(referenceId, request);
+
+    const callbackUrl = req.header('X-Callback-Url');
+    if (callbackUrl) {
+      setTimeout(() => {
+        const body = describe(request);
+        if (body.status === 'PENDING') return;
+
+        fetch(callbackUrl, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify(body)
+        }).catch(err => console.error('MoMo stub callback failed:', err.message));
+      }, delayMs);
+    }
+
+    res.status(202).end();
+  });
+
+  app.get('/collection/v1_0/requesttopay/:referenceId', requireSubscriptionKey, requireToken, (req, res) => {
+    const request = requests.get(req.params.referenceId);
+    if (!request) {
+      return res.status(404).json({ code: 'RESOURCE_NOT_FOUND', message: 'Requested resource was not found.' });
+    }
+
+    res.json(describe(request));
+  });
+
+  app.post('/disbursement/v1_0/refund', requireSubscriptionKey, requireToken, (req, res) => {
+    const referenceId = req.header('X-Reference-Id');
+    const { amount, currency, externalId, referenceIdToRefund } = req.body || {};
+
+    if (!referenceId || !amount || !currency || !referenceIdToRefund) {
+      return res.status(400).json({ code: 'INVALID_REQUEST', message: 'Missing reference id or request fields' });
+    }
+    if (refunds.has(referenceId)) {
+      return res.status(409).json({ code: 'RESOURCE_ALREADY_EXIST', message: 'Duplicated reference id' });
+    }
+
+    const original = requests.get(referenceIdToRefund);
+    if (!original || describe(original).status !== 'SUCCESSFUL') {
+      return res.status(400).json({ code: 'INVALID_REFERENCE_ID', message: 'Reference id to refund is not a successful payment' });
+    }
+
+    refunds.set(referenceId, { amount, currency, externalId, payee: original.payer, createdAt: Date.now() });
+    res.status(202).end();
+  });
+
+  app.get('/disbursement/v1_0/refund/:referenceId', requireSubscriptionKey, requireToken, (req, res) => {
+    const refund = refunds.get(req.params.referenceId);
+    if (!refund) {
+      return res.status(404).json({ code: 'RESOURCE_NOT_FOUND', message: 'Requested resource was not found.' });
+    }
+
+    const done = Date.now() - refund.createdAt >= delayMs;
+    res.json({
+      amount: refund.amount,
+      currency: refund.currency,
+      externalId: refund.externalId,
+      payee: refund.payee,
+      status: done ? 'SUCCESSFUL' : 'PENDING',
+      ...(done && { financialTransactionId: String(refund.createdAt).slice(-9) })
+    });
+  });
+
+  return app;
+};
+
+if (require.main === module) {
+  const port = process.env.MOMO_STUB_PORT || 5099;
+  createMomoStub().listen(port, () => {
+    console.log(`MTN MoMo sandbox stub running on port ${port}`);
+  });
+}
+
+module.exports = { createMomoStub };
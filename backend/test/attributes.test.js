@@ -0,0 +1,114 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { setup, teardown, createUser, serve } = require('./helpers');
+
+let api;
+let admin;
+let farmer;
+let livestock;
+let cattle;
+
+before(async () => {
+  await setup();
+  api = await serve({
+    '/api/categories': require('../routes/categories'),
+    '/api/products': require('../routes/products')
+  });
+  admin = await createUser({ role: 'admin' });
+  farmer = await createUser({ role: 'seller' });
+
+  ({ body: livestock } = await api.request('POST', '/api/categories', {
+    user: admin,
+    body: {
+      name: 'Livestock',
+      attributeSchema: [
+        { key: 'breed', type: 'enum', options: ['Ankole', 'Friesian', 'Jersey'], required: true },
+        { key: 'ageMonths', type: 'integer', min: 0 },
+        { key: 'weight', type: 'number', min: 0, unit: 'kg' }
+      ]
+    }
+  }));
+  ({ body: cattle } = await api.request('POST', '/api/categories', {
+    user: admin,
+    body: { name: 'Cattle', parentId: livestock.id, attributeSchema: [{ key: 'inCalf', type: 'boolean', label: 'In calf' }] }
+  }));
+});
+
+after(async () => {
+  api.close();
+  await teardown();
+});
+
+const list = (categoryId, price, attributes) => api.request('POST', '/api/products', {
+  user: farmer,
+  body: { name: 'Cow', price, quantity: 1, unit: 'head', categoryId, attributes }
+});
+
+test('admins define typed attribute schemas, inherited by subcategories', async () => {
+  const { body } = await api.request('GET', `/api/categories/${cattle.id}`);
+  assert.deepStrictEqual(body.productAttributes.map(definition => definition.key), ['breed', 'ageMonths', 'weight', 'inCalf']);
+
+  for (const attributeSchema of [
+    [{ key: 'breed', type: 'text' }, { key: 'breed', type: 'enum', options: ['x'] }],
+    [{ key: 'Breed', type: 'text' }],
+    [{ key: 'colour', type: 'colour' }],
+    [{ key: 'grade', type: 'enum', options: [] }],
+    [{ key: 'weight', type: 'number', min: 10, max: 5 }],
+    { breed: 'text' }
+  ]) {
+    const { status } = await api.request('PUT', `/api/categories/${cattle.id}`, { user: admin, body: { attributeSchema } });
+    assert.strictEqual(status, 400, JSON.stringify(attributeSchema));
+  }
+});
+
+test('validates product attributes against the category schema', async () => {
+  for (const attributes of [
+    {},
+    { breed: 'Boran' },
+    { breed: 'Ankole', ageMonths: 2.5 },
+    { breed: 'Ankole', weight: -1 },
+    { breed: 'Ankole', inCalf: 'perhaps' },
+    { breed: 'Ankole', colour: 'brown' }
+  ]) {
+    const { status } = await list(cattle.id, 900000, attributes);
+    assert.strictEqual(status, 400, JSON.stringify(attributes));
+  }
+
+  const { status, body } = await list(cattle.id, 900000, { breed: 'friesian', ageMonths: '30', weight: 420, inCalf: 'true' });
+  assert.strictEqual(status, 201);
+  assert.deepStrictEqual(body.product.attributes, { breed: 'Friesian', ageMonths: 30, weight: 420, inCalf: true });
+});
+
+test('merges attribute changes, null removing a value', async () => {
+  const { body: created } = await list(cattle.id, 700000, { breed: 'Jersey', weight: 300 });
+  const route = `/api/products/${created.product.id}`;
+
+  const { status, body } = await api.request('PUT', route, { user: farmer, body: { attributes: { weight: null, inCalf: false } } });
+  assert.strictEqual(status, 200);
+  assert.deepStrictEqual(body.product.attributes, { breed: 'Jersey', inCalf: false });
+
+  assert.strictEqual((await api.request('PUT', route, { user: farmer, body: { attributes: { breed: null } } })).status, 400);
+});
+
+test('filters products by attribute values and ranges', async () => {
+  const goat = await list(livestock.id, 80000, { breed: 'Ankole', weight: 35 });
+  const bull = await list(cattle.id, 1200000, { breed: 'Ankole', weight: 510, inCalf: false });
+  const heifer = await list(cattle.id, 850000, { breed: 'Jersey', weight: 380, inCalf: true });
+
+  const ids = async (query, category = livestock) => {
+    const { status, body } = await api.request('GET', `/api/products?category=${category.id}&sortBy=price&${query}`);
+    assert.strictEqual(status, 200, query);
+    return body.products.map(product => product.id);
+  };
+
+  assert.deepStrictEqual(await ids('attr.breed=ankole'), [goat.body.product.id, bull.body.product.id]);
+  assert.deepStrictEqual(await ids('attr.weight.min=300&attr.weight.max=400'), [heifer.body.product.id]);
+  assert.deepStrictEqual(await ids('attr.breed=Ankole,Jersey&attr.weight.min=300'), [heifer.body.product.id, bull.body.product.id]);
+  assert.deepStrictEqual(await ids('attr.inCalf=true&attr.weight.max=400', cattle), [heifer.body.product.id]);
+
+  // Without a category, or with one whose schema lacks the attribute (inCalf is the subcategory's)
+  for (const query of ['attr.breed=Ankole', `category=${livestock.id}&attr.inCalf=true`, `category=${livestock.id}&attr.breed.min=A`, `category=${livestock.id}&attr.weight.min=heavy`]) {
+    const { status } = await api.request('GET', `/api/products?${query}`);
+    assert.strictEqual(status, 400, query);
+  }
+});
@@ -0,0 +1,80 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { db, setup, teardown, createUser, createProduct, serve } = require('./helpers');
+
+let api;
+let approved;
+let pending;
+let beans;
+let milk;
+let eggs;
+let honey;
+
+before(async () => {
+  await setup();
+  api = await serve({ '/api/products': require('../routes/products') });
+
+  approved = await createUser({ role: 'seller', isApproved: true });
+  pending = await createUser({ role: 'seller' });
+  beans = await createProduct(approved, { name: 'Beans', price: 800, unit: 'kg' });
+  milk = await createProduct(pending, { name: 'Milk', price: 1200, unit: 'litre', stock: 0 });
+  eggs = await createProduct(approved, { name: 'Eggs', price: 6000, unit: 'dozen', ratingAverage: 4.5, ratingCount: 2 });
+  honey = await createProduct(pending, { name: 'Honey', price: 30000, unit: 'litre', stock: 5, reservedStock: 5, ratingAverage: 3, ratingCount: 1 });
+
+  await db.sequelize.query('UPDATE "Products" SET "createdAt" = ? WHERE id = ?', { replacements: ['2025-01-10 00:00:00', beans.id] });
+});
+
+after(async () => {
+  api.close();
+  await teardown();
+});
+
+const list = async (query) => {
+  const { status, body } = await api.request('GET', `/api/products?${query}`);
+  assert.strictEqual(status, 200, query);
+  return body;
+};
+
+const ids = async (query) => (await list(query)).products.map(product => product.id);
+
+test('sorts by whitelisted fields only', async () => {
+  assert.deepStrictEqual(await ids('sortBy=price'), [beans.id, milk.id, eggs.id, honey.id]);
+  assert.deepStrictEqual(await ids('sortBy=price&sortOrder=desc'), [honey.id, eggs.id, milk.id, beans.id]);
+  assert.deepStrictEqual(await ids('sortBy=name'), [beans.id, eggs.id, honey.id, milk.id]);
+  assert.deepStrictEqual(await ids('sortBy=rating'), [eggs.id, honey.id, milk.id, beans.id]);
+
+  for (const query of ['sortBy=password', 'sortBy=price&sortOrder=sideways', 'sortBy=relevance']) {
+    const { status } = await api.request('GET', `/api/products?${query}`);
+    assert.strictEqual(status, 400, query);
+  }
+});
+
+test('filters by price, unit, stock, seller, approval, listing date and rating', async () => {
+  assert.deepStrictEqual(await ids('sortBy=price&minPrice=1000&maxPrice=6000'), [milk.id, eggs.id]);
+  assert.deepStrictEqual(await ids('sortBy=price&unit=litre,dozen'), [milk.id, eggs.id, honey.id]);
+  assert.deepStrictEqual(await ids('sortBy=price&inStock=true'), [beans.id, eggs.id]);
+  assert.deepStrictEqual(await ids(`sortBy=price&seller=${pending.id}`), [milk.id, honey.id]);
+  assert.deepStrictEqual(await ids('sortBy=price&approvedSellers=1'), [beans.id, eggs.id]);
+  assert.deepStrictEqual(await ids('sortBy=price&listedTo=2025-06-01'), [beans.id]);
+  assert.deepStrictEqual(await ids('sortBy=price&listedFrom=2025-06-01'), [milk.id, eggs.id, honey.id]);
+  assert.deepStrictEqual(await ids('sortBy=price&minRating=4'), [eggs.id]);
+});
+
+test('rejects malformed filters', async () => {
+  for (const query of ['minPrice=-1', 'minPrice=5&maxPrice=2', 'unit=bushel', 'inStock=maybe', 'seller=abc', 'listedFrom=soon', 'minRating=6']) {
+    const { status } = await api.request('GET', `/api/products?${query}`);
+    assert.strictEqual(status, 400, query);
+  }
+});
+
+test('counts facets without their own filter', async () => {
+  const { facets } = await list('unit=litre&maxPrice=5000');
+
+  assert.deepStrictEqual(facets.units, [{ unit: 'kg', count: 1 }, { unit: 'litre', count: 1 }]);
+  assert.deepStrictEqual(facets.categories.map(category => category.count), [1]);
+  assert.deepStrictEqual(facets.prices.filter(bucket => bucket.count > 0), [
+    { min: 1000, max: 2500, count: 1 },
+    { min: 25000, max: null, count: 1 }
+  ]);
+  assert.deepStrictEqual(facets.prices.map(bucket => bucket.min), [0, 500, 1000, 2500, 5000, 10000, 25000]);
+});
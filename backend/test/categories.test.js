@@ -0,0 +1,110 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { setup, teardown, createUser, createProduct, serve } = require('./helpers');
+
+let api;
+let admin;
+
+before(async () => {
+  await setup();
+  api = await serve({
+    '/api/categories': require('../routes/categories'),
+    '/api/products': require('../routes/products')
+  });
+  admin = await createUser({ role: 'admin' });
+});
+
+after(async () => {
+  api.close();
+  await teardown();
+});
+
+const create = async (body) => {
+  const { status, body: category } = await api.request('POST', '/api/categories', { user: admin, body });
+  assert.strictEqual(status, 201);
+  return category;
+};
+
+test('only admins manage categories, and names are required', async () => {
+  const seller = await createUser({ role: 'seller' });
+
+  assert.strictEqual((await api.request('POST', '/api/categories', { user: seller, body: { name: 'Spices' } })).status, 403);
+  assert.strictEqual((await api.request('POST', '/api/categories', { body: { name: 'Spices' } })).status, 401);
+  assert.strictEqual((await api.request('POST', '/api/categories', { user: admin, body: { name: 'x' } })).status, 400);
+});
+
+test('gives every category a unique slug', async () => {
+  const fruits = await create({ name: 'Fruits & Légumes' });
+  assert.strictEqual(fruits.slug, 'fruits-legumes');
+
+  const again = await create({ name: 'Fruits et légumes' });
+  assert.strictEqual(again.slug, 'fruits-et-legumes');
+
+  assert.strictEqual((await api.request('POST', '/api/categories', { user: admin, body: { name: 'Other fruits', slug: 'fruits-legumes' } })).status, 409);
+  assert.strictEqual((await api.request('POST', '/api/categories', { user: admin, body: { name: 'Numbers', slug: '123' } })).status, 400);
+  assert.strictEqual((await api.request('POST', '/api/categories', { user: admin, body: { name: 'Fruits & Légumes' } })).status, 409);
+
+  const { body: found } = await api.request('GET', '/api/categories/fruits-legumes');
+  assert.strictEqual(found.id, fruits.id);
+});
+
+test('nests categories, and cannot move one under itself', async () => {
+  const agriculture = await create({ name: 'Agriculture', sortOrder: 1 });
+  const vegetables = await create({ name: 'Leafy vegetables', parentId: agriculture.id });
+  const spinach = await create({ name: 'Spinach', parentId: vegetables.id });
+  const livestock = await create({ name: 'Livestock', sortOrder: 0 });
+
+  for (const parentId of [agriculture.id, spinach.id, 999999, 'abc']) {
+    const { status } = await api.request('PUT', `/api/categories/${agriculture.id}`, { user: admin, body: { parentId } });
+    assert.strictEqual(status, 400, String(parentId));
+  }
+
+  const { body: detail } = await api.request('GET', `/api/categories/${spinach.id}`);
+  assert.deepStrictEqual(detail.ancestors.map(category => category.id), [agriculture.id, vegetables.id]);
+
+  const { body: tree } = await api.request('GET', '/api/categories?tree=true');
+  const top = tree.filter(category => [agriculture.id, livestock.id].includes(category.id));
+  assert.deepStrictEqual(top.map(category => category.id), [livestock.id, agriculture.id]);
+  assert.deepStrictEqual(top[1].children[0].children.map(category => category.id), [spinach.id]);
+
+  const { status, body: moved } = await api.request('PUT', `/api/categories/${vegetables.id}`, { user: admin, body: { parentId: livestock.id } });
+  assert.strictEqual(status, 200);
+  assert.strictEqual(moved.parentId, livestock.id);
+});
+
+test('names categories in the requested language', async () => {
+  const grains = await create({ name: 'Grains', translations: { rw: { name: 'Ibinyampeke' }, fr: { name: 'Céréales', description: 'Maïs, riz, blé' } } });
+
+  const { body: rw } = await api.request('GET', `/api/categories/${grains.id}?lang=rw`);
+  assert.strictEqual(rw.name, 'Ibinyampeke');
+  const { body: fr } = await api.request('GET', `/api/categories/${grains.id}?lang=fr`);
+  assert.deepStrictEqual([fr.name, fr.description], ['Céréales', 'Maïs, riz, blé']);
+  const { body: en } = await api.request('GET', `/api/categories/${grains.id}?lang=en`);
+  assert.strictEqual(en.name, 'Grains');
+
+  for (const translations of [{ de: { name: 'Getreide' } }, { rw: { slug: 'x' } }, ['rw']]) {
+    const { status } = await api.request('PUT', `/api/categories/${grains.id}`, { user: admin, body: { translations } });
+    assert.strictEqual(status, 400);
+  }
+});
+
+test('lists the products of a category and its subcategories', async () => {
+  const farmer = await createUser({ role: 'seller' });
+  const produce = await create({ name: 'Produce' });
+  const roots = await create({ name: 'Roots', parentId: produce.id });
+  const other = await create({ name: 'Flowers' });
+  const potatoes = await createProduct(farmer, { name: 'Potatoes', categoryId: roots.id });
+  const onions = await createProduct(farmer, { name: 'Onions', categoryId: produce.id });
+  await createProduct(farmer, { name: 'Roses', categoryId: other.id });
+
+  const { body } = await api.request('GET', `/api/products?category=${produce.id}&sortBy=name`);
+  assert.deepStrictEqual(body.products.map(product => product.id), [onions.id, potatoes.id]);
+  const { body: sub } = await api.request('GET', `/api/products?category=${roots.id}`);
+  assert.deepStrictEqual(sub.products.map(product => product.id), [potatoes.id]);
+
+  // Only empty categories can be deleted
+  assert.strictEqual((await api.request('DELETE', `/api/categories/${produce.id}`, { user: admin })).status, 409);
+  assert.strictEqual((await api.request('DELETE', `/api/categories/${roots.id}`, { user: admin })).status, 409);
+  await potatoes.destroy();
+  assert.strictEqual((await api.request('DELETE', `/api/categories/${roots.id}`, { user: admin })).status, 200);
+});
@@ -0,0 +1,125 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { db, setup, teardown, createUser, createProduct, serve } = require('./helpers');
+
+const KIGALI = { lat: -1.9441, lng: 30.0619 };
+
+let api;
+let buyer;
+let admin;
+
+before(async () => {
+  await setup();
+  api = await serve({
+    '/api/delivery-zones': require('../routes/deliveryZones'),
+    '/api/orders': require('../routes/orders')
+  });
+  buyer = await createUser();
+  admin = await createUser({ role: 'admin' });
+});
+
+after(async () => {
+  api.close();
+  await teardown();
+});
+
+// A seller in Kigali with 100 kg of tomatoes, and their delivery zones
+const sellerWithZones = async (zones = []) => {
+  const seller = await createUser({ role: 'seller', ...KIGALI });
+  const product = await createProduct(seller);
+  for (const zone of zones) {
+    const { status } = await api.request('POST', '/api/delivery-zones', { user: seller, body: zone });
+    assert.strictEqual(status, 201);
+  }
+  return { seller, product };
+};
+
+// Delivery fee quoted for kg of the product, or the error status
+const feeFor = async (product, kg, delivery) => {
+  const { status, body } = await api.request('POST', '/api/orders/quote', {
+    body: { products: [{ productId: product.id, quantity: kg }], delivery }
+  });
+  return status === 200 ? body.deliveryFee : status;
+};
+
+const to = (address) => ({ method: 'delivery', address });
+
+test('sellers and admins manage their own zones, each an area or a radius', async () => {
+  const { seller } = await sellerWithZones();
+  const other = await createUser({ role: 'seller' });
+  const create = (user, body) => api.request('POST', '/api/delivery-zones', { user, body });
+
+  assert.strictEqual((await create(buyer, { name: 'Gasabo', districts: ['Gasabo'] })).status, 403);
+  for (const body of [
+    { name: 'Nowhere' },
+    { name: 'Both', districts: ['Gasabo'], radiusKm: 10 },
+    { name: 'Gasabo', districts: ['Gasabo'], baseFee: -1 },
+    { name: 'Gasabo', districts: 'Gasabo' }
+  ]) {
+    assert.strictEqual((await create(seller, body)).status, 400, JSON.stringify(body));
+  }
+
+  const { body } = await create(seller, { name: 'Gasabo', districts: ['Gasabo'], baseFee: 1000 });
+  assert.strictEqual(body.zone.sellerId, seller.id);
+  assert.strictEqual((await api.request('PUT', `/api/delivery-zones/${body.zone.id}`, { user: other, body: { baseFee: 0 } })).status, 404);
+
+  const { body: platform } = await create(admin, { name: 'Northern', districts: ['Musanze'], baseFee: 3000 });
+  assert.strictEqual(platform.zone.sellerId, null);
+});
+
+test('quotes the cheapest zone covering the address, by weight', async () => {
+  const { product } = await sellerWithZones([
+    { name: 'Gasabo', districts: ['Gasabo'], baseFee: 1000, feePerKg: 20 },
+    { name: 'Kimironko', districts: ['Gasabo'], sectors: ['Kimironko'], baseFee: 800, feePerKg: 10, maxWeightKg: 50 }
+  ]);
+
+  assert.strictEqual(await feeFor(product, 10), 0);
+  assert.strictEqual(await feeFor(product, 10, { method: 'pickup' }), 0);
+  assert.strictEqual(await feeFor(product, 10, to({ district: 'Gasabo', sector: 'Remera' })), 1200);
+  assert.strictEqual(await feeFor(product, 10, to({ district: 'gasabo', sector: 'Kimironko' })), 900);
+  // Over the Kimironko zone's weight limit
+  assert.strictEqual(await feeFor(product, 60, to({ district: 'Gasabo', sector: 'Kimironko' })), 2200);
+
+  assert.strictEqual(await feeFor(product, 10, to({ district: 'Nyarugenge' })), 400);
+  assert.strictEqual(await feeFor(product, 10, to({ details: 'Near the market' })), 400);
+  assert.strictEqual(await feeFor(product, 10, { method: 'drone' }), 400);
+});
+
+test('charges radius zones by the distance from the seller', async () => {
+  const { product } = await sellerWithZones([{ name: 'Around the farm', radiusKm: 10, baseFee: 500, feePerKm: 100 }]);
+
+  // About 5 km east of the farm
+  assert.strictEqual(await feeFor(product, 10, to({ lat: KIGALI.lat, lng: 30.1069 })), 1000);
+  assert.strictEqual(await feeFor(product, 10, to({ lat: -1.4996, lng: 29.6346 })), 400);
+  // Without a location the distance is unknown
+  assert.strictEqual(await feeFor(product, 10, to({ district: 'Gasabo' })), 400);
+});
+
+test('sellers without zones deliver in the platform\'s', async () => {
+  const { product: own } = await sellerWithZones([{ name: 'Gasabo', districts: ['Gasabo'], baseFee: 1000 }]);
+  const { product: platform } = await sellerWithZones();
+  await api.request('POST', '/api/delivery-zones', { user: admin, body: { name: 'Musanze', districts: ['Musanze'], baseFee: 3000 } });
+
+  assert.strictEqual(await feeFor(platform, 10, to({ district: 'Musanze' })), 3000);
+  assert.strictEqual(await feeFor(own, 10, to({ district: 'Musanze' })), 400);
+});
+
+test('orders store the method, address and fee of each seller', async () => {
+  const { product } = await sellerWithZones([{ name: 'Gasabo', districts: ['Gasabo'], baseFee: 1000, feePerKg: 20 }]);
+  const address = { district: 'Gasabo', sector: 'Remera', details: 'Blue gate' };
+
+  const { status, body } = await api.request('POST', '/api/orders', {
+    user: buyer,
+    body: { products: [{ productId: product.id, quantity: 10 }], delivery: to(address) }
+  });
+  assert.strictEqual(status, 201);
+
+  const order = await db.Order.findByPk(body.order.id);
+  assert.deepStrictEqual(
+    [order.deliveryMethod, JSON.parse(order.deliveryAddress), order.deliveryFee, order.totalAmount],
+    ['delivery', address, 1200, 11200]
+  );
+  const [sellerOrder] = await db.SellerOrder.findAll({ where: { orderId: order.id } });
+  assert.deepStrictEqual([sellerOrder.deliveryFee, sellerOrder.totalAmount], [1200, 11200]);
+  assert.ok(sellerOrder.deliveryZoneId);
+});
@@ -0,0 +1,167 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { db, setup, teardown, createUser, createProduct } = require('./helpers');
+const { settlePayment } = require('../services/payments');
+const { createOrder } = require('../services/orders');
+const { updateSellerOrders } = require('../services/orderStateMachine');
+const {
+  openDispute, postDisputeMessage, withdrawDispute, resolveDispute, confirmReplacement, escalateOverdueDisputes
+} = require('../services/disputes');
+
+let admin;
+let seller;
+let product;
+
+before(async () => {
+  await setup();
+  admin = await createUser({ role: 'admin' });
+  seller = await createUser({ role: 'seller' });
+  product = await createProduct(seller);
+});
+
+after(teardown);
+
+// A paid order of 4 units, delivered: its buyer, order line and seller order
+const deliveredLine = async ({ deliver = true } = {}) => {
+  const buyer = await createUser();
+  const order = await createOrder({ buyerId: buyer.id, products: [{ productId: product.id, quantity: 4 }] });
+  const payment = await db.Payment.create({
+    orderId: order.id,
+    amount: order.totalAmount,
+    method: 'mtn_momo',
+    provider: 'mtn_momo',
+    status: 'pending',
+    transactionId: `ref-disputes-${order.id}`
+  });
+  await settlePayment(payment, { status: 'completed' });
+
+  const sellerOrder = await db.SellerOrder.findOne({ where: { orderId: order.id } });
+  for (const action of deliver ? ['approve', 'ship', 'deliver'] : ['approve']) {
+    await updateSellerOrders(order, [sellerOrder], { action, user: admin });
+  }
+  const orderItem = await db.OrderItem.findOne({ where: { orderId: order.id } });
+  return { buyer, orderItem, sellerOrder };
+};
+
+const escrowOf = async (sellerOrder) => (await sellerOrder.reload()).escrowStatus;
+
+test('buyers dispute delivered lines once at a time, which freezes the escrow', async () => {
+  const { buyer, orderItem, sellerOrder } = await deliveredLine();
+
+  await assert.rejects(openDispute(await createUser(), { orderItemId: orderItem.id, reason: 'spoiled' }), { status: 404 });
+  await assert.rejects(openDispute(buyer, { orderItemId: orderItem.id, reason: 'late' }), { status: 400 });
+  await assert.rejects(openDispute(buyer, { orderItemId: orderItem.id, reason: 'other' }), { status: 400 });
+  await assert.rejects(openDispute(buyer, { orderItemId: orderItem.id, reason: 'spoiled', quantity: 5 }), { status: 400 });
+
+  const dispute = await openDispute(buyer, { orderItemId: orderItem.id, reason: 'spoiled', quantity: 2 });
+  assert.strictEqual(dispute.status, 'open');
+  assert.strictEqual(dispute.sellerId, seller.id);
+  assert.ok(dispute.dueAt > new Date());
+  assert.strictEqual(await escrowOf(sellerOrder), 'frozen');
+
+  await assert.rejects(openDispute(buyer, { orderItemId: orderItem.id, reason: 'missing' }), { status: 409 });
+
+  await withdrawDispute(dispute);
+  assert.strictEqual((await dispute.reload()).status, 'withdrawn');
+  assert.strictEqual(await escrowOf(sellerOrder), 'held');
+});
+
+test('only delivered lines can be disputed, within the window', async () => {
+  const undelivered = await deliveredLine({ deliver: false });
+  await assert.rejects(openDispute(undelivered.buyer, { orderItemId: undelivered.orderItem.id, reason: 'missing' }), { status: 400 });
+
+  const { buyer, orderItem, sellerOrder } = await deliveredLine();
+  await db.Shipment.update({ deliveredAt: new Date(Date.now() - 100 * 60 * 60 * 1000) }, { where: { sellerOrderId: sellerOrder.id } });
+  await assert.rejects(openDispute(buyer, { orderItemId: orderItem.id, reason: 'missing' }), { status: 400 });
+});
+
+test("the seller's answer sends the dispute to admin review", async () => {
+  const { buyer, orderItem } = await deliveredLine();
+  const dispute = await openDispute(buyer, { orderItemId: orderItem.id, reason: 'damaged' });
+
+  await postDisputeMessage(dispute, buyer, { content: 'Half of them were crushed' });
+  assert.strictEqual((await dispute.reload()).status, 'open');
+
+  await postDisputeMessage(dispute, seller, { content: 'They left the farm intact' });
+  await dispute.reload();
+  assert.strictEqual(dispute.status, 'under_review');
+  assert.ok(dispute.sellerRespondedAt);
+  await assert.rejects(postDisputeMessage(dispute, admin, { content: 'Noted' }), { status: 400 });
+  assert.strictEqual(await db.Message.count({ where: { disputeId: dispute.id } }), 2);
+});
+
+test('late sellers and replacements go to admin review', async () => {
+  const first = await deliveredLine();
+  const unanswered = await openDispute(first.buyer, { orderItemId: first.orderItem.id, reason: 'missing' });
+  const second = await deliveredLine();
+  const replacing = await openDispute(second.buyer, { orderItemId: second.orderItem.id, reason: 'wrong_item' });
+  await resolveDispute(replacing, { outcome: 'replacement' }, admin);
+  assert.strictEqual(replacing.status, 'replacement_pending');
+
+  await escalateOverdueDisputes();
+  assert.strictEqual((await unanswered.reload()).status, 'open');
+
+  const past = new Date(Date.now() - 1000);
+  await db.Dispute.update({ dueAt: past }, { where: { id: [unanswered.id, replacing.id] } });
+  await escalateOverdueDisputes();
+
+  for (const dispute of [unanswered, replacing]) {
+    await dispute.reload();
+    assert.strictEqual(dispute.status, 'under_review');
+    assert.ok(dispute.escalatedAt);
+    assert.ok(dispute.dueAt > new Date());
+  }
+});
+
+test('a received replacement resolves the dispute and thaws the escrow', async () => {
+  const { buyer, orderItem, sellerOrder } = await deliveredLine();
+  const dispute = await openDispute(buyer, { orderItemId: orderItem.id, reason: 'wrong_item' });
+
+  await assert.rejects(confirmReplacement(dispute), { status: 400 });
+  await resolveDispute(dispute, { outcome: 'replacement' }, admin);
+  await assert.rejects(resolveDispute(dispute, { outcome: 'replacement' }, admin), { status: 400 });
+
+  await confirmReplacement(dispute);
+  assert.strictEqual(dispute.status, 'resolved');
+  assert.strictEqual(await escrowOf(sellerOrder), 'held');
+  assert.strictEqual(await db.Refund.count({ where: { orderId: sellerOrder.orderId } }), 0);
+});
+
+test('refund outcomes refund the disputed quantity', async () => {
+  const full = await deliveredLine();
+  const fullDispute = await openDispute(full.buyer, { orderItemId: full.orderItem.id, reason: 'spoiled', quantity: 3 });
+  await resolveDispute(fullDispute, { outcome: 'full_refund', note: 'Photos show mould' }, admin);
+
+  assert.strictEqual(fullDispute.status, 'resolved');
+  assert.strictEqual(fullDispute.resolvedBy, admin.id);
+  const fullRefund = await db.Refund.findByPk(fullDispute.refundId);
+  assert.strictEqual(fullRefund.amount, full.orderItem.price * 3);
+  assert.strictEqual(await escrowOf(full.sellerOrder), 'held');
+
+  const partial = await deliveredLine();
+  const partialDispute = await openDispute(partial.buyer, { orderItemId: partial.orderItem.id, reason: 'short_quantity', quantity: 2 });
+  await assert.rejects(resolveDispute(partialDispute, { outcome: 'partial_refund' }, admin), { status: 400 });
+  await assert.rejects(resolveDispute(partialDispute, { outcome: 'partial_refund', quantity: 3 }, admin), { status: 400 });
+
+  await resolveDispute(partialDispute, { outcome: 'partial_refund', amount: partial.orderItem.price / 2 }, admin);
+  assert.strictEqual((await db.Refund.findByPk(partialDispute.refundId)).amount, partial.orderItem.price / 2);
+
+  const rejected = await deliveredLine();
+  const rejectedDispute = await openDispute(rejected.buyer, { orderItemId: rejected.orderItem.id, reason: 'missing' });
+  await resolveDispute(rejectedDispute, { outcome: 'rejected' }, admin);
+  assert.strictEqual(rejectedDispute.outcome, 'rejected');
+  assert.strictEqual(rejectedDispute.refundId, null);
+});
+
+test('two admins ruling at once refund only once', async () => {
+  const { buyer, orderItem, sellerOrder } = await deliveredLine();
+  const dispute = await openDispute(buyer, { orderItemId: orderItem.id, reason: 'spoiled', quantity: 1 });
+  const copies = await Promise.all([1, 2].map(() => db.Dispute.findByPk(dispute.id, { include: [{ model: db.OrderItem, as: 'orderItem' }] })));
+
+  const results = await Promise.allSettled(copies.map(copy => resolveDispute(copy, { outcome: 'partial_refund', quantity: 1 }, admin)));
+
+  assert.deepStrictEqual(results.map(result => result.status).sort(), ['fulfilled', 'rejected']);
+  assert.strictEqual(results.find(result => result.status === 'rejected').reason.status, 409);
+  assert.strictEqual(await db.Refund.count({ where: { orderId: sellerOrder.orderId } }), 1);
+  assert.strictEqual((await dispute.reload()).status, 'resolved');
+});
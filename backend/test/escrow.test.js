@@ -0,0 +1,87 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { db, setup, teardown, createUser, createProduct } = require('./helpers');
+const { settlePayment } = require('../services/payments');
+const { createOrder } = require('../services/orders');
+const { updateSellerOrders } = require('../services/orderStateMachine');
+const { forceRefund, releaseDueEscrow } = require('../services/escrow');
+
+let admin;
+let seller;
+
+before(async () => {
+  await setup();
+  admin = await createUser({ role: 'admin' });
+  seller = await createUser({ role: 'seller' });
+});
+
+after(teardown);
+
+const placeOrder = async (product) =>
+  createOrder({ buyerId: (await createUser()).id, products: [{ productId: product.id, quantity: 2 }] });
+
+const pay = async (order) => {
+  const payment = await db.Payment.create({
+    orderId: order.id,
+    amount: order.totalAmount,
+    method: 'mtn_momo',
+    provider: 'mtn_momo',
+    status: 'pending',
+    transactionId: `ref-escrow-${order.id}`
+  });
+  await settlePayment(payment, { status: 'completed' });
+};
+
+// A paid order whose money sits in escrow
+const paidOrder = async (product) => {
+  const order = await placeOrder(product);
+  await pay(order);
+  return db.SellerOrder.findOne({ where: { orderId: order.id } });
+};
+
+test('cancels the seller order and puts its stock back', async () => {
+  const product = await createProduct(seller, { stock: 10 });
+  const sellerOrder = await paidOrder(product);
+  assert.strictEqual(sellerOrder.escrowStatus, 'held');
+
+  const { refund } = await forceRefund(sellerOrder.id, { reason: 'fraud', user: admin });
+
+  await sellerOrder.reload();
+  assert.strictEqual(sellerOrder.status, 'cancelled');
+  assert.strictEqual(sellerOrder.escrowStatus, 'refunded');
+  assert.strictEqual((await product.reload()).stock, 10);
+  assert.strictEqual(refund.amount, sellerOrder.totalAmount);
+  assert.strictEqual((await db.Order.findByPk(sellerOrder.orderId)).status, 'cancelled');
+});
+
+test('refunds only once when two admins refund together', async () => {
+  const product = await createProduct(seller, { stock: 10 });
+  const sellerOrder = await paidOrder(product);
+
+  const results = await Promise.allSettled([
+    forceRefund(sellerOrder.id, { user: admin }),
+    forceRefund(sellerOrder.id, { user: admin })
+  ]);
+
+  assert.deepStrictEqual(results.map(result => result.status).sort(), ['fulfilled', 'rejected']);
+  assert.strictEqual(await db.Refund.count({ where: { sellerOrderId: sellerOrder.id } }), 1);
+  assert.strictEqual((await product.reload()).stock, 10);
+});
+
+test('starts the release countdown of orders delivered before they were paid', async () => {
+  const order = await placeOrder(await createProduct(seller));
+  const sellerOrder = await db.SellerOrder.findOne({ where: { orderId: order.id } });
+  for (const action of ['approve', 'ship', 'deliver']) {
+    await updateSellerOrders(order, [sellerOrder], { action, user: admin });
+  }
+
+  await pay(order);
+
+  await sellerOrder.reload();
+  assert.strictEqual(sellerOrder.escrowStatus, 'held');
+  assert.ok(sellerOrder.escrowReleaseAt > new Date());
+
+  await sellerOrder.update({ escrowReleaseAt: new Date(Date.now() - 1000) });
+  await releaseDueEscrow();
+  assert.strictEqual((await sellerOrder.reload()).escrowStatus, 'released');
+});
@@ -0,0 +1,76 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { once } = require('events');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+
+// Each test file runs in its own process. Give it a fresh SQLite database in a
+// temporary directory, away from the development database and its .env.
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'kedi-test-'));
+process.chdir(dir);
+process.env.NODE_ENV = 'test';
+process.env.JWT_SECRET = 'test-secret';
+delete process.env.DATABASE_URL;
+
+const db = require('../database');
+
+const setup = () => db.ready;
+
+const teardown = async () => {
+  await db.sequelize.close();
+  fs.rmSync(dir, { recursive: true, force: true });
+};
+
+let count = 0;
+
+const createUser = (attributes = {}) => {
+  count += 1;
+  return db.User.create({
+    name: `User ${count}`,
+    email: `user${count}@example.com`,
+    password: 'secret',
+    ...attributes
+  });
+};
+
+const createProduct = async (seller, attributes = {}) => {
+  const [category] = await db.Category.findOrCreate({ where: { slug: 'vegetables' }, defaults: { name: 'Vegetables' } });
+  return db.Product.create({
+    name: 'Tomatoes',
+    price: 1000,
+    quantity: 100,
+    stock: 100,
+    categoryId: category.id,
+    sellerId: seller.id,
+    ...attributes
+  });
+};
+
+const tokenFor = (user) => jwt.sign({ id: user.id, role: user.role }, process.env.JWT_SECRET);
+
+// Serve routers ({ '/api/orders': router }) on a free port. request() calls them as
+// user (or without a token) and resolves to { status, body }.
+const serve = async (routers) => {
+  const app = express();
+  app.use(express.json());
+  for (const [mountPath, router] of Object.entries(routers)) {
+    app.use(mountPath, router);
+  }
+  const server = app.listen(0);
+  await once(server, 'listening');
+  const url = `http://127.0.0.1:${server.address().port}`;
+
+  const request = async (method, route, { user, body } = {}) => {
+    const headers = { 'Content-Type': 'application/json' };
+    if (user) {
+      headers.Authorization = `Bearer ${tokenFor(user)}`;
+    }
+    const res = await fetch(url + route, { method, headers, body: body && JSON.stringify(body) });
+    return { status: res.status, body: await res.json() };
+  };
+
+  return { url, request, close: () => server.close() };
+};
+
+module.exports = { db, setup, teardown, createUser, createProduct, tokenFor, serve };
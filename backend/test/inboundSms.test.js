@@ -0,0 +1,124 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { db, setup, teardown, createUser, createProduct } = require('./helpers');
+const { parseCommand, handleInboundSms } = require('../services/notifications/inbound');
+const { createOrder } = require('../services/orders');
+const fake = require('../services/notifications/gateways/fake');
+
+let buyer;
+let seller;
+let otherSeller;
+let product;
+let messageCount = 0;
+
+before(async () => {
+  await setup();
+
+  buyer = await createUser({ phone: '0788100000' });
+  seller = await createUser({ role: 'seller', phone: '0788100001', language: 'en' });
+  otherSeller = await createUser({ role: 'seller', phone: '0788100002', language: 'fr' });
+  product = await createProduct(seller);
+});
+
+after(teardown);
+
+beforeEach(() => fake.reset());
+
+const placeOrder = () => createOrder({ buyerId: buyer.id, products: [{ productId: product.id, quantity: 1 }] });
+
+// A text from `from` through the local stand-in gateway, as its inbound callback parses it
+const receive = (from, text, id = `msg-${++messageCount}`) =>
+  handleInboundSms(fake, fake.parseInbound({ body: { id, from, text } }));
+
+const sellerOrderStatus = async (order) => (await db.SellerOrder.findOne({ where: { orderId: order.id } })).status;
+
+const lastReply = () => fake.outbox[fake.outbox.length - 1];
+
+test('parses the keywords in every language', () => {
+  assert.deepStrictEqual(parseCommand('YES 12'), { action: 'approve', language: 'en', orderId: 12 });
+  assert.deepStrictEqual(parseCommand('no 12'), { action: 'reject', language: 'en', orderId: 12 });
+  assert.deepStrictEqual(parseCommand('Yego #12'), { action: 'approve', language: 'rw', orderId: 12 });
+  assert.deepStrictEqual(parseCommand(' OYA 12. '), { action: 'reject', language: 'rw', orderId: 12 });
+  assert.deepStrictEqual(parseCommand('oui12'), { action: 'approve', language: 'fr', orderId: 12 });
+  assert.deepStrictEqual(parseCommand('NON # 12!'), { action: 'reject', language: 'fr', orderId: 12 });
+});
+
+test('ignores texts that are not a command', () => {
+  for (const text of ['', 'YES', '12', 'YES please 12', 'MAYBE 12', 'YES 12 13', null]) {
+    assert.strictEqual(parseCommand(text), null, String(text));
+  }
+});
+
+for (const [keyword, action, status] of [
+  ['YES', 'approve', 'confirmed'],
+  ['YEGO', 'approve', 'confirmed'],
+  ['OUI', 'approve', 'confirmed'],
+  ['NO', 'reject', 'cancelled'],
+  ['OYA', 'reject', 'cancelled'],
+  ['NON', 'reject', 'cancelled']
+]) {
+  test(`${keyword} from the seller's phone ${action}s the order`, async () => {
+    const order = await placeOrder();
+
+    const inbound = await receive('+250788100001', `${keyword} ${order.id}`);
+
+    assert.strictEqual(inbound.outcome, 'applied');
+    assert.strictEqual(inbound.action, action);
+    assert.strictEqual(inbound.userId, seller.id);
+    assert.strictEqual(await sellerOrderStatus(order), status);
+    // Answered in the seller's language, whatever the keyword's
+    assert.strictEqual(lastReply().to, '250788100001');
+    assert.match(lastReply().message, new RegExp(`^KEDI: Order #${order.id} `));
+  });
+}
+
+test('ignores a message the gateway sends twice', async () => {
+  const order = await placeOrder();
+
+  assert.ok(await receive('0788100001', `YES ${order.id}`, 'msg-repeated'));
+  assert.strictEqual(await receive('0788100001', `NO ${order.id}`, 'msg-repeated'), null);
+  assert.strictEqual(await sellerOrderStatus(order), 'confirmed');
+});
+
+test('refuses commands from a seller who is not on the order', async () => {
+  const order = await placeOrder();
+
+  const inbound = await receive('0788100002', `NON ${order.id}`);
+
+  assert.strictEqual(inbound.outcome, 'refused');
+  assert.strictEqual(inbound.orderId, null);
+  assert.strictEqual(await sellerOrderStatus(order), 'pending');
+  assert.strictEqual(lastReply().message, `KEDI : La commande n°${order.id} ne figure pas parmi vos commandes.`);
+});
+
+test('refuses commands for an unknown order', async () => {
+  const inbound = await receive('0788100001', 'YES 99999');
+
+  assert.strictEqual(inbound.outcome, 'refused');
+  assert.strictEqual(lastReply().message, 'KEDI: Order #99999 was not found among your orders.');
+});
+
+test('refuses commands for an order that can no longer change', async () => {
+  const order = await placeOrder();
+  await receive('0788100001', `NO ${order.id}`);
+
+  const inbound = await receive('0788100001', `YES ${order.id}`);
+
+  assert.strictEqual(inbound.outcome, 'refused');
+  assert.strictEqual(await sellerOrderStatus(order), 'cancelled');
+});
+
+test('answers numbers without an account and texts it cannot read', async () => {
+  const order = await placeOrder();
+
+  const stranger = await receive('0788999999', `YEGO ${order.id}`);
+  assert.strictEqual(stranger.outcome, 'refused');
+  assert.strictEqual(stranger.userId, null);
+  // Strangers are answered in the language of their keyword
+  assert.match(lastReply().message, /^KEDI: /);
+  assert.strictEqual(await sellerOrderStatus(order), 'pending');
+
+  const garbage = await receive('0788100001', 'When will you deliver?');
+  assert.strictEqual(garbage.outcome, 'unrecognised');
+  assert.strictEqual(lastReply().message, 'KEDI: Reply YES <order number> to approve or NO <order number> to reject an order.');
+});
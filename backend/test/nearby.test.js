@@ -0,0 +1,97 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { db, setup, teardown, createUser, createProduct, serve } = require('./helpers');
+
+const KIGALI = { lat: -1.9441, lng: 30.0619 };
+
+let api;
+let farmer;
+let nyabugogo;
+let kimironko;
+let musanze;
+let unknown;
+
+before(async () => {
+  await setup();
+  api = await serve({
+    '/api/products': require('../routes/products'),
+    '/api/auth': require('../routes/auth')
+  });
+
+  farmer = await createUser({ role: 'seller' });
+  nyabugogo = await createProduct(farmer, { lat: -1.9380, lng: 30.0450 });
+  kimironko = await createProduct(farmer, { lat: -1.9490, lng: 30.1260 });
+  musanze = await createProduct(farmer, { lat: -1.4996, lng: 29.6346 });
+  unknown = await createProduct(farmer);
+});
+
+after(async () => {
+  api.close();
+  await teardown();
+});
+
+const near = (query) => api.request('GET', `/api/products?near=${KIGALI.lat},${KIGALI.lng}&${query}`);
+
+test('keeps products within the radius, nearest first, with their distance', async () => {
+  const { status, body } = await near('radiusKm=10');
+
+  assert.strictEqual(status, 200);
+  assert.deepStrictEqual(body.products.map(product => product.id), [nyabugogo.id, kimironko.id]);
+  assert.ok(body.products[0].distanceKm > 1 && body.products[0].distanceKm < 3);
+  assert.ok(body.products[1].distanceKm > 6 && body.products[1].distanceKm < 9);
+  assert.strictEqual(body.pagination.total, 2);
+});
+
+test('leaves out products without a location, and uses a default radius', async () => {
+  const { body } = await near('');
+  assert.deepStrictEqual(body.products.map(product => product.id), [nyabugogo.id, kimironko.id]);
+
+  const { body: wide } = await near('radiusKm=100');
+  assert.deepStrictEqual(wide.products.map(product => product.id), [nyabugogo.id, kimironko.id, musanze.id]);
+  assert.ok(!wide.products.some(product => product.id === unknown.id));
+});
+
+test('rejects bad origins, radii and distance sorts without an origin', async () => {
+  for (const query of ['near=abc', 'near=-1.9', 'near=95,30', 'near=-1.9,30&radiusKm=0', 'near=-1.9,30&radiusKm=501', 'sortBy=distance']) {
+    const { status } = await api.request('GET', `/api/products?${query}`);
+    assert.strictEqual(status, 400, query);
+  }
+});
+
+test('moves a seller\'s products with their profile location, 0,0 meaning unknown', async () => {
+  const seller = await createUser({ role: 'seller' });
+  const product = await createProduct(seller);
+
+  await api.request('PUT', '/api/auth/me', { user: seller, body: { location: KIGALI } });
+  await product.reload();
+  assert.deepStrictEqual(product.location, KIGALI);
+
+  await api.request('PUT', '/api/auth/me', { user: seller, body: { location: { lat: 0, lng: 0 } } });
+  assert.strictEqual((await product.reload()).location, null);
+});
+
+test('the migration moves JSON locations into coordinates', async () => {
+  const { sequelize } = db;
+  const queryInterface = sequelize.getQueryInterface();
+  await queryInterface.addColumn('Products', 'location', { type: 'TEXT' });
+  const legacy = {
+    placed: await createProduct(farmer, { lat: null, lng: null }),
+    zero: await createProduct(farmer, { lat: null, lng: null }),
+    garbled: await createProduct(farmer, { lat: null, lng: null })
+  };
+  const locations = { placed: JSON.stringify({ lat: -1.95, lng: 30.06 }), zero: JSON.stringify({ lat: 0, lng: 0 }), garbled: 'Kigali' };
+  for (const [key, location] of Object.entries(locations)) {
+    await sequelize.query('UPDATE "Products" SET location = ? WHERE id = ?', { replacements: [location, legacy[key].id] });
+  }
+
+  // As migrate.js does, so rebuilding Products without the column leaves its references alone
+  await sequelize.query('PRAGMA foreign_keys = OFF');
+  await require('../migrations/008-product-coordinates').up({ sequelize, queryInterface });
+  await sequelize.query('PRAGMA foreign_keys = ON');
+
+  assert.deepStrictEqual((await legacy.placed.reload()).location, { lat: -1.95, lng: 30.06 });
+  assert.strictEqual((await legacy.zero.reload()).location, null);
+  assert.strictEqual((await legacy.garbled.reload()).location, null);
+  assert.ok(!(await queryInterface.describeTable('Products')).location);
+  assert.ok((await queryInterface.showIndex('Products')).some(index => index.name === 'products_lat_lng'));
+});
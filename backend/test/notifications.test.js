@@ -0,0 +1,61 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { db, setup, teardown, createUser } = require('./helpers');
+const { notify, sendSms } = require('../services/notifications');
+const fake = require('../services/notifications/gateways/fake');
+
+let seller;
+
+before(async () => {
+  await setup();
+  seller = await createUser({ role: 'seller', phone: '0788000001', language: 'en' });
+});
+
+after(teardown);
+
+beforeEach(() => fake.reset());
+
+test('sends SMS through the fake gateway in tests', async () => {
+  await notify({ userId: seller.id }, 'order_created', { orderId: 7, items: 'Tomatoes', total: 1000 });
+
+  const sms = await db.Notification.findOne({ where: { userId: seller.id, channel: 'sms' }, order: [['id', 'DESC']] });
+  assert.strictEqual(sms.gateway, 'fake');
+  assert.strictEqual(sms.status, 'delivered');
+  assert.strictEqual(fake.outbox.length, 1);
+  assert.strictEqual(fake.outbox[0].to, sms.phone);
+});
+
+test('keeps SMS queued while the selected gateway is not configured', async () => {
+  process.env.SMS_GATEWAY = 'africas_talking';
+  try {
+    const sms = await sendSms({ phone: '0788000002', language: 'en', event: 'sms_unregistered' });
+
+    assert.strictEqual(sms.status, 'queued');
+    assert.strictEqual(sms.gateway, null);
+    assert.strictEqual(sms.failureReason, 'GATEWAY_NOT_CONFIGURED');
+    assert.ok(sms.nextAttemptAt > new Date());
+    assert.strictEqual(fake.outbox.length, 0);
+  } finally {
+    delete process.env.SMS_GATEWAY;
+  }
+});
+
+test('keeps only the latest messages in the fake outbox', async () => {
+  for (let i = 0; i < 105; i++) {
+    await fake.send({ to: '250788000003', message: `Message ${i}` });
+  }
+
+  assert.strictEqual(fake.outbox.length, 100);
+  assert.strictEqual(fake.outbox[0].message, 'Message 5');
+});
+
+test('writes the inbox text apart from the SMS text', async () => {
+  const buyer = await createUser({ phone: '0788000004' });
+  assert.strictEqual(buyer.language, 'en');
+
+  await notify({ userId: seller.id }, 'order_created', { orderId: 8, items: 'Tomatoes (2 kg)', total: 2000 }, { senderId: buyer.id, orderId: null });
+
+  const message = await db.Message.findOne({ where: { receiverId: seller.id }, order: [['id', 'DESC']] });
+  assert.strictEqual(message.content, 'New order #8 received!\nProducts: Tomatoes (2 kg)\nTotal: 2,000 RWF\nPlease approve or reject this order.');
+  assert.strictEqual(fake.outbox[0].message, 'KEDI: New order #8: Tomatoes (2 kg). Total: 2,000 RWF. Reply YES 8 or NO 8.');
+});
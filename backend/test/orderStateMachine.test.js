@@ -0,0 +1,115 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { Op } = require('sequelize');
+const { db, setup, teardown, createUser, createProduct, serve } = require('./helpers');
+const { createOrder } = require('../services/orders');
+const { deriveOrderStatus, updateSellerOrders } = require('../services/orderStateMachine');
+
+let api;
+let admin;
+let buyer;
+let seller;
+let product;
+
+before(async () => {
+  await setup();
+  api = await serve({ '/api/orders': require('../routes/orders'), '/api/messages': require('../routes/messages') });
+  admin = await createUser({ role: 'admin' });
+  buyer = await createUser();
+  seller = await createUser({ role: 'seller' });
+  product = await createProduct(seller, { stock: 10 });
+});
+
+after(async () => {
+  api.close();
+  await teardown();
+});
+
+const placeOrder = () => createOrder({ buyerId: buyer.id, products: [{ productId: product.id, quantity: 2 }] });
+
+const change = async (placed, user, body) => {
+  const { status, body: response } = await api.request('PUT', `/api/orders/${placed.id}`, { user, body });
+  return { status, message: response.message, order: response.order };
+};
+
+test('the parent order follows the least advanced active seller order', () => {
+  assert.strictEqual(deriveOrderStatus(['shipped', 'confirmed', 'delivered']), 'confirmed');
+  assert.strictEqual(deriveOrderStatus(['cancelled', 'shipped']), 'shipped');
+  assert.strictEqual(deriveOrderStatus(['delivered', 'cancelled']), 'delivered');
+  assert.strictEqual(deriveOrderStatus(['cancelled', 'cancelled']), 'cancelled');
+});
+
+test('orders only move forward along the transition table', async () => {
+  const placed = await placeOrder();
+
+  assert.strictEqual((await change(placed, seller, { action: 'ship' })).status, 400);
+  for (const action of ['approve', 'ship', 'deliver']) {
+    assert.strictEqual((await change(placed, admin, { action })).status, 200);
+  }
+  assert.strictEqual((await placed.reload()).status, 'delivered');
+
+  // No transition leads back to pending, for anyone
+  assert.strictEqual((await change(placed, admin, { status: 'pending' })).status, 403);
+  assert.strictEqual((await change(placed, admin, { action: 'cancel' })).status, 400);
+  assert.strictEqual((await change(placed, admin, { action: 'refund' })).status, 400);
+  assert.strictEqual((await placed.reload()).status, 'delivered');
+});
+
+test('each role makes only its own transitions', async () => {
+  const placed = await placeOrder();
+
+  assert.strictEqual((await change(placed, buyer, { action: 'approve' })).status, 403);
+  assert.strictEqual((await change(placed, await createUser({ role: 'seller' }), { action: 'approve' })).status, 403);
+
+  assert.strictEqual((await change(placed, seller, { status: 'confirmed' })).status, 200);
+  // Once confirmed, only an admin may cancel
+  assert.strictEqual((await change(placed, buyer, { action: 'cancel' })).status, 400);
+  assert.strictEqual((await change(placed, seller, { action: 'cancel' })).status, 400);
+  assert.strictEqual((await change(placed, admin, { action: 'cancel', reason: 'Farm flooded' })).status, 200);
+  assert.strictEqual((await placed.reload()).status, 'cancelled');
+
+  // Cancelled is final, and stock is not touched again
+  assert.strictEqual((await change(placed, admin, { status: 'shipped' })).status, 400);
+  const { reservedStock } = await product.reload();
+  await assert.rejects(updateSellerOrders(placed, await db.SellerOrder.findAll({ where: { orderId: placed.id } }), { action: 'cancel', user: admin }), { status: 400 });
+  assert.strictEqual((await product.reload()).reservedStock, reservedStock);
+});
+
+test('cancelling restores stock once and records who did what', async () => {
+  const placed = await placeOrder();
+  const { reservedStock } = await product.reload();
+
+  assert.strictEqual((await change(placed, buyer, { action: 'cancel', reason: 'Ordered twice' })).status, 200);
+  assert.strictEqual((await product.reload()).reservedStock, reservedStock - 2);
+
+  const { body } = await api.request('GET', `/api/orders/${placed.id}/history`, { user: buyer });
+  assert.deepStrictEqual(
+    body.history.map(entry => [entry.action, entry.fromStatus, entry.toStatus, entry.actorRole, entry.changedBy, entry.sellerOrderId !== null]),
+    [
+      ['create', null, 'pending', 'buyer', buyer.id, false],
+      ['cancel', 'pending', 'cancelled', 'buyer', buyer.id, true],
+      ['cancel', 'pending', 'cancelled', 'buyer', buyer.id, false]
+    ]
+  );
+  assert.strictEqual(body.history[1].reason, 'Ordered twice');
+  assert.strictEqual(body.history[1].changedByUser.id, buyer.id);
+  assert.strictEqual((await api.request('GET', `/api/orders/${placed.id}/history`, { user: await createUser() })).status, 403);
+});
+
+test('approving from the order message goes through the same state machine', async () => {
+  const placed = await placeOrder();
+  const message = await db.Message.findOne({ where: { orderId: placed.id, receiverId: seller.id } });
+  const url = `/api/messages/order/${message.id}`;
+
+  assert.strictEqual((await api.request('PUT', url, { user: buyer, body: { action: 'approve' } })).status, 403);
+  assert.strictEqual((await api.request('PUT', url, { user: seller, body: { action: 'ship' } })).status, 400);
+
+  const { status, body } = await api.request('PUT', url, { user: seller, body: { action: 'approve' } });
+  assert.strictEqual(status, 200);
+  assert.strictEqual(body.order.status, 'confirmed');
+  assert.strictEqual((await message.reload()).isRead, true);
+  assert.strictEqual((await api.request('PUT', url, { user: seller, body: { action: 'reject' } })).status, 400);
+
+  const entry = await db.OrderStatusHistory.findOne({ where: { orderId: placed.id, action: 'approve', sellerOrderId: { [Op.ne]: null } } });
+  assert.deepStrictEqual([entry.changedBy, entry.actorRole], [seller.id, 'seller']);
+});
@@ -0,0 +1,179 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { db, setup, teardown, createUser, createProduct, serve } = require('./helpers');
+const { settlePayment } = require('../services/payments');
+const { createOrder } = require('../services/orders');
+const { updateSellerOrders } = require('../services/orderStateMachine');
+
+let api;
+let admin;
+let buyer;
+let farmer;
+let grower;
+let tomatoes;
+let beans;
+
+before(async () => {
+  await setup();
+  api = await serve({ '/api/orders': require('../routes/orders'), '/api/admin': require('../routes/admin') });
+
+  admin = await createUser({ role: 'admin' });
+  buyer = await createUser();
+  farmer = await createUser({ role: 'seller' });
+  grower = await createUser({ role: 'seller' });
+  tomatoes = await createProduct(farmer, { price: 1000 });
+  beans = await createProduct(grower, { name: 'Beans', price: 800 });
+});
+
+after(async () => {
+  api.close();
+  await teardown();
+});
+
+const orderFromBoth = () => createOrder({
+  buyerId: buyer.id,
+  products: [{ productId: tomatoes.id, quantity: 2 }, { productId: beans.id, quantity: 5 }]
+});
+
+const sellerOrderOf = (order, seller) => db.SellerOrder.findOne({ where: { orderId: order.id, sellerId: seller.id } });
+
+const pay = async (order) => {
+  const payment = await db.Payment.create({
+    orderId: order.id,
+    amount: order.totalAmount,
+    method: 'mtn_momo',
+    provider: 'mtn_momo',
+    status: 'pending',
+    transactionId: `ref-orders-${order.id}`
+  });
+  await settlePayment(payment, { status: 'completed' });
+};
+
+test('splits an order into one seller order per seller', async () => {
+  const order = await orderFromBoth();
+
+  const sellerOrders = await db.SellerOrder.findAll({ where: { orderId: order.id }, order: [['sellerId', 'ASC']] });
+  assert.deepStrictEqual(sellerOrders.map(so => [so.sellerId, so.totalAmount, so.status]), [
+    [farmer.id, 2000, 'pending'],
+    [grower.id, 4000, 'pending']
+  ]);
+  assert.strictEqual(order.totalAmount, 6000);
+
+  for (const sellerOrder of sellerOrders) {
+    const items = await db.OrderItem.findAll({ where: { sellerOrderId: sellerOrder.id } });
+    assert.deepStrictEqual(items.map(item => item.productId), [sellerOrder.sellerId === farmer.id ? tomatoes.id : beans.id]);
+  }
+});
+
+test('each seller fulfils their part on its own; the order follows the least advanced', async () => {
+  const order = await orderFromBoth();
+  const farmerPart = await sellerOrderOf(order, farmer);
+  const growerPart = await sellerOrderOf(order, grower);
+
+  await updateSellerOrders(order, [farmerPart], { action: 'approve', user: farmer });
+  assert.strictEqual((await farmerPart.reload()).status, 'confirmed');
+  assert.strictEqual((await growerPart.reload()).status, 'pending');
+  assert.strictEqual((await order.reload()).status, 'pending');
+
+  await assert.rejects(updateSellerOrders(order, [growerPart], { action: 'approve', user: farmer }), { status: 403 });
+
+  await updateSellerOrders(order, [growerPart], { action: 'reject', user: grower });
+  assert.strictEqual((await order.reload()).status, 'confirmed');
+});
+
+test('the buyer confirms receipt of one seller, which releases their escrow', async () => {
+  const order = await orderFromBoth();
+  await pay(order);
+  const farmerPart = await sellerOrderOf(order, farmer);
+  for (const action of ['approve', 'ship', 'deliver']) {
+    await updateSellerOrders(order, [farmerPart], { action, user: admin });
+  }
+
+  const url = `/api/orders/${order.id}/confirm-receipt`;
+  assert.strictEqual((await api.request('POST', url, { user: farmer, body: {} })).status, 403);
+  assert.strictEqual((await api.request('POST', url, { user: buyer, body: { sellerId: grower.id } })).status, 400);
+
+  const { status, body } = await api.request('POST', url, { user: buyer, body: { sellerId: farmer.id } });
+  assert.strictEqual(status, 200);
+  assert.deepStrictEqual(body.released.map(released => [released.sellerId, released.sellerOrderId]), [[farmer.id, farmerPart.id]]);
+  assert.strictEqual((await farmerPart.reload()).escrowStatus, 'released');
+  assert.strictEqual((await sellerOrderOf(order, grower)).escrowStatus, 'held');
+});
+
+test('confirming receipt of a seller not on the order is a 404', async () => {
+  const order = await orderFromBoth();
+  const url = `/api/orders/${order.id}/confirm-receipt`;
+
+  for (const sellerId of [admin.id, 999999, 'abc']) {
+    const { status, body } = await api.request('POST', url, { user: buyer, body: { sellerId } });
+    assert.strictEqual(status, 404);
+    assert.strictEqual(body.message, 'This order has nothing from that seller');
+  }
+  assert.strictEqual((await api.request('POST', '/api/orders/999999/confirm-receipt', { user: buyer, body: {} })).status, 404);
+});
+
+test('order lines keep the name, unit and price they were ordered at', async () => {
+  const product = await createProduct(farmer, { name: 'Avocados', unit: 'piece', price: 300 });
+  const order = await createOrder({ buyerId: buyer.id, products: [{ productId: product.id, quantity: 3 }] });
+  await product.update({ name: 'Hass avocados', unit: 'kg', price: 1200 });
+
+  const { body } = await api.request('GET', `/api/orders/${order.id}`, { user: buyer });
+
+  assert.deepStrictEqual(
+    body.order.products.map(line => [line.productName, line.unit, line.price, line.quantity, line.subtotal]),
+    [['Avocados', 'piece', 300, 3, 900]]
+  );
+  assert.strictEqual(body.order.products[0].product.name, 'Hass avocados');
+});
+
+test('sellers see their own part of orders only', async () => {
+  const order = await orderFromBoth();
+
+  const { body } = await api.request('GET', '/api/orders/seller', { user: grower });
+  const listed = body.orders.find(listedOrder => listedOrder.id === order.id);
+  assert.deepStrictEqual(listed.products.map(line => line.productId), [beans.id]);
+  assert.strictEqual(listed.sellerOrder.sellerId, grower.id);
+  assert.ok(body.orders.every(listedOrder => listedOrder.sellerOrder.sellerId === grower.id));
+  assert.strictEqual((await api.request('GET', '/api/orders/seller', { user: buyer })).status, 403);
+
+  const detail = (await api.request('GET', `/api/orders/${order.id}`, { user: farmer })).body.order;
+  assert.deepStrictEqual(detail.products.map(line => line.productId), [tomatoes.id]);
+  assert.deepStrictEqual(detail.sellerOrders.map(so => so.sellerId), [farmer.id]);
+  assert.strictEqual((await api.request('GET', `/api/orders/${order.id}`, { user: await createUser() })).status, 403);
+});
+
+test('the sales report adds up order lines per product', async () => {
+  const earlier = (await api.request('GET', '/api/admin/reports/sales', { user: admin })).body;
+  await orderFromBoth();
+
+  const { status, body } = await api.request('GET', '/api/admin/reports/sales', { user: admin });
+  assert.strictEqual(status, 200);
+  const sold = (report, product) => report.topProducts.find(row => row.productId === product.id) || { quantity: 0, revenue: 0 };
+  assert.strictEqual(sold(body, beans).quantity - sold(earlier, beans).quantity, 5);
+  assert.strictEqual(sold(body, beans).revenue - sold(earlier, beans).revenue, 4000);
+  assert.strictEqual(body.orderCount - earlier.orderCount, 1);
+});
+
+test('the migration turns JSON products blobs into order lines', async () => {
+  const { sequelize } = db;
+  const queryInterface = sequelize.getQueryInterface();
+  await queryInterface.addColumn('Orders', 'products', { type: 'TEXT' });
+  const legacy = await db.Order.create({ buyerId: buyer.id, totalAmount: 3800, status: 'delivered' });
+  const sellerOrder = await db.SellerOrder.create({ orderId: legacy.id, sellerId: farmer.id, totalAmount: 3000, status: 'delivered' });
+  await sequelize.query('UPDATE "Orders" SET products = ? WHERE id = ?', {
+    replacements: [JSON.stringify([{ productId: tomatoes.id, quantity: 3, price: 1000 }, { productId: 999999, quantity: 1, price: 800 }]), legacy.id]
+  });
+
+  // As migrate.js does, so rebuilding Orders without the column leaves its references alone
+  await sequelize.query('PRAGMA foreign_keys = OFF');
+  await require('../migrations/002-order-items').up({ sequelize, queryInterface });
+  await sequelize.query('PRAGMA foreign_keys = ON');
+
+  const items = await db.OrderItem.findAll({ where: { orderId: legacy.id }, order: [['id', 'ASC']] });
+  assert.deepStrictEqual(items.map(item => [item.productId, item.sellerOrderId, item.productName, item.price, item.quantity, item.subtotal]), [
+    [tomatoes.id, sellerOrder.id, 'Tomatoes', 1000, 3, 3000],
+    [null, null, 'Product 999999', 800, 1, 800]
+  ]);
+  assert.ok(!(await queryInterface.describeTable('Orders')).products);
+  assert.strictEqual(await db.SellerOrder.count({ where: { orderId: legacy.id } }), 1);
+});
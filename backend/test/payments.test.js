@@ -0,0 +1,140 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { once } = require('events');
+const { db, setup, teardown, createUser, createProduct } = require('./helpers');
+const { createMomoStub } = require('../stubs/momoSandbox');
+const { getProvider, settlePayment, startPayment, refreshPayment, pollPendingPayments } = require('../services/payments');
+const { createOrder } = require('../services/orders');
+
+const MOMO_ENV = ['MOMO_BASE_URL', 'MOMO_COLLECTION_SUBSCRIPTION_KEY', 'MOMO_API_USER', 'MOMO_API_KEY'];
+
+let stub;
+let buyer;
+let product;
+
+before(async () => {
+  await setup();
+
+  // The sandbox stub answers at once instead of after MOMO_STUB_DELAY_MS
+  stub = createMomoStub({ delayMs: 0 }).listen(0);
+  await once(stub, 'listening');
+  process.env.MOMO_BASE_URL = `http://127.0.0.1:${stub.address().port}`;
+  process.env.MOMO_COLLECTION_SUBSCRIPTION_KEY = 'stub';
+  process.env.MOMO_API_USER = 'stub';
+  process.env.MOMO_API_KEY = 'stub';
+
+  buyer = await createUser();
+  product = await createProduct(await createUser({ role: 'seller' }));
+});
+
+after(async () => {
+  stub.close();
+  await teardown();
+});
+
+const placeOrder = () => createOrder({ buyerId: buyer.id, products: [{ productId: product.id, quantity: 1 }] });
+
+test('collects MTN MoMo payments through the sandbox', async () => {
+  const order = await placeOrder();
+
+  const payment = await startPayment({ order, method: 'mtn_momo', phone: '0788123456' });
+  assert.strictEqual(payment.provider, 'mtn_momo');
+  assert.strictEqual(payment.status, 'pending');
+
+  await refreshPayment(payment);
+  assert.strictEqual(payment.status, 'completed');
+  assert.strictEqual((await order.reload()).paymentStatus, 'paid');
+});
+
+test('fails payments the payer rejects', async () => {
+  const order = await placeOrder();
+
+  const payment = await startPayment({ order, method: 'mtn_momo', phone: '46733123451' });
+  await refreshPayment(payment);
+
+  assert.strictEqual(payment.status, 'failed');
+  assert.strictEqual(payment.failureReason, 'APPROVAL_REJECTED');
+  assert.strictEqual((await order.reload()).paymentStatus, 'failed');
+});
+
+test('rejects methods without a provider', async () => {
+  const order = await placeOrder();
+
+  for (const method of ['airtel_money', 'credit_card']) {
+    await assert.rejects(startPayment({ order, method }), { status: 400 });
+  }
+  assert.strictEqual(await db.Payment.count({ where: { orderId: order.id } }), 0);
+  assert.strictEqual((await order.reload()).paymentStatus, 'pending');
+});
+
+test('refuses MoMo payments while MoMo is not configured', async () => {
+  const order = await placeOrder();
+  const saved = process.env.MOMO_API_KEY;
+  delete process.env.MOMO_API_KEY;
+
+  try {
+    await assert.rejects(startPayment({ order, method: 'mtn_momo', phone: '0788123456' }), { status: 503 });
+    assert.strictEqual(await db.Payment.count({ where: { orderId: order.id } }), 0);
+  } finally {
+    process.env.MOMO_API_KEY = saved;
+  }
+});
+
+test('uses the mock provider only when PAYMENTS_MOCK is set', () => {
+  const saved = Object.fromEntries(MOMO_ENV.map(name => [name, process.env[name]]));
+  MOMO_ENV.forEach(name => delete process.env[name]);
+  process.env.PAYMENTS_MOCK = 'true';
+
+  try {
+    assert.strictEqual(getProvider('mtn_momo').name, 'mock');
+    assert.strictEqual(getProvider('credit_card').name, 'mock');
+  } finally {
+    delete process.env.PAYMENTS_MOCK;
+    Object.assign(process.env, saved);
+  }
+});
+
+test('starts only one payment when the buyer pays twice at once', async () => {
+  const order = await placeOrder();
+
+  const results = await Promise.allSettled([
+    startPayment({ order, method: 'mtn_momo', phone: '0788123456' }),
+    startPayment({ order, method: 'mtn_momo', phone: '0788123456' })
+  ]);
+
+  assert.deepStrictEqual(results.map(result => result.status).sort(), ['fulfilled', 'rejected']);
+  assert.strictEqual(results.find(result => result.status === 'rejected').reason.status, 409);
+  assert.strictEqual(await db.Payment.count({ where: { orderId: order.id } }), 1);
+});
+
+// As the poller leaves a payment the payer has not answered in time
+const timeOut = async (payment, order) => {
+  await payment.update({ status: 'failed', failureReason: 'TIMEOUT' });
+  await order.update({ paymentStatus: 'failed' });
+};
+
+test('settles a payment approved after it timed out', async () => {
+  const order = await placeOrder();
+  const payment = await startPayment({ order, method: 'mtn_momo', phone: '0788123456' });
+  await timeOut(payment, order);
+
+  await pollPendingPayments();
+
+  assert.strictEqual((await payment.reload()).status, 'completed');
+  assert.strictEqual((await order.reload()).paymentStatus, 'paid');
+});
+
+test('refunds a payment approved after its order was cancelled', async () => {
+  const order = await placeOrder();
+  const payment = await startPayment({ order, method: 'mtn_momo', phone: '0788123456' });
+  await timeOut(payment, order);
+  await db.SellerOrder.update({ status: 'cancelled' }, { where: { orderId: order.id } });
+  await order.update({ status: 'cancelled' });
+
+  assert.strictEqual(await settlePayment(payment, { status: 'completed' }), true);
+
+  assert.strictEqual((await payment.reload()).status, 'completed');
+  const refunds = await db.Refund.findAll({ where: { paymentId: payment.id } });
+  assert.deepStrictEqual(refunds.map(refund => refund.amount), [payment.amount]);
+  assert.strictEqual(await db.LedgerEntry.count({ where: { paymentId: payment.id } }), 0);
+});
@@ -0,0 +1,74 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { db, setup, teardown, createUser, createProduct } = require('./helpers');
+const { settlePayment } = require('../services/payments');
+const { releaseEscrow } = require('../services/escrow');
+const { createOrder } = require('../services/orders');
+const { createPayoutRun, settlePayout } = require('../services/payouts');
+
+let buyer;
+
+before(async () => {
+  await setup();
+  buyer = await createUser();
+});
+
+after(teardown);
+
+// Put a paid sale, released from escrow, on the seller's balance
+const earn = async (seller) => {
+  const product = await createProduct(seller);
+  const order = await createOrder({ buyerId: buyer.id, products: [{ productId: product.id, quantity: 2 }] });
+  const payment = await db.Payment.create({
+    orderId: order.id,
+    amount: order.totalAmount,
+    method: 'mtn_momo',
+    provider: 'mtn_momo',
+    status: 'pending',
+    transactionId: `ref-order-${order.id}`
+  });
+  await settlePayment(payment, { status: 'completed' });
+
+  const sellerOrder = await db.SellerOrder.findOne({ where: { orderId: order.id } });
+  await db.sequelize.transaction(transaction => releaseEscrow(sellerOrder, { reason: 'test' }, transaction));
+};
+
+const batchStatus = async (batch) => (await batch.reload()).status;
+
+test('runs started together never pay the same balance twice', async () => {
+  await earn(await createUser({ role: 'seller', phone: '0788000001' }));
+
+  const results = await Promise.allSettled([createPayoutRun(), createPayoutRun()]);
+
+  assert.deepStrictEqual(results.map(result => result.status).sort(), ['fulfilled', 'rejected']);
+  assert.strictEqual(results.find(result => result.status === 'rejected').reason.status, 400);
+  assert.strictEqual(await db.Payout.count(), 1);
+});
+
+test('a run takes its status from how its payouts went', async () => {
+  const sellers = [
+    await createUser({ role: 'seller', phone: '0788000002' }),
+    await createUser({ role: 'seller', phone: '0788000003' })
+  ];
+  for (const seller of sellers) await earn(seller);
+
+  const { batch } = await createPayoutRun();
+  const [first, second] = await db.Payout.findAll({ where: { batchId: batch.id }, order: [['id', 'ASC']] });
+
+  await settlePayout(first, { status: 'paid', reference: 'MOMO-1' });
+  assert.strictEqual(await batchStatus(batch), 'open');
+  await settlePayout(second, { status: 'failed', reason: 'Number not registered' });
+  assert.strictEqual(await batchStatus(batch), 'partial');
+
+  // The failed payout went back on the balance and is paid out in the next run
+  const { batch: retry } = await createPayoutRun();
+  const [again] = await db.Payout.findAll({ where: { batchId: retry.id } });
+  assert.strictEqual(again.sellerId, second.sellerId);
+  await settlePayout(again, { status: 'failed' });
+  assert.strictEqual(await batchStatus(retry), 'failed');
+
+  const { batch: last } = await createPayoutRun();
+  const [paid] = await db.Payout.findAll({ where: { batchId: last.id } });
+  await settlePayout(paid, { status: 'paid' });
+  assert.strictEqual(await batchStatus(last), 'completed');
+});
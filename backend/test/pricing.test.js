@@ -0,0 +1,104 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { db, setup, teardown, createUser, createProduct, serve } = require('./helpers');
+const { createOrder } = require('../services/orders');
+
+let api;
+let farmer;
+let school;
+let household;
+let potatoes;
+
+before(async () => {
+  await setup();
+  api = await serve({
+    '/api/products': require('../routes/products'),
+    '/api/price-lists': require('../routes/priceLists')
+  });
+  farmer = await createUser({ role: 'seller' });
+  school = await createUser({ name: 'Groupe Scolaire Kigali' });
+  household = await createUser();
+  potatoes = await createProduct(farmer, { name: 'Potatoes', price: 300, stock: 5000 });
+});
+
+after(async () => {
+  api.close();
+  await teardown();
+});
+
+// Place an order and return its lines as [quantity, price, priceRule, listPrice]
+const orderLines = async (buyer, quantities) => {
+  const placed = await createOrder({
+    buyerId: buyer.id,
+    products: quantities.map(quantity => ({ productId: potatoes.id, quantity }))
+  });
+  const lines = await db.OrderItem.findAll({ where: { orderId: placed.id }, order: [['id', 'ASC']] });
+  return lines.map(line => [line.quantity, line.price, line.priceRule, line.listPrice]);
+};
+
+test('sellers set price tiers that never get dearer with quantity', async () => {
+  const route = `/api/products/${potatoes.id}`;
+
+  for (const priceTiers of [
+    [{ minQuantity: 100, price: 250 }, { minQuantity: 500, price: 260 }],
+    [{ minQuantity: 100, price: 250 }, { minQuantity: 100, price: 240 }],
+    [{ minQuantity: 0, price: 250 }],
+    { minQuantity: 100, price: 250 }
+  ]) {
+    const { status } = await api.request('PUT', route, { user: farmer, body: { priceTiers } });
+    assert.strictEqual(status, 400, JSON.stringify(priceTiers));
+  }
+
+  const { status, body } = await api.request('PUT', route, {
+    user: farmer,
+    body: { priceTiers: [{ minQuantity: 500, price: 200 }, { minQuantity: '100', price: 250 }] }
+  });
+  assert.strictEqual(status, 200);
+  assert.deepStrictEqual(body.product.priceTiers, [{ minQuantity: 100, price: 250 }, { minQuantity: 500, price: 200 }]);
+});
+
+test('orders pay the tier of the quantity across the whole cart', async () => {
+  assert.deepStrictEqual(await orderLines(household, [50]), [[50, 300, 'base', 300]]);
+  assert.deepStrictEqual(await orderLines(household, [150]), [[150, 250, 'tier', 300]]);
+  assert.deepStrictEqual(await orderLines(household, [60, 60]), [[60, 250, 'tier', 300], [60, 250, 'tier', 300]]);
+  assert.deepStrictEqual(await orderLines(household, [500]), [[500, 200, 'tier', 300]]);
+});
+
+test('buyers on a price list pay its price when it is the lowest', async () => {
+  const { status, body } = await api.request('POST', '/api/price-lists', {
+    user: farmer,
+    body: { name: 'Schools', items: [{ productId: potatoes.id, price: 220 }], buyerIds: [school.id] }
+  });
+  assert.strictEqual(status, 201);
+  const priceList = body.priceList;
+
+  assert.deepStrictEqual(await orderLines(school, [10]), [[10, 220, 'price_list', 300]]);
+  assert.deepStrictEqual(await orderLines(household, [10]), [[10, 300, 'base', 300]]);
+  // The tier from 500 kg is cheaper still
+  assert.deepStrictEqual(await orderLines(school, [500]), [[500, 200, 'tier', 300]]);
+
+  const placed = await createOrder({ buyerId: school.id, products: [{ productId: potatoes.id, quantity: 10 }] });
+  const [line] = await db.OrderItem.findAll({ where: { orderId: placed.id } });
+  assert.strictEqual(line.priceListId, priceList.id);
+
+  const { body: mine } = await api.request('GET', '/api/price-lists/mine', { user: school });
+  assert.deepStrictEqual(mine.map(list => list.id), [priceList.id]);
+
+  await api.request('PUT', `/api/price-lists/${priceList.id}`, { user: farmer, body: { active: false } });
+  assert.deepStrictEqual(await orderLines(school, [10]), [[10, 300, 'base', 300]]);
+});
+
+test('price lists hold only the seller\'s own products and other buyers', async () => {
+  const other = await createUser({ role: 'seller' });
+  const theirs = await createProduct(other);
+  const create = (user, body) => api.request('POST', '/api/price-lists', { user, body: { name: 'Hotels', ...body } });
+
+  assert.strictEqual((await create(school, {})).status, 403);
+  assert.strictEqual((await create(farmer, { items: [{ productId: theirs.id, price: 100 }] })).status, 400);
+  assert.strictEqual((await create(farmer, { buyerIds: [farmer.id] })).status, 400);
+  assert.strictEqual((await create(farmer, { buyerIds: [999999] })).status, 400);
+  assert.strictEqual((await create(farmer, { items: [{ productId: potatoes.id, price: 0 }] })).status, 400);
+
+  const { body } = await create(farmer, {});
+  assert.strictEqual((await api.request('GET', `/api/price-lists/${body.priceList.id}`, { user: other })).status, 404);
+});
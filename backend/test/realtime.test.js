@@ -0,0 +1,146 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { db, setup, teardown, createUser, createProduct, tokenFor, serve } = require('./helpers');
+const { publish } = require('../services/realtime');
+const { settlePayment } = require('../services/payments');
+const { createOrder } = require('../services/orders');
+
+let api;
+let buyer;
+let seller;
+let stranger;
+const streams = [];
+
+before(async () => {
+  await setup();
+  api = await serve({
+    '/api/events': require('../routes/events'),
+    '/api/messages': require('../routes/messages'),
+    '/api/orders': require('../routes/orders')
+  });
+  buyer = await createUser();
+  seller = await createUser({ role: 'seller' });
+  stranger = await createUser();
+});
+
+after(async () => {
+  streams.forEach(stream => stream.close());
+  api.close();
+  await teardown();
+});
+
+// Open a user's event stream, as a browser EventSource would (token in the query).
+// next(type) resolves to the data of the next event of that type; received(type)
+// to the data of those already read.
+const connect = async (user) => {
+  const controller = new AbortController();
+  const res = await fetch(`${api.url}/api/events?token=${tokenFor(user)}`, { signal: controller.signal });
+  const reader = res.body.getReader();
+  const decoder = new TextDecoder();
+  const events = [];
+  let buffer = '';
+
+  const next = async (type) => {
+    for (;;) {
+      const index = events.findIndex(event => event.type === type && !event.taken);
+      if (index >= 0) {
+        events[index].taken = true;
+        return events[index].data;
+      }
+
+      const { value, done } = await reader.read();
+      if (done) throw new Error(`Stream ended before a ${type} event`);
+      buffer += decoder.decode(value, { stream: true });
+
+      let end;
+      while ((end = buffer.indexOf('\n\n')) >= 0) {
+        const fields = Object.fromEntries(buffer.slice(0, end).split('\n')
+          .filter(line => !line.startsWith(':'))
+          .map(line => [line.slice(0, line.indexOf(': ')), line.slice(line.indexOf(': ') + 2)]));
+        buffer = buffer.slice(end + 2);
+        if (fields.event) events.push({ type: fields.event, data: JSON.parse(fields.data) });
+      }
+    }
+  };
+
+  // Everything published before this marker has been read once it arrives
+  const drain = async () => {
+    await publish([user.id], 'marker', {});
+    await next('marker');
+  };
+  const received = (type) => events.filter(event => event.type === type).map(event => event.data);
+
+  const stream = { status: res.status, next, drain, received, close: () => controller.abort() };
+  streams.push(stream);
+  await next('ready');
+  return stream;
+};
+
+test('only signed-in users can open a stream', async () => {
+  const { status } = await fetch(`${api.url}/api/events?token=forged`);
+  assert.strictEqual(status, 401);
+  assert.strictEqual((await fetch(`${api.url}/api/events`)).status, 401);
+
+  const stream = await connect(buyer);
+  assert.strictEqual(stream.status, 200);
+});
+
+test('pushes new messages to both sides and read receipts to the sender', async () => {
+  const buyerStream = await connect(buyer);
+  const sellerStream = await connect(seller);
+  const strangerStream = await connect(stranger);
+
+  const sent = await api.request('POST', '/api/messages', { user: buyer, body: { receiverId: seller.id, content: 'Are the tomatoes ripe?' } });
+
+  const delivered = await sellerStream.next('message');
+  assert.strictEqual(delivered.id, sent.body.message.id);
+  assert.strictEqual(delivered.content, 'Are the tomatoes ripe?');
+  assert.strictEqual(delivered.sender.name, buyer.name);
+  assert.strictEqual((await buyerStream.next('message')).id, delivered.id);
+
+  await api.request('PUT', `/api/messages/read/${buyer.id}`, { user: seller });
+  const receipt = await buyerStream.next('messages_read');
+  assert.strictEqual(receipt.readerId, seller.id);
+  assert.deepStrictEqual(receipt.messageIds, [delivered.id]);
+
+  await strangerStream.drain();
+  assert.deepStrictEqual(strangerStream.received('message'), []);
+  assert.deepStrictEqual(strangerStream.received('messages_read'), []);
+});
+
+test('pushes order status changes and payment results to the buyer and seller', async () => {
+  const product = await createProduct(seller);
+  const order = await createOrder({ buyerId: buyer.id, products: [{ productId: product.id, quantity: 1 }] });
+  const buyerStream = await connect(buyer);
+  const sellerStream = await connect(seller);
+
+  await api.request('PUT', `/api/orders/${order.id}`, { user: seller, body: { action: 'approve' } });
+  for (const stream of [buyerStream, sellerStream]) {
+    const change = await stream.next('order_status');
+    assert.deepStrictEqual([change.orderId, change.action, change.status, change.orderStatus], [order.id, 'approve', 'confirmed', 'confirmed']);
+  }
+
+  const payment = await db.Payment.create({
+    orderId: order.id,
+    amount: order.totalAmount,
+    method: 'mtn_momo',
+    provider: 'mtn_momo',
+    status: 'pending',
+    transactionId: `ref-realtime-${order.id}`
+  });
+  await settlePayment(payment, { status: 'completed' });
+  const result = await buyerStream.next('payment');
+  assert.deepStrictEqual([result.paymentId, result.status, result.paymentStatus], [payment.id, 'completed', 'paid']);
+});
+
+test('a push that cannot be sent never fails the caller', async () => {
+  await publish([null, undefined], 'message', {});
+
+  // SQLite has no pg_notify, so this publish fails like a dropped Postgres connection
+  process.env.DATABASE_URL = 'postgres://unused';
+  try {
+    await publish([buyer.id], 'message', {});
+  } finally {
+    delete process.env.DATABASE_URL;
+  }
+});
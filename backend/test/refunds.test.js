@@ -0,0 +1,69 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { db, setup, teardown, createUser, createProduct } = require('./helpers');
+const { settlePayment } = require('../services/payments');
+const { createRefund } = require('../services/payments/refunds');
+const { createOrder } = require('../services/orders');
+
+let buyer;
+let product;
+let payment;
+
+// A completed payment for a new order, made through provider
+const paidOrder = async (provider) => {
+  const order = await createOrder({ buyerId: buyer.id, products: [{ productId: product.id, quantity: 2 }] });
+  const paid = await db.Payment.create({
+    orderId: order.id,
+    amount: order.totalAmount,
+    method: 'mtn_momo',
+    provider,
+    status: 'pending',
+    transactionId: `ref-refunds-${order.id}`
+  });
+  await settlePayment(paid, { status: 'completed' });
+  return paid;
+};
+
+before(async () => {
+  await setup();
+
+  buyer = await createUser();
+  product = await createProduct(await createUser({ role: 'seller' }));
+  // Without disbursement credentials, MoMo refunds stay pending for an admin
+  payment = await paidOrder('mtn_momo');
+});
+
+after(teardown);
+
+test('concurrent refunds never add up to more than was paid', async () => {
+  const results = await Promise.allSettled([
+    createRefund({ payment, amount: payment.amount * 0.75, reason: 'first' }),
+    createRefund({ payment, amount: payment.amount * 0.75, reason: 'second' })
+  ]);
+
+  assert.deepStrictEqual(results.map(result => result.status).sort(), ['fulfilled', 'rejected']);
+  assert.strictEqual(results.find(result => result.status === 'rejected').reason.status, 400);
+  assert.strictEqual(await db.Refund.sum('amount', { where: { paymentId: payment.id } }), payment.amount * 0.75);
+});
+
+test('refunds what is left', async () => {
+  const refund = await createRefund({ payment, reason: 'rest' });
+
+  assert.strictEqual(refund.amount, payment.amount * 0.25);
+  await assert.rejects(createRefund({ payment, amount: 1 }), { status: 400 });
+});
+
+// Payments made before providers were recorded have none
+for (const provider of [null, 'mock']) {
+  test(`leaves refunds of ${provider || 'provider-less'} payments pending for a manual payout`, async () => {
+    const paid = await paidOrder(provider);
+
+    const refund = await createRefund({ payment: paid, reason: 'rejected' });
+
+    await refund.reload();
+    assert.strictEqual(refund.status, 'pending');
+    assert.strictEqual(refund.transactionId, null);
+    assert.strictEqual((await paid.reload()).status, 'completed');
+    assert.strictEqual((await db.Order.findByPk(paid.orderId)).paymentStatus, 'paid');
+  });
+}
@@ -0,0 +1,109 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { db, setup, teardown, createUser, createProduct } = require('./helpers');
+const { createOrder } = require('../services/orders');
+const { updateSellerOrders } = require('../services/orderStateMachine');
+const {
+  reviewJSON, createReview, findReview, updateReview, deleteReview, setReviewHidden, listReviews
+} = require('../services/reviews');
+
+let admin;
+let seller;
+let product;
+
+before(async () => {
+  await setup();
+  admin = await createUser({ role: 'admin' });
+  seller = await createUser({ role: 'seller' });
+  product = await createProduct(seller);
+});
+
+after(teardown);
+
+// A buyer whose order of the product was delivered
+const buyerWhoReceived = async () => {
+  const buyer = await createUser();
+  const order = await createOrder({ buyerId: buyer.id, products: [{ productId: product.id, quantity: 1 }] });
+  const sellerOrders = await db.SellerOrder.findAll({ where: { orderId: order.id } });
+  for (const action of ['approve', 'ship', 'deliver']) {
+    await updateSellerOrders(order, sellerOrders, { action, user: admin });
+  }
+  return buyer;
+};
+
+const ratings = async () => {
+  const { ratingAverage, ratingCount } = await product.reload();
+  const sellerRatings = await seller.reload();
+  assert.deepStrictEqual(
+    { ratingAverage: sellerRatings.ratingAverage, ratingCount: sellerRatings.ratingCount },
+    { ratingAverage, ratingCount }
+  );
+  return { ratingAverage, ratingCount };
+};
+
+test('only buyers who received the product can review it, once', async () => {
+  await assert.rejects(createReview(await createUser(), { productId: product.id, rating: 5 }), { status: 403 });
+
+  const buyer = await buyerWhoReceived();
+  await assert.rejects(createReview(buyer, { productId: product.id, rating: 6 }), { status: 400 });
+  await assert.rejects(createReview(buyer, { productId: 0, rating: 5 }), { status: 404 });
+
+  const review = await createReview(buyer, { productId: product.id, rating: 4, comment: ' Fresh ' });
+  assert.strictEqual(review.comment, 'Fresh');
+  assert.strictEqual(review.sellerId, seller.id);
+  await assert.rejects(createReview(buyer, { productId: product.id, rating: 5 }), { status: 409 });
+
+  await deleteReview(review);
+});
+
+test('keeps the product and seller averages in step with visible reviews', async () => {
+  assert.deepStrictEqual(await ratings(), { ratingAverage: null, ratingCount: 0 });
+
+  const first = await createReview(await buyerWhoReceived(), { productId: product.id, rating: 5 });
+  const second = await createReview(await buyerWhoReceived(), { productId: product.id, rating: 2 });
+  assert.deepStrictEqual(await ratings(), { ratingAverage: 3.5, ratingCount: 2 });
+
+  await updateReview(second, { rating: 4 });
+  assert.deepStrictEqual(await ratings(), { ratingAverage: 4.5, ratingCount: 2 });
+
+  await setReviewHidden(second, { hidden: true, reason: 'Abusive' }, admin);
+  assert.deepStrictEqual(await ratings(), { ratingAverage: 5, ratingCount: 1 });
+
+  await setReviewHidden(second, { hidden: false }, admin);
+  await deleteReview(first);
+  assert.deepStrictEqual(await ratings(), { ratingAverage: 4, ratingCount: 1 });
+
+  await deleteReview(second);
+  assert.deepStrictEqual(await ratings(), { ratingAverage: null, ratingCount: 0 });
+});
+
+test('shows hidden reviews and who hid them to admins only', async () => {
+  const review = await createReview(await buyerWhoReceived(), { productId: product.id, rating: 1, comment: 'Rubbish seller' });
+  await assert.rejects(async () => setReviewHidden(review, { hidden: 'yes' }, admin), { status: 400 });
+  await setReviewHidden(review, { hidden: true, reason: 'Insults' }, admin);
+
+  const { reviews: visible } = await listReviews({ productId: product.id });
+  assert.ok(!visible.some(listed => listed.id === review.id));
+
+  const { reviews: hidden } = await listReviews({ productId: product.id, status: 'hidden' }, { admin: true });
+  assert.deepStrictEqual(hidden.map(listed => listed.id), [review.id]);
+  await assert.rejects(listReviews({ status: 'deleted' }, { admin: true }), { status: 400 });
+
+  const found = await findReview(review.id);
+  assert.strictEqual(reviewJSON(found).hiddenReason, undefined);
+  assert.strictEqual(reviewJSON(found, { admin: true }).hiddenReason, 'Insults');
+  assert.strictEqual(reviewJSON(found, { admin: true }).hiddenBy, admin.id);
+});
+
+test('hidden reviews cannot be deleted and written again', async () => {
+  const buyer = await buyerWhoReceived();
+  const review = await createReview(buyer, { productId: product.id, rating: 1 });
+  await setReviewHidden(review, { hidden: true, reason: 'Spam' }, admin);
+
+  await assert.rejects(async () => deleteReview(review), { status: 403 });
+  await assert.rejects(createReview(buyer, { productId: product.id, rating: 5 }), { status: 409 });
+
+  const kept = await findReview(review.id);
+  assert.strictEqual(kept.status, 'hidden');
+  assert.strictEqual(kept.hiddenReason, 'Spam');
+});
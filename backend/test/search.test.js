@@ -0,0 +1,89 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { db, setup, teardown, createUser, createProduct, serve } = require('./helpers');
+const { searchProducts } = require('../services/search');
+
+let api;
+let farmer;
+let tomatoes;
+let carrots;
+let mixed;
+
+before(async () => {
+  await setup();
+  api = await serve({
+    '/api/products': require('../routes/products'),
+    '/api/admin': require('../routes/admin')
+  });
+
+  farmer = await createUser({ role: 'seller', address: 'Nyabihu, Western Province' });
+  tomatoes = await createProduct(farmer, { name: 'Tomatoes', description: 'Ripe, picked this morning' });
+  carrots = await createProduct(farmer, { name: 'Carrots', description: 'Washed and sorted' });
+  mixed = await createProduct(farmer, { name: 'Garden basket', description: 'Leeks, a few carrots and herbs' });
+});
+
+after(async () => {
+  api.close();
+  await teardown();
+});
+
+const search = async (text) => {
+  const { status, body } = await api.request('GET', `/api/products?search=${encodeURIComponent(text)}`);
+  assert.strictEqual(status, 200);
+  return body.products.map(product => product.id);
+};
+
+test('ranks name matches above description matches', async () => {
+  assert.deepStrictEqual(await search('carrots'), [carrots.id, mixed.id]);
+});
+
+test('tolerates typos, accents and word beginnings', async () => {
+  assert.deepStrictEqual(await search('tomatos'), [tomatoes.id]);
+  assert.deepStrictEqual(await search('CARÓTS'), [carrots.id, mixed.id]);
+  assert.deepStrictEqual(await search('carr'), [carrots.id, mixed.id]);
+  assert.strictEqual(await searchProducts('!!'), null);
+});
+
+test('finds crops by their Kinyarwanda and French names', async () => {
+  assert.deepStrictEqual(await search('inyanya'), [tomatoes.id]);
+  assert.deepStrictEqual(await search('carottes'), [carrots.id, mixed.id]);
+});
+
+test('matches every word of the query', async () => {
+  assert.deepStrictEqual(await search('carrots herbs'), [mixed.id]);
+});
+
+test('indexes the category, in every language, and where the seller is', async () => {
+  const fruit = await db.Category.create({ name: 'Fruit', slug: 'fruit', translations: JSON.stringify({ rw: { name: 'Imbuto' } }) });
+  const mangoes = await createProduct(farmer, { name: 'Mangoes', categoryId: fruit.id });
+
+  assert.deepStrictEqual(await search('imbuto'), [mangoes.id]);
+  assert.ok((await search('nyabihu')).includes(mangoes.id));
+
+  await farmer.update({ address: 'Rubavu' });
+  assert.deepStrictEqual(await search('nyabihu'), []);
+  assert.ok((await search('rubavu')).includes(mangoes.id));
+
+  await fruit.update({ translations: JSON.stringify({ rw: { name: 'Imbuto nziza' } }) });
+  assert.deepStrictEqual(await search('nziza'), [mangoes.id]);
+});
+
+test('drops deleted products from the index', async () => {
+  const beans = await createProduct(farmer, { name: 'Climbing beans' });
+  assert.deepStrictEqual(await search('climbing'), [beans.id]);
+
+  await beans.destroy();
+  assert.deepStrictEqual(await search('climbing'), []);
+});
+
+test('admins rebuild the index after direct database edits', async () => {
+  const admin = await createUser({ role: 'admin' });
+  await db.sequelize.query('UPDATE "Products" SET name = ? WHERE id = ?', { replacements: ['Avocados', carrots.id] });
+  assert.deepStrictEqual(await search('avocados'), []);
+
+  assert.strictEqual((await api.request('POST', '/api/admin/search/reindex', { user: farmer })).status, 403);
+  const { status, body } = await api.request('POST', '/api/admin/search/reindex', { user: admin });
+  assert.strictEqual(status, 200);
+  assert.strictEqual(body.indexed, await db.Product.count());
+  assert.deepStrictEqual(await search('avoka'), [carrots.id]);
+});
@@ -0,0 +1,165 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { db, setup, teardown, createUser, createProduct, serve } = require('./helpers');
+const { settlePayment } = require('../services/payments');
+const { createOrder } = require('../services/orders');
+const { MAX_CODE_ATTEMPTS } = require('../services/shipments');
+const { uploadsDir } = require('../utils/uploads');
+
+// As if uploaded through /api/uploads; removed after the tests
+const photo = `proof-test-${process.pid}.jpg`;
+
+let api;
+let admin;
+let buyer;
+let seller;
+let product;
+
+before(async () => {
+  await setup();
+  api = await serve({ '/api/orders': require('../routes/orders') });
+  admin = await createUser({ role: 'admin' });
+  buyer = await createUser();
+  seller = await createUser({ role: 'seller' });
+  product = await createProduct(seller);
+  fs.mkdirSync(uploadsDir, { recursive: true });
+  fs.writeFileSync(path.join(uploadsDir, photo), 'jpeg');
+});
+
+after(async () => {
+  fs.rmSync(path.join(uploadsDir, photo), { force: true });
+  api.close();
+  await teardown();
+});
+
+// A paid, approved order, shipped by the seller with the given transporter
+const shippedOrder = async (transporter = { name: 'Jean Moto', phone: '0788123456' }) => {
+  const order = await createOrder({ buyerId: buyer.id, products: [{ productId: product.id, quantity: 1 }] });
+  const payment = await db.Payment.create({
+    orderId: order.id,
+    amount: order.totalAmount,
+    method: 'mtn_momo',
+    provider: 'mtn_momo',
+    status: 'pending',
+    transactionId: `ref-shipments-${order.id}`
+  });
+  await settlePayment(payment, { status: 'completed' });
+
+  await api.request('PUT', `/api/orders/${order.id}`, { user: seller, body: { action: 'approve' } });
+  const { status } = await api.request('PUT', `/api/orders/${order.id}`, { user: seller, body: { action: 'ship', transporter } });
+  assert.strictEqual(status, 200);
+  return order;
+};
+
+const shipmentsOf = async (order, user) => {
+  const { status, body } = await api.request('GET', `/api/orders/${order.id}/shipments`, { user });
+  assert.strictEqual(status, 200);
+  return body.shipments;
+};
+
+test('shipping opens a shipment whose delivery code only the buyer sees', async () => {
+  const order = await shippedOrder();
+
+  const [forBuyer] = await shipmentsOf(order, buyer);
+  assert.deepStrictEqual([forBuyer.transporterName, forBuyer.transporterPhone, forBuyer.sellerId], ['Jean Moto', '0788123456', seller.id]);
+  assert.ok(forBuyer.shippedAt);
+  assert.match(forBuyer.deliveryCode, /^\d{6}$/);
+  assert.deepStrictEqual(forBuyer.events.map(event => event.status), ['shipped']);
+
+  const [forSeller] = await shipmentsOf(order, seller);
+  assert.strictEqual(forSeller.deliveryCode, undefined);
+  assert.strictEqual(forSeller.codeAttempts, undefined);
+
+  const stranger = await createUser();
+  assert.strictEqual((await api.request('GET', `/api/orders/${order.id}/shipments`, { user: stranger })).status, 403);
+});
+
+test('a bad transporter phone leaves the order unshipped', async () => {
+  const order = await createOrder({ buyerId: buyer.id, products: [{ productId: product.id, quantity: 1 }] });
+  await db.SellerOrder.update({ status: 'confirmed' }, { where: { orderId: order.id } });
+
+  const { status } = await api.request('PUT', `/api/orders/${order.id}`, { user: seller, body: { action: 'ship', transporter: { phone: 'call me' } } });
+  assert.strictEqual(status, 400);
+  assert.strictEqual(await db.Shipment.count({ where: { orderId: order.id } }), 0);
+  assert.deepStrictEqual((await db.SellerOrder.findAll({ where: { orderId: order.id } })).map(so => so.status), ['confirmed']);
+});
+
+test('the seller logs tracking events and corrects the transporter', async () => {
+  const order = await shippedOrder({ name: 'Jean Moto' });
+  const [{ id }] = await shipmentsOf(order, seller);
+  const route = `/api/orders/${order.id}/shipments/${id}`;
+
+  const { status } = await api.request('POST', `${route}/events`, { user: seller, body: { status: 'in_transit', location: 'Muhanga' } });
+  assert.strictEqual(status, 201);
+  assert.strictEqual((await api.request('POST', `${route}/events`, { user: seller, body: { status: 'delivered' } })).status, 400);
+  assert.strictEqual((await api.request('POST', `${route}/events`, { user: buyer, body: { status: 'delayed' } })).status, 403);
+
+  const { body } = await api.request('PUT', route, { user: seller, body: { transporter: { name: 'Eric Truck', phone: '+250788000111' } } });
+  assert.deepStrictEqual([body.shipment.transporterName, body.shipment.transporterPhone], ['Eric Truck', '+250788000111']);
+
+  const [shipment] = await shipmentsOf(order, buyer);
+  assert.deepStrictEqual(shipment.events.map(event => [event.status, event.location]), [['shipped', null], ['in_transit', 'Muhanga']]);
+  assert.strictEqual(shipment.events[1].recordedByUser.id, seller.id);
+});
+
+test('the buyer\'s code, with a proof photo, marks the order delivered', async () => {
+  const order = await shippedOrder();
+  const [{ id, deliveryCode }] = await shipmentsOf(order, buyer);
+  const route = `/api/orders/${order.id}/shipments/${id}/deliver`;
+
+  // The seller cannot skip the code
+  assert.strictEqual((await api.request('PUT', `/api/orders/${order.id}`, { user: seller, body: { action: 'deliver' } })).status, 400);
+
+  const wrong = deliveryCode === '000000' ? '111111' : '000000';
+  const { status, body } = await api.request('POST', route, { user: seller, body: { code: wrong } });
+  assert.strictEqual(status, 400);
+  assert.match(body.message, new RegExp(`${MAX_CODE_ATTEMPTS - 1} tries left`));
+  assert.strictEqual((await api.request('POST', route, { user: seller, body: { code: deliveryCode, photoUrl: '/uploads/missing.jpg' } })).status, 400);
+
+  const delivered = await api.request('POST', route, { user: seller, body: { code: deliveryCode, photoUrl: `/uploads/${photo}` } });
+  assert.strictEqual(delivered.status, 200);
+  assert.strictEqual(delivered.body.order.status, 'delivered');
+
+  const shipment = await db.Shipment.findByPk(id);
+  assert.deepStrictEqual(
+    [shipment.confirmedWith, shipment.proofPhotoUrl, shipment.deliveredBy, shipment.deliveryCode],
+    ['code', `/uploads/${photo}`, seller.id, null]
+  );
+  assert.ok(shipment.deliveredAt);
+  assert.ok((await db.SellerOrder.findOne({ where: { orderId: order.id } })).escrowReleaseAt);
+
+  assert.strictEqual((await api.request('POST', route, { user: seller, body: { code: deliveryCode } })).status, 400);
+  assert.strictEqual((await api.request('POST', `/api/orders/${order.id}/shipments/${id}/events`, { user: seller, body: { status: 'note' } })).status, 400);
+});
+
+test('too many wrong codes replace the code', async () => {
+  const order = await shippedOrder();
+  const [{ id, deliveryCode }] = await shipmentsOf(order, buyer);
+  const route = `/api/orders/${order.id}/shipments/${id}/deliver`;
+  const wrong = deliveryCode === '000000' ? '111111' : '000000';
+
+  let last;
+  for (let i = 0; i < MAX_CODE_ATTEMPTS; i++) {
+    last = await api.request('POST', route, { user: seller, body: { code: wrong } });
+  }
+  assert.match(last.body.message, /new delivery code/);
+
+  const [shipment] = await shipmentsOf(order, buyer);
+  assert.notStrictEqual(shipment.deliveryCode, deliveryCode);
+  assert.strictEqual((await api.request('POST', route, { user: seller, body: { code: deliveryCode } })).status, 400);
+  assert.strictEqual((await api.request('POST', route, { user: seller, body: { code: shipment.deliveryCode } })).status, 200);
+});
+
+test('buyers and admins confirm delivery without the code', async () => {
+  for (const user of [buyer, admin]) {
+    const order = await shippedOrder();
+    const { status } = await api.request('PUT', `/api/orders/${order.id}`, { user, body: { action: 'deliver' } });
+    assert.strictEqual(status, 200);
+
+    const [shipment] = await shipmentsOf(order, user);
+    assert.strictEqual(shipment.confirmedWith, user.role === 'admin' ? 'admin' : 'buyer');
+    assert.deepStrictEqual(shipment.events.map(event => event.status), ['shipped', 'delivered']);
+  }
+});
@@ -0,0 +1,90 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { db, setup, teardown, createUser, createProduct } = require('./helpers');
+const { settlePayment } = require('../services/payments');
+const { createOrder, expireUnpaidOrders } = require('../services/orders');
+const { updateSellerOrders } = require('../services/orderStateMachine');
+
+let buyer;
+let seller;
+
+before(async () => {
+  await setup();
+  buyer = await createUser();
+  seller = await createUser({ role: 'seller' });
+});
+
+after(teardown);
+
+const order = (product, quantity) => createOrder({ buyerId: buyer.id, products: [{ productId: product.id, quantity }] });
+
+const stockOf = async (product) => {
+  const { stock, reservedStock, availableStock } = await product.reload();
+  return { stock, reservedStock, availableStock };
+};
+
+const pendingPayment = (placed) => db.Payment.create({
+  orderId: placed.id,
+  amount: placed.totalAmount,
+  method: 'mtn_momo',
+  provider: 'mtn_momo',
+  status: 'pending',
+  transactionId: `ref-stock-${placed.id}`
+});
+
+// As if the hold had run out
+const expireHold = (placed) =>
+  db.StockReservation.update({ expiresAt: new Date(Date.now() - 1000) }, { where: { orderId: placed.id } });
+
+test('placing an order holds its stock until it is paid', async () => {
+  const product = await createProduct(seller, { stock: 10 });
+
+  const placed = await order(product, 4);
+  assert.ok(placed.reservedUntil > new Date());
+  assert.deepStrictEqual(await stockOf(product), { stock: 10, reservedStock: 4, availableStock: 6 });
+  await assert.rejects(order(product, 7), { status: 400 });
+
+  await settlePayment(await pendingPayment(placed), { status: 'completed' });
+  assert.deepStrictEqual(await stockOf(product), { stock: 6, reservedStock: 0, availableStock: 6 });
+  assert.deepStrictEqual((await db.StockReservation.findAll({ where: { orderId: placed.id } })).map(r => r.status), ['committed']);
+});
+
+test('two buyers cannot both take the last units', async () => {
+  const product = await createProduct(seller, { stock: 5 });
+
+  const results = await Promise.allSettled([order(product, 3), order(product, 3)]);
+
+  assert.deepStrictEqual(results.map(result => result.status).sort(), ['fulfilled', 'rejected']);
+  assert.strictEqual(results.find(result => result.status === 'rejected').reason.status, 400);
+  assert.deepStrictEqual(await stockOf(product), { stock: 5, reservedStock: 3, availableStock: 2 });
+});
+
+test('cancelling an unpaid order releases its hold', async () => {
+  const product = await createProduct(seller, { stock: 5 });
+  const placed = await order(product, 5);
+  const sellerOrders = await db.SellerOrder.findAll({ where: { orderId: placed.id } });
+
+  await updateSellerOrders(placed, sellerOrders, { action: 'cancel', user: buyer });
+
+  assert.deepStrictEqual(await stockOf(product), { stock: 5, reservedStock: 0, availableStock: 5 });
+  assert.deepStrictEqual((await db.StockReservation.findAll({ where: { orderId: placed.id } })).map(r => r.status), ['released']);
+});
+
+test('the sweeper cancels unpaid orders whose hold ran out, unless a payment is in progress', async () => {
+  const product = await createProduct(seller, { stock: 10 });
+  const unpaid = await order(product, 3);
+  const paying = await order(product, 2);
+  await pendingPayment(paying);
+  const fresh = await order(product, 1);
+  await expireHold(unpaid);
+  await expireHold(paying);
+
+  await expireUnpaidOrders();
+
+  assert.strictEqual((await unpaid.reload()).status, 'cancelled');
+  assert.strictEqual((await paying.reload()).status, 'pending');
+  assert.strictEqual((await fresh.reload()).status, 'pending');
+  assert.deepStrictEqual(await stockOf(product), { stock: 10, reservedStock: 3, availableStock: 7 });
+  const history = await db.OrderStatusHistory.findOne({ where: { orderId: unpaid.id, action: 'expire', sellerOrderId: null } });
+  assert.strictEqual(history.toStatus, 'cancelled');
+});
@@ -0,0 +1,96 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { db, setup, teardown, createUser, createProduct, serve } = require('./helpers');
+const { createOrder } = require('../services/orders');
+
+let api;
+let buyer;
+let farmer;
+
+before(async () => {
+  await setup();
+  api = await serve({ '/api/products': require('../routes/products') });
+  buyer = await createUser();
+  farmer = await createUser({ role: 'seller' });
+});
+
+after(async () => {
+  api.close();
+  await teardown();
+});
+
+const order = (product, quantity, unit) =>
+  createOrder({ buyerId: buyer.id, products: [{ productId: product.id, quantity, unit }] });
+
+test('sellers pick a unit and pack sizes that do not already convert', async () => {
+  const [{ id: categoryId }] = await db.Category.findOrCreate({ where: { slug: 'vegetables' }, defaults: { name: 'Vegetables' } });
+  const listing = (rules) => api.request('POST', '/api/products', {
+    user: farmer,
+    body: { name: 'Potatoes', price: 400, quantity: 1000, categoryId, ...rules }
+  });
+
+  for (const rules of [
+    { unit: 'sack' },
+    { packSizes: [{ unit: 'kg', size: 1 }] },
+    { packSizes: [{ unit: 'tonne', size: 1000 }] },
+    { packSizes: [{ unit: 'bag', size: 0 }] },
+    { packSizes: [{ unit: 'bag', size: 50 }, { unit: 'bag', size: 25 }] },
+    { minOrderQuantity: -5 }
+  ]) {
+    const { status } = await listing(rules);
+    assert.strictEqual(status, 400, JSON.stringify(rules));
+  }
+
+  const { status, body } = await listing({ packSizes: [{ unit: 'bag', size: 50 }], minOrderQuantity: 10 });
+  assert.strictEqual(status, 201);
+  const { body: product } = await api.request('GET', `/api/products/${body.product.id}`);
+  assert.deepStrictEqual(product.salesUnits, [
+    { unit: 'kg', size: 1 },
+    { unit: 'g', size: 0.001 },
+    { unit: 'tonne', size: 1000 },
+    { unit: 'bag', size: 50 }
+  ]);
+});
+
+test('converts ordered quantities into the product\'s unit for stock and price', async () => {
+  const potatoes = await createProduct(farmer, { name: 'Potatoes', price: 400, stock: 500, packSizes: [{ unit: 'bag', size: 50 }] });
+
+  const placed = await order(potatoes, 2, 'bag');
+  const [line] = await db.OrderItem.findAll({ where: { orderId: placed.id } });
+  assert.deepStrictEqual(
+    [line.unit, line.quantity, line.orderedUnit, line.orderedQuantity, line.price, line.subtotal],
+    ['kg', 100, 'bag', 2, 400, 40000]
+  );
+  assert.strictEqual((await potatoes.reload()).reservedStock, 100);
+
+  const grams = await order(potatoes, 500, 'g');
+  const [small] = await db.OrderItem.findAll({ where: { orderId: grams.id } });
+  assert.deepStrictEqual([small.quantity, small.subtotal], [0.5, 200]);
+
+  await assert.rejects(order(potatoes, 1, 'litre'), { status: 400, message: /sold by kg, g, tonne, bag, not litre/ });
+  // 9 bags are 450 kg, more than the 399.5 kg left
+  await assert.rejects(order(potatoes, 9, 'bag'), { status: 400 });
+});
+
+test('enforces minimum order quantities and steps', async () => {
+  const onions = await createProduct(farmer, { name: 'Onions', minOrderQuantity: 5, quantityStep: 0.5 });
+
+  await assert.rejects(order(onions, 4), { status: 400, message: /minimum order for Onions is 5 kg/ });
+  await assert.rejects(order(onions, 5.25), { status: 400, message: /steps of 0.5 kg/ });
+  await assert.rejects(order(onions, 4000, 'g'), { status: 400, message: /minimum/ });
+
+  const placed = await order(onions, 5500, 'g');
+  const [line] = await db.OrderItem.findAll({ where: { orderId: placed.id } });
+  assert.deepStrictEqual([line.quantity, line.orderedQuantity, line.orderedUnit], [5.5, 5500, 'g']);
+});
+
+test('animals and counts do not convert to mass', async () => {
+  const goats = await createProduct(farmer, { name: 'Goats', unit: 'head', price: 60000, stock: 10 });
+  const eggs = await createProduct(farmer, { name: 'Eggs', unit: 'piece', price: 150, stock: 300 });
+
+  await assert.rejects(order(goats, 1, 'kg'), { status: 400 });
+
+  const placed = await order(eggs, 2, 'dozen');
+  const [line] = await db.OrderItem.findAll({ where: { orderId: placed.id } });
+  assert.deepStrictEqual([line.quantity, line.subtotal], [24, 3600]);
+});
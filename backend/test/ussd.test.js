@@ -0,0 +1,45 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { db, setup, teardown, createUser, createProduct } = require('./helpers');
+const { handleUssd } = require('../services/ussd');
+
+let product;
+let sessions = 0;
+
+before(async () => {
+  await setup();
+  product = await createProduct(await createUser({ role: 'seller', phone: '0788200001' }), { stock: 5, quantity: 5 });
+});
+
+after(teardown);
+
+// Dial in and type each input in turn, as the gateway sends them ("1*1*3")
+const dial = async (inputs) => {
+  const sessionId = `session-${++sessions}`;
+  const typed = [];
+  let screen = await handleUssd({ sessionId, serviceCode: '*123#', phoneNumber: '+250788300001', text: '' });
+  for (const input of inputs) {
+    typed.push(input);
+    screen = await handleUssd({ sessionId, serviceCode: '*123#', phoneNumber: '+250788300001', text: typed.join('*') });
+  }
+  return screen;
+};
+
+// Buy, the only category, the only product
+const TO_QUANTITY = ['1', '1', '1'];
+
+test('refuses a quantity above the stock before the confirm screen', async () => {
+  const screen = await dial([...TO_QUANTITY, '7']);
+
+  assert.match(screen, /^CON Hasigaye 5 kg gusa\.\n/);
+  assert.match(screen, /andika ingano/);
+});
+
+test('leaves the order unpaid when mobile money is not available', async () => {
+  const screen = await dial([...TO_QUANTITY, '7', '3', '1']);
+
+  assert.match(screen, /^END Komande #\d+ yakiriwe: 3,000 RWF\. Yishyure/);
+  const order = await db.Order.findOne({ order: [['id', 'DESC']] });
+  assert.strictEqual(order.paymentStatus, 'pending');
+  assert.strictEqual(await db.Payment.count({ where: { orderId: order.id } }), 0);
+});
@@ -0,0 +1,118 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { db, setup, teardown, createUser, createProduct, serve } = require('./helpers');
+const { settlePayment } = require('../services/payments');
+const { createOrder } = require('../services/orders');
+const { updateSellerOrders } = require('../services/orderStateMachine');
+
+let api;
+let buyer;
+let farmer;
+
+before(async () => {
+  await setup();
+  api = await serve({ '/api/products': require('../routes/products') });
+  buyer = await createUser();
+  farmer = await createUser({ role: 'seller' });
+});
+
+after(async () => {
+  api.close();
+  await teardown();
+});
+
+// A product sold as grade A (1200 RWF, 40 in stock) and grade B (800 RWF, 60 in stock)
+const gradedPotatoes = async () => {
+  const product = await createProduct(farmer, { name: 'Potatoes' });
+  const add = async (body) => (await api.request('POST', `/api/products/${product.id}/variants`, { user: farmer, body })).body.variant;
+  const gradeA = await add({ name: 'Grade A', price: 1200, stock: 40 });
+  const gradeB = await add({ name: 'Grade B', price: 800, stock: 60 });
+  return { product, gradeA, gradeB };
+};
+
+const order = (product, variant, quantity) =>
+  createOrder({ buyerId: buyer.id, products: [{ productId: product.id, variantId: variant && variant.id, quantity }] });
+
+const stockOf = async (variant) => {
+  const { stock, reservedStock } = await db.ProductVariant.findByPk(variant.id);
+  return { stock, reservedStock };
+};
+
+test('products with variants show their price range and total stock', async () => {
+  const { product, gradeA, gradeB } = await gradedPotatoes();
+
+  assert.strictEqual(gradeA.sku, `${product.id}-GRADE-A`);
+  await product.reload();
+  assert.deepStrictEqual([product.price, product.stock], [800, 100]);
+
+  const { body } = await api.request('GET', `/api/products/${product.id}`);
+  assert.deepStrictEqual(body.priceRange, { min: 800, max: 1200, variants: 2 });
+  assert.deepStrictEqual(body.variants.map(variant => variant.id), [gradeA.id, gradeB.id]);
+
+  const { body: listing } = await api.request('GET', `/api/products?seller=${farmer.id}`);
+  const listed = listing.products.find(item => item.id === product.id);
+  assert.deepStrictEqual(listed.priceRange, { min: 800, max: 1200, variants: 2 });
+
+  // Price and stock now belong to the variants
+  assert.strictEqual((await api.request('PUT', `/api/products/${product.id}`, { user: farmer, body: { price: 900 } })).status, 400);
+});
+
+test('only the seller manages variants, with unique SKUs', async () => {
+  const { product, gradeA, gradeB } = await gradedPotatoes();
+  const route = `/api/products/${product.id}/variants`;
+
+  assert.strictEqual((await api.request('POST', route, { user: buyer, body: { name: 'Grade C', price: 500 } })).status, 403);
+  assert.strictEqual((await api.request('POST', route, { user: farmer, body: { name: 'Grade C', price: 0 } })).status, 400);
+  assert.strictEqual((await api.request('POST', route, { user: farmer, body: { name: 'Grade C', price: 500, sku: gradeA.sku } })).status, 409);
+  assert.strictEqual((await api.request('PUT', `${route}/${gradeB.id}`, { user: farmer, body: { sku: 'has spaces' } })).status, 400);
+
+  const { status, body } = await api.request('PUT', `${route}/${gradeB.id}`, { user: farmer, body: { price: 700, stock: 10 } });
+  assert.strictEqual(status, 200);
+  assert.deepStrictEqual([body.variant.price, body.variant.stock], [700, 10]);
+  await product.reload();
+  assert.deepStrictEqual([product.price, product.stock], [700, 50]);
+});
+
+test('orders take the variant\'s price and hold its stock', async () => {
+  const { product, gradeA } = await gradedPotatoes();
+  const other = await gradedPotatoes();
+
+  await assert.rejects(order(product, null, 1), { status: 400, message: /Choose a variant/ });
+  await assert.rejects(order(product, other.gradeA, 1), { status: 400 });
+  await assert.rejects(order(product, gradeA, 41), { status: 400 });
+
+  const placed = await order(product, gradeA, 5);
+  const [line] = await db.OrderItem.findAll({ where: { orderId: placed.id } });
+  assert.deepStrictEqual([line.variantId, line.variantName, line.price, line.subtotal], [gradeA.id, 'Grade A', 1200, 6000]);
+  assert.deepStrictEqual(await stockOf(gradeA), { stock: 40, reservedStock: 5 });
+  assert.strictEqual((await product.reload()).reservedStock, 5);
+
+  // Held stock keeps the variant from being deleted
+  const route = `/api/products/${product.id}/variants/${gradeA.id}`;
+  assert.strictEqual((await api.request('DELETE', route, { user: farmer })).status, 409);
+
+  const payment = await db.Payment.create({
+    orderId: placed.id,
+    amount: placed.totalAmount,
+    method: 'mtn_momo',
+    provider: 'mtn_momo',
+    status: 'pending',
+    transactionId: `ref-variant-${placed.id}`
+  });
+  await settlePayment(payment, { status: 'completed' });
+  assert.deepStrictEqual(await stockOf(gradeA), { stock: 35, reservedStock: 0 });
+  await product.reload();
+  assert.deepStrictEqual([product.stock, product.reservedStock], [95, 0]);
+});
+
+test('cancelling gives the variant its stock back', async () => {
+  const { product, gradeB } = await gradedPotatoes();
+  const placed = await order(product, gradeB, 60);
+  assert.deepStrictEqual(await stockOf(gradeB), { stock: 60, reservedStock: 60 });
+
+  const sellerOrders = await db.SellerOrder.findAll({ where: { orderId: placed.id } });
+  await updateSellerOrders(placed, sellerOrders, { action: 'cancel', user: buyer });
+
+  assert.deepStrictEqual(await stockOf(gradeB), { stock: 60, reservedStock: 0 });
+  assert.strictEqual((await product.reload()).reservedStock, 0);
+});
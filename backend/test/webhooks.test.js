@@ -0,0 +1,75 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { db, setup, teardown, createUser, createProduct } = require('./helpers');
+const { handleCallback } = require('../services/payments/webhooks');
+const { createOrder } = require('../services/orders');
+
+const SECRET = 'webhook-secret';
+
+let buyer;
+let product;
+
+before(async () => {
+  await setup();
+  process.env.MOMO_WEBHOOK_SECRET = SECRET;
+
+  buyer = await createUser();
+  product = await createProduct(await createUser({ role: 'seller' }));
+});
+
+after(teardown);
+
+// A pending MoMo payment for a new order, as startPayment leaves it
+const pendingPayment = async (transactionId) => {
+  const order = await createOrder({ buyerId: buyer.id, products: [{ productId: product.id, quantity: 1 }] });
+  return db.Payment.create({
+    orderId: order.id,
+    amount: order.totalAmount,
+    method: 'mtn_momo',
+    provider: 'mtn_momo',
+    status: 'pending',
+    transactionId
+  });
+};
+
+const callback = (transactionId, body) => handleCallback('mtn_momo', {
+  body: { referenceId: transactionId, status: 'SUCCESSFUL', ...body },
+  query: { token: SECRET },
+  headers: {}
+});
+
+test('applies a callback once and ignores its replays', async () => {
+  const payment = await pendingPayment('ref-applied');
+
+  assert.strictEqual((await callback('ref-applied', { amount: payment.amount })).outcome, 'applied');
+  assert.strictEqual((await callback('ref-applied', { amount: payment.amount })).outcome, 'duplicate');
+  assert.strictEqual((await payment.reload()).status, 'completed');
+});
+
+test('replays a callback that was rejected for its amount', async () => {
+  const payment = await pendingPayment('ref-amount');
+
+  assert.strictEqual((await callback('ref-amount', { amount: 1 })).outcome, 'rejected');
+  assert.strictEqual((await payment.reload()).status, 'pending');
+
+  assert.strictEqual((await callback('ref-amount', { amount: payment.amount })).outcome, 'applied');
+  assert.strictEqual((await payment.reload()).status, 'completed');
+
+  const events = await db.PaymentEvent.findAll({ where: { transactionId: 'ref-amount' } });
+  assert.deepStrictEqual(events.map(event => event.outcome), ['applied']);
+});
+
+test('replays a callback that arrived before its payment was recorded', async () => {
+  assert.strictEqual((await callback('ref-early', {})).outcome, 'rejected');
+
+  const payment = await pendingPayment('ref-early');
+  assert.strictEqual((await callback('ref-early', {})).outcome, 'applied');
+  assert.strictEqual((await payment.reload()).status, 'completed');
+});
+
+test('refuses callbacks without the shared secret', async () => {
+  await assert.rejects(
+    handleCallback('mtn_momo', { body: { referenceId: 'ref-forged', status: 'SUCCESSFUL' }, query: { token: 'wrong' }, headers: {} }),
+    { status: 401 }
+  );
+});
@@ -0,0 +1,10 @@
+const crypto = require('crypto');
+
+// Constant-time string comparison for secrets and signatures
+const safeEqual = (a, b) => {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+};
+
+module.exports = { safeEqual };
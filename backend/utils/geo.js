@@ -0,0 +1,20 @@
+// Distances between { lat, lng } points, in kilometres. Distances here are
+// regional (a few hundred km at most), so an equirectangular projection around
+// the origin is accurate enough, and it needs only arithmetic: databases
+// without trigonometric functions (SQLite) can filter and sort on it too.
+const KM_PER_DEGREE = 111.32;
+
+// Longitude degrees shrink away from the equator
+const lngScale = (lat) => Math.cos(lat * Math.PI / 180);
+
+const distanceKm = (from, to) => {
+  const dLat = to.lat - from.lat;
+  const dLng = (to.lng - from.lng) * lngScale(from.lat);
+  return Math.sqrt(dLat * dLat + dLng * dLng) * KM_PER_DEGREE;
+};
+
+// Products and users used to store 0,0 when the location was unknown
+const isKnownLocation = (point) =>
+  !!point && Number.isFinite(point.lat) && Number.isFinite(point.lng) && !(point.lat === 0 && point.lng === 0);
+
+module.exports = { KM_PER_DEGREE, lngScale, distanceKm, isKnownLocation };
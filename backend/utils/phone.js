@@ -0,0 +1,16 @@
+// Phone numbers arrive as +250788123456, 0788 123 456, 250788123456...
+// Providers want the bare international form (MSISDN) without '+'.
+const DEFAULT_COUNTRY_CODE = '250';
+
+const normalizeMsisdn = (phone) => {
+  if (!phone) return null;
+
+  const digits = String(phone).replace(/[^\d+]/g, '');
+  if (digits.startsWith('+')) return digits.slice(1);
+  if (digits.startsWith('00')) return digits.slice(2);
+  if (digits.startsWith('0')) return DEFAULT_COUNTRY_CODE + digits.slice(1);
+
+  return digits || null;
+};
+
+module.exports = { normalizeMsisdn };
@@ -0,0 +1,14 @@
+const fs = require('fs');
+const path = require('path');
+
+// Files from /api/uploads are stored here and served as /uploads/<filename>
+const uploadsDir = path.join(__dirname, '../uploads');
+const UPLOAD_URL_PATTERN = /^\/uploads\/([A-Za-z0-9._-]+)$/;
+
+// Whether a url points at a file uploaded through /api/uploads
+const isUploadedFile = (url) => {
+  const match = typeof url === 'string' && url.match(UPLOAD_URL_PATTERN);
+  return !!match && fs.existsSync(path.join(uploadsDir, match[1]));
+};
+
+module.exports = { uploadsDir, isUploadedFile };